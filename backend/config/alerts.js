@@ -0,0 +1,94 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Background alert evaluation configuration
+const alertsConfig = {
+  scheduler: {
+    enabled: process.env.ALERT_SCHEDULER_ENABLED !== 'false',
+    // How often every watched grid cell is re-evaluated
+    intervalMs: (parseInt(process.env.ALERT_EVALUATION_INTERVAL_MINUTES) || 15) * 60 * 1000,
+    // memory: in-process queue (no Redis needed); bullmq: shared Redis-backed queue
+    queue: process.env.ALERT_QUEUE === 'bullmq' ? 'bullmq' : 'memory',
+    redisUrl: process.env.ALERT_QUEUE_REDIS_URL || process.env.REDIS_URL || 'redis://localhost:6379',
+    // Forecast window scanned for upcoming hazards (onset, peak and end) on each run
+    horizonHours: parseInt(process.env.ALERT_HORIZON_HOURS) || 48,
+    // Snapshot window for rules that don't read the whole series (e.g. air quality)
+    lookaheadHours: parseInt(process.env.ALERT_LOOKAHEAD_HOURS) || 6,
+    // Forecasts are fetched per cell of this size (degrees); alert areas are made of these cells
+    cellResolutionDeg: parseFloat(process.env.ALERT_CELL_RESOLUTION_DEG) || 0.25
+  },
+  subscriptions: {
+    // Signs one-click unsubscribe links in alert emails
+    unsubscribeSecret: process.env.ALERT_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET,
+    // Links older than this stop working; mail clients and archives keep them long after sending
+    unsubscribeMaxAgeMs: (parseInt(process.env.ALERT_UNSUBSCRIBE_MAX_AGE_DAYS) || 90) * 24 * 60 * 60 * 1000,
+    // Email-only subscriptions (POST /api/alerts/subscribe) must be confirmed within this window
+    confirmMaxAgeMs: (parseInt(process.env.ALERT_SUBSCRIBE_CONFIRM_HOURS) || 48) * 60 * 60 * 1000,
+    // Public base URL of this API, used to build those links
+    publicApiUrl: (process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '')
+  },
+  delivery: {
+    enabled: process.env.ALERT_DELIVERY_ENABLED !== 'false',
+    from: process.env.ALERT_EMAIL_FROM || 'admin@aether.com',
+    // Dedicated SMTP server for alert emails; without it emails go through emailService
+    smtp: process.env.ALERT_SMTP_HOST ? {
+      host: process.env.ALERT_SMTP_HOST,
+      port: parseInt(process.env.ALERT_SMTP_PORT) || 587,
+      secure: process.env.ALERT_SMTP_SECURE === 'true',
+      auth: process.env.ALERT_SMTP_USER
+        ? { user: process.env.ALERT_SMTP_USER, pass: process.env.ALERT_SMTP_PASSWORD }
+        : undefined
+    } : null,
+    // Retries with exponential backoff: base, 2x base, 4x base... capped at maxDelay
+    maxAttempts: parseInt(process.env.ALERT_DELIVERY_MAX_ATTEMPTS) || 5,
+    backoffBaseMs: (parseInt(process.env.ALERT_DELIVERY_BACKOFF_SECONDS) || 30) * 1000,
+    backoffMaxMs: 30 * 60 * 1000,
+    // At most this many alert emails per recipient per window; EMERGENCY alerts are always sent
+    rateLimit: {
+      maxPerWindow: parseInt(process.env.ALERT_RATE_LIMIT_COUNT) || 3,
+      windowMs: (parseInt(process.env.ALERT_RATE_LIMIT_WINDOW_HOURS) || 6) * 60 * 60 * 1000
+    },
+    // Local hours (at the subscribed location) when non-emergency emails wait, e.g. "22-7"; empty disables
+    quietHours: process.env.ALERT_QUIET_HOURS ?? '22-7'
+  },
+  cap: {
+    // <sender> of exported CAP messages; should be a stable address or domain you control
+    sender: process.env.ALERT_CAP_SENDER || 'alerts@aether.com',
+    senderName: process.env.ALERT_CAP_SENDER_NAME || 'Aether Weather Alerts',
+    // Cancelled alerts stay in the Atom feed this long so consumers see the cancellation
+    cancelledRetentionHours: parseInt(process.env.ALERT_FEED_CANCELLED_HOURS) || 24
+  },
+  ingest: {
+    // Official CAP 1.2 sources, comma separated: Atom feeds or single CAP documents.
+    // "fixture:<file>" reads from the fixtures directory instead of the network.
+    feeds: (process.env.ALERT_CAP_FEEDS || '')
+      .split(',')
+      .map(feed => feed.trim())
+      .filter(Boolean),
+    fixturesDir: process.env.ALERT_CAP_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'cap'),
+    requestTimeoutMs: parseInt(process.env.ALERT_CAP_TIMEOUT_MS) || 10000
+  },
+  verification: {
+    enabled: process.env.ALERT_VERIFICATION_ENABLED !== 'false',
+    intervalMs: (parseInt(process.env.ALERT_VERIFICATION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000,
+    // The Open-Meteo archive lags real time by a few days; alerts are verified once it has caught up
+    archiveDelayDays: parseInt(process.env.ALERT_VERIFICATION_DELAY_DAYS) || 5,
+    // Days of observations at saved locations checked for misses on each run
+    lookbackDays: parseInt(process.env.ALERT_VERIFICATION_LOOKBACK_DAYS) || 7,
+    // Alerts verified per run (each needs an archive request)
+    batchSize: parseInt(process.env.ALERT_VERIFICATION_BATCH_SIZE) || 100
+  },
+  stream: {
+    // Comment lines sent to idle browser streams so proxies don't close them
+    heartbeatMs: (parseInt(process.env.ALERT_STREAM_HEARTBEAT_SECONDS) || 25) * 1000,
+    // Lifetime of the tokens that open a stream; only checked when it opens
+    tokenTtlSeconds: parseInt(process.env.ALERT_STREAM_TOKEN_TTL_SECONDS) || 60
+  }
+};
+
+export default alertsConfig;
@@ -0,0 +1,111 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Upstream weather provider configuration.
+// Base URLs are overridable so tests can point providers at a local stub server.
+const weatherConfig = {
+  // Ordered failover list used by /api/weather routes
+  providers: (process.env.WEATHER_PROVIDERS || 'openmeteo,openweather')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean),
+  requestTimeoutMs: parseInt(process.env.WEATHER_REQUEST_TIMEOUT_MS) || 10000,
+  // How long a rate-limited provider is skipped before being retried
+  rateLimitCooldownMs: parseInt(process.env.WEATHER_RATE_LIMIT_COOLDOWN_MS) || 60000,
+
+  openWeather: {
+    baseUrl: process.env.OPENWEATHER_BASE_URL || 'https://api.openweathermap.org',
+    apiKey: process.env.OPENWEATHER_API_KEY || ''
+  },
+
+  openMeteo: {
+    baseUrl: process.env.OPEN_METEO_BASE_URL || 'https://api.open-meteo.com',
+    airQualityUrl: process.env.OPEN_METEO_AIR_QUALITY_URL || 'https://air-quality-api.open-meteo.com',
+    archiveUrl: process.env.OPEN_METEO_ARCHIVE_URL || 'https://archive-api.open-meteo.com',
+    ensembleUrl: process.env.OPEN_METEO_ENSEMBLE_URL || 'https://ensemble-api.open-meteo.com',
+    geocodingUrl: process.env.OPEN_METEO_GEOCODING_URL || 'https://geocoding-api.open-meteo.com',
+    // Ensemble system queried for probabilistic forecasts (icon_seamless: 40 members)
+    ensembleModel: process.env.OPEN_METEO_ENSEMBLE_MODEL || 'icon_seamless'
+  },
+
+  // Recorded canonical responses for offline development and tests
+  fixture: {
+    dir: process.env.WEATHER_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'weather'),
+    // Shift recorded timestamps so fixtures always start today
+    rebase: process.env.WEATHER_FIXTURES_REBASE !== 'false'
+  },
+
+  // Daily forecasts at saved locations are snapshotted and later scored
+  // against archive observations (/api/analytics/forecast-accuracy)
+  accuracy: {
+    enabled: process.env.FORECAST_ACCURACY_ENABLED !== 'false',
+    intervalMs: (parseInt(process.env.FORECAST_ACCURACY_INTERVAL_HOURS) || 6) * 60 * 60 * 1000,
+    // Forecast days kept per snapshot (lead times 0 to forecastDays - 1)
+    forecastDays: parseInt(process.env.FORECAST_ACCURACY_DAYS) || 7,
+    // The archive lags real time by a few days; days are scored once it has caught up
+    archiveDelayDays: parseInt(process.env.FORECAST_ACCURACY_DELAY_DAYS) || 5,
+    // Snapshots still without observations this many days after the archive delay are given up on
+    maxPendingDays: parseInt(process.env.FORECAST_ACCURACY_MAX_PENDING_DAYS) || 30,
+    // Snapshot rows matched against observations per run
+    batchSize: parseInt(process.env.FORECAST_ACCURACY_BATCH_SIZE) || 500
+  },
+
+  // Shared response cache in front of the providers
+  cache: {
+    enabled: process.env.WEATHER_CACHE_ENABLED !== 'false',
+    store: process.env.WEATHER_CACHE_STORE === 'redis' ? 'redis' : 'memory',
+    redisUrl: process.env.WEATHER_CACHE_REDIS_URL || process.env.REDIS_URL || 'redis://localhost:6379',
+    maxEntries: parseInt(process.env.WEATHER_CACHE_MAX_ENTRIES) || 5000,
+    // Coordinates are rounded to this many decimals (2 ≈ 1.1 km) before keying and fetching
+    coordinatePrecision: parseInt(process.env.WEATHER_CACHE_COORD_PRECISION) || 2,
+    // freshMs: served without contacting upstream
+    // staleMs: extra window served immediately while a background refresh runs
+    ttl: {
+      current: {
+        freshMs: (parseInt(process.env.WEATHER_CACHE_CURRENT_TTL_SECONDS) || 600) * 1000,
+        staleMs: 20 * 60 * 1000
+      },
+      forecast: {
+        freshMs: (parseInt(process.env.WEATHER_CACHE_FORECAST_TTL_SECONDS) || 1800) * 1000,
+        staleMs: 2 * 60 * 60 * 1000
+      },
+      airQuality: {
+        freshMs: (parseInt(process.env.WEATHER_CACHE_AIR_QUALITY_TTL_SECONDS) || 1800) * 1000,
+        staleMs: 60 * 60 * 1000
+      },
+      archive: {
+        freshMs: (parseInt(process.env.WEATHER_CACHE_ARCHIVE_TTL_SECONDS) || 86400) * 1000,
+        staleMs: 7 * 24 * 60 * 60 * 1000
+      },
+      // Ensemble runs are published a few times a day
+      ensemble: {
+        freshMs: (parseInt(process.env.WEATHER_CACHE_ENSEMBLE_TTL_SECONDS) || 3600) * 1000,
+        staleMs: 3 * 60 * 60 * 1000
+      },
+      airQualityForecast: {
+        freshMs: (parseInt(process.env.WEATHER_CACHE_AIR_QUALITY_TTL_SECONDS) || 1800) * 1000,
+        staleMs: 60 * 60 * 1000
+      },
+      // Place names and coordinates practically never change
+      geocode: {
+        freshMs: (parseInt(process.env.WEATHER_CACHE_GEOCODE_TTL_SECONDS) || 604800) * 1000,
+        staleMs: 30 * 24 * 60 * 60 * 1000
+      },
+      reverseGeocode: {
+        freshMs: (parseInt(process.env.WEATHER_CACHE_GEOCODE_TTL_SECONDS) || 604800) * 1000,
+        staleMs: 30 * 24 * 60 * 60 * 1000
+      },
+      default: {
+        freshMs: 10 * 60 * 1000,
+        staleMs: 10 * 60 * 1000
+      }
+    }
+  }
+};
+
+export default weatherConfig;
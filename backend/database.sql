@@ -47,16 +47,18 @@ CREATE TABLE saved_locations (
     UNIQUE(user_id, latitude, longitude)
 );
 
--- Create weather_alerts table (for future use)
+-- Create weather_alerts table (alert subscriptions, see /api/alerts/subscriptions)
 CREATE TABLE weather_alerts (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     location_id INTEGER REFERENCES saved_locations(id) ON DELETE CASCADE,
     alert_type VARCHAR(50) NOT NULL,
+    min_severity VARCHAR(20) NOT NULL DEFAULT 'WATCH',
     threshold_value DECIMAL(10, 2),
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, location_id, alert_type)
 );
 
 -- Update saved_locations table to add rank column if not exists
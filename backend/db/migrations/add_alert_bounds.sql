@@ -0,0 +1,14 @@
+-- Bounding box of each alert's area so live alert lookups by point can be
+-- narrowed in SQL; the exact area check then only runs on the candidates.
+-- Alerts raised before this migration keep NULL bounds and are always checked
+-- exactly (they lapse within hours anyway).
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS bbox_south DOUBLE PRECISION;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS bbox_west DOUBLE PRECISION;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS bbox_north DOUBLE PRECISION;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS bbox_east DOUBLE PRECISION;
+
+CREATE INDEX IF NOT EXISTS idx_alerts_live_bounds ON alerts(bbox_south, bbox_north)
+  WHERE status IN ('active', 'updated');
+
+-- Display confirmation
+SELECT 'alerts bounds columns added successfully!' as message;
@@ -0,0 +1,17 @@
+-- Alert areas as geometry rather than 30° grid cells
+-- geometry now also holds { "type": "Circle", "coordinates": [lon, lat], "radius_km": n }
+-- and { "type": "Cells", "resolution": deg, "cells": ["lat_lon", ...] }
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS geometry JSONB;
+
+-- Older alerts with a centre and radius get the equivalent circle
+UPDATE alerts
+SET geometry = jsonb_build_object(
+    'type', 'Circle',
+    'coordinates', jsonb_build_array(longitude::float8, latitude::float8),
+    'radius_km', radius_km::float8
+)
+WHERE geometry IS NULL
+  AND latitude IS NOT NULL AND longitude IS NOT NULL AND radius_km IS NOT NULL;
+
+-- Display confirmation
+SELECT 'alerts geometry backfilled successfully!' as message;
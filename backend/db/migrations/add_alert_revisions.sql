@@ -0,0 +1,11 @@
+-- Re-issue tracking for CAP export: every re-issue (severity or details change)
+-- bumps revision and keeps the earlier issue times for CAP <references>
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS issued_at TIMESTAMP;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS previous_issues JSONB NOT NULL DEFAULT '[]';
+
+UPDATE alerts SET issued_at = created_at WHERE issued_at IS NULL;
+ALTER TABLE alerts ALTER COLUMN issued_at SET DEFAULT CURRENT_TIMESTAMP;
+
+-- Display confirmation
+SELECT 'alerts revision columns added successfully!' as message;
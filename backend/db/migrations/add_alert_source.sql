@@ -0,0 +1,13 @@
+-- Who raised each alert: engine (scheduled evaluation), simulate, cap (imported
+-- feeds) or manual (alert console). The scheduler only reconciles its own alerts.
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS source VARCHAR(20);
+
+-- Alerts from before the scheduler could only have been raised by hand
+UPDATE alerts SET source = 'simulate' WHERE source IS NULL;
+ALTER TABLE alerts ALTER COLUMN source SET DEFAULT 'engine';
+ALTER TABLE alerts ALTER COLUMN source SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_alerts_cell_source ON alerts(cell_key, source);
+
+-- Display confirmation
+SELECT 'alerts source column added successfully!' as message;
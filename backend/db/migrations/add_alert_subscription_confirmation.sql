@@ -0,0 +1,19 @@
+-- Double opt-in for the email-only alert list (POST /api/alerts/subscribe):
+-- alerts are only emailed to an address once it has followed the link in the
+-- confirmation email, and later changes wait for a link too
+--   confirmed_at        when the address was first confirmed; NULL until then
+--   pending_changes     requested locations, hazards and thresholds, applied on confirmation
+--   confirm_token_hash  SHA-256 (hex) of the token in the outstanding confirmation link
+--   confirm_expires_at  when that link stops working
+ALTER TABLE alert_subscriptions ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP;
+ALTER TABLE alert_subscriptions ADD COLUMN IF NOT EXISTS pending_changes JSONB;
+ALTER TABLE alert_subscriptions ADD COLUMN IF NOT EXISTS confirm_token_hash VARCHAR(64);
+ALTER TABLE alert_subscriptions ADD COLUMN IF NOT EXISTS confirm_expires_at TIMESTAMP;
+
+-- Rows from before this migration were never confirmed, so they stay
+-- unconfirmed and receive nothing until the address subscribes again
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_subscriptions_confirm_token ON alert_subscriptions(confirm_token_hash);
+
+-- Display confirmation
+SELECT 'alert_subscriptions double opt-in ready!' as message;
@@ -0,0 +1,11 @@
+-- Expected event window for forecast-based alerts
+-- onset_at / ends_at: when the hazard is expected to start and finish
+-- peak_at: when it is expected to be at its worst (highest rain rate, gust, temperature...)
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS onset_at TIMESTAMP;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS peak_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_alerts_onset ON alerts(onset_at);
+
+-- Display confirmation
+SELECT 'alerts time window columns added successfully!' as message;
@@ -0,0 +1,18 @@
+-- User-defined order of saved locations (0 = top); the top location feeds the weekly forecast
+ALTER TABLE saved_locations ADD COLUMN IF NOT EXISTS rank INTEGER DEFAULT 0;
+
+-- Rank existing locations in the order they were listed before (primary first, newest next)
+UPDATE saved_locations sl
+SET rank = ordered.position
+FROM (
+    SELECT id, ROW_NUMBER() OVER (
+        PARTITION BY user_id ORDER BY is_primary DESC, created_at DESC
+    ) - 1 AS position
+    FROM saved_locations
+) ordered
+WHERE sl.id = ordered.id;
+
+CREATE INDEX IF NOT EXISTS idx_saved_locations_user_rank ON saved_locations(user_id, rank);
+
+-- Display confirmation
+SELECT 'saved_locations ranks backfilled successfully!' as message;
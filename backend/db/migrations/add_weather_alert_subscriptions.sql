@@ -0,0 +1,25 @@
+-- Per-location, per-hazard alert subscriptions for signed-in users
+-- Builds on the weather_alerts table from database.sql:
+--   alert_type      hazard, e.g. FLOOD or HEAT
+--   min_severity    lowest level to notify about (WATCH, WARNING or EMERGENCY)
+--   threshold_value optional minimum alert score (0-100)
+--   is_active       FALSE while paused or after a one-click unsubscribe
+CREATE TABLE IF NOT EXISTS weather_alerts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    location_id INTEGER REFERENCES saved_locations(id) ON DELETE CASCADE,
+    alert_type VARCHAR(50) NOT NULL,
+    threshold_value DECIMAL(10, 2),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE weather_alerts ADD COLUMN IF NOT EXISTS min_severity VARCHAR(20) NOT NULL DEFAULT 'WATCH';
+
+-- One subscription per user, location and hazard
+CREATE UNIQUE INDEX IF NOT EXISTS idx_weather_alerts_unique ON weather_alerts(user_id, location_id, alert_type);
+CREATE INDEX IF NOT EXISTS idx_weather_alerts_location ON weather_alerts(location_id) WHERE is_active = TRUE;
+
+-- Display confirmation
+SELECT 'weather_alerts subscriptions ready!' as message;
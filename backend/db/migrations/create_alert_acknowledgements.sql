@@ -0,0 +1,13 @@
+-- Alerts a signed-in user has acknowledged in the alert banner, at the level
+-- they saw. An alert re-issued at a different level is shown again.
+CREATE TABLE IF NOT EXISTS alert_acknowledgements (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    alert_id INTEGER NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+    severity VARCHAR(20) NOT NULL,
+    acknowledged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, alert_id)
+);
+
+-- Display confirmation
+SELECT 'alert_acknowledgements table created successfully!' as message;
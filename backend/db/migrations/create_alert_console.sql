@@ -0,0 +1,44 @@
+-- Admin alert console: free-text instructions, drafts and an audit trail
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS instructions TEXT;
+
+-- Alerts being written by an admin; publishing creates the alert (source 'manual')
+CREATE TABLE IF NOT EXISTS alert_drafts (
+    id SERIAL PRIMARY KEY,
+    hazard_type VARCHAR(50) NOT NULL,
+    severity VARCHAR(20) NOT NULL CHECK (severity IN ('WATCH', 'WARNING', 'EMERGENCY')),
+    details TEXT,
+    instructions TEXT,
+    -- Alert geometry (Polygon, MultiPolygon, Circle or Cells, see geo.js)
+    geometry JSONB NOT NULL,
+    area_desc TEXT,
+    onset_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'published', 'discarded')),
+    alert_id INTEGER REFERENCES alerts(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_drafts_status ON alert_drafts(status, updated_at DESC);
+
+-- Who changed what: one row per console action on a draft or alert
+-- changes: { field: { "from": old, "to": new } }
+CREATE TABLE IF NOT EXISTS alert_audit_log (
+    id SERIAL PRIMARY KEY,
+    alert_id INTEGER REFERENCES alerts(id) ON DELETE CASCADE,
+    draft_id INTEGER REFERENCES alert_drafts(id) ON DELETE CASCADE,
+    action VARCHAR(30) NOT NULL,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_audit_log_alert ON alert_audit_log(alert_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alert_audit_log_draft ON alert_audit_log(draft_id, created_at DESC);
+
+-- Display confirmation
+SELECT 'alert_drafts and alert_audit_log tables created successfully!' as message;
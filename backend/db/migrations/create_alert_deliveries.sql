@@ -0,0 +1,23 @@
+-- One row per alert email delivery attempt
+-- status: sent | failed (will retry) | gave_up (no retries left) | deferred (quiet hours) | suppressed (rate limit)
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id SERIAL PRIMARY KEY,
+    alert_id INTEGER REFERENCES alerts(id) ON DELETE CASCADE,
+    severity VARCHAR(20) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    channel VARCHAR(20) NOT NULL DEFAULT 'email',
+    status VARCHAR(20) NOT NULL
+        CHECK (status IN ('sent', 'failed', 'gave_up', 'deferred', 'suppressed')),
+    attempt INTEGER NOT NULL DEFAULT 1,
+    reason TEXT,
+    message_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_alert ON alert_deliveries(alert_id, email, severity);
+-- Rate limiting counts recent sends per recipient
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_recent ON alert_deliveries(email, created_at) WHERE status = 'sent';
+
+-- Display confirmation
+SELECT 'alert_deliveries table created successfully!' as message;
@@ -0,0 +1,24 @@
+-- Alerts imported from official CAP feeds
+-- geometry: GeoJSON Polygon/MultiPolygon of the warning area, when the source gives one
+-- area_desc: the source's name for that area
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS geometry JSONB;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS area_desc TEXT;
+
+-- Every CAP message applied to an alert, so re-polled messages are skipped and
+-- updates/cancellations find their alert through <references>
+CREATE TABLE IF NOT EXISTS alert_external_refs (
+    id SERIAL PRIMARY KEY,
+    alert_id INTEGER NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+    feed_url TEXT,
+    sender VARCHAR(255) NOT NULL,
+    identifier VARCHAR(255) NOT NULL,
+    msg_type VARCHAR(20) NOT NULL,
+    sent TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (sender, identifier)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_external_refs_alert ON alert_external_refs(alert_id);
+
+-- Display confirmation
+SELECT 'alert_external_refs table and alerts area columns created successfully!' as message;
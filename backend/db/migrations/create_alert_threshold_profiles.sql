@@ -0,0 +1,46 @@
+-- Regional alert threshold profiles
+-- thresholds is a partial override of THRESHOLDS in alertEngine.js, e.g.
+--   {"HEAT": {"WARNING": {"temp_c": 47, "duration_hours": 24}}}
+-- A profile applies to locations in any of its cell_keys or inside its region
+-- (GeoJSON Polygon/MultiPolygon). Higher priority profiles are applied last.
+CREATE TABLE IF NOT EXISTS alert_threshold_profiles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    cell_keys JSONB NOT NULL DEFAULT '[]',
+    region JSONB,
+    priority INTEGER NOT NULL DEFAULT 0,
+    thresholds JSONB NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_threshold_profiles_active ON alert_threshold_profiles(is_active, priority);
+
+-- Per-subscriber overrides, same shape as alert_threshold_profiles.thresholds
+ALTER TABLE alert_subscriptions ADD COLUMN IF NOT EXISTS threshold_overrides JSONB;
+
+-- Starter profiles for climates far from the defaults
+INSERT INTO alert_threshold_profiles (name, description, region, priority, thresholds)
+VALUES
+(
+    'Arabian Peninsula',
+    'Hot desert climate: 40°C is a normal summer day',
+    '{"type": "Polygon", "coordinates": [[[34, 12], [60, 22], [57, 30], [48, 30], [35, 29], [34, 12]]]}',
+    10,
+    '{"HEAT": {"WATCH": {"temp_c": 44}, "WARNING": {"temp_c": 47}, "EMERGENCY": {"temp_c": 50}}}'
+),
+(
+    'Nordic',
+    'Populations and buildings adapted to cool summers',
+    '{"type": "Polygon", "coordinates": [[[4, 55], [32, 55], [32, 71], [4, 71], [4, 55]]]}',
+    10,
+    '{"HEAT": {"WATCH": {"temp_c": 25}, "WARNING": {"temp_c": 27}, "EMERGENCY": {"temp_c": 30}}}'
+)
+ON CONFLICT (name) DO NOTHING;
+
+-- Display confirmation
+SELECT 'alert_threshold_profiles table created successfully!' as message;
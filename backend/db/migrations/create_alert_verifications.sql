@@ -0,0 +1,33 @@
+-- Post-event verification of alerts against archive observations
+-- One row per verified alert (hit, false_alarm or unverifiable) and one per
+-- observed hazard day at a saved location that no alert covered (miss, no alert_id)
+CREATE TABLE IF NOT EXISTS alert_verifications (
+    id SERIAL PRIMARY KEY,
+    alert_id INTEGER REFERENCES alerts(id) ON DELETE CASCADE,
+    hazard_type VARCHAR(50) NOT NULL,
+    severity VARCHAR(20),
+    outcome VARCHAR(20) NOT NULL
+        CHECK (outcome IN ('hit', 'false_alarm', 'miss', 'unverifiable')),
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    -- First day the hazard was observed (hits and misses)
+    event_date DATE,
+    -- Observed precipitation, gust, temperature or snowfall, in the rule's units
+    observed_value NUMERIC,
+    -- Hours between the alert being issued and the observed event starting
+    lead_time_hours NUMERIC,
+    issued_at TIMESTAMP,
+    verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_verifications_alert
+    ON alert_verifications(alert_id) WHERE alert_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_verifications_miss
+    ON alert_verifications(hazard_type, latitude, longitude, event_date) WHERE alert_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_alert_verifications_hazard ON alert_verifications(hazard_type, outcome);
+
+-- Archive queries filter alerts by hazard and issue time
+CREATE INDEX IF NOT EXISTS idx_alerts_history ON alerts(hazard_type, created_at DESC);
+
+-- Display confirmation
+SELECT 'alert_verifications table created successfully!' as message;
@@ -0,0 +1,39 @@
+-- Hazard alerts raised by the alert engine
+-- Lifecycle: active -> updated (re-issued with new details) -> expired | cancelled
+CREATE TABLE IF NOT EXISTS alerts (
+    id SERIAL PRIMARY KEY,
+    hazard_type VARCHAR(50) NOT NULL,
+    severity VARCHAR(20) NOT NULL,
+    score INTEGER DEFAULT 0,
+    cell_key VARCHAR(50),
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    radius_km DECIMAL(8, 2),
+    details TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'updated', 'expired', 'cancelled')),
+    expires_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    cancelled_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status);
+CREATE INDEX IF NOT EXISTS idx_alerts_cell ON alerts(cell_key, hazard_type);
+CREATE INDEX IF NOT EXISTS idx_alerts_expires ON alerts(expires_at);
+
+-- Email opt-ins for alert notifications
+CREATE TABLE IF NOT EXISTS alert_subscriptions (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    locations JSONB NOT NULL DEFAULT '[]',
+    hazards JSONB NOT NULL DEFAULT '["FLOOD", "WIND", "HEAT"]',
+    opted_in BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_opted_in ON alert_subscriptions(opted_in);
+
+-- Display confirmation
+SELECT 'alerts and alert_subscriptions tables created successfully!' as message;
@@ -0,0 +1,37 @@
+-- Forecast accuracy tracking
+-- One row per saved location, issue date and forecast day: the daily forecast
+-- as first seen on the issue date, and the archive observation for that day
+-- once the archive has caught up (observed_at is NULL until then)
+CREATE TABLE IF NOT EXISTS forecast_snapshots (
+    id SERIAL PRIMARY KEY,
+    latitude DECIMAL(10, 8) NOT NULL,
+    longitude DECIMAL(11, 8) NOT NULL,
+    provider VARCHAR(50),
+    -- Local date of the forecast's first day and the day forecast
+    issued_date DATE NOT NULL,
+    target_date DATE NOT NULL,
+    lead_days INTEGER NOT NULL,
+    -- Forecast values, in the analytics record units
+    temp_max_c NUMERIC,
+    temp_min_c NUMERIC,
+    precipitation_mm NUMERIC,
+    wind_speed_max_kmh NUMERIC,
+    -- Observed values from the archive
+    observed_temp_max_c NUMERIC,
+    observed_temp_min_c NUMERIC,
+    observed_precipitation_mm NUMERIC,
+    observed_wind_speed_max_kmh NUMERIC,
+    observed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (latitude, longitude, issued_date, target_date)
+);
+
+-- The verifier looks for snapshots still waiting for observations
+CREATE INDEX IF NOT EXISTS idx_forecast_snapshots_pending
+    ON forecast_snapshots(target_date) WHERE observed_at IS NULL;
+-- Accuracy reports read one location's verified snapshots by date
+CREATE INDEX IF NOT EXISTS idx_forecast_snapshots_location
+    ON forecast_snapshots(latitude, longitude, target_date);
+
+-- Display confirmation
+SELECT 'forecast_snapshots table created successfully!' as message;
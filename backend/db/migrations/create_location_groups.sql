@@ -0,0 +1,21 @@
+-- Named, colored groups of saved locations (e.g. "warehouses", "family")
+CREATE TABLE IF NOT EXISTS location_groups (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    color VARCHAR(7) NOT NULL DEFAULT '#2fe79f',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, name)
+);
+
+-- A location belongs to at most one group; deleting the group keeps its locations
+ALTER TABLE saved_locations ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES location_groups(id) ON DELETE SET NULL;
+-- Free-form tags such as "24/7" or "critical"
+ALTER TABLE saved_locations ADD COLUMN IF NOT EXISTS labels TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE saved_locations ADD COLUMN IF NOT EXISTS notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_saved_locations_group ON saved_locations(group_id);
+
+-- Display confirmation
+SELECT 'location_groups table created successfully!' as message;
@@ -0,0 +1,8 @@
+-- Audit entries outlive the alerts they describe: deleting an alert clears
+-- alert_audit_log.alert_id instead of deleting its history
+ALTER TABLE alert_audit_log DROP CONSTRAINT IF EXISTS alert_audit_log_alert_id_fkey;
+ALTER TABLE alert_audit_log ADD CONSTRAINT alert_audit_log_alert_id_fkey
+    FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE SET NULL;
+
+-- Display confirmation
+SELECT 'alert_audit_log alert reference updated successfully!' as message;
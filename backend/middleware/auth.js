@@ -1,4 +1,18 @@
 import jwt from 'jsonwebtoken';
+import { query } from '../config/database.js';
+
+// Scope of the short-lived tokens that only open an alert stream
+const STREAM_SCOPE = 'alert-stream';
+
+/**
+ * Verify a session token. Scoped tokens (e.g. stream tokens) are rejected so
+ * they can't be used as a login.
+ */
+const verifySessionToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.scope) throw new jwt.JsonWebTokenError('scoped token used as a session token');
+  return decoded;
+};
 
 /**
  * Authentication middleware
@@ -20,7 +34,7 @@ export const authenticate = (req, res, next) => {
     const token = authHeader.substring(7);
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifySessionToken(token);
     
     // Attach user info to request
     req.user = {
@@ -51,4 +65,95 @@ export const authenticate = (req, res, next) => {
       message: 'Authentication failed.'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Optional authentication middleware
+ * Attaches the user when a valid token is sent and continues anonymously otherwise
+ */
+export const optionalAuthenticate = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader?.startsWith('Bearer ')) {
+    try {
+      const decoded = verifySessionToken(authHeader.substring(7));
+      req.user = {
+        id: decoded.id,
+        email: decoded.email
+      };
+    } catch (error) {
+      console.warn('⚠️ Ignoring invalid token on optional auth:', error.message);
+    }
+  }
+
+  next();
+};
+
+/**
+ * Short-lived token for opening an alert stream. EventSource can't set
+ * headers, so it travels as ?token= and may end up in logs; it is only
+ * accepted by streamAuthenticate and expires quickly.
+ */
+export const signStreamToken = (user, expiresInSeconds) =>
+  jwt.sign({ id: user.id, email: user.email, scope: STREAM_SCOPE }, process.env.JWT_SECRET, {
+    expiresIn: expiresInSeconds
+  });
+
+/**
+ * Optional authentication for alert streams: a session token in the
+ * Authorization header, or a stream token (signStreamToken) as ?token=
+ */
+export const streamAuthenticate = (req, res, next) => {
+  if (req.headers.authorization || !req.query.token) {
+    return optionalAuthenticate(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.token, process.env.JWT_SECRET);
+    if (decoded.scope !== STREAM_SCOPE) throw new jwt.JsonWebTokenError('not a stream token');
+    req.user = {
+      id: decoded.id,
+      email: decoded.email
+    };
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid stream token:', error.message);
+  }
+
+  next();
+};
+
+/**
+ * Middleware to check if user is admin
+ */
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const result = await query(
+      'SELECT id, email, is_admin FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = result.rows[0];
+
+    if (!user.is_admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -1,48 +1,17 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query as queryParam, validationResult } from 'express-validator';
 import bcrypt from 'bcrypt';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
 import { query } from '../config/database.js';
 import emailService from '../src/services/emailService.js';
+import thresholdProfiles, { validateThresholds } from '../src/services/thresholdProfiles.js';
+import { THRESHOLDS } from '../src/services/alertEngine.js';
+import { isAlertGeometry, isPolygonGeometry } from '../src/services/geo.js';
+import alertVerifier from '../src/services/alertVerification.js';
+import alertConsole from '../src/services/alertConsole.js';
 
 const router = express.Router();
 
-/**
- * Middleware to check if user is admin
- */
-const requireAdmin = async (req, res, next) => {
-  try {
-    const result = await query(
-      'SELECT id, email, is_admin FROM users WHERE id = $1',
-      [req.user.id]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    const user = result.rows[0];
-
-    if (!user.is_admin) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
-    next();
-  } catch (error) {
-    console.error('Admin check error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-};
-
 // GET /api/admin/users (List all users with pagination)
 router.get('/users',
   authenticate,
@@ -402,4 +371,656 @@ router.post('/users/:userId/toggle-admin',
   }
 );
 
-export default router;
\ No newline at end of file
+// =============================================================================
+// ALERT THRESHOLD PROFILES
+// =============================================================================
+
+const thresholdProfileValidators = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+    : body('name').trim().notEmpty().withMessage('Name is required'),
+  body('description').optional({ nullable: true }).isString().withMessage('description must be a string'),
+  body('cell_keys').optional().isArray().withMessage('cell_keys must be an array'),
+  body('cell_keys.*').matches(/^-?\d+_-?\d+$/).withMessage('cell_keys entries must look like "0_60"'),
+  body('region').optional({ nullable: true }).custom((value) => {
+    if (!isPolygonGeometry(value)) throw new Error('region must be a GeoJSON Polygon or MultiPolygon');
+    return true;
+  }),
+  body('priority').optional().isInt({ min: -1000, max: 1000 }).withMessage('priority must be an integer').toInt(),
+  (isUpdate ? body('thresholds').optional() : body('thresholds')).custom((value) => {
+    const errors = validateThresholds(value);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    return true;
+  }),
+  body('is_active').optional().isBoolean().withMessage('is_active must be boolean')
+];
+
+// GET /api/admin/threshold-profiles (list, plus the defaults they override)
+router.get('/threshold-profiles',
+  authenticate,
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const profiles = await thresholdProfiles.list();
+
+      res.json({
+        success: true,
+        defaults: THRESHOLDS,
+        profiles
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/threshold-profiles/:profileId
+router.get('/threshold-profiles/:profileId',
+  authenticate,
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const profile = await thresholdProfiles.get(req.params.profileId);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Threshold profile not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        profile
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/threshold-profiles
+router.post('/threshold-profiles',
+  authenticate,
+  requireAdmin,
+  thresholdProfileValidators(false),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      if (!req.body.region && !(req.body.cell_keys || []).length) {
+        return res.status(400).json({
+          success: false,
+          message: 'A profile needs a region or at least one cell key'
+        });
+      }
+
+      const existing = await query(
+        'SELECT id FROM alert_threshold_profiles WHERE name = $1',
+        [req.body.name]
+      );
+
+      if (existing.rows.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'A threshold profile with this name already exists'
+        });
+      }
+
+      const profile = await thresholdProfiles.create(req.body, req.user.id);
+
+      console.log(`✅ Threshold profile "${profile.name}" created by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Threshold profile created successfully',
+        profile
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /api/admin/threshold-profiles/:profileId
+router.put('/threshold-profiles/:profileId',
+  authenticate,
+  requireAdmin,
+  thresholdProfileValidators(true),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      if (req.body.name) {
+        const nameCheck = await query(
+          'SELECT id FROM alert_threshold_profiles WHERE name = $1 AND id != $2',
+          [req.body.name, req.params.profileId]
+        );
+
+        if (nameCheck.rows.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'A threshold profile with this name already exists'
+          });
+        }
+      }
+
+      const profile = await thresholdProfiles.update(req.params.profileId, req.body);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Threshold profile not found'
+        });
+      }
+
+      console.log(`✅ Threshold profile "${profile.name}" updated by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Threshold profile updated successfully',
+        profile
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/threshold-profiles/:profileId
+router.delete('/threshold-profiles/:profileId',
+  authenticate,
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const removed = await thresholdProfiles.remove(req.params.profileId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Threshold profile not found'
+        });
+      }
+
+      console.log(`✅ Threshold profile "${removed.name}" deleted by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Threshold profile deleted successfully'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/alert-verification (hit rate, false alarm ratio and lead time per hazard)
+router.get('/alert-verification',
+  authenticate,
+  requireAdmin,
+  [
+    queryParam('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    queryParam('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    queryParam('hazard').optional().trim().toUpperCase()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const report = await alertVerifier.getReport({
+        from: req.query.from,
+        to: req.query.to,
+        hazard: req.query.hazard || undefined
+      });
+
+      res.json({
+        success: true,
+        ...report
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/alert-verification/run (verify finished alerts now)
+router.post('/alert-verification/run',
+  authenticate,
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const run = await alertVerifier.runNow();
+
+      console.log(`✅ Alert verification run by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Verification completed',
+        run
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// =============================================================================
+// ALERT CONSOLE (manual alerts)
+// =============================================================================
+
+const SEVERITIES = ['WATCH', 'WARNING', 'EMERGENCY'];
+
+const sendValidationFailure = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array().map(err => err.msg)
+  });
+  return true;
+};
+
+const alertDraftValidators = (isUpdate) => [
+  (isUpdate ? body('hazard_type').optional() : body('hazard_type'))
+    .trim().toUpperCase().matches(/^[A-Z_]+$/).withMessage('hazard_type must be a hazard name such as FLOOD'),
+  (isUpdate ? body('severity').optional() : body('severity'))
+    .isIn(SEVERITIES).withMessage('severity must be WATCH, WARNING or EMERGENCY'),
+  body('details').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('details must be at most 2000 characters'),
+  body('instructions').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('instructions must be at most 2000 characters'),
+  (isUpdate ? body('geometry').optional() : body('geometry'))
+    .custom(isAlertGeometry).withMessage('geometry must be a Polygon, MultiPolygon, Circle or Cells geometry'),
+  body('area_desc').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('area_desc must be at most 255 characters'),
+  body('onset_at').optional({ nullable: true }).isISO8601().withMessage('onset_at must be an ISO 8601 time'),
+  (isUpdate ? body('expires_at').optional() : body('expires_at'))
+    .isISO8601().withMessage('expires_at must be an ISO 8601 time')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date()) throw new Error('expires_at must be in the future');
+      if (req.body.onset_at && new Date(value) <= new Date(req.body.onset_at)) {
+        throw new Error('expires_at must be after onset_at');
+      }
+      return true;
+    })
+];
+
+const noteValidator = body('note').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('note must be at most 500 characters');
+
+// GET /api/admin/alert-console (live alerts of every source, plus open drafts)
+router.get('/alert-console',
+  authenticate,
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const [alerts, drafts] = await Promise.all([
+        alertConsole.listLiveAlerts(),
+        alertConsole.listDrafts()
+      ]);
+
+      res.json({
+        success: true,
+        alerts,
+        drafts
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/alert-drafts
+router.post('/alert-drafts',
+  authenticate,
+  requireAdmin,
+  alertDraftValidators(false),
+  async (req, res, next) => {
+    try {
+      if (sendValidationFailure(req, res)) return;
+
+      const draft = await alertConsole.createDraft(req.body, req.user.id);
+
+      console.log(`✅ Alert draft #${draft.id} (${draft.hazard_type} ${draft.severity}) created by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Draft created successfully',
+        draft
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /api/admin/alert-drafts/:draftId
+router.put('/alert-drafts/:draftId',
+  authenticate,
+  requireAdmin,
+  alertDraftValidators(true),
+  async (req, res, next) => {
+    try {
+      if (sendValidationFailure(req, res)) return;
+
+      const existing = await alertConsole.getDraft(req.params.draftId);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+
+      const draft = await alertConsole.updateDraft(req.params.draftId, req.body, req.user.id);
+
+      if (!draft) {
+        return res.status(409).json({
+          success: false,
+          message: `Draft has already been ${existing.status}`
+        });
+      }
+
+      console.log(`✅ Alert draft #${draft.id} updated by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Draft updated successfully',
+        draft
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/alert-drafts/:draftId (discard; the audit trail keeps it)
+router.delete('/alert-drafts/:draftId',
+  authenticate,
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const draft = await alertConsole.discardDraft(req.params.draftId, req.user.id);
+
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found or already published'
+        });
+      }
+
+      console.log(`✅ Alert draft #${draft.id} discarded by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Draft discarded successfully'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/alert-drafts/:draftId/preview (CAP document, email and affected users)
+router.post('/alert-drafts/:draftId/preview',
+  authenticate,
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const draft = await alertConsole.getDraft(req.params.draftId);
+
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+
+      const preview = await alertConsole.preview(draft);
+
+      res.json({
+        success: true,
+        preview
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/alert-drafts/:draftId/publish
+router.post('/alert-drafts/:draftId/publish',
+  authenticate,
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const existing = await alertConsole.getDraft(req.params.draftId);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+
+      if (new Date(existing.expires_at) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Draft has already expired; set a later expiry first'
+        });
+      }
+
+      const alert = await alertConsole.publish(req.params.draftId, req.user.id);
+
+      if (!alert) {
+        return res.status(409).json({
+          success: false,
+          message: `Draft has already been ${existing.status}`
+        });
+      }
+
+      console.log(`✅ Alert #${alert.id} (${alert.hazard_type} ${alert.severity}) published by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Alert published successfully',
+        alert
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /api/admin/alerts/:alertId (re-issue at another level or with new wording)
+router.put('/alerts/:alertId',
+  authenticate,
+  requireAdmin,
+  [
+    body('severity').optional().isIn(SEVERITIES).withMessage('severity must be WATCH, WARNING or EMERGENCY'),
+    body('details').optional().isString().isLength({ max: 2000 }).withMessage('details must be at most 2000 characters'),
+    body('instructions').optional().isString().isLength({ max: 2000 }).withMessage('instructions must be at most 2000 characters'),
+    noteValidator
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationFailure(req, res)) return;
+
+      const { severity, details, instructions, note } = req.body;
+
+      if (severity === undefined && details === undefined && instructions === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nothing to change; send severity, details or instructions'
+        });
+      }
+
+      const alert = await alertConsole.reissue(req.params.alertId, { severity, details, instructions, note }, req.user.id);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Live alert not found'
+        });
+      }
+
+      console.log(`✅ Alert #${alert.id} re-issued as ${alert.severity} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Alert re-issued successfully',
+        alert
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/alerts/:alertId/extend
+router.post('/alerts/:alertId/extend',
+  authenticate,
+  requireAdmin,
+  [
+    body('expires_at').isISO8601().withMessage('expires_at must be an ISO 8601 time'),
+    noteValidator
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationFailure(req, res)) return;
+
+      const existing = await alertConsole.getAlert(req.params.alertId);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found'
+        });
+      }
+
+      if (existing.expires_at && new Date(req.body.expires_at) <= new Date(existing.expires_at)) {
+        return res.status(400).json({
+          success: false,
+          message: 'expires_at must be later than the current expiry'
+        });
+      }
+
+      const alert = await alertConsole.extend(req.params.alertId, req.body.expires_at, { note: req.body.note }, req.user.id);
+
+      if (!alert) {
+        return res.status(409).json({
+          success: false,
+          message: 'Alert is no longer live'
+        });
+      }
+
+      console.log(`✅ Alert #${alert.id} extended to ${new Date(alert.expires_at).toISOString()} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Alert extended successfully',
+        alert
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/alerts/:alertId/cancel
+router.post('/alerts/:alertId/cancel',
+  authenticate,
+  requireAdmin,
+  [noteValidator],
+  async (req, res, next) => {
+    try {
+      if (sendValidationFailure(req, res)) return;
+
+      const alert = await alertConsole.cancel(req.params.alertId, { note: req.body.note }, req.user.id);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Live alert not found'
+        });
+      }
+
+      console.log(`✅ Alert #${alert.id} cancelled by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Alert cancelled successfully',
+        alert
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/alert-audit (?alert_id, ?draft_id, ?limit)
+router.get('/alert-audit',
+  authenticate,
+  requireAdmin,
+  [
+    queryParam('alert_id').optional().isInt({ min: 1 }).withMessage('alert_id must be an id').toInt(),
+    queryParam('draft_id').optional().isInt({ min: 1 }).withMessage('draft_id must be an id').toInt(),
+    queryParam('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500').toInt()
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationFailure(req, res)) return;
+
+      const entries = await alertConsole.auditTrail({
+        alertId: req.query.alert_id,
+        draftId: req.query.draft_id,
+        limit: req.query.limit || 100
+      });
+
+      res.json({
+        success: true,
+        entries
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -1,77 +1,11 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query as queryParam, validationResult } from 'express-validator';
 import { authenticate } from '../middleware/auth.js';
+import { fetchOpenMeteoHistorical } from '../src/services/historicalWeather.js';
+import forecastAccuracy from '../src/services/forecastAccuracy.js';
 
 const router = express.Router();
 
-/**
- * Fetch historical weather data from Open-Meteo
- * Free tier: No API key needed, up to 10,000 requests/day
- */
-const fetchOpenMeteoHistorical = async (lat, lon, startDate, endDate) => {
-  try {
-    const url = `https://archive-api.open-meteo.com/v1/archive?` +
-      `latitude=${lat}&` +
-      `longitude=${lon}&` +
-      `start_date=${startDate}&` +
-      `end_date=${endDate}&` +
-      `daily=temperature_2m_max,temperature_2m_min,temperature_2m_mean,` +
-      `precipitation_sum,rain_sum,snowfall_sum,` +
-      `windspeed_10m_max,windgusts_10m_max,` +
-      `winddirection_10m_dominant,` +
-      `shortwave_radiation_sum,et0_fao_evapotranspiration&` +
-      `timezone=auto`;
-
-    const res = await fetch(url);
-    
-    if (!res.ok) {
-      throw new Error(`Open-Meteo API error: ${res.status}`);
-    }
-
-    const data = await res.json();
-    
-    return {
-      source: 'Open-Meteo',
-      location: {
-        latitude: data.latitude,
-        longitude: data.longitude,
-        elevation: data.elevation,
-        timezone: data.timezone,
-      },
-      data: formatOpenMeteoData(data),
-    };
-  } catch (err) {
-    throw new Error(`Open-Meteo fetch failed: ${err.message}`);
-  }
-};
-
-/**
- * Format Open-Meteo historical data
- */
-const formatOpenMeteoData = (rawData) => {
-  const { daily } = rawData;
-  const records = [];
-
-  for (let i = 0; i < daily.time.length; i++) {
-    records.push({
-      date: daily.time[i],
-      temp_max_c: daily.temperature_2m_max?.[i],
-      temp_min_c: daily.temperature_2m_min?.[i],
-      temp_mean_c: daily.temperature_2m_mean?.[i],
-      precipitation_mm: daily.precipitation_sum?.[i],
-      rain_mm: daily.rain_sum?.[i],
-      snowfall_cm: daily.snowfall_sum?.[i],
-      wind_speed_max_kmh: daily.windspeed_10m_max?.[i],
-      wind_gusts_kmh: daily.windgusts_10m_max?.[i],
-      wind_direction_deg: daily.winddirection_10m_dominant?.[i],
-      solar_radiation_mj: daily.shortwave_radiation_sum?.[i],
-      evapotranspiration_mm: daily.et0_fao_evapotranspiration?.[i],
-    });
-  }
-
-  return records;
-};
-
 /**
  * Convert data to CSV format
  */
@@ -229,6 +163,42 @@ router.post('/export-csv',
   }
 );
 
+// GET /api/analytics/forecast-accuracy (MAE and bias per variable and lead time at a saved location)
+router.get('/forecast-accuracy',
+  authenticate,
+  [
+    queryParam('latitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    queryParam('longitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    queryParam('days').optional().isInt({ min: 7, max: 365 }).withMessage('days must be between 7 and 365').toInt()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const report = await forecastAccuracy.getReport({
+        lat: req.query.latitude,
+        lon: req.query.longitude,
+        days: req.query.days || 90
+      });
+
+      res.json({
+        success: true,
+        ...report
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // GET /api/analytics/locations (get user's analyzed locations)
 router.get('/locations',
   authenticate,
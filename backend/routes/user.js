@@ -1,9 +1,11 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query as queryParam, validationResult } from 'express-validator';
 import bcrypt from 'bcrypt';
 import { authenticate } from '../middleware/auth.js';
-import { query } from '../config/database.js';
+import { query, getClient } from '../config/database.js';
 import emailService from '../src/services/emailService.js';
+import alertEngine from '../src/services/alertEngine.js';
+import locationGroups from '../src/services/locationGroups.js';
 
 const router = express.Router();
 
@@ -11,6 +13,8 @@ const router = express.Router();
 // SAVED LOCATIONS ROUTES
 // ========================================
 
+const LOCATION_COLUMNS = 'id, location_name, latitude, longitude, is_primary, rank, group_id, labels, notes, created_at';
+
 // GET /api/user/locations - Get user's saved locations
 router.get('/locations',
   authenticate,
@@ -19,10 +23,10 @@ router.get('/locations',
       const userId = req.user.id;
 
       const result = await query(
-        `SELECT id, location_name, latitude, longitude, is_primary, created_at 
-         FROM saved_locations 
-         WHERE user_id = $1 
-         ORDER BY is_primary DESC, created_at DESC`,
+        `SELECT ${LOCATION_COLUMNS}
+         FROM saved_locations
+         WHERE user_id = $1
+         ORDER BY rank ASC, created_at ASC`,
         [userId]
       );
 
@@ -68,10 +72,12 @@ router.post('/locations',
         );
       }
 
+      // New locations go to the bottom of the user's order
       const result = await query(
-        `INSERT INTO saved_locations (user_id, location_name, latitude, longitude, is_primary)
-         VALUES ($1, $2, $3, $4, $5)
-         RETURNING id, location_name, latitude, longitude, is_primary, created_at`,
+        `INSERT INTO saved_locations (user_id, location_name, latitude, longitude, is_primary, rank)
+         VALUES ($1, $2, $3, $4, $5,
+                 (SELECT COALESCE(MAX(rank) + 1, 0) FROM saved_locations WHERE user_id = $1))
+         RETURNING ${LOCATION_COLUMNS}`,
         [userId, location_name, latitude, longitude, is_primary]
       );
 
@@ -89,6 +95,91 @@ router.post('/locations',
   }
 );
 
+// PUT /api/user/locations/reorder - Save the order of all saved locations
+// Body: { locationIds: [...] } with every one of the user's location IDs, top first
+router.put('/locations/reorder',
+  authenticate,
+  [
+    body('locationIds').isArray({ min: 1 }).withMessage('locationIds must be a non-empty array'),
+    body('locationIds.*').isInt({ min: 1 }).withMessage('locationIds must contain location IDs').toInt()
+  ],
+  async (req, res, next) => {
+    let client;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const userId = req.user.id;
+      const { locationIds } = req.body;
+
+      client = await getClient();
+      await client.query('BEGIN');
+
+      // Lock the user's locations so a concurrent add/delete can't slip between check and update
+      const owned = await client.query(
+        'SELECT id FROM saved_locations WHERE user_id = $1 FOR UPDATE',
+        [userId]
+      );
+      const ownedIds = new Set(owned.rows.map(row => row.id));
+
+      if (locationIds.some(id => !ownedIds.has(id))) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          message: 'Location not found'
+        });
+      }
+
+      if (new Set(locationIds).size !== locationIds.length || locationIds.length !== ownedIds.size) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: 'locationIds must list each of your saved locations exactly once'
+        });
+      }
+
+      await client.query(
+        `UPDATE saved_locations sl
+         SET rank = ordered.position - 1
+         FROM unnest($2::int[]) WITH ORDINALITY AS ordered(id, position)
+         WHERE sl.id = ordered.id AND sl.user_id = $1`,
+        [userId, locationIds]
+      );
+
+      const result = await client.query(
+        `SELECT ${LOCATION_COLUMNS}
+         FROM saved_locations
+         WHERE user_id = $1
+         ORDER BY rank ASC, created_at ASC`,
+        [userId]
+      );
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Locations reordered for user ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Location order saved',
+        locations: result.rows
+      });
+
+    } catch (error) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      next(error);
+    } finally {
+      client?.release();
+    }
+  }
+);
+
 // DELETE /api/user/locations/:locationId - Delete saved location
 router.delete('/locations/:locationId',
   authenticate,
@@ -158,7 +249,7 @@ router.put('/locations/:locationId/primary',
       // Set this location as primary
       const result = await query(
         `UPDATE saved_locations SET is_primary = TRUE WHERE id = $1 AND user_id = $2
-         RETURNING id, location_name, latitude, longitude, is_primary, created_at`,
+         RETURNING ${LOCATION_COLUMNS}`,
         [locationId, userId]
       );
 
@@ -176,6 +267,320 @@ router.put('/locations/:locationId/primary',
   } 
 );
 
+// PUT /api/user/locations/:locationId - Set a location's group, labels and notes
+router.put('/locations/:locationId',
+  authenticate,
+  [
+    param('locationId').isInt({ min: 1 }).withMessage('Invalid location id').toInt(),
+    body('group_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('group_id must be a location group id').toInt(),
+    body('labels').optional().isArray({ max: 10 }).withMessage('labels must be an array of at most 10 labels'),
+    body('labels.*').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Each label must be 1-30 characters'),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 }).withMessage('notes must be at most 1000 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const userId = req.user.id;
+      const { locationId } = req.params;
+      const { group_id, labels, notes } = req.body;
+
+      if (group_id && !(await locationGroups.get(userId, group_id))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Location group not found'
+        });
+      }
+
+      const result = await query(
+        `UPDATE saved_locations
+         SET group_id = CASE WHEN $3::boolean THEN $4 ELSE group_id END,
+             labels = COALESCE($5, labels),
+             notes = CASE WHEN $6::boolean THEN $7 ELSE notes END
+         WHERE id = $1 AND user_id = $2
+         RETURNING ${LOCATION_COLUMNS}`,
+        [
+          locationId,
+          userId,
+          group_id !== undefined, group_id ?? null,
+          labels ? [...new Set(labels)] : null,
+          notes !== undefined, notes || null
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Location not found'
+        });
+      }
+
+      console.log(`✅ Location details updated: ID ${locationId} for user ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Location updated',
+        location: result.rows[0]
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// ========================================
+// LOCATION GROUPS ROUTES
+// ========================================
+
+const groupIdParam = param('groupId').isInt({ min: 1 }).withMessage('Invalid group id').toInt();
+
+const locationGroupValidators = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be 1-100 characters')
+    : body('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (at most 100 characters)'),
+  body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('color must be a hex color such as #2fe79f')
+];
+
+// GET /api/user/location-groups - Groups with how many locations each has
+router.get('/location-groups',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const groups = await locationGroups.list(req.user.id);
+
+      res.json({
+        success: true,
+        groups
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/user/location-groups - Create a group
+router.post('/location-groups',
+  authenticate,
+  locationGroupValidators(false),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const userId = req.user.id;
+
+      if (await locationGroups.findByName(userId, req.body.name)) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have a group with this name'
+        });
+      }
+
+      const group = await locationGroups.create(userId, req.body);
+
+      console.log(`✅ Location group "${group.name}" created for user ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Group created successfully',
+        group
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /api/user/location-groups/:groupId - Rename or recolor a group
+router.put('/location-groups/:groupId',
+  authenticate,
+  [groupIdParam, ...locationGroupValidators(true)],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const userId = req.user.id;
+      const { groupId } = req.params;
+
+      if (req.body.name && await locationGroups.findByName(userId, req.body.name, groupId)) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have a group with this name'
+        });
+      }
+
+      const group = await locationGroups.update(userId, groupId, req.body);
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Location group not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Group updated successfully',
+        group
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/user/location-groups/:groupId - Delete a group (its locations are kept, ungrouped)
+router.delete('/location-groups/:groupId',
+  authenticate,
+  [groupIdParam],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const removed = await locationGroups.remove(req.user.id, req.params.groupId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Location group not found'
+        });
+      }
+
+      console.log(`✅ Location group "${removed.name}" deleted for user ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Group deleted successfully'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/user/location-groups/:groupId/forecast - Daily forecast for every location in the group
+router.get('/location-groups/:groupId/forecast',
+  authenticate,
+  [
+    groupIdParam,
+    queryParam('days').optional().isInt({ min: 1, max: 7 }).withMessage('days must be between 1 and 7').toInt()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const userId = req.user.id;
+      const group = await locationGroups.get(userId, req.params.groupId);
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Location group not found'
+        });
+      }
+
+      const overview = await locationGroups.forecastOverview(userId, group.id, { days: req.query.days || 3 });
+
+      res.json({
+        success: true,
+        group,
+        ...overview
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/user/location-groups/:groupId/subscriptions - Subscribe every location in the group to alerts
+router.post('/location-groups/:groupId/subscriptions',
+  authenticate,
+  [
+    groupIdParam,
+    body('alert_types').isArray({ min: 1 }).withMessage('alert_types must be a non-empty array'),
+    body('alert_types.*').custom((value) => {
+      if (!alertEngine.rules.has(value)) throw new Error(`alert_types must be among ${[...alertEngine.rules.keys()].join(', ')}`);
+      return true;
+    }),
+    body('min_severity').optional().isIn(['WATCH', 'WARNING', 'EMERGENCY']).withMessage('min_severity must be WATCH, WARNING or EMERGENCY')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const userId = req.user.id;
+      const group = await locationGroups.get(userId, req.params.groupId);
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Location group not found'
+        });
+      }
+
+      const result = await locationGroups.subscribe(userId, group.id, req.body);
+
+      console.log(`✅ Group "${group.name}" subscribed to ${req.body.alert_types.join(', ')} for user ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `Subscribed ${result.locations} locations to ${req.body.alert_types.join(', ')} alerts`,
+        ...result
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // ========================================
 // PASSWORD CHANGE ROUTES
 // ========================================
@@ -616,6 +1021,115 @@ router.post('/change-email',
   }
 );
 
+// ========================================
+// USER PREFERENCES ROUTES
+// ========================================
+
+// Allowed values per preference; the first is the default
+const PREFERENCE_OPTIONS = {
+  temperature_unit: ['celsius', 'fahrenheit', 'kelvin'],
+  wind_speed_unit: ['kmh', 'mph', 'ms', 'knots'],
+  pressure_unit: ['hpa', 'mb', 'inhg', 'mmhg'],
+  precipitation_unit: ['mm', 'inches'],
+  time_format: ['24h', '12h'],
+  theme: ['dark', 'light', 'auto']
+};
+
+const DEFAULT_PREFERENCES = {
+  ...Object.fromEntries(Object.entries(PREFERENCE_OPTIONS).map(([key, options]) => [key, options[0]])),
+  preferred_location: null,
+  notifications_enabled: true
+};
+
+const PREFERENCE_COLUMNS = Object.keys(DEFAULT_PREFERENCES);
+
+const formatPreferences = (row) => Object.fromEntries(
+  PREFERENCE_COLUMNS.map(column => [column, row?.[column] ?? DEFAULT_PREFERENCES[column]])
+);
+
+// GET /api/user/preferences - Units, display and default location (defaults until first saved)
+router.get('/preferences',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const result = await query(
+        `SELECT ${PREFERENCE_COLUMNS.join(', ')} FROM user_preferences WHERE user_id = $1`,
+        [req.user.id]
+      );
+
+      res.json({
+        success: true,
+        preferences: formatPreferences(result.rows[0])
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /api/user/preferences - Update any subset of preferences
+router.put('/preferences',
+  authenticate,
+  [
+    ...Object.entries(PREFERENCE_OPTIONS).map(([key, options]) =>
+      body(key).optional().trim().toLowerCase().isIn(options).withMessage(`${key} must be one of: ${options.join(', ')}`)
+    ),
+    body('preferred_location').optional({ nullable: true }).isString().trim().isLength({ max: 255 })
+      .withMessage('preferred_location must be at most 255 characters'),
+    body('notifications_enabled').optional().isBoolean().withMessage('notifications_enabled must be boolean').toBoolean()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const userId = req.user.id;
+
+      const current = await query(
+        `SELECT ${PREFERENCE_COLUMNS.join(', ')} FROM user_preferences WHERE user_id = $1`,
+        [userId]
+      );
+
+      // Fields left out of the body keep their stored (or default) value
+      const preferences = formatPreferences(current.rows[0]);
+      for (const column of PREFERENCE_COLUMNS) {
+        if (req.body[column] !== undefined) preferences[column] = req.body[column];
+      }
+      if (preferences.preferred_location === '') preferences.preferred_location = null;
+
+      const values = PREFERENCE_COLUMNS.map(column => preferences[column]);
+      const placeholders = PREFERENCE_COLUMNS.map((column, index) => `$${index + 2}`);
+
+      const result = await query(
+        `INSERT INTO user_preferences (user_id, ${PREFERENCE_COLUMNS.join(', ')})
+         VALUES ($1, ${placeholders.join(', ')})
+         ON CONFLICT (user_id) DO UPDATE
+         SET ${PREFERENCE_COLUMNS.map(column => `${column} = EXCLUDED.${column}`).join(', ')}, updated_at = NOW()
+         RETURNING ${PREFERENCE_COLUMNS.join(', ')}`,
+        [userId, ...values]
+      );
+
+      console.log(`✅ Preferences updated for user: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Preferences updated successfully',
+        preferences: formatPreferences(result.rows[0])
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // ========================================
 // ACCOUNT SETTINGS ROUTES
 // ========================================
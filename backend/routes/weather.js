@@ -1,35 +1,351 @@
 import express from 'express';
+import { query, validationResult } from 'express-validator';
+import weatherService from '../src/services/weatherService.js';
 
 const router = express.Router();
 
+const coordinateValidators = [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  query('lon').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+];
+
 // GET /api/weather/current - Get current weather
-router.get('/current', (req, res) => {
-  const { lat, lon } = req.query;
-  
-  if (!lat || !lon) {
-    return res.status(400).json({
-      success: false,
-      message: 'Latitude and longitude are required'
-    });
-  }
-  
-  // TODO: Implement OpenWeather API integration
-  res.json({ success: true, message: 'Weather endpoint (to be implemented)' });
-});
+router.get('/current',
+  coordinateValidators,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const { lat, lon } = req.query;
+      const current = await weatherService.getCurrent(lat, lon);
+
+      res.json({
+        success: true,
+        current
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/weather/forecast - Get hourly and daily forecast
+router.get('/forecast',
+  [
+    ...coordinateValidators,
+    query('days').optional().isInt({ min: 1, max: 16 }).withMessage('days must be between 1 and 16')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const { lat, lon } = req.query;
+      const days = parseInt(req.query.days) || 7;
+      const forecast = await weatherService.getForecast(lat, lon, { days });
+
+      res.json({
+        success: true,
+        forecast
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/weather/hourly - Get the next `hours` hourly steps
+router.get('/hourly',
+  [
+    ...coordinateValidators,
+    query('hours').optional().isInt({ min: 1, max: 168 }).withMessage('hours must be between 1 and 168')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const { lat, lon } = req.query;
+      const hours = parseInt(req.query.hours) || 48;
+      const hourly = await weatherService.getHourly(lat, lon, { hours });
+
+      res.json({
+        success: true,
+        hourly
+      });
 
-// GET /api/weather/forecast - Get weather forecast
-router.get('/forecast', (req, res) => {
-  const { lat, lon } = req.query;
-  
-  if (!lat || !lon) {
-    return res.status(400).json({
-      success: false,
-      message: 'Latitude and longitude are required'
-    });
-  }
-  
-  // TODO: Implement forecast logic
-  res.json({ success: true, message: 'Forecast endpoint (to be implemented)' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/weather/ensemble - Get ensemble percentiles and exceedance probabilities
+router.get('/ensemble',
+  [
+    ...coordinateValidators,
+    query('days').optional().isInt({ min: 1, max: 16 }).withMessage('days must be between 1 and 16')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const { lat, lon } = req.query;
+      const days = parseInt(req.query.days) || 7;
+      const ensemble = await weatherService.getEnsemble(lat, lon, { days });
+
+      res.json({
+        success: true,
+        ensemble
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Plain decimal degrees; Number() alone would also accept '', ' ', '0x1f' or '1e2'
+const DECIMAL = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+
+// "lat,lon;lat,lon" -> [{ lat, lon }]; a pair without exactly two numbers gives NaNs
+const parseLocations = (value) => String(value).split(';').map((pair) => {
+  const parts = pair.split(',').map(part => part.trim());
+  if (parts.length !== 2 || !parts.every(part => DECIMAL.test(part))) return { lat: NaN, lon: NaN };
+  const [lat, lon] = parts.map(Number);
+  return { lat, lon };
 });
 
-export default router;
\ No newline at end of file
+// GET /api/weather/compare - Current, hourly and daily weather for 2-6 locations at once
+// ?locations=lat,lon;lat,lon&hours=48&days=7
+router.get('/compare',
+  [
+    query('locations')
+      .custom((value) => {
+        const points = parseLocations(value);
+        if (points.length < 2 || points.length > 6) throw new Error('locations must list 2 to 6 "lat,lon" pairs separated by ";"');
+        const valid = points.every(({ lat, lon }) =>
+          Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+        );
+        if (!valid) throw new Error('Each location must be a valid "lat,lon" pair');
+        return true;
+      })
+      .customSanitizer(parseLocations),
+    query('hours').optional().isInt({ min: 1, max: 168 }).withMessage('hours must be between 1 and 168').toInt(),
+    query('days').optional().isInt({ min: 1, max: 16 }).withMessage('days must be between 1 and 16').toInt()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const locations = await weatherService.compare(req.query.locations, {
+        hours: req.query.hours || 48,
+        days: req.query.days || 7
+      });
+
+      res.json({
+        success: true,
+        locations
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/weather/air-quality - Get current air quality
+router.get('/air-quality',
+  coordinateValidators,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const { lat, lon } = req.query;
+      const airQuality = await weatherService.getAirQuality(lat, lon);
+
+      res.json({
+        success: true,
+        airQuality
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/weather/air-quality/forecast - Get hourly air quality for the next few days
+router.get('/air-quality/forecast',
+  [
+    ...coordinateValidators,
+    query('days').optional().isInt({ min: 1, max: 7 }).withMessage('days must be between 1 and 7')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const { lat, lon } = req.query;
+      const days = parseInt(req.query.days) || 4;
+      const forecast = await weatherService.getAirQualityForecast(lat, lon, { days });
+
+      res.json({
+        success: true,
+        forecast
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET /api/weather/archive - Observed daily weather between two dates (YYYY-MM-DD, inclusive)
+router.get('/archive',
+  [
+    ...coordinateValidators,
+    query('start_date').matches(DATE).isISO8601({ strict: true }).withMessage('start_date must be a YYYY-MM-DD date'),
+    query('end_date').matches(DATE).isISO8601({ strict: true }).withMessage('end_date must be a YYYY-MM-DD date'),
+    query('end_date').custom((value, { req }) => {
+      const span = (Date.parse(value) - Date.parse(req.query.start_date)) / DAY_MS;
+      if (!(span >= 0 && span <= 366)) throw new Error('end_date must be 0 to 366 days after start_date');
+      return true;
+    })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const { lat, lon, start_date: startDate, end_date: endDate } = req.query;
+      const archive = await weatherService.getArchive(lat, lon, { startDate, endDate });
+
+      res.json({
+        success: true,
+        archive
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/weather/geocode - Search places by name
+router.get('/geocode',
+  [
+    query('q').trim().isLength({ min: 1, max: 100 }).withMessage('q must be 1 to 100 characters'),
+    query('limit').optional().isInt({ min: 1, max: 10 }).withMessage('limit must be between 1 and 10')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 5;
+      const places = await weatherService.searchPlaces(req.query.q, { limit });
+
+      res.json({
+        success: true,
+        places
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/weather/reverse-geocode - Name of the place at a point
+router.get('/reverse-geocode',
+  coordinateValidators,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const { lat, lon } = req.query;
+      const place = await weatherService.reverseGeocode(lat, lon);
+
+      res.json({
+        success: true,
+        place
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
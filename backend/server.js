@@ -9,6 +9,13 @@ import emailRoutes from './src/routes/email.js'; // FIXED: Correct path
 import adminRoutes from './routes/admin.js';
 import analyticsRoutes from './routes/analytics.js';
 import ticketsRoutes from './routes/tickets.js';
+import alertsRoutes from './src/routes/alerts.js';
+import weatherService from './src/services/weatherService.js';
+import alertScheduler from './src/services/alertScheduler.js';
+import alertDispatcher from './src/services/alertDispatcher.js';
+import alertVerifier from './src/services/alertVerification.js';
+import alertStream from './src/services/alertStream.js';
+import forecastAccuracy from './src/services/forecastAccuracy.js';
 
 
 
@@ -86,7 +93,8 @@ app.get('/api/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV
+    environment: process.env.NODE_ENV,
+    weatherCache: weatherService.getCacheStats()
   });
 });
 
@@ -94,23 +102,11 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/weather', weatherRoutes);
-app.use('/api/email', emailRoutes); 
-app.use('/api/auth', authRoutes);
-app.use('/api/user', userRoutes);
-app.use('/api/weather', weatherRoutes);
 app.use('/api/email', emailRoutes);
-app.use('/api/admin', adminRoutes); 
-app.use('/api/auth', authRoutes);
-app.use('/api/user', userRoutes);
 app.use('/api/admin', adminRoutes);
-app.use('/api/email', emailRoutes);
-app.use('/api/analytics', analyticsRoutes); 
-app.use('/api/auth', authRoutes);
-app.use('/api/user', userRoutes);
-app.use('/api/admin', adminRoutes);
-app.use('/api/email', emailRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/tickets', ticketsRoutes);
+app.use('/api/alerts', alertsRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -136,6 +132,19 @@ app.listen(PORT, () => {
   console.log(`📡 Listening on port ${PORT}`);
   console.log(`🌐 API: http://localhost:${PORT}/api`);
   console.log('='.repeat(50));
+
+  // Delivery and the browser stream listen for alerts first so the scheduler's first run reaches them too
+  alertStream.start();
+  alertDispatcher.start()
+    .catch((err) => {
+      console.error('❌ Alert delivery failed to start:', err.message);
+    })
+    .then(() => alertScheduler.start())
+    .catch((err) => {
+      console.error('❌ Alert scheduler failed to start:', err.message);
+    });
+  alertVerifier.start();
+  forecastAccuracy.start();
 });
 
 // Graceful shutdown
@@ -1,21 +1,50 @@
 import express from 'express';
-import { query } from '../config/database.js';
-import { authenticate } from '../middleware/auth.js';
-import alertEngine from '../services/alertEngine.js';
-import emailService from '../services/emailService.js';
+import { query as queryParam, body, param, validationResult } from 'express-validator';
+import { query } from '../../config/database.js';
+import alertsConfig from '../../config/alerts.js';
+import { authenticate, optionalAuthenticate, requireAdmin, signStreamToken, streamAuthenticate } from '../../middleware/auth.js';
+import alertEngine, { getGridCellKey } from '../services/alertEngine.js';
+import { validateThresholds } from '../services/thresholdProfiles.js';
+import alertSubscriptions, { SEVERITY_LEVELS, confirmSubscriptionUrl, verifyUnsubscribeToken } from '../services/alertSubscriptions.js';
+import alertDispatcher from '../services/alertDispatcher.js';
+import { renderConfirmationEmail } from '../services/alertEmailTemplate.js';
+import alertStream from '../services/alertStream.js';
+import { renderAtomFeed, renderCapAlert } from '../services/alertCap.js';
+import { isAlertGeometry, toGeoJSON } from '../services/geo.js';
 
 const router = express.Router();
 
-// Get active alerts
-router.get('/', async (req, res) => {
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array().map(err => err.msg)
+  });
+  return true;
+};
+
+const pointValidators = () => [
+  queryParam('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+  queryParam('lon').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+  queryParam('lat').if(queryParam('lon').exists()).exists().withMessage('lat and lon must be provided together'),
+  queryParam('lon').if(queryParam('lat').exists()).exists().withMessage('lat and lon must be provided together')
+];
+
+// Get live (active or updated) alerts, optionally only those covering ?lat=&lon=
+// Signed-in users also get the level they acknowledged each alert at
+router.get('/', optionalAuthenticate, pointValidators(), async (req, res) => {
   try {
-    const result = await query(
-      `SELECT * FROM alerts WHERE status = 'active' ORDER BY created_at DESC LIMIT 50`
-    );
+    if (sendValidationErrors(req, res)) return;
+
+    const live = await alertEngine.getLiveAlerts({ lat: req.query.lat, lon: req.query.lon });
+    const alerts = await alertEngine.withAcknowledgements(live, req.user?.id);
     
     res.json({
       success: true,
-      alerts: result.rows
+      alerts
     });
   } catch (error) {
     res.status(500).json({
@@ -25,17 +54,240 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Simulate alert (testing only)
-router.post('/simulate', authenticate, async (req, res) => {
+const historyValidators = () => [
+  queryParam('hazard').optional().trim().toUpperCase(),
+  queryParam('severity').optional().isIn(['WATCH', 'WARNING', 'EMERGENCY']).withMessage('severity must be WATCH, WARNING or EMERGENCY'),
+  queryParam('status').optional().isIn(['active', 'updated', 'expired', 'cancelled']).withMessage('Invalid status'),
+  queryParam('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  queryParam('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  ...pointValidators()
+];
+
+const historyFiltersFrom = (req) => ({
+  hazard: req.query.hazard || undefined,
+  severity: req.query.severity,
+  status: req.query.status,
+  from: req.query.from,
+  to: req.query.to,
+  lat: req.query.lat,
+  lon: req.query.lon
+});
+
+// Archive of alerts of any status, filtered by hazard, severity, status, issue
+// date range (?from=&to=) and area (?lat=&lon= inside the alert's area)
+router.get('/history', [
+  ...historyValidators(),
+  queryParam('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100').toInt()
+], async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const { alerts, total } = await alertEngine.getAlertHistory({ ...historyFiltersFrom(req), page, limit });
+
+    res.json({
+      success: true,
+      alerts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Alert counts per hazard type and level for the same filters as /history
+router.get('/history/stats', historyValidators(), async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const stats = await alertEngine.getHistoryStats(historyFiltersFrom(req));
+
+    res.json({
+      success: true,
+      stats,
+      total: stats.reduce((sum, row) => sum + row.count, 0)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Live alert areas as a GeoJSON FeatureCollection, for the map layer
+router.get('/areas', async (req, res, next) => {
+  try {
+    const alerts = await alertEngine.getLiveAlerts({ limit: Infinity });
+
+    res.json({
+      type: 'FeatureCollection',
+      features: alerts
+        .filter(alert => alert.geometry)
+        .map(alert => ({
+          type: 'Feature',
+          id: alert.id,
+          geometry: toGeoJSON(alert.geometry),
+          properties: {
+            id: alert.id,
+            hazard_type: alert.hazard_type,
+            severity: alert.severity,
+            status: alert.status,
+            details: alert.details,
+            area_desc: alert.area_desc,
+            expires_at: alert.expires_at
+          }
+        }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The signed-in user's saved locations with the live alerts affecting each
+router.get('/saved-locations', authenticate, async (req, res, next) => {
+  try {
+    const locations = await alertEngine.getSavedLocationAlerts(req.user.id);
+
+    res.json({
+      success: true,
+      locations
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Atom feed of live and recently cancelled alerts, each linking to its CAP document
+router.get('/feed.atom', async (req, res, next) => {
   try {
-    const { hazard_type, severity, cell_key, details } = req.body;
+    const alerts = await alertEngine.getFeedAlerts({
+      cancelledWithinHours: alertsConfig.cap.cancelledRetentionHours
+    });
+
+    res.type('application/atom+xml; charset=utf-8').send(renderAtomFeed(alerts));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// CAP 1.2 document for one alert (any status)
+router.get('/:alertId(\\d+).cap', async (req, res, next) => {
+  try {
+    const result = await query('SELECT * FROM alerts WHERE id = $1', [req.params.alertId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.type('application/cap+xml; charset=utf-8').send(renderCapAlert(result.rows[0]));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Short-lived token for opening the alert stream as the signed-in user, so the
+// session token never has to go in a URL
+router.post('/stream-token', authenticate, (req, res) => {
+  const expiresIn = alertsConfig.stream.tokenTtlSeconds;
+
+  res.json({
+    success: true,
+    token: signStreamToken(req.user, expiresIn),
+    expiresIn
+  });
+});
+
+// Server-Sent Events stream of alert changes covering ?lat=&lon= and, for a
+// signed-in user (?token= from /stream-token), their subscribed locations
+router.get('/stream', streamAuthenticate, pointValidators(), async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (req.query.lat === undefined && !req.user) {
+      return res.status(400).json({
+        success: false,
+        message: 'lat and lon are required unless signed in'
+      });
+    }
+
+    await alertStream.connect(req, res, {
+      lat: req.query.lat,
+      lon: req.query.lon,
+      userId: req.user?.id ?? null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Acknowledge an alert so the banner hides it until it is re-issued at another level
+router.post('/:alertId/acknowledge', authenticate, [
+  param('alertId').isInt({ min: 1 }).withMessage('Invalid alert id').toInt()
+], async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const acknowledgement = await alertEngine.acknowledgeAlert(req.params.alertId, req.user.id);
+
+    if (!acknowledgement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    alertStream.notifyAcknowledged(req.user.id, acknowledgement);
+
+    res.json({
+      success: true,
+      acknowledgement
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Simulate alert (testing only). Simulated alerts are streamed and published like real ones,
+// so only admins may raise them
+router.post('/simulate', authenticate, requireAdmin, [
+  body('hazard_type').notEmpty().withMessage('hazard_type required'),
+  body('severity').isIn(['WATCH', 'WARNING', 'EMERGENCY']).withMessage('severity must be WATCH, WARNING or EMERGENCY'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+  body('radius_km').optional().isFloat({ min: 0 }).withMessage('radius_km must be positive').toFloat(),
+  body('geometry').optional().custom(isAlertGeometry).withMessage('geometry must be a Polygon, MultiPolygon, Circle or Cells geometry'),
+  body('expires_in_hours').optional().isFloat({ min: 0.1, max: 168 }).withMessage('expires_in_hours must be between 0.1 and 168').toFloat()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { hazard_type, severity, cell_key, details, latitude, longitude, radius_km, expires_in_hours } = req.body;
+    const hasPoint = latitude !== undefined && longitude !== undefined;
+    let { geometry } = req.body;
+    if (!geometry && hasPoint && radius_km !== undefined) {
+      geometry = { type: 'Circle', coordinates: [longitude, latitude], radius_km };
+    }
     
     const alert = await alertEngine.createAlert({
       hazard_type,
       severity,
       score: severity === 'EMERGENCY' ? 90 : 70,
-      cellKey: cell_key,
-      details
+      cellKey: cell_key || (hasPoint ? getGridCellKey(latitude, longitude) : null),
+      latitude,
+      longitude,
+      radiusKm: radius_km,
+      geometry,
+      details,
+      source: 'simulate',
+      expiresAt: expires_in_hours ? new Date(Date.now() + expires_in_hours * 60 * 60 * 1000) : undefined
     });
     
     res.json({
@@ -50,28 +302,304 @@ router.post('/simulate', authenticate, async (req, res) => {
   }
 });
 
-// Subscribe to alerts
-router.post('/subscribe', async (req, res) => {
+// Subscribe an email address to alerts, or change its subscription. Double
+// opt-in: nothing is applied until the address follows the link in the
+// confirmation email, so the answer is the same whether or not it is subscribed
+// `thresholds` optionally overrides the regional thresholds for this subscriber
+router.post('/subscribe', [
+  body('email').isEmail().withMessage('Invalid email format').normalizeEmail(),
+  body('locations').isArray({ max: 20 }).withMessage('locations must be a list of up to 20 places'),
+  body('hazards').optional().isArray({ min: 1 }).withMessage('hazards must be a non-empty list'),
+  body('hazards.*').custom((value) => {
+    if (!alertEngine.rules.has(value)) throw new Error(`hazards must be among ${[...alertEngine.rules.keys()].join(', ')}`);
+    return true;
+  }),
+  body('thresholds').optional({ nullable: true }).custom((value) => {
+    const errors = validateThresholds(value);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    return true;
+  })
+], async (req, res, next) => {
   try {
-    const { email, locations, hazards = ['FLOOD', 'WIND', 'HEAT'] } = req.body;
-    
-    const result = await query(
-      `INSERT INTO alert_subscriptions (email, locations, hazards, opted_in)
-       VALUES ($1, $2, $3, TRUE)
-       ON CONFLICT (email) DO UPDATE SET locations = $2, hazards = $3, opted_in = TRUE
-       RETURNING *`,
-      [email, JSON.stringify(locations), JSON.stringify(hazards)]
-    );
-    
+    if (sendValidationErrors(req, res)) return;
+
+    const { email, locations, hazards = ['FLOOD', 'WIND', 'HEAT'], thresholds = null } = req.body;
+
+    const token = await alertSubscriptions.requestEmailSubscription(email, { locations, hazards, thresholds });
+
+    const { subject, html, text } = renderConfirmationEmail({
+      confirmUrl: confirmSubscriptionUrl(token),
+      hazards,
+      locationCount: locations.length,
+      expiresInHours: Math.round(alertsConfig.subscriptions.confirmMaxAgeMs / (60 * 60 * 1000))
+    });
+
+    try {
+      const transport = await alertDispatcher.getTransport();
+      await transport.sendMail({ from: alertsConfig.delivery.from, to: email, subject, html, text });
+    } catch (emailError) {
+      console.error(`❌ Failed to send alert subscription confirmation: ${emailError.message}`);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send the confirmation email. Please try again later.'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Check your inbox to confirm the subscription'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ========================================
+// ACCOUNT SUBSCRIPTIONS (weather_alerts)
+// ========================================
+
+const subscriptionValidators = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('location_id')).isInt({ min: 1 }).withMessage('location_id must be a saved location id').toInt(),
+    required(body('alert_type')).custom((value) => {
+      if (!alertEngine.rules.has(value)) throw new Error(`alert_type must be one of ${[...alertEngine.rules.keys()].join(', ')}`);
+      return true;
+    }),
+    body('min_severity').optional().isIn(SEVERITY_LEVELS).withMessage('min_severity must be WATCH, WARNING or EMERGENCY'),
+    body('threshold_value').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('threshold_value must be an alert score between 0 and 100').toFloat(),
+    body('is_active').optional().isBoolean().withMessage('is_active must be boolean').toBoolean()
+  ];
+};
+
+const subscriptionIdParam = param('subscriptionId').isInt({ min: 1 }).withMessage('Invalid subscription id').toInt();
+
+// GET /api/alerts/subscriptions - The signed-in user's subscriptions
+router.get('/subscriptions', authenticate, async (req, res, next) => {
+  try {
+    const [subscriptions, enabled] = await Promise.all([
+      alertSubscriptions.listForUser(req.user.id),
+      alertSubscriptions.alertsEnabled(req.user.id)
+    ]);
+
     res.json({
       success: true,
-      subscription: result.rows[0]
+      // Mirrors the weatherAlerts account setting; when false nothing is delivered
+      weatherAlerts: enabled,
+      hazards: [...alertEngine.rules.keys()],
+      subscriptions
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message
+    next(error);
+  }
+});
+
+// POST /api/alerts/subscriptions - Subscribe to one hazard at one saved location
+router.post('/subscriptions', authenticate, subscriptionValidators(), async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user.id;
+    const { location_id, alert_type } = req.body;
+
+    if (!(await alertSubscriptions.ownsLocation(userId, location_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    if (await alertSubscriptions.findDuplicate(userId, location_id, alert_type)) {
+      return res.status(409).json({
+        success: false,
+        message: `Already subscribed to ${alert_type} alerts for this location`
+      });
+    }
+
+    const subscription = await alertSubscriptions.create(userId, req.body);
+
+    console.log(`✅ Alert subscription ${alert_type} @ location ${location_id} created for ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created successfully',
+      subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/alerts/subscriptions/:subscriptionId - Edit, pause (is_active: false) or resume
+router.put('/subscriptions/:subscriptionId', authenticate, [subscriptionIdParam, ...subscriptionValidators(true)], async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user.id;
+    const { subscriptionId } = req.params;
+    const current = await alertSubscriptions.get(userId, subscriptionId);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    const locationId = req.body.location_id ?? current.location_id;
+    const alertType = req.body.alert_type ?? current.alert_type;
+
+    if (req.body.location_id !== undefined && !(await alertSubscriptions.ownsLocation(userId, locationId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    if (await alertSubscriptions.findDuplicate(userId, locationId, alertType, subscriptionId)) {
+      return res.status(409).json({
+        success: false,
+        message: `Already subscribed to ${alertType} alerts for this location`
+      });
+    }
+
+    const subscription = await alertSubscriptions.update(userId, subscriptionId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Subscription updated successfully',
+      subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/alerts/subscriptions/:subscriptionId
+router.delete('/subscriptions/:subscriptionId', authenticate, [subscriptionIdParam], async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const removed = await alertSubscriptions.remove(req.user.id, req.params.subscriptionId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription deleted successfully'
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Minimal page for people arriving from an email link
+const emailLinkPage = (title, message, action = '') => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px; color: #053943;">
+  <h1 style="font-size: 1.5rem;">${title}</h1>
+  <p>${message}</p>
+  ${action}
+  <p style="color: #5b7a80; font-size: 0.9rem;">You can manage alert subscriptions at any time in Settings.</p>
+</body>
+</html>`;
+
+const invalidLinkPage = (kind) =>
+  emailLinkPage('Invalid link', `This ${kind} link is invalid, incomplete or has expired.`);
+
+const linkButton = (action, token, label) => `<form method="post" action="${action}">
+    <input type="hidden" name="token" value="${token}">
+    <button type="submit" style="padding: 10px 20px; border: 0; border-radius: 6px; background: #053943; color: #fff; cursor: pointer;">${label}</button>
+  </form>`;
+
+// Link in the confirmation email. As with unsubscribing, opening it only asks:
+// link scanners and mail previews follow GET links.
+router.get('/subscribe/confirm', async (req, res, next) => {
+  try {
+    const token = req.query.token;
+    // Confirmation tokens are base64url, so safe to embed once matched
+    const pending = /^[\w-]+$/.test(token || '') && await alertSubscriptions.findEmailConfirmation(token);
+    if (!pending) {
+      return res.status(400).type('html').send(invalidLinkPage('confirmation'));
+    }
+
+    // Hazards were validated against the rule names, so they are safe to show
+    const { hazards, locations } = pending.pending_changes;
+    res.type('html').send(emailLinkPage(
+      'Confirm weather alerts?',
+      `Confirm below to receive ${hazards.join(', ')} alert emails for ${locations.length} ${locations.length === 1 ? 'place' : 'places'} at this address.`,
+      linkButton('/api/alerts/subscribe/confirm', token, 'Confirm')
+    ));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/subscribe/confirm', async (req, res, next) => {
+  try {
+    const subscription = await alertSubscriptions.confirmEmailSubscription(req.body?.token);
+
+    if (!subscription) {
+      return res.status(400).type('html').send(invalidLinkPage('confirmation'));
+    }
+
+    console.log(`✅ Email alert subscription ${subscription.id} confirmed`);
+
+    res.type('html').send(
+      emailLinkPage('Subscription confirmed', 'Alert emails will be sent to this address with the settings you asked for.')
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Link in alert emails. Only asks for confirmation: link scanners and mail
+// previews follow GET links, so opening it must not change anything.
+router.get('/unsubscribe', (req, res) => {
+  const token = req.query.token;
+  if (!verifyUnsubscribeToken(token)) {
+    return res.status(400).type('html').send(invalidLinkPage('unsubscribe'));
+  }
+
+  // The token only contains [\w.-] once verified, so it is safe to embed
+  res.type('html').send(emailLinkPage(
+    'Unsubscribe from weather alerts?',
+    'Confirm below to stop receiving these alert emails.',
+    linkButton('/api/alerts/unsubscribe', token, 'Unsubscribe')
+  ));
+});
+
+// Confirmation from the page above, or the RFC 8058 List-Unsubscribe-Post
+// request mail clients send on the user's behalf (token in the query string)
+router.post('/unsubscribe', async (req, res, next) => {
+  try {
+    const target = verifyUnsubscribeToken(req.query.token || req.body?.token);
+
+    if (!target) {
+      return res.status(400).type('html').send(invalidLinkPage('unsubscribe'));
+    }
+
+    const turnedOff = await alertSubscriptions.unsubscribe(target);
+
+    if (!turnedOff) {
+      return res.status(404).type('html').send(
+        emailLinkPage('Subscription not found', 'This subscription no longer exists.')
+      );
+    }
+
+    console.log(`✅ Unsubscribed via email link: ${target.kind} ${target.ids.join(', ')}`);
+
+    res.type('html').send(
+      emailLinkPage('Unsubscribed', `You will no longer receive ${turnedOff}.`)
+    );
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -0,0 +1,201 @@
+// CAP 1.2 documents and an Atom feed for alerts, for downstream systems
+// (sirens, aggregators, other met services) that ingest standard warnings.
+// Spec: http://docs.oasis-open.org/emergency/cap/v1.2/CAP-v1.2.html
+import alertsConfig from '../../config/alerts.js';
+import { gridCellBounds } from './alertEngine.js';
+import { toGeoJSON } from './geo.js';
+
+export const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+
+// Our three levels onto CAP's severity, urgency and certainty
+export const CAP_LEVELS = {
+  EMERGENCY: { severity: 'Extreme', urgency: 'Immediate', certainty: 'Likely', responseType: 'Prepare' },
+  WARNING: { severity: 'Severe', urgency: 'Expected', certainty: 'Likely', responseType: 'Prepare' },
+  WATCH: { severity: 'Moderate', urgency: 'Future', certainty: 'Possible', responseType: 'Monitor' }
+};
+
+// CAP <category>; everything else is meteorological
+const CATEGORIES = { AIR_QUALITY: 'Env' };
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const element = (name, value) => (value === null || value === undefined || value === ''
+  ? ''
+  : `<${name}>${escapeXml(value)}</${name}>`);
+
+const formatHazard = (hazard) => hazard.charAt(0) + hazard.slice(1).toLowerCase().replace(/_/g, ' ');
+
+/**
+ * CAP dateTime: seconds precision with an explicit offset ("Z" is not allowed)
+ */
+export const capDateTime = (value) => (value
+  ? new Date(value).toISOString().replace(/\.\d{3}Z$/, '+00:00')
+  : null);
+
+const atomDateTime = (value) => new Date(value).toISOString();
+
+export const capUrl = (alert) => `${alertsConfig.subscriptions.publicApiUrl}/api/alerts/${alert.id}.cap`;
+
+export const capIdentifier = (alert, revision = alert.revision || 1) => `aether-alert-${alert.id}-${revision}`;
+
+/**
+ * Every earlier message for this alert as "sender,identifier,sent" entries.
+ * A cancellation also references the current issue.
+ */
+const capReferences = (alert, cancelled) => {
+  const issues = [...(alert.previous_issues || [])];
+  if (cancelled) issues.push({ revision: alert.revision || 1, issued_at: alert.issued_at || alert.created_at });
+
+  return issues
+    .map(issue => `${alertsConfig.cap.sender},${capIdentifier(alert, issue.revision)},${capDateTime(issue.issued_at)}`)
+    .join(' ');
+};
+
+/**
+ * Where the alert applies: a <circle> for circle geometries or alerts with a
+ * centre and radius, polygons for other geometries (fine grid cells become
+ * squares), otherwise the polygon of its 30° grid cell. The cell key is kept
+ * as a geocode.
+ */
+export const capArea = (alert) => {
+  const { geometry } = alert;
+  const hasCircle = alert.latitude !== null && alert.latitude !== undefined &&
+    alert.longitude !== null && alert.longitude !== undefined &&
+    alert.radius_km !== null && alert.radius_km !== undefined;
+  // CAP polygons are closed rings of "lat,lon" pairs
+  const polygon = (ring) => element('polygon', ring.map(([lat, lon]) => `${lat},${lon}`).join(' '));
+  const circle = (latitude, longitude, radiusKm) => {
+    const lat = Number(latitude).toFixed(4);
+    const lon = Number(longitude).toFixed(4);
+    return {
+      areaDesc: `Within ${Number(radiusKm)} km of ${lat}, ${lon}`,
+      shape: element('circle', `${lat},${lon} ${Number(radiusKm)}`)
+    };
+  };
+
+  let areaDesc = 'Unspecified area';
+  let shape = '';
+
+  if (geometry?.type === 'Circle') {
+    ({ areaDesc, shape } = circle(geometry.coordinates[1], geometry.coordinates[0], geometry.radius_km));
+  } else if (geometry) {
+    const plain = toGeoJSON(geometry);
+    const polygons = plain.type === 'MultiPolygon' ? plain.coordinates : [plain.coordinates];
+    areaDesc = 'Warning area';
+    // CAP has no holes, so only outer rings are exported
+    shape = polygons.map(([outer]) => polygon(outer.map(([lon, lat]) => [lat, lon]))).join('');
+  } else if (hasCircle) {
+    ({ areaDesc, shape } = circle(alert.latitude, alert.longitude, alert.radius_km));
+  } else if (alert.cell_key) {
+    const { south, west, north, east } = gridCellBounds(alert.cell_key);
+    areaDesc = `Grid cell ${south}° to ${north}° latitude, ${west}° to ${east}° longitude`;
+    shape = polygon([[south, west], [north, west], [north, east], [south, east], [south, west]]);
+  }
+
+  if (alert.area_desc) areaDesc = alert.area_desc;
+
+  const geocode = alert.cell_key
+    ? `<geocode>${element('valueName', 'AETHER_GRID_CELL')}${element('value', alert.cell_key)}</geocode>`
+    : '';
+
+  return { areaDesc, xml: `<area>${element('areaDesc', areaDesc)}${shape}${geocode}</area>` };
+};
+
+/**
+ * One CAP 1.2 <alert> document for an alert's latest issue.
+ * First issue: msgType Alert; re-issues: Update; cancelled: Cancel. Updates
+ * and cancellations reference the earlier messages.
+ * @param {Object} alert - alerts row
+ * @returns {string} XML
+ */
+export const renderCapAlert = (alert) => {
+  const cancelled = alert.status === 'cancelled';
+  const level = CAP_LEVELS[alert.severity] || CAP_LEVELS.WATCH;
+  const hazard = formatHazard(alert.hazard_type);
+  const issuedAt = alert.issued_at || alert.created_at;
+  const references = capReferences(alert, cancelled);
+
+  let msgType = 'Alert';
+  if (cancelled) msgType = 'Cancel';
+  else if ((alert.revision || 1) > 1) msgType = 'Update';
+
+  const info = [
+    element('language', 'en-US'),
+    element('category', CATEGORIES[alert.hazard_type] || 'Met'),
+    element('event', hazard),
+    element('responseType', cancelled ? 'AllClear' : level.responseType),
+    element('urgency', level.urgency),
+    element('severity', level.severity),
+    element('certainty', level.certainty),
+    element('effective', capDateTime(issuedAt)),
+    element('onset', capDateTime(alert.onset_at)),
+    element('expires', capDateTime(alert.expires_at)),
+    element('senderName', alertsConfig.cap.senderName),
+    element('headline', `${hazard} ${alert.severity.toLowerCase()}`),
+    element('description', alert.details),
+    element('instruction', alert.instructions),
+    element('web', capUrl(alert)),
+    `<parameter>${element('valueName', 'AETHER_SCORE')}${element('value', alert.score)}</parameter>`,
+    capArea(alert).xml
+  ].join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<alert xmlns="${CAP_NAMESPACE}">${[
+    element('identifier', cancelled ? `aether-alert-${alert.id}-cancel` : capIdentifier(alert)),
+    element('sender', alertsConfig.cap.sender),
+    element('sent', capDateTime(cancelled ? alert.cancelled_at || alert.updated_at : issuedAt)),
+    // Alerts raised through /simulate are marked as tests
+    element('status', alert.source === 'simulate' ? 'Test' : 'Actual'),
+    element('msgType', msgType),
+    element('scope', 'Public'),
+    element('references', references),
+    `<info>${info}</info>`
+  ].join('')}</alert>
+`;
+};
+
+/**
+ * Atom feed with one entry per alert, each linking to its CAP document
+ * @param {Object[]} alerts - alerts rows
+ * @returns {string} XML
+ */
+export const renderAtomFeed = (alerts) => {
+  const feedUrl = `${alertsConfig.subscriptions.publicApiUrl}/api/alerts/feed.atom`;
+  const entryUpdated = (alert) => (alert.status === 'cancelled'
+    ? alert.cancelled_at || alert.updated_at
+    : alert.issued_at || alert.created_at);
+  const updated = alerts.length > 0
+    ? new Date(Math.max(...alerts.map(alert => new Date(entryUpdated(alert)).getTime())))
+    : new Date();
+
+  const entries = alerts.map(alert => {
+    const hazard = formatHazard(alert.hazard_type);
+    const title = `${alert.status === 'cancelled' ? 'Cancelled: ' : ''}${hazard} ${alert.severity.toLowerCase()} - ${capArea(alert).areaDesc}`;
+
+    return `  <entry>
+    ${element('id', capUrl(alert))}
+    ${element('title', title)}
+    ${element('published', atomDateTime(alert.created_at))}
+    ${element('updated', atomDateTime(entryUpdated(alert)))}
+    ${element('summary', alert.details)}
+    <category term="${escapeXml(alert.severity)}" label="${escapeXml(CAP_LEVELS[alert.severity]?.severity || alert.severity)}"/>
+    <link rel="alternate" type="application/cap+xml" href="${escapeXml(capUrl(alert))}"/>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  ${element('id', feedUrl)}
+  ${element('title', alertsConfig.cap.senderName)}
+  ${element('updated', atomDateTime(updated))}
+  <author>${element('name', alertsConfig.cap.senderName)}</author>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+${entries.join('\n')}
+</feed>
+`;
+};
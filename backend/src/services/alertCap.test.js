@@ -0,0 +1,130 @@
+import alertsConfig from '../../config/alerts.js';
+import { CAP_LEVELS, capDateTime, renderCapAlert } from './alertCap.js';
+import { childNamed, childText, parseXml } from './xmlReader.js';
+import { expectEqual } from './testHelpers.js';
+
+/**
+ * Tests for CAP 1.2 export of our alerts
+ * Run with: npm test (from backend/)
+ */
+
+const { sender } = alertsConfig.cap;
+
+// CAP dateTime: seconds precision and an explicit numeric offset
+const CAP_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}$/;
+
+const ALERT = {
+  id: 42,
+  hazard_type: 'FLOOD',
+  severity: 'WARNING',
+  status: 'active',
+  source: 'engine',
+  revision: 1,
+  previous_issues: [],
+  score: 72,
+  details: 'Heavy rain expected',
+  instructions: 'Avoid low-lying roads',
+  cell_key: '0_60',
+  latitude: 19.07,
+  longitude: 72.87,
+  radius_km: 25,
+  created_at: '2026-06-01T08:00:00.250Z',
+  issued_at: '2026-06-01T08:00:00.250Z',
+  onset_at: '2026-06-01T10:00:00.000Z',
+  expires_at: '2026-06-01T16:00:00.000Z',
+  updated_at: '2026-06-01T08:00:00.250Z'
+};
+
+// The re-issue two hours later, as the engine stores it
+const UPDATED = {
+  ...ALERT,
+  revision: 2,
+  severity: 'EMERGENCY',
+  previous_issues: [{ revision: 1, issued_at: ALERT.issued_at }],
+  issued_at: '2026-06-01T10:00:00.000Z',
+  updated_at: '2026-06-01T10:00:00.000Z'
+};
+
+const CANCELLED = { ...UPDATED, status: 'cancelled', cancelled_at: '2026-06-01T12:30:05.900Z' };
+
+const render = (alert) => parseXml(renderCapAlert(alert));
+
+(function testMessageSequence() {
+  console.log('testMessageSequence');
+  const first = render(ALERT);
+  expectEqual(childText(first, 'msgType'), 'Alert', 'first issue');
+  expectEqual(childText(first, 'identifier'), 'aether-alert-42-1', 'first identifier');
+  expectEqual(childNamed(first, 'references'), null, 'nothing to reference');
+  expectEqual(childText(first, 'sent'), '2026-06-01T08:00:00+00:00', 'sent at issue');
+
+  const update = render(UPDATED);
+  expectEqual(childText(update, 'msgType'), 'Update', 're-issue');
+  expectEqual(childText(update, 'identifier'), 'aether-alert-42-2', 'revision in the identifier');
+  expectEqual(childText(update, 'references'), `${sender},aether-alert-42-1,2026-06-01T08:00:00+00:00`,
+    'references the first issue');
+  expectEqual(childText(update, 'sent'), '2026-06-01T10:00:00+00:00', 'sent at re-issue');
+
+  const cancel = render(CANCELLED);
+  expectEqual(childText(cancel, 'msgType'), 'Cancel', 'cancellation');
+  expectEqual(childText(cancel, 'identifier'), 'aether-alert-42-cancel', 'cancel identifier');
+  expectEqual(
+    childText(cancel, 'references'),
+    `${sender},aether-alert-42-1,2026-06-01T08:00:00+00:00 ${sender},aether-alert-42-2,2026-06-01T10:00:00+00:00`,
+    'references every earlier message, space separated'
+  );
+  expectEqual(childText(cancel, 'sent'), '2026-06-01T12:30:05+00:00', 'sent at cancellation');
+  expectEqual(childText(childNamed(cancel, 'info'), 'responseType'), 'AllClear', 'all clear on cancel');
+
+  // A cancelled first issue still references it
+  expectEqual(childText(render({ ...ALERT, status: 'cancelled', cancelled_at: UPDATED.issued_at }), 'references'),
+    `${sender},aether-alert-42-1,2026-06-01T08:00:00+00:00`, 'cancelled first issue');
+  console.log('✓ Passed');
+})();
+
+(function testDateTimeFormat() {
+  console.log('testDateTimeFormat');
+  expectEqual(capDateTime('2026-06-01T08:00:00.999Z'), '2026-06-01T08:00:00+00:00', 'milliseconds dropped, no Z');
+  expectEqual(capDateTime('2026-06-01T13:30:00+05:30'), '2026-06-01T08:00:00+00:00', 'offsets normalised to UTC');
+  expectEqual(capDateTime(new Date(Date.UTC(2026, 0, 2, 3, 4, 5))), '2026-01-02T03:04:05+00:00', 'Date objects');
+  expectEqual(capDateTime(null), null, 'missing');
+
+  const alert = render(CANCELLED);
+  const info = childNamed(alert, 'info');
+  const values = [
+    childText(alert, 'sent'),
+    ...['effective', 'onset', 'expires'].map(name => childText(info, name)),
+    ...childText(alert, 'references').split(' ').map(reference => reference.split(',')[2])
+  ];
+  expectEqual(values.filter(value => !CAP_DATE_TIME.test(value)), [], 'every dateTime in the document');
+  expectEqual(childNamed(childNamed(render({ ...ALERT, onset_at: null }), 'info'), 'onset'), null, 'missing times are left out');
+  console.log('✓ Passed');
+})();
+
+(function testLevelMapping() {
+  console.log('testLevelMapping');
+  const expected = {
+    EMERGENCY: ['Extreme', 'Immediate', 'Likely', 'Prepare'],
+    WARNING: ['Severe', 'Expected', 'Likely', 'Prepare'],
+    WATCH: ['Moderate', 'Future', 'Possible', 'Monitor']
+  };
+  expectEqual(Object.keys(CAP_LEVELS), Object.keys(expected), 'one mapping per level');
+
+  for (const [severity, levels] of Object.entries(expected)) {
+    const info = childNamed(render({ ...ALERT, severity }), 'info');
+    expectEqual(
+      ['severity', 'urgency', 'certainty', 'responseType'].map(name => childText(info, name)),
+      levels,
+      `${severity} severity, urgency, certainty and response`
+    );
+    expectEqual(childText(info, 'headline'), `Flood ${severity.toLowerCase()}`, `${severity} headline`);
+  }
+
+  const info = childNamed(render({ ...ALERT, hazard_type: 'AIR_QUALITY' }), 'info');
+  expectEqual([childText(info, 'category'), childText(info, 'event')], ['Env', 'Air quality'], 'air quality category');
+  expectEqual(childText(childNamed(render(ALERT), 'info'), 'category'), 'Met', 'weather category');
+  expectEqual(childText(render({ ...ALERT, source: 'simulate' }), 'status'), 'Test', 'simulated alerts are tests');
+  expectEqual(childText(render(ALERT), 'status'), 'Actual', 'engine alerts are actual');
+  console.log('✓ Passed');
+})();
+
+console.log('\nAll CAP export tests passed');
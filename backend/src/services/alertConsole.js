@@ -0,0 +1,367 @@
+import { getClient, query } from '../../config/database.js';
+import alertEngine, { getGridCellKey, LIVE_STATUSES } from './alertEngine.js';
+import { renderCapAlert } from './alertCap.js';
+import { renderAlertEmail } from './alertEmailTemplate.js';
+import { geometryCentre, pointInGeometry } from './geo.js';
+
+// Used when a hazard has no rule (and so no scores of its own)
+const DEFAULT_SCORES = { EMERGENCY: 90, WARNING: 70, WATCH: 40 };
+
+// Draft fields an admin edits, as stored in alert_drafts
+const DRAFT_FIELDS = ['hazard_type', 'severity', 'details', 'instructions', 'geometry', 'area_desc', 'onset_at', 'expires_at'];
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return JSON.stringify(value);
+};
+
+/**
+ * { field: { from, to } } for every field that differs between two records
+ */
+export const diffFields = (before, after, fields) => {
+  const changes = {};
+  for (const field of fields) {
+    if (!(field in after)) continue;
+    const from = before?.[field] ?? null;
+    const to = after[field] ?? null;
+    if (comparable(from) !== comparable(to)) changes[field] = { from, to };
+  }
+  return changes;
+};
+
+/**
+ * Manual alerts from the admin console: drafts that can be previewed and
+ * published, then re-issued at another level, extended or cancelled. Every
+ * action is written to alert_audit_log with the admin who did it.
+ * Published alerts have source 'manual' and go through the same engine events
+ * as scheduled ones, so the banner stream, emails and CAP feed pick them up.
+ */
+class AlertConsole {
+  constructor(engine = alertEngine) {
+    this.engine = engine;
+  }
+
+  scoreFor(hazardType, severity) {
+    return (this.engine.rules.get(hazardType)?.scores || DEFAULT_SCORES)[severity];
+  }
+
+  async audit({ alertId = null, draftId = null, action, actorId, changes = {}, note = null }, db = { query }) {
+    await db.query(
+      `INSERT INTO alert_audit_log (alert_id, draft_id, action, actor_id, changes, note)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [alertId, draftId, action, actorId, JSON.stringify(changes), note]
+    );
+  }
+
+  async listDrafts({ status = 'draft' } = {}) {
+    const result = await query(
+      `SELECT d.*, u.name AS updated_by_name
+       FROM alert_drafts d
+       LEFT JOIN users u ON u.id = COALESCE(d.updated_by, d.created_by)
+       WHERE d.status = $1
+       ORDER BY d.updated_at DESC`,
+      [status]
+    );
+    return result.rows;
+  }
+
+  async getDraft(id) {
+    const result = await query('SELECT * FROM alert_drafts WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async getAlert(id) {
+    const result = await query('SELECT * FROM alerts WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Live alerts of every source, for the console's list
+   */
+  async listLiveAlerts() {
+    return this.engine.getLiveAlerts({ limit: Infinity });
+  }
+
+  async createDraft(data, actorId) {
+    const result = await query(
+      `INSERT INTO alert_drafts (hazard_type, severity, details, instructions, geometry, area_desc,
+                                 onset_at, expires_at, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9)
+       RETURNING *`,
+      [
+        data.hazard_type,
+        data.severity,
+        data.details ?? null,
+        data.instructions ?? null,
+        JSON.stringify(data.geometry),
+        data.area_desc ?? null,
+        data.onset_at ?? null,
+        data.expires_at,
+        actorId
+      ]
+    );
+
+    const draft = result.rows[0];
+    await this.audit({
+      draftId: draft.id,
+      action: 'draft_created',
+      actorId,
+      changes: diffFields({}, draft, DRAFT_FIELDS)
+    });
+    return draft;
+  }
+
+  /**
+   * Edit a draft; only unpublished drafts can change
+   * @returns {Promise<Object|null>} null when the draft is missing or no longer a draft
+   */
+  async updateDraft(id, data, actorId) {
+    const before = await this.getDraft(id);
+    if (!before || before.status !== 'draft') return null;
+
+    const result = await query(
+      `UPDATE alert_drafts
+       SET hazard_type = COALESCE($2, hazard_type),
+           severity = COALESCE($3, severity),
+           details = CASE WHEN $4::boolean THEN $5 ELSE details END,
+           instructions = CASE WHEN $6::boolean THEN $7 ELSE instructions END,
+           geometry = COALESCE($8, geometry),
+           area_desc = CASE WHEN $9::boolean THEN $10 ELSE area_desc END,
+           onset_at = CASE WHEN $11::boolean THEN $12::timestamp ELSE onset_at END,
+           expires_at = COALESCE($13, expires_at),
+           updated_by = $14,
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'draft'
+       RETURNING *`,
+      [
+        id,
+        data.hazard_type ?? null,
+        data.severity ?? null,
+        'details' in data, data.details ?? null,
+        'instructions' in data, data.instructions ?? null,
+        data.geometry ? JSON.stringify(data.geometry) : null,
+        'area_desc' in data, data.area_desc ?? null,
+        'onset_at' in data, data.onset_at ?? null,
+        data.expires_at ?? null,
+        actorId
+      ]
+    );
+
+    const draft = result.rows[0] || null;
+    if (draft) {
+      await this.audit({
+        draftId: id,
+        action: 'draft_updated',
+        actorId,
+        changes: diffFields(before, draft, DRAFT_FIELDS)
+      });
+    }
+    return draft;
+  }
+
+  async discardDraft(id, actorId) {
+    const result = await query(
+      `UPDATE alert_drafts SET status = 'discarded', updated_by = $2, updated_at = NOW()
+       WHERE id = $1 AND status = 'draft'
+       RETURNING *`,
+      [id, actorId]
+    );
+
+    const draft = result.rows[0] || null;
+    if (draft) await this.audit({ draftId: id, action: 'draft_discarded', actorId });
+    return draft;
+  }
+
+  /**
+   * What publishing a draft would send: the alert as it would be stored, its
+   * CAP document and email, and how many saved locations (and their users)
+   * its area covers
+   */
+  async preview(draft) {
+    const centre = geometryCentre(draft.geometry);
+    const alert = {
+      id: 0,
+      hazard_type: draft.hazard_type,
+      severity: draft.severity,
+      score: this.scoreFor(draft.hazard_type, draft.severity),
+      cell_key: centre ? getGridCellKey(centre.lat, centre.lon) : null,
+      latitude: centre?.lat ?? null,
+      longitude: centre?.lon ?? null,
+      details: draft.details,
+      instructions: draft.instructions,
+      geometry: draft.geometry,
+      area_desc: draft.area_desc,
+      source: 'manual',
+      status: 'active',
+      revision: 1,
+      onset_at: draft.onset_at,
+      expires_at: draft.expires_at,
+      created_at: new Date()
+    };
+
+    const locations = await query('SELECT user_id, location_name, latitude, longitude FROM saved_locations');
+    const covered = locations.rows.filter(location =>
+      pointInGeometry(Number(location.latitude), Number(location.longitude), draft.geometry)
+    );
+
+    return {
+      alert,
+      cap: renderCapAlert(alert),
+      email: renderAlertEmail(alert, {
+        locations: [...new Set(covered.map(location => location.location_name))].slice(0, 3),
+        unsubscribeUrl: '#'
+      }),
+      affected: {
+        locations: covered.length,
+        users: new Set(covered.map(location => location.user_id)).size
+      }
+    };
+  }
+
+  /**
+   * Publish a draft as a live alert. Claiming the draft, creating the alert,
+   * linking them and the audit entry are one transaction; the alert is only
+   * announced (stream, emails) once it is committed.
+   * @returns {Promise<Object|null>} the alert, or null when the draft is missing or already published
+   */
+  async publish(id, actorId) {
+    let client;
+    let alert;
+
+    try {
+      client = await getClient();
+      await client.query('BEGIN');
+
+      const claimed = await client.query(
+        `UPDATE alert_drafts SET status = 'published', updated_by = $2, updated_at = NOW()
+         WHERE id = $1 AND status = 'draft'
+         RETURNING *`,
+        [id, actorId]
+      );
+      const draft = claimed.rows[0];
+      if (!draft) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const centre = geometryCentre(draft.geometry);
+      alert = await this.engine.insertAlert({
+        hazard_type: draft.hazard_type,
+        severity: draft.severity,
+        score: this.scoreFor(draft.hazard_type, draft.severity),
+        cellKey: centre ? getGridCellKey(centre.lat, centre.lon) : null,
+        latitude: centre?.lat,
+        longitude: centre?.lon,
+        details: draft.details,
+        instructions: draft.instructions,
+        geometry: draft.geometry,
+        areaDesc: draft.area_desc,
+        onsetAt: draft.onset_at,
+        expiresAt: draft.expires_at,
+        source: 'manual'
+      }, client);
+
+      await client.query('UPDATE alert_drafts SET alert_id = $2 WHERE id = $1', [id, alert.id]);
+      await this.audit({ alertId: alert.id, draftId: id, action: 'published', actorId }, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client?.release();
+    }
+
+    this.engine.emit('created', alert);
+    return alert;
+  }
+
+  /**
+   * Re-issue a live alert at another level and/or with new details or
+   * instructions
+   * @returns {Promise<Object|null>} null when the alert is no longer live
+   */
+  async reissue(alertId, { severity, details, instructions, note }, actorId) {
+    const before = await this.getAlert(alertId);
+    if (!before || !LIVE_STATUSES.includes(before.status)) return null;
+
+    const alert = await this.engine.updateAlert(alertId, {
+      severity,
+      score: severity ? this.scoreFor(before.hazard_type, severity) : undefined,
+      details,
+      instructions
+    });
+    if (!alert) return null;
+
+    const changes = diffFields(before, alert, ['severity', 'details', 'instructions']);
+    await this.audit({
+      alertId,
+      action: changes.severity ? 'severity_changed' : 'reissued',
+      actorId,
+      changes,
+      note
+    });
+    return alert;
+  }
+
+  /**
+   * Move a live alert's expiry later (re-issued as a CAP Update)
+   * @returns {Promise<Object|null>} null when the alert is no longer live
+   */
+  async extend(alertId, expiresAt, { note } = {}, actorId) {
+    const before = await this.getAlert(alertId);
+    if (!before || !LIVE_STATUSES.includes(before.status)) return null;
+
+    const alert = await this.engine.updateAlert(alertId, { expiresAt });
+    if (!alert) return null;
+
+    await this.audit({
+      alertId,
+      action: 'extended',
+      actorId,
+      changes: diffFields(before, alert, ['expires_at']),
+      note
+    });
+    return alert;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} null when the alert is no longer live
+   */
+  async cancel(alertId, { note } = {}, actorId) {
+    const before = await this.getAlert(alertId);
+    const alert = await this.engine.cancelAlert(alertId);
+    if (!alert) return null;
+
+    await this.audit({
+      alertId,
+      action: 'cancelled',
+      actorId,
+      changes: diffFields(before, alert, ['status']),
+      note
+    });
+    return alert;
+  }
+
+  /**
+   * Audit entries, newest first, for one alert (including the draft it was
+   * published from), one draft, or everything
+   */
+  async auditTrail({ alertId, draftId, limit = 100 } = {}) {
+    const result = await query(
+      `SELECT l.*, u.name AS actor_name, u.email AS actor_email
+       FROM alert_audit_log l
+       LEFT JOIN users u ON u.id = l.actor_id
+       WHERE ($1::int IS NULL OR l.alert_id = $1
+              OR l.draft_id IN (SELECT id FROM alert_drafts WHERE alert_id = $1))
+         AND ($2::int IS NULL OR l.draft_id = $2)
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT $3`,
+      [alertId ?? null, draftId ?? null, limit]
+    );
+    return result.rows;
+  }
+}
+
+export default new AlertConsole();
@@ -0,0 +1,495 @@
+import nodemailer from 'nodemailer';
+import alertsConfig from '../../config/alerts.js';
+import { query } from '../../config/database.js';
+import alertEngine, { alertCovers, LIVE_STATUSES } from './alertEngine.js';
+import { renderAlertEmail } from './alertEmailTemplate.js';
+import { SEVERITY_LEVELS, unsubscribeUrl } from './alertSubscriptions.js';
+
+const QUEUE_NAME = 'alert-delivery';
+const JOB_NAME = 'send-alert-email';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const severityRank = (severity) => SEVERITY_LEVELS.indexOf(severity);
+
+/**
+ * Delivery log and subscription lookups in PostgreSQL
+ */
+export const pgDeliveryStore = {
+  /**
+   * Everyone subscribed to the alert's hazard, one row per subscribed location:
+   * account subscriptions (weather_alerts) of users with weather alerts and email
+   * notifications on, and confirmed email-only opt-ins (alert_subscriptions).
+   */
+  async findCandidates(alert) {
+    const accounts = await query(
+      `SELECT 'subscription' AS kind, wa.id, u.id AS user_id, u.email, u.name,
+              wa.min_severity, wa.threshold_value,
+              sl.location_name, sl.latitude, sl.longitude
+       FROM weather_alerts wa
+       JOIN users u ON u.id = wa.user_id
+       JOIN saved_locations sl ON sl.id = wa.location_id
+       LEFT JOIN user_settings us ON us.user_id = u.id
+       WHERE wa.is_active = TRUE AND wa.alert_type = $1
+         AND COALESCE(us.weather_alerts, TRUE) AND COALESCE(us.email_notifications, TRUE)`,
+      [alert.hazard_type]
+    );
+
+    const emailOnly = await query(
+      `SELECT id, email, locations, threshold_overrides FROM alert_subscriptions
+       WHERE opted_in = TRUE AND confirmed_at IS NOT NULL AND hazards ? $1`,
+      [alert.hazard_type]
+    );
+
+    return [
+      ...accounts.rows,
+      ...emailOnly.rows.flatMap(row => (Array.isArray(row.locations) ? row.locations : []).map(location => ({
+        kind: 'email',
+        id: row.id,
+        user_id: null,
+        email: row.email,
+        min_severity: 'WATCH',
+        threshold_value: null,
+        threshold_overrides: row.threshold_overrides || null,
+        location_name: location.name || null,
+        latitude: location.lat ?? location.latitude,
+        longitude: location.lon ?? location.longitude
+      })))
+    ];
+  },
+
+  async getAlert(id) {
+    const result = await query('SELECT * FROM alerts WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  async wasSent(alertId, email, severity) {
+    const result = await query(
+      `SELECT 1 FROM alert_deliveries
+       WHERE alert_id = $1 AND email = $2 AND severity = $3 AND status = 'sent'
+       LIMIT 1`,
+      [alertId, email, severity]
+    );
+    return result.rows.length > 0;
+  },
+
+  async countSentSince(email, since) {
+    const result = await query(
+      `SELECT COUNT(*) AS count FROM alert_deliveries
+       WHERE email = $1 AND status = 'sent' AND created_at >= $2`,
+      [email, since]
+    );
+    return parseInt(result.rows[0].count);
+  },
+
+  async recordAttempt(entry) {
+    await query(
+      `INSERT INTO alert_deliveries (alert_id, severity, email, user_id, status, attempt, reason, message_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        entry.alertId,
+        entry.severity,
+        entry.email,
+        entry.userId ?? null,
+        entry.status,
+        entry.attempt,
+        entry.reason ?? null,
+        entry.messageId ?? null
+      ]
+    );
+  }
+};
+
+/**
+ * Filter subscription rows down to those the alert applies to (location covered,
+ * level and score high enough) and merge them into one recipient per address.
+ * A candidate's `subscriber_severity`, when set, is the level the alert reaches
+ * under their own threshold overrides and replaces the alert's level; null
+ * means it doesn't fire for them.
+ */
+export const matchRecipients = (alert, candidates) => {
+  const recipients = new Map();
+
+  for (const candidate of candidates) {
+    const lat = Number(candidate.latitude);
+    const lon = Number(candidate.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || !alertCovers(alert, lat, lon)) continue;
+    const severity = candidate.subscriber_severity === undefined ? alert.severity : candidate.subscriber_severity;
+    if (!severity || severityRank(severity) < severityRank(candidate.min_severity || 'WATCH')) continue;
+    if (candidate.threshold_value !== null && candidate.threshold_value !== undefined &&
+        Number(alert.score) < Number(candidate.threshold_value)) continue;
+
+    const key = candidate.email.toLowerCase();
+    if (!recipients.has(key)) {
+      recipients.set(key, {
+        email: candidate.email,
+        userId: candidate.user_id ?? null,
+        longitude: lon,
+        locations: [],
+        subscriptionIds: [],
+        emailSubscriptionIds: []
+      });
+    }
+
+    const recipient = recipients.get(key);
+    if (candidate.location_name && !recipient.locations.includes(candidate.location_name)) {
+      recipient.locations.push(candidate.location_name);
+    }
+    const ids = candidate.kind === 'email' ? recipient.emailSubscriptionIds : recipient.subscriptionIds;
+    if (!ids.includes(candidate.id)) ids.push(candidate.id);
+  }
+
+  return [...recipients.values()].map(({ subscriptionIds, emailSubscriptionIds, ...recipient }) => ({
+    ...recipient,
+    unsubscribeUrl: subscriptionIds.length > 0
+      ? unsubscribeUrl('subscription', subscriptionIds)
+      : unsubscribeUrl('email', emailSubscriptionIds),
+    unsubscribeAllUrl: recipient.userId ? unsubscribeUrl('user', recipient.userId) : null
+  }));
+};
+
+/**
+ * Parse "22-7" into { start: 22, end: 7 } (hours, end exclusive); null when disabled
+ */
+export const parseQuietHours = (value) => {
+  const match = /^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/.exec(value || '');
+  if (!match) return null;
+  const [start, end] = [Number(match[1]), Number(match[2])];
+  return start === end || start > 23 || end > 23 ? null : { start, end };
+};
+
+/**
+ * Milliseconds until quiet hours end at a longitude, or 0 outside quiet hours.
+ * Local time is approximated from the longitude (15° per hour), which is close
+ * enough for deciding whether someone is likely asleep.
+ */
+export const quietHoursRemainingMs = (quietHours, longitude, now) => {
+  if (!quietHours) return 0;
+
+  const offsetMs = Math.round((longitude || 0) / 15) * HOUR_MS;
+  const local = new Date(now.getTime() + offsetMs);
+  const hour = local.getUTCHours();
+  const { start, end } = quietHours;
+  const quiet = start < end ? hour >= start && hour < end : hour >= start || hour < end;
+  if (!quiet) return 0;
+
+  const endOfQuiet = new Date(local);
+  endOfQuiet.setUTCHours(end, 0, 0, 0);
+  if (endOfQuiet <= local) endOfQuiet.setUTCDate(endOfQuiet.getUTCDate() + 1);
+  return endOfQuiet.getTime() - local.getTime();
+};
+
+/**
+ * In-process delivery queue: jobs run one at a time, delayed jobs wait on timers.
+ * Pending jobs are lost on restart; use ALERT_QUEUE=bullmq to keep them in Redis.
+ */
+class InProcessDeliveryQueue {
+  constructor(processor) {
+    this.name = 'memory';
+    this.processor = processor;
+    this.timers = new Set();
+    this.chain = Promise.resolve();
+  }
+
+  async start() {}
+
+  async enqueue(job, delayMs = 0) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.chain = this.chain
+        .then(() => this.processor(job))
+        .catch((err) => {
+          console.error(`❌ Alert delivery job failed: ${err.message}`);
+        });
+    }, delayMs);
+    // Don't keep the process alive just for pending deliveries
+    timer.unref?.();
+    this.timers.add(timer);
+  }
+
+  get pending() {
+    return this.timers.size;
+  }
+
+  async close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    await this.chain;
+  }
+}
+
+/**
+ * BullMQ-backed delivery queue: delayed retries and quiet-hour deferrals
+ * survive restarts and are shared between server processes.
+ */
+class BullDeliveryQueue {
+  constructor(processor, redisUrl) {
+    this.name = 'bullmq';
+    this.processor = processor;
+    this.redisUrl = redisUrl;
+  }
+
+  async start() {
+    const [{ Queue, Worker }, { default: Redis }] = await Promise.all([
+      import('bullmq'),
+      import('ioredis')
+    ]);
+
+    this.connection = new Redis(this.redisUrl, { maxRetriesPerRequest: null, lazyConnect: true });
+    this.connection.on('error', (err) => {
+      console.error('Alert delivery Redis error:', err.message);
+    });
+    await this.connection.connect();
+    this.queue = new Queue(QUEUE_NAME, { connection: this.connection });
+    this.worker = new Worker(QUEUE_NAME, (job) => this.processor(job.data), {
+      connection: this.connection,
+      concurrency: 1
+    });
+    this.worker.on('failed', (job, err) => {
+      console.error(`❌ Alert delivery job failed: ${err.message}`);
+    });
+  }
+
+  async enqueue(job, delayMs = 0) {
+    await this.queue.add(JOB_NAME, job, { delay: delayMs, removeOnComplete: true, removeOnFail: 100 });
+  }
+
+  async close() {
+    await this.worker?.close();
+    await this.queue?.close();
+    this.connection?.disconnect();
+  }
+}
+
+/**
+ * Sends an email to every matching subscriber when an alert is created or
+ * escalated. Each recipient gets one queued job; every attempt, deferral and
+ * suppression is written to the delivery log (alert_deliveries).
+ *
+ * Policy per recipient:
+ * - one email per alert and severity level (re-evaluations don't resend; when
+ *   an alert's area grows, newly covered recipients are emailed)
+ * - non-emergency emails wait until quiet hours end at their location
+ * - at most rateLimit.maxPerWindow emails per window; EMERGENCY alerts always go out
+ * - failed sends retry with exponential backoff up to maxAttempts
+ */
+export class AlertDispatcher {
+  constructor({ config = alertsConfig.delivery, store = pgDeliveryStore, transport = null, queue = null, severityAt = null, now = () => new Date() } = {}) {
+    this.config = config;
+    this.store = store;
+    this.transport = transport;
+    this.queue = queue;
+    this.severityAt = severityAt;
+    this.now = now;
+    this.quietHours = parseQuietHours(config.quietHours);
+    this.onCreated = (alert) => this.dispatch(alert);
+    this.onUpdated = (alert, previousSeverity) => {
+      const change = severityRank(alert.severity) - severityRank(previousSeverity);
+      if (change > 0) {
+        this.dispatch(alert, { escalated: true });
+      } else if (change === 0) {
+        // Same-level re-issue, e.g. a wider area: only newly covered recipients get it
+        this.dispatch(alert);
+      }
+    };
+  }
+
+  /**
+   * Listen for new and re-issued alerts on the engine
+   */
+  async start(engine = alertEngine) {
+    if (!this.config.enabled) {
+      console.log('⚠️ Alert delivery disabled (ALERT_DELIVERY_ENABLED=false)');
+      return;
+    }
+
+    if (!this.queue) {
+      const processor = (job) => this.process(job);
+      if (alertsConfig.scheduler.queue === 'bullmq') {
+        try {
+          this.queue = new BullDeliveryQueue(processor, alertsConfig.scheduler.redisUrl);
+          await this.queue.start();
+        } catch (error) {
+          console.warn(`⚠️ BullMQ unavailable for alert delivery (${error.message}), using in-process queue`);
+          await this.queue.close().catch(() => {});
+          this.queue = new InProcessDeliveryQueue(processor);
+        }
+      } else {
+        this.queue = new InProcessDeliveryQueue(processor);
+      }
+    }
+
+    this.engine = engine;
+    engine.on('created', this.onCreated);
+    engine.on('updated', this.onUpdated);
+    console.log(`✅ Alert delivery started (${this.queue.name} queue)`);
+  }
+
+  async stop() {
+    this.engine?.off('created', this.onCreated);
+    this.engine?.off('updated', this.onUpdated);
+    this.engine = null;
+    await this.queue?.close();
+  }
+
+  async getTransport() {
+    if (!this.transport) {
+      if (this.config.smtp) {
+        this.transport = nodemailer.createTransport(this.config.smtp);
+      } else {
+        const { default: emailService } = await import('./emailService.js');
+        this.transport = emailService;
+      }
+    }
+    return this.transport;
+  }
+
+  /**
+   * Re-evaluate engine alerts for subscribers with their own threshold overrides
+   * (alert_subscriptions.threshold_overrides) at their location. Overrides can
+   * only narrow who hears about an alert, since it must first fire under the
+   * regional thresholds; official and console alerts carry no thresholds and
+   * go to everyone subscribed. When the forecast can't be fetched the alert's
+   * own level is used.
+   */
+  async applyOverrides(alert, candidates) {
+    if (alert.source !== 'engine') return candidates;
+
+    const applied = [];
+    for (const candidate of candidates) {
+      const point = { lat: Number(candidate.latitude), lon: Number(candidate.longitude) };
+      if (!candidate.threshold_overrides || !Number.isFinite(point.lat) || !Number.isFinite(point.lon) ||
+          !alertCovers(alert, point.lat, point.lon)) {
+        applied.push(candidate);
+        continue;
+      }
+
+      if (!this.severityAt) {
+        const { default: alertScheduler } = await import('./alertScheduler.js');
+        this.severityAt = (hazard, at, overrides) => alertScheduler.severityAt(hazard, at, overrides);
+      }
+
+      try {
+        const severity = await this.severityAt(alert.hazard_type, point, candidate.threshold_overrides);
+        applied.push({ ...candidate, subscriber_severity: severity });
+      } catch (error) {
+        console.warn(`⚠️ Threshold overrides not applied for ${candidate.email}: ${error.message}`);
+        applied.push(candidate);
+      }
+    }
+    return applied;
+  }
+
+  backoffDelay(attempt) {
+    return Math.min(this.config.backoffBaseMs * 2 ** (attempt - 1), this.config.backoffMaxMs);
+  }
+
+  /**
+   * Queue one email per matching recipient. Test alerts raised through /simulate
+   * are never emailed.
+   * @returns {Promise<number>} recipients queued
+   */
+  async dispatch(alert, { escalated = false } = {}) {
+    if (alert.source === 'simulate') return 0;
+
+    try {
+      const candidates = await this.applyOverrides(alert, await this.store.findCandidates(alert));
+      const recipients = matchRecipients(alert, candidates);
+
+      for (const recipient of recipients) {
+        await this.queue.enqueue({ alert, recipient, escalated, attempt: 1 });
+      }
+
+      if (recipients.length > 0) {
+        console.log(`📧 Alert ${alert.id} (${alert.hazard_type} ${alert.severity}) queued for ${recipients.length} recipient(s)`);
+      }
+      return recipients.length;
+    } catch (error) {
+      console.error(`❌ Alert ${alert.id} dispatch failed: ${error.message}`);
+      return 0;
+    }
+  }
+
+  async record(job, status, extra = {}) {
+    await this.store.recordAttempt({
+      alertId: job.alert.id,
+      severity: job.alert.severity,
+      email: job.recipient.email,
+      userId: job.recipient.userId,
+      attempt: job.attempt,
+      status,
+      ...extra
+    });
+  }
+
+  /**
+   * Deliver one queued email, applying the policy above
+   */
+  async process(job) {
+    const { alert, recipient } = job;
+    const emergency = alert.severity === 'EMERGENCY';
+
+    if (await this.store.wasSent(alert.id, recipient.email, alert.severity)) return;
+
+    // A deferred or retried email may be stale by the time it runs
+    if (job.deferred || job.attempt > 1) {
+      const current = await this.store.getAlert(alert.id);
+      if (!current || !LIVE_STATUSES.includes(current.status) || current.severity !== alert.severity) {
+        await this.record(job, 'suppressed', { reason: 'alert no longer live at this level' });
+        return;
+      }
+    }
+
+    const now = this.now();
+
+    if (!emergency && !job.deferred) {
+      const waitMs = quietHoursRemainingMs(this.quietHours, recipient.longitude, now);
+      if (waitMs > 0) {
+        await this.record(job, 'deferred', { reason: `quiet hours, retrying in ${Math.round(waitMs / 60000)} min` });
+        await this.queue.enqueue({ ...job, deferred: true }, waitMs);
+        return;
+      }
+    }
+
+    if (!emergency) {
+      const { maxPerWindow, windowMs } = this.config.rateLimit;
+      const sent = await this.store.countSentSince(recipient.email, new Date(now.getTime() - windowMs));
+      if (sent >= maxPerWindow) {
+        await this.record(job, 'suppressed', { reason: `rate limited (${sent} alert emails in the last ${windowMs / HOUR_MS}h)` });
+        return;
+      }
+    }
+
+    const { subject, html, text } = renderAlertEmail(alert, recipient, job.escalated);
+
+    try {
+      const transport = await this.getTransport();
+      const info = await transport.sendMail({
+        from: this.config.from,
+        to: recipient.email,
+        subject,
+        html,
+        text,
+        headers: {
+          'List-Unsubscribe': `<${recipient.unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+          'X-Aether-Alert-Id': String(alert.id)
+        }
+      });
+      await this.record(job, 'sent', { messageId: info?.messageId });
+    } catch (error) {
+      if (job.attempt >= this.config.maxAttempts) {
+        await this.record(job, 'gave_up', { reason: error.message });
+        console.error(`❌ Alert ${alert.id} email to ${recipient.email} failed after ${job.attempt} attempts: ${error.message}`);
+        return;
+      }
+
+      const delayMs = this.backoffDelay(job.attempt);
+      await this.record(job, 'failed', { reason: error.message });
+      console.warn(`⚠️ Alert ${alert.id} email to ${recipient.email} failed (attempt ${job.attempt}), retrying in ${Math.round(delayMs / 1000)}s`);
+      await this.queue.enqueue({ ...job, attempt: job.attempt + 1 }, delayMs);
+    }
+  }
+}
+
+export default new AlertDispatcher();
@@ -0,0 +1,335 @@
+import net from 'net';
+import { EventEmitter } from 'events';
+import nodemailer from 'nodemailer';
+
+/**
+ * Tests for the alert delivery pipeline, sending real SMTP traffic to a local stand-in server
+ * Run with: npm test (from backend/)
+ */
+
+process.env.ALERT_UNSUBSCRIBE_SECRET ||= 'test-unsubscribe-secret';
+
+const { AlertDispatcher, matchRecipients, parseQuietHours, quietHoursRemainingMs } = await import('./alertDispatcher.js');
+const { verifyUnsubscribeToken } = await import('./alertSubscriptions.js');
+const { expectEqual, waitFor } = await import('./testHelpers.js');
+const { default: alertEngine, THRESHOLDS } = await import('./alertEngine.js');
+const { mergeThresholds } = await import('./thresholdProfiles.js');
+
+/**
+ * Minimal SMTP server: accepts every message, or answers 451 to the next `failNext` messages
+ */
+const startSmtpStandIn = async () => {
+  const standIn = { messages: [], failNext: 0 };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let envelope = {};
+
+    socket.write('220 localhost SMTP stand-in\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          const data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+
+          if (standIn.failNext > 0) {
+            standIn.failNext--;
+            socket.write('451 4.3.0 Temporary failure, try again later\r\n');
+          } else {
+            standIn.messages.push({ ...envelope, data });
+            socket.write('250 2.0.0 Queued\r\n');
+          }
+          envelope = {};
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 localhost\r\n');
+        else if (command === 'MAIL') { envelope.from = line; socket.write('250 OK\r\n'); }
+        else if (command === 'RCPT') { envelope.to = line.replace(/^RCPT TO:\s*<?|>.*$/gi, ''); socket.write('250 OK\r\n'); }
+        else if (command === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (command === 'QUIT') { socket.end('221 Bye\r\n'); return; }
+        else if (command === 'RSET' || command === 'NOOP') socket.write('250 OK\r\n');
+        else socket.write('502 Command not implemented\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  standIn.port = server.address().port;
+  standIn.close = () => new Promise(resolve => server.close(resolve));
+  return standIn;
+};
+
+// In-memory stand-in for pgDeliveryStore
+const memoryStore = (candidates, clock) => {
+  const alerts = new Map();
+  const log = [];
+  return {
+    log,
+    alerts,
+    async findCandidates(alert) {
+      return candidates.filter(candidate => candidate.alert_type === alert.hazard_type);
+    },
+    async getAlert(id) {
+      return alerts.get(id) || null;
+    },
+    async wasSent(alertId, email, severity) {
+      return log.some(entry => entry.alertId === alertId && entry.email === email && entry.severity === severity && entry.status === 'sent');
+    },
+    async countSentSince(email, since) {
+      return log.filter(entry => entry.email === email && entry.status === 'sent' && entry.createdAt >= since).length;
+    },
+    async recordAttempt(entry) {
+      log.push({ ...entry, createdAt: clock() });
+    }
+  };
+};
+
+const DAYTIME = new Date('2026-06-02T06:00:00Z'); // 11:00 in Mumbai
+const MUMBAI = { latitude: 19.08, longitude: 72.88 };
+const DELHI = { latitude: 28.61, longitude: 77.21 };
+
+const CANDIDATES = [
+  { kind: 'subscription', id: 1, user_id: 10, email: 'asha@example.com', alert_type: 'FLOOD', min_severity: 'WATCH', threshold_value: null, location_name: 'Home', ...MUMBAI },
+  { kind: 'subscription', id: 2, user_id: 10, email: 'asha@example.com', alert_type: 'FLOOD', min_severity: 'WATCH', threshold_value: null, location_name: 'Office', latitude: 19.1, longitude: 72.9 },
+  { kind: 'subscription', id: 3, user_id: 11, email: 'ravi@example.com', alert_type: 'FLOOD', min_severity: 'EMERGENCY', threshold_value: null, location_name: 'Home', ...MUMBAI },
+  { kind: 'subscription', id: 4, user_id: 12, email: 'meera@example.com', alert_type: 'FLOOD', min_severity: 'WATCH', threshold_value: null, location_name: 'Delhi', ...DELHI },
+  { kind: 'email', id: 7, user_id: null, email: 'list@example.com', alert_type: 'FLOOD', min_severity: 'WATCH', threshold_value: null, location_name: null, ...MUMBAI }
+];
+
+let nextAlertId = 100;
+const floodAlert = (severity = 'WARNING') => ({
+  id: nextAlertId++,
+  hazard_type: 'FLOOD',
+  severity,
+  score: severity === 'EMERGENCY' ? 90 : 70,
+  ...MUMBAI,
+  radius_km: 50,
+  status: 'active',
+  details: 'Moderate rainfall expected 14:00–20:00, 60 mm total',
+  ends_at: '2026-06-02T20:00:00.000Z'
+});
+
+const makeDispatcher = (standIn, overrides = {}, candidates = CANDIDATES) => {
+  const now = overrides.now || (() => DAYTIME);
+  const store = memoryStore(candidates, now);
+  const dispatcher = new AlertDispatcher({
+    config: {
+      enabled: true,
+      from: 'alerts@aether.test',
+      maxAttempts: 4,
+      backoffBaseMs: 20,
+      backoffMaxMs: 200,
+      rateLimit: { maxPerWindow: 3, windowMs: 6 * 60 * 60 * 1000 },
+      quietHours: '22-7',
+      ...overrides.config
+    },
+    store,
+    transport: nodemailer.createTransport({ host: '127.0.0.1', port: standIn.port, secure: false, ignoreTLS: true }),
+    now
+  });
+  return { dispatcher, store };
+};
+
+const track = (store, alert) => {
+  store.alerts.set(alert.id, alert);
+  return alert;
+};
+
+const standIn = await startSmtpStandIn();
+
+try {
+  await (async function testMatchRecipients() {
+    console.log('testMatchRecipients');
+    const recipients = matchRecipients(floodAlert(), CANDIDATES);
+    expectEqual(recipients.map(r => r.email), ['asha@example.com', 'list@example.com'], 'covered, level high enough');
+    expectEqual(recipients[0].locations, ['Home', 'Office'], 'locations merged per address');
+    const token = new URL(recipients[0].unsubscribeUrl).searchParams.get('token');
+    const { kind, ids } = verifyUnsubscribeToken(token);
+    expectEqual({ kind, ids }, { kind: 'subscription', ids: [1, 2] }, 'one link pauses both subscriptions');
+    expectEqual(recipients[1].unsubscribeAllUrl, null, 'email-only subscribers have no account');
+    expectEqual(matchRecipients(floodAlert('EMERGENCY'), CANDIDATES).length, 3, 'EMERGENCY reaches min_severity EMERGENCY');
+    console.log('✓ Passed');
+  })();
+
+  await (async function testSendsOneEmailPerRecipient() {
+    console.log('testSendsOneEmailPerRecipient');
+    const { dispatcher, store } = makeDispatcher(standIn);
+    await dispatcher.start(new EventEmitter());
+    const alert = track(store, floodAlert());
+
+    expectEqual(await dispatcher.dispatch(alert), 2, 'recipients queued');
+    await waitFor(() => store.log.length === 2, 'two deliveries logged');
+
+    const message = standIn.messages.find(m => m.to === 'asha@example.com');
+    if (!message.data.includes('Subject: [Aether] WARNING: Flood - Home, Office')) throw new Error('subject missing');
+    if (!/List-Unsubscribe:\s+<http[^>]+\/api\/alerts\/unsubscribe\?token=subscription\.1-2\./.test(message.data)) {
+      throw new Error('List-Unsubscribe header missing');
+    }
+    expectEqual(store.log.map(entry => entry.status), ['sent', 'sent'], 'delivery log');
+
+    // Dispatching the same alert again at the same level sends nothing new
+    await dispatcher.dispatch(alert);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expectEqual(standIn.messages.length, 2, 'no duplicate emails');
+    await dispatcher.stop();
+    standIn.messages.length = 0;
+    console.log('✓ Passed');
+  })();
+
+  await (async function testSkipsSimulatedAlerts() {
+    console.log('testSkipsSimulatedAlerts');
+    const { dispatcher, store } = makeDispatcher(standIn);
+    const engine = new EventEmitter();
+    await dispatcher.start(engine);
+    const alert = track(store, { ...floodAlert('EMERGENCY'), source: 'simulate' });
+
+    expectEqual(await dispatcher.dispatch(alert), 0, 'no recipients queued');
+    engine.emit('created', alert);
+    engine.emit('updated', { ...alert, severity: 'EMERGENCY' }, 'WARNING');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expectEqual([store.log.length, standIn.messages.length], [0, 0], 'nothing sent or logged');
+    await dispatcher.stop();
+    console.log('✓ Passed');
+  })();
+
+  await (async function testSubscriberOverrides() {
+    console.log('testSubscriberOverrides');
+    // 30 mm/h in Mumbai: a WARNING under the regional thresholds
+    const rain = { precipitation_rate: 30, precipitation_6h: 40 };
+    const evaluated = [];
+    const severityAt = async (hazard, point, overrides) => {
+      evaluated.push([hazard, point]);
+      return alertEngine.checkHazard(hazard, 'test', rain, mergeThresholds(THRESHOLDS, overrides))?.severity ?? null;
+    };
+    const candidates = [
+      { kind: 'email', id: 8, user_id: null, email: 'regional@example.com', alert_type: 'FLOOD', min_severity: 'WATCH', threshold_value: null, threshold_overrides: null, location_name: null, ...MUMBAI },
+      { kind: 'email', id: 9, user_id: null, email: 'farmer@example.com', alert_type: 'FLOOD', min_severity: 'WATCH', threshold_value: null, location_name: null, ...MUMBAI,
+        threshold_overrides: { FLOOD: { WARNING: { rate_mm_hr: 40 }, WATCH: { rate_mm_hr: 35, accum_6h_mm: 60 } } } },
+      { kind: 'email', id: 10, user_id: null, email: 'stormchaser@example.com', alert_type: 'FLOOD', min_severity: 'WARNING', threshold_value: null, location_name: null, ...MUMBAI,
+        threshold_overrides: { FLOOD: { EMERGENCY: { rate_mm_hr: 30 } } } }
+    ];
+    const { dispatcher } = makeDispatcher(standIn, {}, candidates);
+    dispatcher.severityAt = severityAt;
+    dispatcher.queue = { enqueue: async () => {}, close: async () => {} };
+
+    const alert = { ...floodAlert('WARNING'), source: 'engine' };
+    const matched = matchRecipients(alert, await dispatcher.applyOverrides(alert, candidates));
+    expectEqual(matched.map(r => r.email), ['regional@example.com', 'stormchaser@example.com'], 'raised thresholds filter the subscriber out');
+    expectEqual(evaluated, [['FLOOD', { lat: MUMBAI.latitude, lon: MUMBAI.longitude }], ['FLOOD', { lat: MUMBAI.latitude, lon: MUMBAI.longitude }]], 'evaluated at the subscriber location');
+    expectEqual(await dispatcher.dispatch(alert), 2, 'recipients queued');
+
+    evaluated.length = 0;
+    const official = { ...alert, source: 'cap' };
+    expectEqual(matchRecipients(official, await dispatcher.applyOverrides(official, candidates)).length, 3, 'official warnings ignore overrides');
+    expectEqual(evaluated.length, 0, 'no forecast lookups for official warnings');
+    console.log('✓ Passed');
+  })();
+
+  await (async function testRetriesWithBackoff() {
+    console.log('testRetriesWithBackoff');
+    const { dispatcher, store } = makeDispatcher(standIn, {}, CANDIDATES.slice(0, 1));
+    await dispatcher.start(new EventEmitter());
+    expectEqual([1, 2, 3, 4, 5].map(attempt => dispatcher.backoffDelay(attempt)), [20, 40, 80, 160, 200], 'exponential backoff, capped');
+
+    standIn.failNext = 2;
+    await dispatcher.dispatch(track(store, floodAlert()));
+    await waitFor(() => store.log.some(entry => entry.status === 'sent'), 'send after retries');
+    expectEqual(store.log.map(entry => [entry.status, entry.attempt]), [['failed', 1], ['failed', 2], ['sent', 3]], 'attempts logged');
+    if (!store.log[0].reason.includes('451')) throw new Error('SMTP error not logged');
+
+    standIn.failNext = 10;
+    await dispatcher.dispatch(track(store, floodAlert()));
+    await waitFor(() => store.log.some(entry => entry.status === 'gave_up'), 'give up');
+    expectEqual(store.log.slice(3).map(entry => entry.status), ['failed', 'failed', 'failed', 'gave_up'], 'stops after maxAttempts');
+    standIn.failNext = 0;
+    await dispatcher.stop();
+    standIn.messages.length = 0;
+    console.log('✓ Passed');
+  })();
+
+  await (async function testRateLimit() {
+    console.log('testRateLimit');
+    const { dispatcher, store } = makeDispatcher(standIn, {}, CANDIDATES.slice(0, 1));
+    await dispatcher.start(new EventEmitter());
+
+    // One storm, five re-issued alerts: only the first three reach the inbox
+    for (let i = 0; i < 5; i++) await dispatcher.dispatch(track(store, floodAlert()));
+    await waitFor(() => store.log.length === 5, 'five deliveries logged');
+    expectEqual(store.log.map(entry => entry.status), ['sent', 'sent', 'sent', 'suppressed', 'suppressed'], 'rate limited');
+
+    await dispatcher.dispatch(track(store, floodAlert('EMERGENCY')));
+    await waitFor(() => store.log.length === 6, 'emergency logged');
+    expectEqual(store.log[5].status, 'sent', 'emergencies bypass the limit');
+    await dispatcher.stop();
+    standIn.messages.length = 0;
+    console.log('✓ Passed');
+  })();
+
+  await (async function testQuietHours() {
+    console.log('testQuietHours');
+    expectEqual(parseQuietHours('22-7'), { start: 22, end: 7 }, 'parse');
+    expectEqual(parseQuietHours(''), null, 'disabled');
+
+    // 17:30 UTC is 22:30 in Mumbai (UTC+5 by longitude): quiet until 07:00
+    const night = new Date('2026-06-02T17:30:00Z');
+    expectEqual(quietHoursRemainingMs(parseQuietHours('22-7'), MUMBAI.longitude, night), 8.5 * 60 * 60 * 1000, 'time to morning');
+    expectEqual(quietHoursRemainingMs(parseQuietHours('22-7'), MUMBAI.longitude, DAYTIME), 0, 'daytime');
+
+    const { dispatcher, store } = makeDispatcher(standIn, { now: () => night }, CANDIDATES.slice(0, 1));
+    await dispatcher.start(new EventEmitter());
+    await dispatcher.dispatch(track(store, floodAlert('WARNING')));
+    await waitFor(() => store.log.length === 1, 'deferral logged');
+    expectEqual(store.log[0].status, 'deferred', 'warning waits');
+    expectEqual(dispatcher.queue.pending, 1, 'rescheduled for the morning');
+
+    await dispatcher.dispatch(track(store, floodAlert('EMERGENCY')));
+    await waitFor(() => store.log.length === 2, 'emergency logged');
+    expectEqual(store.log[1].status, 'sent', 'emergency sent at night');
+    await dispatcher.stop();
+    standIn.messages.length = 0;
+    console.log('✓ Passed');
+  })();
+
+  await (async function testEscalationFromEngineEvents() {
+    console.log('testEscalationFromEngineEvents');
+    const engine = new EventEmitter();
+    const { dispatcher, store } = makeDispatcher(standIn, {}, CANDIDATES.slice(0, 1));
+    await dispatcher.start(engine);
+
+    const alert = track(store, floodAlert('WATCH'));
+    engine.emit('created', alert);
+    await waitFor(() => standIn.messages.length === 1, 'created alert emailed');
+
+    engine.emit('updated', alert, 'WATCH');
+    const escalated = track(store, { ...alert, severity: 'WARNING', status: 'updated' });
+    engine.emit('updated', escalated, 'WATCH');
+    await waitFor(() => standIn.messages.length === 2, 'escalation emailed');
+    if (!standIn.messages[1].data.includes('Subject: [Aether] Upgraded to WARNING: Flood')) throw new Error('escalation subject missing');
+
+    engine.emit('updated', track(store, { ...alert, severity: 'WATCH', status: 'updated' }), 'WARNING');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expectEqual(standIn.messages.length, 2, 'downgrades and same-level updates are not emailed');
+
+    await dispatcher.stop();
+    expectEqual(engine.listenerCount('created'), 0, 'listeners removed on stop');
+    console.log('✓ Passed');
+  })();
+} finally {
+  await standIn.close();
+}
+
+console.log('\nAll alert delivery tests passed');
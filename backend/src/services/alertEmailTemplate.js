@@ -0,0 +1,148 @@
+// Email body for alert deliveries, in the same style as /api/email/simulate
+
+const SEVERITY_COLORS = {
+  EMERGENCY: '#ff6b6b',
+  WARNING: '#ffa500',
+  WATCH: '#ffd93d'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatHazard = (hazard) => hazard.charAt(0) + hazard.slice(1).toLowerCase().replace(/_/g, ' ');
+
+const formatTime = (value) => (value ? new Date(value).toUTCString().replace(':00 GMT', ' UTC') : null);
+
+/**
+ * Render one alert email for one recipient
+ * @param {Object} alert - alerts row
+ * @param {Object} recipient
+ * @param {string[]} recipient.locations - names of the recipient's locations the alert covers
+ * @param {string} recipient.unsubscribeUrl - stops this kind of alert
+ * @param {string} [recipient.unsubscribeAllUrl] - turns off all alerts
+ * @param {boolean} [escalated] - the alert was re-issued at a higher level
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const renderAlertEmail = (alert, recipient, escalated = false) => {
+  const hazard = formatHazard(alert.hazard_type);
+  const places = recipient.locations.join(', ');
+  const color = SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.WATCH;
+  const onset = formatTime(alert.onset_at);
+  const ends = formatTime(alert.ends_at) || formatTime(alert.expires_at);
+
+  const subject = `[Aether] ${escalated ? 'Upgraded to ' : ''}${alert.severity}: ${hazard}${places ? ` - ${places}` : ''}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: linear-gradient(135deg, #053943 0%, #064f46 100%); color: #f4fff9; border-radius: 12px;">
+      <div style="text-align: center; padding: 30px 0;">
+        <div style="font-size: 3rem; margin-bottom: 10px;">⚠️</div>
+        <h1 style="color: ${color}; font-size: 2rem; margin: 0;">${alert.severity}${escalated ? ' (upgraded)' : ''}</h1>
+        <h2 style="color: #2fe79f; font-size: 1.5rem; margin: 10px 0 0 0;">${escapeHtml(hazard)}</h2>
+      </div>
+
+      <div style="background: rgba(255,255,255,0.1); border-radius: 8px; padding: 20px; margin: 20px 0;">
+        ${places ? `
+          <div style="margin-bottom: 20px; padding: 15px; background: rgba(47,231,159,0.15); border-left: 4px solid #2fe79f; border-radius: 4px;">
+            <p style="margin: 0; font-size: 1.1rem;"><strong>📍 Location:</strong> ${escapeHtml(places)}</p>
+          </div>
+        ` : ''}
+
+        ${onset || ends ? `
+          <div style="margin-bottom: 20px; padding: 15px; background: rgba(255,165,0,0.15); border-left: 4px solid #ffa500; border-radius: 4px;">
+            ${onset ? `<p style="margin: 0 0 5px 0; font-size: 0.95rem;"><strong>🕐 Start:</strong> ${onset}</p>` : ''}
+            ${ends ? `<p style="margin: 0; font-size: 0.95rem;"><strong>🕐 Until:</strong> ${ends}</p>` : ''}
+          </div>
+        ` : ''}
+
+        ${alert.details ? `
+          <div style="padding: 15px; background: rgba(255,255,255,0.05); border-radius: 4px;">
+            <p style="margin: 0 0 10px 0; font-size: 1rem; font-weight: bold; color: #61ffd0;">Alert Details:</p>
+            <p style="margin: 0; font-size: 0.95rem; line-height: 1.6;">${escapeHtml(alert.details)}</p>
+          </div>
+        ` : ''}
+
+        ${alert.instructions ? `
+          <div style="margin-top: 20px; padding: 15px; background: rgba(255,107,107,0.15); border-left: 4px solid ${color}; border-radius: 4px;">
+            <p style="margin: 0 0 10px 0; font-size: 1rem; font-weight: bold; color: #61ffd0;">What to do:</p>
+            <p style="margin: 0; font-size: 0.95rem; line-height: 1.6; white-space: pre-line;">${escapeHtml(alert.instructions)}</p>
+          </div>
+        ` : ''}
+      </div>
+
+      <div style="text-align: center; padding: 20px 0; border-top: 1px solid rgba(255,255,255,0.2); margin-top: 30px;">
+        <p style="color: #c9f5e8; font-size: 0.9rem; margin: 5px 0;">
+          <strong style="color: #2fe79f;">Aether Weather Alerts</strong>
+        </p>
+        <p style="color: #c9f5e8; font-size: 0.75rem; margin: 15px 0 0 0;">
+          <a href="${escapeHtml(recipient.unsubscribeUrl)}" style="color: #61ffd0;">Unsubscribe from these alerts</a>
+          ${recipient.unsubscribeAllUrl ? ` · <a href="${escapeHtml(recipient.unsubscribeAllUrl)}" style="color: #61ffd0;">Turn off all weather alerts</a>` : ''}
+        </p>
+      </div>
+    </div>
+  `;
+
+  const text = `
+⚠️ ${alert.severity}${escalated ? ' (upgraded)' : ''}: ${hazard}
+${places ? `📍 Location: ${places}\n` : ''}${onset ? `🕐 Start: ${onset}\n` : ''}${ends ? `🕐 Until: ${ends}\n` : ''}
+${alert.details || ''}
+${alert.instructions ? `\nWhat to do: ${alert.instructions}\n` : ''}
+---
+Aether Weather Alerts
+Unsubscribe from these alerts: ${recipient.unsubscribeUrl}
+${recipient.unsubscribeAllUrl ? `Turn off all weather alerts: ${recipient.unsubscribeAllUrl}` : ''}
+  `.trim();
+
+  return { subject, html, text };
+};
+
+/**
+ * Double opt-in email for the email-only alert list
+ * @param {Object} subscription
+ * @param {string} subscription.confirmUrl - confirmation link
+ * @param {string[]} subscription.hazards - hazards subscribed to
+ * @param {number} subscription.locationCount - number of places subscribed to
+ * @param {number} subscription.expiresInHours - how long the link works
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const renderConfirmationEmail = ({ confirmUrl, hazards, locationCount, expiresInHours }) => {
+  const hazardList = hazards.map(formatHazard).join(', ');
+  const places = `${locationCount} ${locationCount === 1 ? 'place' : 'places'}`;
+  const subject = '[Aether] Confirm your weather alert subscription';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: linear-gradient(135deg, #053943 0%, #064f46 100%); color: #f4fff9; border-radius: 12px;">
+      <h1 style="color: #2fe79f; font-size: 1.5rem; text-align: center;">Confirm your alert subscription</h1>
+      <div style="background: rgba(255,255,255,0.1); border-radius: 8px; padding: 20px; margin: 20px 0;">
+        <p style="margin: 0 0 15px 0; font-size: 1rem; line-height: 1.6;">
+          Someone asked for ${escapeHtml(hazardList)} alerts at ${places} to be emailed to this address.
+          Nothing changes until you confirm.
+        </p>
+        <p style="text-align: center; margin: 25px 0;">
+          <a href="${escapeHtml(confirmUrl)}" style="padding: 12px 24px; background: #2fe79f; color: #053943; border-radius: 6px; text-decoration: none; font-weight: bold;">Confirm subscription</a>
+        </p>
+        <p style="margin: 0; font-size: 0.85rem; color: #c9f5e8;">
+          The link works for ${expiresInHours} hours. If you didn't ask for this, ignore this email.
+        </p>
+      </div>
+      <p style="color: #c9f5e8; font-size: 0.9rem; text-align: center;">
+        <strong style="color: #2fe79f;">Aether Weather Alerts</strong>
+      </p>
+    </div>
+  `;
+
+  const text = `
+Someone asked for ${hazardList} alerts at ${places} to be emailed to this address.
+Nothing changes until you confirm:
+
+${confirmUrl}
+
+The link works for ${expiresInHours} hours. If you didn't ask for this, ignore this email.
+---
+Aether Weather Alerts
+  `.trim();
+
+  return { subject, html, text };
+};
@@ -1,134 +1,622 @@
-import { query } from '../config/database.js';
-
-// Threshold configurations (tunable per region)
-const THRESHOLDS = {
-  FLOOD: {
-    EMERGENCY: { rate_mm_hr: 50, accum_6h_mm: 100 },
-    WARNING: { rate_mm_hr: 25, accum_6h_mm: 50 },
-    WATCH: { rate_mm_hr: 10, accum_6h_mm: 25 }
-  },
-  WIND: {
-    EMERGENCY: { sustained_ms: 25, gust_ms: 33 },
-    WARNING: { sustained_ms: 18, gust_ms: 25 },
-    WATCH: { sustained_ms: 10, gust_ms: 15 }
-  },
-  HEAT: {
-    EMERGENCY: { temp_c: 45, duration_hours: 48 },
-    WARNING: { temp_c: 40, duration_hours: 24 },
-    WATCH: { temp_c: 35, duration_hours: 12 }
+import { EventEmitter } from 'events';
+import { query } from '../../config/database.js';
+import { cellBounds, cellKeyAt, distanceKm, geometryBounds, pointInGeometry } from './geo.js';
+import { DEFAULT_RULES } from './alertRules/index.js';
+import { summarizeForecast } from './alertRules/conditions.js';
+
+// Default threshold configuration, one entry per hazard rule. Regions and
+// subscribers can override any value through threshold profiles (see thresholdProfiles.js).
+export const THRESHOLDS = Object.fromEntries(DEFAULT_RULES.map(rule => [rule.hazard, rule.thresholds]));
+
+// Statuses shown to users; expired and cancelled alerts are kept for history
+export const LIVE_STATUSES = ['active', 'updated'];
+
+// Used when the issuer gives no expiry and the hazard has no rule
+const FALLBACK_EXPIRY_HOURS = 6;
+
+// Same 30° grid as getGridCellKey in src/lib/windCache.js
+const GRID_RESOLUTION_DEG = 30;
+
+export const getGridCellKey = (lat, lon, resolution = GRID_RESOLUTION_DEG) => cellKeyAt(lat, lon, resolution);
+
+/**
+ * Corners of a grid cell from its key, e.g. "0_60" -> 0..30°N, 60..90°E
+ */
+export const gridCellBounds = (cellKey, resolution = GRID_RESOLUTION_DEG) => cellBounds(cellKey, resolution);
+
+/**
+ * Whether an alert covers a point: by its geometry (polygon, circle or fine
+ * cells) when it has one; older alerts with only a centre and radius match
+ * by distance, and alerts with neither by 30° grid cell
+ */
+export const alertCovers = (alert, lat, lon) => {
+  if (alert.geometry) {
+    return pointInGeometry(lat, lon, alert.geometry);
+  }
+  if (alert.latitude !== null && alert.latitude !== undefined &&
+      alert.longitude !== null && alert.longitude !== undefined &&
+      alert.radius_km !== null && alert.radius_km !== undefined) {
+    return distanceKm(lat, lon, Number(alert.latitude), Number(alert.longitude)) <= Number(alert.radius_km);
   }
+  return alert.cell_key === getGridCellKey(lat, lon);
+};
+
+/**
+ * Bounding box stored with an alert (bbox_* columns), matching the area alertCovers checks
+ */
+const alertBounds = (alertData) => {
+  if (alertData.geometry) return geometryBounds(alertData.geometry);
+  const { latitude, longitude, radiusKm } = alertData;
+  if ([latitude, longitude, radiusKm].every(value => value !== null && value !== undefined)) {
+    return geometryBounds({
+      type: 'Circle',
+      coordinates: [Number(longitude), Number(latitude)],
+      radius_km: Number(radiusKm)
+    });
+  }
+  return alertData.cellKey ? gridCellBounds(alertData.cellKey) : null;
+};
+
+// Most recent rows scanned when the archive is filtered by area, which happens in JS
+const HISTORY_SCAN_LIMIT = 5000;
+
+/**
+ * WHERE clause for the alert archive filters
+ */
+const historyFilters = ({ hazard, severity, status, from, to }) => {
+  const conditions = [];
+  const params = [];
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `$${params.length}`));
+  };
+
+  if (hazard) add('hazard_type = ?', hazard);
+  if (severity) add('severity = ?', severity);
+  if (status) add('status = ?', status);
+  if (from) add('created_at >= ?', from);
+  // A plain date includes that whole day
+  if (to) add(/^\d{4}-\d{2}-\d{2}$/.test(to) ? 'created_at < ?::date + 1' : 'created_at <= ?', to);
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
 };
 
-class AlertEngine {
-  async evaluateCell(cellKey, weatherData) {
+// Evaluated alerts without a geometry keep the stored one
+const areaChanged = (alert, alertData) =>
+  Boolean(alertData.geometry) && JSON.stringify(alert.geometry) !== JSON.stringify(alertData.geometry);
+
+/**
+ * Events:
+ * - 'created' (alert): a new alert was raised
+ * - 'updated' (alert, previousSeverity): a live alert was re-issued
+ * - 'expired' (alert): a live alert ran out or its conditions cleared
+ * - 'cancelled' (alert): a live alert was withdrawn
+ */
+class AlertEngine extends EventEmitter {
+  constructor() {
+    super();
+    this.rules = new Map(DEFAULT_RULES.map(rule => [rule.hazard, rule]));
+  }
+
+  /**
+   * Add (or replace) a hazard rule; see alertRules/index.js for the rule shape.
+   * Its default thresholds become part of THRESHOLDS so profiles can override them.
+   */
+  registerRule(rule) {
+    this.rules.set(rule.hazard, rule);
+    THRESHOLDS[rule.hazard] = rule.thresholds;
+  }
+
+  expiryHoursFor(hazardType) {
+    return this.rules.get(hazardType)?.expiryHours || FALLBACK_EXPIRY_HOURS;
+  }
+
+  /**
+   * Run every rule against one set of conditions
+   * @param {string} cellKey
+   * @param {Object} weatherData - condition values, see alertRules/conditions.js
+   * @param {Object} [thresholds] - resolved thresholds, defaults to THRESHOLDS
+   */
+  async evaluateCell(cellKey, weatherData, thresholds = THRESHOLDS) {
     const alerts = [];
-    
-    // Check flood risk
-    const floodAlert = this.checkFlood(cellKey, weatherData);
-    if (floodAlert) alerts.push(floodAlert);
-    
-    // Check wind risk
-    const windAlert = this.checkWind(cellKey, weatherData);
-    if (windAlert) alerts.push(windAlert);
-    
-    // Check heat risk
-    const heatAlert = this.checkHeat(cellKey, weatherData);
-    if (heatAlert) alerts.push(heatAlert);
-    
+
+    for (const hazard of this.rules.keys()) {
+      const alert = this.checkHazard(hazard, cellKey, weatherData, thresholds);
+      if (alert) alerts.push(alert);
+    }
+
     return alerts;
   }
 
-  checkFlood(cellKey, data) {
-    const { precipitation_rate, precipitation_6h } = data;
-    
-    if (precipitation_rate >= THRESHOLDS.FLOOD.EMERGENCY.rate_mm_hr ||
-        precipitation_6h >= THRESHOLDS.FLOOD.EMERGENCY.accum_6h_mm) {
-      return {
-        hazard_type: 'FLOOD',
-        severity: 'EMERGENCY',
-        score: 90,
+  /**
+   * Run every rule against an hourly forecast for a cell. Rules with
+   * evaluateSeries look at the whole series and report when the event starts,
+   * peaks and ends; the rest fall back to a snapshot summary of the forecast.
+   * @param {string} cellKey
+   * @param {Object} forecast
+   * @param {Array} forecast.hourly - CanonicalHour steps, earliest first
+   * @param {number} [forecast.intervalHours] - Length of one step
+   * @param {number} [forecast.utcOffsetSeconds] - Local offset used in alert details
+   * @param {Object} [options]
+   * @param {Object} [options.thresholds] - resolved thresholds, defaults to THRESHOLDS
+   * @param {Object} [options.airQuality] - CanonicalAirQuality for snapshot rules
+   * @param {number} [options.lookaheadHours] - Snapshot window for rules without a series check
+   * @param {Date} [options.now]
+   */
+  async evaluateSeries(cellKey, { hourly, intervalHours = 1, utcOffsetSeconds = 0 }, {
+    thresholds = THRESHOLDS,
+    airQuality = null,
+    lookaheadHours = 6,
+    now = new Date()
+  } = {}) {
+    const series = { steps: hourly, intervalHours, utcOffsetSeconds, now };
+    const conditions = summarizeForecast(hourly, intervalHours, { lookaheadHours, airQuality });
+    const alerts = [];
+
+    for (const [hazard, rule] of this.rules) {
+      const levels = thresholds[hazard] || rule.thresholds;
+      const result = rule.evaluateSeries && hourly.length
+        ? rule.evaluateSeries(series, levels)
+        : rule.evaluate(conditions, levels);
+      if (!result) continue;
+
+      alerts.push({
+        hazard_type: hazard,
+        severity: result.severity,
+        score: rule.scores[result.severity],
         cellKey,
-        details: `Heavy rainfall: ${precipitation_rate} mm/hr, 6h total: ${precipitation_6h} mm`
-      };
+        details: result.details,
+        onsetAt: result.onset ?? null,
+        endsAt: result.end ?? null,
+        peakAt: result.peak_at ?? null
+      });
     }
-    
-    if (precipitation_rate >= THRESHOLDS.FLOOD.WARNING.rate_mm_hr ||
-        precipitation_6h >= THRESHOLDS.FLOOD.WARNING.accum_6h_mm) {
-      return {
-        hazard_type: 'FLOOD',
-        severity: 'WARNING',
-        score: 70,
-        cellKey,
-        details: `Moderate rainfall: ${precipitation_rate} mm/hr, 6h total: ${precipitation_6h} mm`
-      };
+
+    return alerts;
+  }
+
+  checkHazard(hazard, cellKey, data, thresholds = THRESHOLDS) {
+    const rule = this.rules.get(hazard);
+    const result = rule.evaluate(data, thresholds[hazard] || rule.thresholds);
+    if (!result) return null;
+
+    return {
+      hazard_type: hazard,
+      severity: result.severity,
+      score: rule.scores[result.severity],
+      cellKey,
+      details: result.details
+    };
+  }
+
+  checkFlood(cellKey, data, thresholds = THRESHOLDS) {
+    return this.checkHazard('FLOOD', cellKey, data, thresholds);
+  }
+
+  checkWind(cellKey, data, thresholds = THRESHOLDS) {
+    return this.checkHazard('WIND', cellKey, data, thresholds);
+  }
+
+  checkHeat(cellKey, data, thresholds = THRESHOLDS) {
+    return this.checkHazard('HEAT', cellKey, data, thresholds);
+  }
+
+  /**
+   * When an alert should lapse without re-evaluation: an explicit expiry, else
+   * the end of the forecast event, else the hazard's default lifetime
+   */
+  defaultExpiry(alertData) {
+    if (alertData.expiresAt) return alertData.expiresAt;
+    if (alertData.endsAt) return new Date(alertData.endsAt);
+    return new Date(Date.now() + this.expiryHoursFor(alertData.hazard_type) * 60 * 60 * 1000);
+  }
+
+  async createAlert(alertData) {
+    const alert = await this.insertAlert(alertData);
+    this.emit('created', alert);
+    return alert;
+  }
+
+  /**
+   * Store a new alert without announcing it, e.g. inside a transaction
+   * (pass its client as `db`); the caller emits 'created' once it is committed
+   */
+  async insertAlert(alertData, db = { query }) {
+    const expiresAt = this.defaultExpiry(alertData);
+    const bounds = alertBounds(alertData);
+
+    const result = await db.query(
+      `INSERT INTO alerts (hazard_type, severity, score, cell_key, latitude, longitude, radius_km,
+                           details, source, status, onset_at, ends_at, peak_at, expires_at, geometry,
+                           area_desc, instructions, bbox_south, bbox_west, bbox_north, bbox_east,
+                           issued_at, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'active', $10, $11, $12, $13, $14, $15, $16,
+               $17, $18, $19, $20, NOW(), NOW(), NOW())
+       RETURNING *`,
+      [
+        alertData.hazard_type,
+        alertData.severity,
+        alertData.score,
+        alertData.cellKey,
+        alertData.latitude ?? null,
+        alertData.longitude ?? null,
+        alertData.radiusKm ?? null,
+        alertData.details,
+        alertData.source || 'engine',
+        alertData.onsetAt ?? null,
+        alertData.endsAt ?? null,
+        alertData.peakAt ?? null,
+        expiresAt,
+        alertData.geometry ? JSON.stringify(alertData.geometry) : null,
+        alertData.areaDesc ?? null,
+        alertData.instructions ?? null,
+        bounds?.south ?? null,
+        bounds?.west ?? null,
+        bounds?.north ?? null,
+        bounds?.east ?? null
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Re-issue a live alert with new severity/details/instructions, a later
+   * expiry or a new area; moves it to 'updated'.
+   * Each re-issue is a new revision; earlier ones are kept in previous_issues
+   * so CAP updates can reference them.
+   */
+  async updateAlert(id, changes) {
+    const bounds = changes.geometry ? geometryBounds(changes.geometry) : null;
+    const result = await query(
+      `WITH previous AS (SELECT id, severity FROM alerts WHERE id = $1)
+       UPDATE alerts
+       SET severity = COALESCE($2, alerts.severity),
+           score = COALESCE($3, alerts.score),
+           details = COALESCE($4, alerts.details),
+           expires_at = COALESCE($5, alerts.expires_at),
+           onset_at = COALESCE($7, alerts.onset_at),
+           ends_at = COALESCE($8, alerts.ends_at),
+           peak_at = COALESCE($9, alerts.peak_at),
+           geometry = COALESCE($10, alerts.geometry),
+           area_desc = COALESCE($11, alerts.area_desc),
+           instructions = COALESCE($12, alerts.instructions),
+           bbox_south = COALESCE($13, alerts.bbox_south),
+           bbox_west = COALESCE($14, alerts.bbox_west),
+           bbox_north = COALESCE($15, alerts.bbox_north),
+           bbox_east = COALESCE($16, alerts.bbox_east),
+           status = 'updated',
+           revision = alerts.revision + 1,
+           previous_issues = alerts.previous_issues || jsonb_build_array(
+             jsonb_build_object('revision', alerts.revision, 'issued_at', alerts.issued_at)
+           ),
+           issued_at = NOW(),
+           updated_at = NOW()
+       FROM previous
+       WHERE alerts.id = previous.id AND alerts.status = ANY($6)
+       RETURNING alerts.*, previous.severity AS previous_severity`,
+      [
+        id,
+        changes.severity ?? null,
+        changes.score ?? null,
+        changes.details ?? null,
+        changes.expiresAt ?? null,
+        LIVE_STATUSES,
+        changes.onsetAt ?? null,
+        changes.endsAt ?? null,
+        changes.peakAt ?? null,
+        changes.geometry ? JSON.stringify(changes.geometry) : null,
+        changes.areaDesc ?? null,
+        changes.instructions ?? null,
+        bounds?.south ?? null,
+        bounds?.west ?? null,
+        bounds?.north ?? null,
+        bounds?.east ?? null
+      ]
+    );
+
+    if (!result.rows[0]) return null;
+
+    const { previous_severity: previousSeverity, ...alert } = result.rows[0];
+    this.emit('updated', alert, previousSeverity);
+    return alert;
+  }
+
+  async cancelAlert(id) {
+    const result = await query(
+      `UPDATE alerts
+       SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = ANY($2)
+       RETURNING *`,
+      [id, LIVE_STATUSES]
+    );
+
+    const alert = result.rows[0] || null;
+    if (alert) this.emit('cancelled', alert);
+    return alert;
+  }
+
+  /**
+   * Apply one evaluation of a cell against its live engine alerts:
+   * - new hazards are created
+   * - hazards already alerted are extended, or re-issued when the severity or area changed
+   * - hazards whose conditions have cleared are expired
+   * Alerts from other sources (e.g. simulate) are left alone.
+   */
+  async reconcileCell(cellKey, evaluated, { latitude = null, longitude = null, expiresAt } = {}) {
+    const existing = await query(
+      `SELECT * FROM alerts
+       WHERE cell_key = $1 AND source = 'engine' AND status = ANY($2)`,
+      [cellKey, LIVE_STATUSES]
+    );
+
+    const liveByHazard = new Map(existing.rows.map(alert => [alert.hazard_type, alert]));
+    const summary = { created: 0, updated: 0, extended: 0, cleared: 0 };
+
+    for (const alertData of evaluated) {
+      const live = liveByHazard.get(alertData.hazard_type);
+      const alertExpiry = expiresAt || this.defaultExpiry(alertData);
+      liveByHazard.delete(alertData.hazard_type);
+
+      if (!live) {
+        await this.createAlert({
+          ...alertData,
+          latitude: alertData.latitude ?? latitude,
+          longitude: alertData.longitude ?? longitude,
+          source: 'engine',
+          expiresAt: alertExpiry
+        });
+        summary.created++;
+      } else if (live.severity !== alertData.severity || areaChanged(live, alertData)) {
+        await this.updateAlert(live.id, { ...alertData, expiresAt: alertExpiry });
+        summary.updated++;
+      } else {
+        // Same hazard at the same level: refresh the numbers and window without re-issuing
+        await query(
+          `UPDATE alerts
+           SET details = $2, score = $3, expires_at = $4, onset_at = $5, ends_at = $6, peak_at = $7,
+               updated_at = NOW()
+           WHERE id = $1`,
+          [
+            live.id,
+            alertData.details,
+            alertData.score,
+            alertExpiry,
+            alertData.onsetAt ?? null,
+            alertData.endsAt ?? null,
+            alertData.peakAt ?? null
+          ]
+        );
+        summary.extended++;
+      }
     }
-    
-    if (precipitation_rate >= THRESHOLDS.FLOOD.WATCH.rate_mm_hr) {
-      return {
-        hazard_type: 'FLOOD',
-        severity: 'WATCH',
-        score: 40,
-        cellKey,
-        details: `Rainfall: ${precipitation_rate} mm/hr`
-      };
+
+    // Whatever is left no longer meets any threshold
+    for (const cleared of liveByHazard.values()) {
+      const expired = await query(
+        `UPDATE alerts SET status = 'expired', expires_at = NOW(), updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [cleared.id]
+      );
+      if (expired.rows[0]) this.emit('expired', expired.rows[0]);
+      summary.cleared++;
     }
-    
-    return null;
-  }
-
-  checkWind(cellKey, data) {
-    const { wind_speed, wind_gust } = data;
-    
-    if (wind_speed >= THRESHOLDS.WIND.EMERGENCY.sustained_ms ||
-        wind_gust >= THRESHOLDS.WIND.EMERGENCY.gust_ms) {
-      return {
-        hazard_type: 'WIND',
-        severity: 'EMERGENCY',
-        score: 85,
-        cellKey,
-        details: `Extreme winds: ${wind_speed} m/s sustained, gusts ${wind_gust} m/s`
-      };
+
+    return summary;
+  }
+
+  /**
+   * Move live alerts past their expiry time to 'expired'
+   */
+  async expireAlerts() {
+    const result = await query(
+      `UPDATE alerts
+       SET status = 'expired', updated_at = NOW()
+       WHERE status = ANY($1) AND expires_at IS NOT NULL AND expires_at <= NOW()
+       RETURNING *`,
+      [LIVE_STATUSES]
+    );
+
+    result.rows.forEach(alert => this.emit('expired', alert));
+    return result.rowCount;
+  }
+
+  /**
+   * Alerts for the public feed: live alerts plus those cancelled within the
+   * last `cancelledWithinHours`, newest issue first
+   */
+  async getFeedAlerts({ cancelledWithinHours, limit = 100 }) {
+    const result = await query(
+      `SELECT * FROM alerts
+       WHERE (status = ANY($1) AND (expires_at IS NULL OR expires_at > NOW()))
+          OR (status = 'cancelled' AND cancelled_at > NOW() - make_interval(hours => $2))
+       ORDER BY COALESCE(cancelled_at, issued_at, created_at) DESC
+       LIMIT $3`,
+      [LIVE_STATUSES, cancelledWithinHours, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Record that a user has seen an alert at its current level. Acknowledging
+   * again (after a re-issue at another level) replaces the earlier record.
+   * @returns {Promise<Object|null>} null when the alert doesn't exist
+   */
+  async acknowledgeAlert(alertId, userId) {
+    const result = await query(
+      `INSERT INTO alert_acknowledgements (user_id, alert_id, severity)
+       SELECT $1, id, severity FROM alerts WHERE id = $2
+       ON CONFLICT (user_id, alert_id) DO UPDATE
+         SET severity = EXCLUDED.severity, acknowledged_at = NOW()
+       RETURNING *`,
+      [userId, alertId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Add the level the user acknowledged each alert at (acknowledged_severity,
+   * or null) so clients can hide it until the level changes
+   */
+  async withAcknowledgements(alerts, userId) {
+    if (!userId || alerts.length === 0) {
+      return alerts.map(alert => ({ ...alert, acknowledged_severity: null }));
     }
-    
-    if (wind_speed >= THRESHOLDS.WIND.WARNING.sustained_ms ||
-        wind_gust >= THRESHOLDS.WIND.WARNING.gust_ms) {
-      return {
-        hazard_type: 'WIND',
-        severity: 'WARNING',
-        score: 65,
-        cellKey,
-        details: `High winds: ${wind_speed} m/s sustained, gusts ${wind_gust} m/s`
-      };
+
+    const result = await query(
+      `SELECT alert_id, severity FROM alert_acknowledgements
+       WHERE user_id = $1 AND alert_id = ANY($2)`,
+      [userId, alerts.map(alert => alert.id)]
+    );
+    const acknowledged = new Map(result.rows.map(row => [row.alert_id, row.severity]));
+
+    return alerts.map(alert => ({ ...alert, acknowledged_severity: acknowledged.get(alert.id) ?? null }));
+  }
+
+  /**
+   * Live alerts, highest score first, optionally limited to those covering a
+   * point (lat/lon) or any of several points (see alertCovers). A point with a
+   * hazard only matches alerts for that hazard.
+   * Alerts past their expiry are skipped; moving them to 'expired' is left to
+   * the scheduler (expireAlerts) so reads stay cheap.
+   * @param {Object} [options]
+   * @param {Array<{lat: number, lon: number, hazard?: string}>} [options.points]
+   * @param {number} [options.limit]
+   */
+  async getLiveAlerts({ lat, lon, points, limit = 50 } = {}) {
+    if (lat !== undefined && lon !== undefined) {
+      points = [{ lat: Number(lat), lon: Number(lon) }];
     }
-    
-    return null;
-  }
-
-  checkHeat(cellKey, data) {
-    const { temperature } = data;
-    
-    if (temperature >= THRESHOLDS.HEAT.WARNING.temp_c) {
-      return {
-        hazard_type: 'HEAT',
-        severity: 'WARNING',
-        score: 75,
-        cellKey,
-        details: `Extreme heat: ${temperature}°C`
-      };
+    const sqlLimit = Number.isFinite(limit) ? limit : null;
+
+    if (!points) {
+      const result = await query(
+        `SELECT * FROM alerts
+         WHERE status = ANY($1) AND (expires_at IS NULL OR expires_at > NOW())
+         ORDER BY score DESC, created_at DESC
+         LIMIT $2`,
+        [LIVE_STATUSES, sqlLimit]
+      );
+      return result.rows;
     }
-    
-    return null;
+
+    if (points.length === 0) return [];
+
+    // Bounding boxes narrow the candidates in SQL; the exact area check runs on those
+    const result = await query(
+      `SELECT * FROM alerts a
+       WHERE a.status = ANY($1) AND (a.expires_at IS NULL OR a.expires_at > NOW())
+         AND EXISTS (
+           SELECT 1 FROM unnest($2::float8[], $3::float8[], $4::text[]) AS p(lat, lon, hazard)
+           WHERE (p.hazard IS NULL OR p.hazard = a.hazard_type)
+             AND (a.bbox_south IS NULL OR (
+               p.lat BETWEEN a.bbox_south AND a.bbox_north AND p.lon BETWEEN a.bbox_west AND a.bbox_east
+             ))
+         )
+       ORDER BY a.score DESC, a.created_at DESC`,
+      [
+        LIVE_STATUSES,
+        points.map(point => point.lat),
+        points.map(point => point.lon),
+        points.map(point => point.hazard ?? null)
+      ]
+    );
+
+    const covering = result.rows.filter(alert => points.some(point =>
+      (!point.hazard || point.hazard === alert.hazard_type) && alertCovers(alert, point.lat, point.lon)
+    ));
+    return sqlLimit === null ? covering : covering.slice(0, sqlLimit);
   }
 
-  async createAlert(alertData) {
+  /**
+   * Alerts of any status, newest first, filtered by hazard, severity, status,
+   * issue date range and (lat/lon) whether their area covers a point.
+   * The area filter runs on at most HISTORY_SCAN_LIMIT rows matching the other filters.
+   * @returns {Promise<{alerts: Object[], total: number}>}
+   */
+  async getAlertHistory({ hazard, severity, status, from, to, lat, lon, page = 1, limit = 50 } = {}) {
+    const { where, params } = historyFilters({ hazard, severity, status, from, to });
+    const offset = (page - 1) * limit;
+
+    if (lat !== undefined && lon !== undefined) {
+      const result = await query(
+        `SELECT * FROM alerts ${where} ORDER BY created_at DESC LIMIT ${HISTORY_SCAN_LIMIT}`,
+        params
+      );
+      const covering = result.rows.filter(alert => alertCovers(alert, lat, lon));
+      return { alerts: covering.slice(offset, offset + limit), total: covering.length };
+    }
+
     const result = await query(
-      `INSERT INTO alerts (hazard_type, severity, score, cell_key, details, status, created_at)
-       VALUES ($1, $2, $3, $4, $5, 'active', NOW())
-       RETURNING *`,
-      [alertData.hazard_type, alertData.severity, alertData.score, alertData.cellKey, alertData.details]
+      `SELECT *, COUNT(*) OVER() AS total_count FROM alerts ${where}
+       ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
     );
-    
-    return result.rows[0];
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+    return {
+      alerts: result.rows.map(row => {
+        const alert = { ...row };
+        delete alert.total_count;
+        return alert;
+      }),
+      total
+    };
+  }
+
+  /**
+   * Alert counts per hazard type and level for the same filters as getAlertHistory
+   */
+  async getHistoryStats({ hazard, severity, status, from, to, lat, lon } = {}) {
+    const { where, params } = historyFilters({ hazard, severity, status, from, to });
+    let rows;
+
+    if (lat !== undefined && lon !== undefined) {
+      const result = await query(
+        `SELECT * FROM alerts ${where} ORDER BY created_at DESC LIMIT ${HISTORY_SCAN_LIMIT}`,
+        params
+      );
+      const counts = new Map();
+      for (const alert of result.rows.filter(row => alertCovers(row, lat, lon))) {
+        const key = `${alert.hazard_type}:${alert.severity}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+      rows = [...counts].map(([key, count]) => {
+        const [hazardType, level] = key.split(':');
+        return { hazard_type: hazardType, severity: level, count };
+      });
+    } else {
+      const result = await query(
+        `SELECT hazard_type, severity, COUNT(*) AS count FROM alerts ${where}
+         GROUP BY hazard_type, severity`,
+        params
+      );
+      rows = result.rows.map(row => ({ ...row, count: parseInt(row.count) }));
+    }
+
+    return rows.sort((a, b) => a.hazard_type.localeCompare(b.hazard_type) || b.count - a.count);
+  }
+
+  /**
+   * A user's saved locations, each with the live alerts whose area covers it
+   */
+  async getSavedLocationAlerts(userId) {
+    const locations = await query(
+      `SELECT id, location_name, latitude, longitude, is_primary FROM saved_locations
+       WHERE user_id = $1 ORDER BY rank ASC, created_at ASC`,
+      [userId]
+    );
+    const points = locations.rows.map(location => ({
+      lat: Number(location.latitude),
+      lon: Number(location.longitude)
+    }));
+    const alerts = await this.getLiveAlerts({ points, limit: Infinity });
+
+    return locations.rows.map((location, i) => ({
+      ...location,
+      alerts: alerts.filter(alert => alertCovers(alert, points[i].lat, points[i].lon))
+    }));
   }
 }
 
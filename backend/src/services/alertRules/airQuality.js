@@ -0,0 +1,37 @@
+import { firstMatchingLevel } from './tiers.js';
+
+// US EPA AQI categories
+const LABELS = {
+  EMERGENCY: 'Very unhealthy air',
+  WARNING: 'Unhealthy air',
+  WATCH: 'Air unhealthy for sensitive groups'
+};
+
+/**
+ * Poor air quality from the US AQI or a PM2.5 spike.
+ * Inputs: us_aqi, pm2_5_ugm3 (µg/m³)
+ */
+export default {
+  hazard: 'AIR_QUALITY',
+  expiryHours: 6,
+  scores: { EMERGENCY: 85, WARNING: 65, WATCH: 40 },
+  thresholds: {
+    EMERGENCY: { us_aqi: 201, pm2_5_ugm3: 150.5 },
+    WARNING: { us_aqi: 151, pm2_5_ugm3: 55.5 },
+    WATCH: { us_aqi: 101, pm2_5_ugm3: 35.5 }
+  },
+
+  evaluate({ us_aqi = null, pm2_5_ugm3 = null }, thresholds) {
+    if (us_aqi === null && pm2_5_ugm3 === null) return null;
+
+    const severity = firstMatchingLevel(thresholds, t =>
+      (us_aqi !== null && us_aqi >= t.us_aqi) || (pm2_5_ugm3 !== null && pm2_5_ugm3 >= t.pm2_5_ugm3)
+    );
+    if (!severity) return null;
+
+    return {
+      severity,
+      details: `${LABELS[severity]}: AQI ${us_aqi ?? 'n/a'}, PM2.5 ${pm2_5_ugm3 ?? 'n/a'} µg/m³`
+    };
+  }
+};
@@ -0,0 +1,200 @@
+import fs from 'fs';
+import alertEngine, { THRESHOLDS } from '../alertEngine.js';
+import { mergeThresholds, validateThresholds } from '../thresholdProfiles.js';
+import { summarizeForecast } from './conditions.js';
+import { formatWindow, rollingSums } from './series.js';
+import { expectEqual, fixturePath, loadFixture } from '../testHelpers.js';
+
+/**
+ * Unit tests for the alert rules, driven by canonical weather fixtures
+ * Run with: npm test (from backend/)
+ */
+
+const severities = (alerts) => Object.fromEntries(alerts.map(alert => [alert.hazard_type, alert.severity]));
+
+const sortKeys = (object) => Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+
+// Every scenario in fixtures/alerts lists the exact alerts it should raise
+for (const file of fs.readdirSync(fixturePath('alerts')).filter(name => name.endsWith('.json'))) {
+  const scenario = loadFixture('alerts', file);
+  console.log(`testScenario ${file}: ${scenario.description}`);
+  const conditions = summarizeForecast(scenario.hourly, scenario.hourly_interval_hours, {
+    airQuality: scenario.air_quality
+  });
+  const alerts = await alertEngine.evaluateCell('test', conditions);
+  for (const alert of alerts) console.log(`  ${alert.hazard_type} ${alert.severity}: ${alert.details}`);
+  expectEqual(sortKeys(severities(alerts)), sortKeys(scenario.expect), file);
+  console.log('✓ Passed');
+}
+
+// The recorded Mumbai forecast is warm and humid but not hazardous apart from the midday sun
+await (async function testNoFalseAlarms() {
+  console.log('testNoFalseAlarms');
+  const forecast = loadFixture('weather', 'forecast.json');
+  const alerts = await alertEngine.evaluateCell('test', summarizeForecast(forecast.hourly));
+  expectEqual(severities(alerts), { UV: 'WARNING' }, 'mumbai forecast');
+  console.log('✓ Passed');
+})();
+
+(function testWindWatchTier() {
+  console.log('testWindWatchTier');
+  const alert = alertEngine.checkWind('test', { wind_speed: 11, wind_gust: 14 });
+  expectEqual(alert?.severity, 'WATCH', 'sustained 11 m/s');
+  expectEqual(alert.score, 40, 'watch score');
+  expectEqual(alertEngine.checkWind('test', { wind_speed: 9, wind_gust: 14 }), null, 'below watch');
+  console.log('✓ Passed');
+})();
+
+(function testTierBoundaries() {
+  console.log('testTierBoundaries');
+  const check = (hazard, data) => alertEngine.checkHazard(hazard, 'test', data)?.severity ?? null;
+  expectEqual(check('FROST', { temperature_min: 2 }), 'WATCH', 'frost at 2°C');
+  expectEqual(check('FROST', { temperature_min: 2.1 }), null, 'frost at 2.1°C');
+  expectEqual(check('SNOW', { snowfall_24h_cm: 10 }), 'WARNING', 'snow 10 cm');
+  expectEqual(check('THUNDERSTORM', { storm_hours: 2, hail_hours: 1 }), 'EMERGENCY', 'hail');
+  expectEqual(check('THUNDERSTORM', { storm_hours: 3, hail_hours: 0 }), 'WARNING', '3h of thunder');
+  expectEqual(check('AIR_QUALITY', { us_aqi: 90, pm2_5_ugm3: 40 }), 'WATCH', 'PM2.5 spike with moderate AQI');
+  expectEqual(check('AIR_QUALITY', {}), null, 'no air quality data');
+  expectEqual(check('UV', { uv_index_max: 7.9 }), 'WATCH', 'UV 7.9');
+  expectEqual(check('FOG', { visibility_min_m: 50 }), 'EMERGENCY', 'visibility 50 m');
+  expectEqual(check('FOG', { visibility_min_m: null }), null, 'no visibility data');
+  console.log('✓ Passed');
+})();
+
+(function testHeatDuration() {
+  console.log('testHeatDuration');
+  const hot = (hours) => ({ temperature_hourly: [...Array(hours).fill(41), 30] });
+  expectEqual(alertEngine.checkHeat('test', hot(23))?.severity, 'WATCH', '41°C for 23h');
+  expectEqual(alertEngine.checkHeat('test', hot(24))?.severity, 'WARNING', '41°C for 24h');
+  expectEqual(alertEngine.checkHeat('test', { temperature: 44 }), null, 'single reading');
+  console.log('✓ Passed');
+})();
+
+(function testRegionalThresholds() {
+  console.log('testRegionalThresholds');
+  const nordic = mergeThresholds(THRESHOLDS, { HEAT: { WARNING: { temp_c: 27 } }, FROST: { WATCH: { temp_c: -2 } } });
+  const warmSpell = { temperature_hourly: Array(30).fill(28) };
+  expectEqual(alertEngine.checkHeat('test', warmSpell), null, 'default thresholds');
+  expectEqual(alertEngine.checkHeat('test', warmSpell, nordic)?.severity, 'WARNING', 'nordic thresholds');
+  expectEqual(alertEngine.checkHazard('FROST', 'test', { temperature_min: 1 }, nordic), null, 'nordic frost');
+  expectEqual(validateThresholds({ SNOW: { WATCH: { accum_24h_cm: 5 } } }), [], 'new hazards are overridable');
+  console.log('✓ Passed');
+})();
+
+(function testSummarizeThreeHourlySteps() {
+  console.log('testSummarizeThreeHourlySteps');
+  // OpenWeather-style steps without snowfall_cm: snow comes from precipitation during snow codes
+  const step = (precipitation_mm, code) => ({ temperature_c: -1, precipitation_mm, condition: { code } });
+  const conditions = summarizeForecast(
+    [step(6, 75), step(3, 95), step(0, 3), step(4, 73)],
+    3,
+    { lookaheadHours: 6 }
+  );
+  expectEqual(conditions.precipitation_rate, 2, 'rate per hour');
+  expectEqual(conditions.precipitation_6h, 9, '6h accumulation');
+  expectEqual(conditions.snowfall_24h_cm, 10, 'snow from codes');
+  expectEqual(conditions.storm_hours, 3, 'storm hours');
+  expectEqual(conditions.temperature_hourly.length, 12, 'hourly temperature series');
+  console.log('✓ Passed');
+})();
+
+// Hourly series starting at midnight UTC on Tue 2 June 2026; `values` overrides fields per hour
+const NOW = new Date('2026-06-02T00:00:00Z');
+const hourlySeries = (hours, values = () => ({})) => Array.from({ length: hours }, (_, i) => ({
+  time: new Date(NOW.getTime() + i * 60 * 60 * 1000).toISOString(),
+  temperature_c: 20,
+  precipitation_mm: 0,
+  wind_speed_ms: 3,
+  wind_gust_ms: 5,
+  visibility_m: 10000,
+  uv_index: 0,
+  condition: { code: 1 },
+  ...values(i)
+}));
+
+await (async function testSeriesRainWindow() {
+  console.log('testSeriesRainWindow');
+  const rain = { 14: 15, 15: 20, 16: 25, 17: 20, 18: 15, 19: 10 };
+  const hourly = hourlySeries(24, i => ({ precipitation_mm: rain[i] ?? 0 }));
+  const alerts = await alertEngine.evaluateSeries('test', { hourly }, { now: NOW });
+  expectEqual(severities(alerts), { FLOOD: 'EMERGENCY' }, 'severity from 6h accumulation');
+  const [flood] = alerts;
+  expectEqual(flood.details, 'Heavy rainfall expected 14:00–20:00, 105 mm total (peak 25 mm/hr)', 'details');
+  expectEqual([flood.onsetAt, flood.peakAt, flood.endsAt],
+    ['2026-06-02T14:00:00.000Z', '2026-06-02T16:00:00.000Z', '2026-06-02T20:00:00.000Z'], 'window');
+  expectEqual(alertEngine.defaultExpiry(flood).toISOString(), flood.endsAt, 'expires when the event ends');
+  console.log('✓ Passed');
+})();
+
+await (async function testSeriesHeatDuration() {
+  console.log('testSeriesHeatDuration');
+  // 41°C from 10:00 for 26 hours: long enough for WARNING (24h at 40°C), not EMERGENCY
+  const hourly = hourlySeries(48, i => (i >= 10 && i < 36 ? { temperature_c: i === 30 ? 43 : 41 } : {}));
+  const alerts = await alertEngine.evaluateSeries('test', { hourly }, { now: NOW });
+  expectEqual(severities(alerts), { HEAT: 'WARNING' }, 'sustained heat');
+  expectEqual(alerts[0].details, 'Extreme heat expected 10:00–Wed 12:00 (26h), peaking at 43°C', 'details');
+  expectEqual(alerts[0].peakAt, '2026-06-03T06:00:00.000Z', 'peak');
+
+  // Same temperatures in shorter bursts never stay up long enough
+  const broken = hourlySeries(48, i => (i % 10 === 0 ? {} : { temperature_c: 41 }));
+  expectEqual(await alertEngine.evaluateSeries('test', { hourly: broken }, { now: NOW }), [], 'interrupted heat');
+  console.log('✓ Passed');
+})();
+
+await (async function testSeriesLocalTime() {
+  console.log('testSeriesLocalTime');
+  // Frost overnight in UTC+5:30 reads in local time
+  const hourly = hourlySeries(24, i => (i >= 18 && i < 22 ? { temperature_c: -1 } : {}));
+  const alerts = await alertEngine.evaluateSeries('test', { hourly, utcOffsetSeconds: 19800 }, { now: NOW });
+  expectEqual(alerts[0].details, 'Frost expected 23:30–Wed 03:30, low of -1°C', 'local window');
+  expectEqual(formatWindow('2026-06-02T14:00:00Z', '2026-06-02T20:00:00Z', 0, NOW), '14:00–20:00', 'same day');
+  console.log('✓ Passed');
+})();
+
+await (async function testSeriesThreeHourlySteps() {
+  console.log('testSeriesThreeHourlySteps');
+  // OpenWeather-style steps: snow from codes, then one 3h step of thunder
+  const steps = hourlySeries(8).map((step, i) => ({
+    ...step,
+    time: new Date(NOW.getTime() + i * 3 * 60 * 60 * 1000).toISOString(),
+    precipitation_mm: i < 3 ? 6 : 0,
+    condition: { code: i < 3 ? 75 : i === 3 ? 95 : 1 }
+  }));
+  const alerts = await alertEngine.evaluateSeries('test', { hourly: steps, intervalHours: 3 }, { now: NOW });
+  expectEqual(severities(alerts), { SNOW: 'WARNING', THUNDERSTORM: 'WARNING' }, '3-hourly severities');
+  const snow = alerts.find(alert => alert.hazard_type === 'SNOW');
+  expectEqual(snow.details, 'Snow expected 00:00–09:00, 18 cm total', 'snow window');
+  expectEqual(rollingSums([1, 2, 3, 4], 2), [1, 3, 5, 7], 'rolling sums');
+  console.log('✓ Passed');
+})();
+
+await (async function testSeriesSnapshotFallback() {
+  console.log('testSeriesSnapshotFallback');
+  // Air quality has no series check and still reads the current reading
+  const alerts = await alertEngine.evaluateSeries('test', { hourly: hourlySeries(24) }, {
+    airQuality: { us_aqi: 210, pm2_5_ugm3: 140 },
+    now: NOW
+  });
+  expectEqual(severities(alerts), { AIR_QUALITY: 'EMERGENCY' }, 'snapshot rule');
+  expectEqual(alerts[0].onsetAt, null, 'no window for snapshot rules');
+  console.log('✓ Passed');
+})();
+
+await (async function testRegisterRule() {
+  console.log('testRegisterRule');
+  alertEngine.registerRule({
+    hazard: 'TEST_DUST',
+    expiryHours: 3,
+    scores: { EMERGENCY: 80, WARNING: 60, WATCH: 30 },
+    thresholds: { EMERGENCY: { pm10_ugm3: 600 }, WARNING: { pm10_ugm3: 300 }, WATCH: { pm10_ugm3: 150 } },
+    evaluate: ({ pm10_ugm3 }, thresholds) =>
+      pm10_ugm3 >= thresholds.WARNING.pm10_ugm3 ? { severity: 'WARNING', details: `Dust: ${pm10_ugm3}` } : null
+  });
+  const alerts = await alertEngine.evaluateCell('test', { pm10_ugm3: 320 });
+  expectEqual(severities(alerts), { TEST_DUST: 'WARNING' }, 'plugged-in rule');
+  expectEqual(alertEngine.expiryHoursFor('TEST_DUST'), 3, 'rule expiry');
+  expectEqual(Boolean(THRESHOLDS.TEST_DUST), true, 'thresholds registered');
+  console.log('✓ Passed');
+})();
+
+console.log('\nAll alert rule tests passed');
@@ -0,0 +1,63 @@
+// WMO weather codes
+export const THUNDER_CODES = [95, 96, 99];
+export const HAIL_CODES = [96, 99];
+export const SNOW_CODES = [71, 73, 75, 77, 85, 86];
+
+/**
+ * Snowfall of one step in cm. Providers without snowfall: precipitation during
+ * snow codes at ~10:1 (1 mm water ≈ 1 cm snow)
+ */
+export const snowfallOf = (step) => {
+  if (step.snowfall_cm !== null && step.snowfall_cm !== undefined) return step.snowfall_cm;
+  return SNOW_CODES.includes(step.condition?.code) ? (step.precipitation_mm ?? 0) : 0;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const present = (values) => values.filter(value => value !== null && value !== undefined);
+
+/**
+ * Reduce canonical hourly forecast steps (plus optional current air quality)
+ * to the condition values the alert rules read.
+ *
+ * Rain, wind, thunder and visibility look at the first `lookaheadHours`; frost,
+ * snow and UV look at the next 24h; the temperature series covers every step
+ * so heat durations can be measured.
+ *
+ * @param {Array} hourly - CanonicalHour steps, earliest first
+ * @param {number} [intervalHours] - Length of one step
+ * @param {Object} [options]
+ * @param {number} [options.lookaheadHours]
+ * @param {Object} [options.airQuality] - CanonicalAirQuality
+ */
+export const summarizeForecast = (hourly, intervalHours = 1, { lookaheadHours = 6, airQuality = null } = {}) => {
+  const steps = (hours) => hourly.slice(0, Math.ceil(hours / intervalHours));
+  const ahead = steps(lookaheadHours);
+  const day = steps(24);
+  const max = (field) => Math.max(0, ...ahead.map(h => h[field] ?? 0));
+  const hoursWith = (codes) => ahead.filter(h => codes.includes(h.condition?.code)).length * intervalHours;
+
+  const temperatures = present(day.map(h => h.temperature_c));
+  const uvValues = present([...day.map(h => h.uv_index), airQuality?.uv_index]);
+  const visibilities = present(ahead.map(h => h.visibility_m));
+
+  return {
+    precipitation_rate: round1(max('precipitation_mm') / intervalHours),
+    precipitation_6h: round1(steps(6).reduce((sum, h) => sum + (h.precipitation_mm ?? 0), 0)),
+    wind_speed: max('wind_speed_ms'),
+    wind_gust: max('wind_gust_ms'),
+    temperature: Math.max(...ahead.map(h => h.temperature_c ?? -Infinity)),
+    // One value per hour, repeating coarser steps (e.g. 3-hourly)
+    temperature_hourly: hourly
+      .filter(h => h.temperature_c !== null && h.temperature_c !== undefined)
+      .flatMap(h => Array(intervalHours).fill(h.temperature_c)),
+    temperature_min: temperatures.length ? Math.min(...temperatures) : null,
+    snowfall_24h_cm: round1(day.reduce((sum, h) => sum + snowfallOf(h), 0)),
+    storm_hours: hoursWith(THUNDER_CODES),
+    hail_hours: hoursWith(HAIL_CODES),
+    uv_index_max: uvValues.length ? Math.max(...uvValues) : null,
+    visibility_min_m: visibilities.length ? Math.min(...visibilities) : null,
+    us_aqi: airQuality?.us_aqi ?? null,
+    pm2_5_ugm3: airQuality?.pm2_5_ugm3 ?? null
+  };
+};
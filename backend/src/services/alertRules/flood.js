@@ -0,0 +1,67 @@
+import { firstMatchingLevel } from './tiers.js';
+import { firstEvent, rollingSums, peakOf, seriesResult } from './series.js';
+
+const LABELS = {
+  EMERGENCY: 'Heavy rainfall',
+  WARNING: 'Moderate rainfall',
+  WATCH: 'Rainfall'
+};
+
+/**
+ * Flooding from intense or prolonged rain.
+ * Inputs: precipitation_rate (mm/h), precipitation_6h (mm)
+ */
+export default {
+  hazard: 'FLOOD',
+  expiryHours: 6,
+  scores: { EMERGENCY: 90, WARNING: 70, WATCH: 40 },
+  thresholds: {
+    EMERGENCY: { rate_mm_hr: 50, accum_6h_mm: 100 },
+    WARNING: { rate_mm_hr: 25, accum_6h_mm: 50 },
+    WATCH: { rate_mm_hr: 10, accum_6h_mm: 25 }
+  },
+
+  evaluate({ precipitation_rate, precipitation_6h }, thresholds) {
+    const severity = firstMatchingLevel(thresholds, t =>
+      precipitation_rate >= t.rate_mm_hr || precipitation_6h >= t.accum_6h_mm
+    );
+    if (!severity) return null;
+
+    return {
+      severity,
+      details: `${LABELS[severity]}: ${precipitation_rate} mm/hr, 6h total: ${precipitation_6h} mm`
+    };
+  },
+
+  /**
+   * A step is part of the event when its own rate is high enough, or when it
+   * rained during a 6-hour window whose total crosses the accumulation threshold.
+   */
+  evaluateSeries(series, thresholds) {
+    const { steps, intervalHours } = series;
+    const amounts = steps.map(step => step.precipitation_mm ?? 0);
+    const windowSteps = Math.ceil(6 / intervalHours);
+    const accumulations = rollingSums(amounts, windowSteps);
+
+    const event = firstEvent(thresholds, t => {
+      const mask = amounts.map(amount => amount / intervalHours >= t.rate_mm_hr);
+      accumulations.forEach((total, i) => {
+        if (total < t.accum_6h_mm) return;
+        for (let j = Math.max(0, i - windowSteps + 1); j <= i; j++) {
+          if (amounts[j] > 0) mask[j] = true;
+        }
+      });
+      return mask;
+    });
+    if (!event) return null;
+
+    const [start, end] = event.run;
+    const total = Math.round(amounts.slice(start, end + 1).reduce((sum, amount) => sum + amount, 0) * 10) / 10;
+    const peak = peakOf(series, event.run, step => (step.precipitation_mm ?? 0) / intervalHours);
+
+    return seriesResult(series, event.severity, event.run, {
+      peak,
+      details: (label) => `${LABELS[event.severity]} expected ${label}, ${total} mm total (peak ${peak.value} mm/hr)`
+    });
+  }
+};
@@ -0,0 +1,48 @@
+import { firstMatchingLevel } from './tiers.js';
+import { firstEvent, peakOf, seriesResult } from './series.js';
+
+const LABELS = {
+  EMERGENCY: 'Dense fog',
+  WARNING: 'Thick fog',
+  WATCH: 'Fog'
+};
+
+/**
+ * Low visibility.
+ * Inputs: visibility_min_m (lowest forecast visibility, metres)
+ */
+export default {
+  hazard: 'FOG',
+  expiryHours: 6,
+  scores: { EMERGENCY: 80, WARNING: 60, WATCH: 35 },
+  thresholds: {
+    EMERGENCY: { visibility_m: 50 },
+    WARNING: { visibility_m: 200 },
+    WATCH: { visibility_m: 1000 }
+  },
+
+  evaluate({ visibility_min_m = null }, thresholds) {
+    if (visibility_min_m === null) return null;
+
+    const severity = firstMatchingLevel(thresholds, t => visibility_min_m <= t.visibility_m);
+    if (!severity) return null;
+
+    return {
+      severity,
+      details: `${LABELS[severity]}: visibility down to ${visibility_min_m} m`
+    };
+  },
+
+  evaluateSeries(series, thresholds) {
+    const event = firstEvent(thresholds, t => series.steps.map(step =>
+      step.visibility_m !== null && step.visibility_m !== undefined && step.visibility_m <= t.visibility_m
+    ));
+    if (!event) return null;
+
+    const lowest = peakOf(series, event.run, step => step.visibility_m, { lowest: true });
+    return seriesResult(series, event.severity, event.run, {
+      peak: lowest,
+      details: (label) => `${LABELS[event.severity]} expected ${label}, visibility down to ${lowest.value} m`
+    });
+  }
+};
@@ -0,0 +1,48 @@
+import { firstMatchingLevel } from './tiers.js';
+import { firstEvent, peakOf, seriesResult } from './series.js';
+
+const LABELS = {
+  EMERGENCY: 'Hard freeze',
+  WARNING: 'Frost',
+  WATCH: 'Frost possible'
+};
+
+/**
+ * Cold and frost, mainly for crops and exposed pipes.
+ * Inputs: temperature_min (°C, lowest forecast temperature in the next 24h)
+ */
+export default {
+  hazard: 'FROST',
+  expiryHours: 12,
+  scores: { EMERGENCY: 80, WARNING: 60, WATCH: 35 },
+  thresholds: {
+    EMERGENCY: { temp_c: -5 },
+    WARNING: { temp_c: 0 },
+    WATCH: { temp_c: 2 }
+  },
+
+  evaluate({ temperature_min }, thresholds) {
+    if (temperature_min === null || temperature_min === undefined) return null;
+
+    const severity = firstMatchingLevel(thresholds, t => temperature_min <= t.temp_c);
+    if (!severity) return null;
+
+    return {
+      severity,
+      details: `${LABELS[severity]}: low of ${temperature_min}°C expected`
+    };
+  },
+
+  evaluateSeries(series, thresholds) {
+    const event = firstEvent(thresholds, t => series.steps.map(step =>
+      step.temperature_c !== null && step.temperature_c !== undefined && step.temperature_c <= t.temp_c
+    ));
+    if (!event) return null;
+
+    const low = peakOf(series, event.run, step => step.temperature_c, { lowest: true });
+    return seriesResult(series, event.severity, event.run, {
+      peak: low,
+      details: (label) => `${LABELS[event.severity]} expected ${label}, low of ${low.value}°C`
+    });
+  }
+};
@@ -0,0 +1,63 @@
+import { firstMatchingLevel } from './tiers.js';
+import { firstEvent, peakOf, seriesResult } from './series.js';
+
+// Longest run of consecutive hourly values at or above `limit`, in hours
+const longestRunHours = (hourlyValues, limit) => {
+  let longest = 0;
+  let current = 0;
+  for (const value of hourlyValues) {
+    current = value >= limit ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  }
+  return longest;
+};
+
+/**
+ * Heat needs both the temperature and how long it lasts: a level triggers when
+ * temperature_hourly stays at or above temp_c for duration_hours in a row.
+ * Without an hourly series the single `temperature` reading counts as one hour.
+ * Inputs: temperature_hourly (°C, one value per hour) or temperature (°C)
+ */
+export default {
+  hazard: 'HEAT',
+  expiryHours: 24,
+  scores: { EMERGENCY: 95, WARNING: 75, WATCH: 50 },
+  thresholds: {
+    EMERGENCY: { temp_c: 45, duration_hours: 48 },
+    WARNING: { temp_c: 40, duration_hours: 24 },
+    WATCH: { temp_c: 35, duration_hours: 12 }
+  },
+
+  evaluate(data, thresholds) {
+    const hourly = data.temperature_hourly?.length ? data.temperature_hourly : [data.temperature];
+    let hours = 0;
+
+    const severity = firstMatchingLevel(thresholds, t => {
+      hours = longestRunHours(hourly, t.temp_c);
+      return hours > 0 && hours >= t.duration_hours;
+    });
+    if (!severity) return null;
+
+    const label = severity === 'WATCH' ? 'Heat' : 'Extreme heat';
+    return {
+      severity,
+      details: `${label}: ${Math.max(...hourly)}°C, at or above ${thresholds[severity].temp_c}°C for ${hours}h`
+    };
+  },
+
+  evaluateSeries(series, thresholds) {
+    const event = firstEvent(
+      thresholds,
+      t => series.steps.map(step => step.temperature_c !== null && step.temperature_c >= t.temp_c),
+      ([start, end], t) => (end - start + 1) * series.intervalHours >= t.duration_hours
+    );
+    if (!event) return null;
+
+    const peak = peakOf(series, event.run, step => step.temperature_c);
+    const label = event.severity === 'WATCH' ? 'Heat' : 'Extreme heat';
+    return seriesResult(series, event.severity, event.run, {
+      peak,
+      details: (when, span) => `${label} expected ${when} (${span.hours}h), peaking at ${peak.value}°C`
+    });
+  }
+};
@@ -0,0 +1,25 @@
+import flood from './flood.js';
+import wind from './wind.js';
+import heat from './heat.js';
+import frost from './frost.js';
+import snow from './snow.js';
+import thunderstorm from './thunderstorm.js';
+import airQuality from './airQuality.js';
+import uv from './uv.js';
+import fog from './fog.js';
+
+/**
+ * Built-in hazard rules, evaluated in this order.
+ *
+ * A rule is a plain object:
+ * - hazard: alert hazard_type, e.g. 'FLOOD'
+ * - thresholds: { EMERGENCY, WARNING, WATCH } default values (overridable by threshold profiles)
+ * - scores: { EMERGENCY, WARNING, WATCH } alert score per level
+ * - expiryHours: how long an alert stays live without re-evaluation
+ * - evaluate(conditions, thresholds) -> { severity, details } | null
+ * - evaluateSeries(series, thresholds) -> { severity, details, onset, end, peak_at } | null (optional;
+ *   used for forecast time series, see series.js)
+ *
+ * Extra rules can be added at runtime with alertEngine.registerRule().
+ */
+export const DEFAULT_RULES = [flood, wind, heat, frost, snow, thunderstorm, airQuality, uv, fog];
@@ -0,0 +1,119 @@
+import { LEVELS } from './tiers.js';
+
+/**
+ * Helpers for rules that read a forecast time series instead of one snapshot.
+ *
+ * A series is { steps, intervalHours, utcOffsetSeconds, now? } where steps are
+ * canonical hourly forecast entries (earliest first).
+ */
+
+/**
+ * Trailing sums: result[i] is the total of values[i - windowSteps + 1 .. i]
+ */
+export const rollingSums = (values, windowSteps) => {
+  const sums = [];
+  let total = 0;
+  values.forEach((value, i) => {
+    total += value;
+    if (i >= windowSteps) total -= values[i - windowSteps];
+    sums.push(Math.round(total * 10) / 10);
+  });
+  return sums;
+};
+
+/**
+ * Contiguous runs of true values as [startIndex, endIndex] (inclusive)
+ */
+export const runsFromMask = (mask) => {
+  const runs = [];
+  let start = null;
+  mask.forEach((matched, i) => {
+    if (matched && start === null) start = i;
+    if (!matched && start !== null) {
+      runs.push([start, i - 1]);
+      start = null;
+    }
+  });
+  if (start !== null) runs.push([start, mask.length - 1]);
+  return runs;
+};
+
+/**
+ * Find the most severe level with a qualifying run of steps.
+ * @param {Object} thresholds - { EMERGENCY, WARNING, WATCH }
+ * @param {Function} maskFor - (levelThresholds) => boolean[] per step
+ * @param {Function} [accept] - (run, levelThresholds) => whether the run counts, e.g. a minimum duration
+ * @returns {{severity: string, run: number[]}|null} first qualifying run of that level
+ */
+export const firstEvent = (thresholds, maskFor, accept = () => true) => {
+  for (const level of LEVELS) {
+    if (!thresholds[level]) continue;
+    const run = runsFromMask(maskFor(thresholds[level])).find(candidate => accept(candidate, thresholds[level]));
+    if (run) return { severity: level, run };
+  }
+  return null;
+};
+
+/**
+ * Onset, end and length of a run; the end is when its last step finishes
+ */
+export const windowOf = ({ steps, intervalHours }, [start, end]) => ({
+  onset: steps[start].time,
+  end: new Date(Date.parse(steps[end].time) + intervalHours * 60 * 60 * 1000).toISOString(),
+  hours: (end - start + 1) * intervalHours
+});
+
+/**
+ * Step within a run with the highest (or lowest) value
+ */
+export const peakOf = ({ steps }, [start, end], valueOf, { lowest = false } = {}) => {
+  let peak = null;
+  for (let i = start; i <= end; i++) {
+    const value = valueOf(steps[i]);
+    if (value === null || value === undefined) continue;
+    if (!peak || (lowest ? value < peak.value : value > peak.value)) {
+      peak = { time: steps[i].time, value };
+    }
+  }
+  return peak;
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Shift into local time, then read the UTC fields
+const localParts = (iso, utcOffsetSeconds) => {
+  const local = new Date(Date.parse(iso) + utcOffsetSeconds * 1000);
+  return {
+    day: local.toISOString().slice(0, 10),
+    weekday: WEEKDAYS[local.getUTCDay()],
+    clock: local.toISOString().slice(11, 16)
+  };
+};
+
+/**
+ * Human readable local window, e.g. "14:00–20:00" today or "Tue 22:00–Wed 04:00"
+ */
+export const formatWindow = (onset, end, utcOffsetSeconds = 0, now = new Date()) => {
+  const from = localParts(onset, utcOffsetSeconds);
+  const to = localParts(end, utcOffsetSeconds);
+  const today = localParts(now.toISOString(), utcOffsetSeconds).day;
+
+  const fromLabel = from.day === today ? from.clock : `${from.weekday} ${from.clock}`;
+  const toLabel = to.day === from.day ? to.clock : `${to.weekday} ${to.clock}`;
+  return `${fromLabel}–${toLabel}`;
+};
+
+/**
+ * Common result shape for series rules
+ */
+export const seriesResult = (series, severity, run, { peak, details }) => {
+  const span = windowOf(series, run);
+  const label = formatWindow(span.onset, span.end, series.utcOffsetSeconds, series.now);
+  return {
+    severity,
+    onset: span.onset,
+    end: span.end,
+    peak_at: peak?.time ?? null,
+    details: details(label, span, peak)
+  };
+};
@@ -0,0 +1,68 @@
+import { firstMatchingLevel } from './tiers.js';
+import { firstEvent, rollingSums, peakOf, seriesResult } from './series.js';
+import { snowfallOf } from './conditions.js';
+
+const LABELS = {
+  EMERGENCY: 'Heavy snow',
+  WARNING: 'Snow',
+  WATCH: 'Light snow'
+};
+
+/**
+ * Snowfall accumulation.
+ * Inputs: snowfall_24h_cm (cm expected over the next 24h)
+ */
+export default {
+  hazard: 'SNOW',
+  expiryHours: 24,
+  scores: { EMERGENCY: 85, WARNING: 65, WATCH: 40 },
+  thresholds: {
+    EMERGENCY: { accum_24h_cm: 30 },
+    WARNING: { accum_24h_cm: 10 },
+    WATCH: { accum_24h_cm: 2 }
+  },
+
+  evaluate({ snowfall_24h_cm }, thresholds) {
+    if (!snowfall_24h_cm) return null;
+
+    const severity = firstMatchingLevel(thresholds, t => snowfall_24h_cm >= t.accum_24h_cm);
+    if (!severity) return null;
+
+    return {
+      severity,
+      details: `${LABELS[severity]}: ${snowfall_24h_cm} cm expected in 24h`
+    };
+  },
+
+  /**
+   * Snowing steps belong to the event when they fall inside a 24-hour window
+   * whose total crosses the accumulation threshold.
+   */
+  evaluateSeries(series, thresholds) {
+    const { steps, intervalHours } = series;
+    const amounts = steps.map(snowfallOf);
+    const windowSteps = Math.ceil(24 / intervalHours);
+    const accumulations = rollingSums(amounts, windowSteps);
+
+    const event = firstEvent(thresholds, t => {
+      const mask = amounts.map(() => false);
+      accumulations.forEach((total, i) => {
+        if (total < t.accum_24h_cm) return;
+        for (let j = Math.max(0, i - windowSteps + 1); j <= i; j++) {
+          if (amounts[j] > 0) mask[j] = true;
+        }
+      });
+      return mask;
+    });
+    if (!event) return null;
+
+    const [start, end] = event.run;
+    const total = Math.round(amounts.slice(start, end + 1).reduce((sum, amount) => sum + amount, 0) * 10) / 10;
+    const peak = peakOf(series, event.run, snowfallOf);
+
+    return seriesResult(series, event.severity, event.run, {
+      peak,
+      details: (label) => `${LABELS[event.severity]} expected ${label}, ${total} cm total`
+    });
+  }
+};
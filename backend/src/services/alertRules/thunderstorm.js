@@ -0,0 +1,54 @@
+import { firstMatchingLevel } from './tiers.js';
+import { firstEvent, seriesResult } from './series.js';
+import { THUNDER_CODES, HAIL_CODES } from './conditions.js';
+
+const runHours = ([start, end], intervalHours) => (end - start + 1) * intervalHours;
+
+/**
+ * Thunderstorms, from forecast WMO weather codes (95-99).
+ * Inputs: storm_hours (hours with thunder), hail_hours (hours with thunder and hail)
+ */
+export default {
+  hazard: 'THUNDERSTORM',
+  expiryHours: 6,
+  scores: { EMERGENCY: 90, WARNING: 70, WATCH: 45 },
+  thresholds: {
+    EMERGENCY: { storm_hours: 6, hail_hours: 1 },
+    WARNING: { storm_hours: 3 },
+    WATCH: { storm_hours: 1 }
+  },
+
+  evaluate({ storm_hours = 0, hail_hours = 0 }, thresholds) {
+    if (storm_hours === 0) return null;
+
+    const severity = firstMatchingLevel(thresholds, t =>
+      storm_hours >= t.storm_hours || (t.hail_hours !== undefined && hail_hours >= t.hail_hours)
+    );
+    if (!severity) return null;
+
+    const hail = hail_hours > 0 ? ` with hail for ${hail_hours}h` : '';
+    return {
+      severity,
+      details: `Thunderstorms expected for ${storm_hours}h${hail}`
+    };
+  },
+
+  evaluateSeries(series, thresholds) {
+    const { steps, intervalHours } = series;
+    const stormy = steps.map(step => THUNDER_CODES.includes(step.condition?.code));
+    const hailInRun = ([start, end]) =>
+      steps.slice(start, end + 1).filter(step => HAIL_CODES.includes(step.condition?.code)).length * intervalHours;
+
+    const event = firstEvent(thresholds, () => stormy, (run, t) =>
+      runHours(run, intervalHours) >= t.storm_hours ||
+      (t.hail_hours !== undefined && hailInRun(run) >= t.hail_hours)
+    );
+    if (!event) return null;
+
+    const hail = hailInRun(event.run) > 0 ? ', with hail' : '';
+    return seriesResult(series, event.severity, event.run, {
+      peak: null,
+      details: (label) => `Thunderstorms expected ${label}${hail}`
+    });
+  }
+};
@@ -0,0 +1,9 @@
+// Most severe first, so the first matching level wins
+export const LEVELS = ['EMERGENCY', 'WARNING', 'WATCH'];
+
+/**
+ * Return the most severe level whose thresholds `matches`, or null.
+ * Levels missing from `thresholds` are skipped.
+ */
+export const firstMatchingLevel = (thresholds, matches) =>
+  LEVELS.find(level => thresholds[level] && matches(thresholds[level])) || null;
@@ -0,0 +1,47 @@
+import { firstMatchingLevel } from './tiers.js';
+import { firstEvent, peakOf, seriesResult } from './series.js';
+
+// WHO UV index categories
+const LABELS = {
+  EMERGENCY: 'Extreme UV',
+  WARNING: 'Very high UV',
+  WATCH: 'High UV'
+};
+
+/**
+ * Sunburn risk from the UV index.
+ * Inputs: uv_index_max (highest UV index in the next 24h)
+ */
+export default {
+  hazard: 'UV',
+  expiryHours: 12,
+  scores: { EMERGENCY: 70, WARNING: 50, WATCH: 30 },
+  thresholds: {
+    EMERGENCY: { uv_index: 11 },
+    WARNING: { uv_index: 8 },
+    WATCH: { uv_index: 6 }
+  },
+
+  evaluate({ uv_index_max = null }, thresholds) {
+    if (uv_index_max === null) return null;
+
+    const severity = firstMatchingLevel(thresholds, t => uv_index_max >= t.uv_index);
+    if (!severity) return null;
+
+    return {
+      severity,
+      details: `${LABELS[severity]}: index up to ${uv_index_max}`
+    };
+  },
+
+  evaluateSeries(series, thresholds) {
+    const event = firstEvent(thresholds, t => series.steps.map(step => (step.uv_index ?? 0) >= t.uv_index));
+    if (!event) return null;
+
+    const peak = peakOf(series, event.run, step => step.uv_index);
+    return seriesResult(series, event.severity, event.run, {
+      peak,
+      details: (label) => `${LABELS[event.severity]} expected ${label}, index up to ${peak.value}`
+    });
+  }
+};
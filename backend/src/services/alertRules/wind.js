@@ -0,0 +1,48 @@
+import { firstMatchingLevel } from './tiers.js';
+import { firstEvent, peakOf, seriesResult } from './series.js';
+
+const LABELS = {
+  EMERGENCY: 'Extreme winds',
+  WARNING: 'High winds',
+  WATCH: 'Strong winds'
+};
+
+/**
+ * Damaging wind from sustained speed or gusts.
+ * Inputs: wind_speed (m/s), wind_gust (m/s)
+ */
+export default {
+  hazard: 'WIND',
+  expiryHours: 6,
+  scores: { EMERGENCY: 85, WARNING: 65, WATCH: 40 },
+  thresholds: {
+    EMERGENCY: { sustained_ms: 25, gust_ms: 33 },
+    WARNING: { sustained_ms: 18, gust_ms: 25 },
+    WATCH: { sustained_ms: 10, gust_ms: 15 }
+  },
+
+  evaluate({ wind_speed, wind_gust }, thresholds) {
+    const severity = firstMatchingLevel(thresholds, t =>
+      wind_speed >= t.sustained_ms || wind_gust >= t.gust_ms
+    );
+    if (!severity) return null;
+
+    return {
+      severity,
+      details: `${LABELS[severity]}: ${wind_speed} m/s sustained, gusts ${wind_gust} m/s`
+    };
+  },
+
+  evaluateSeries(series, thresholds) {
+    const event = firstEvent(thresholds, t => series.steps.map(step =>
+      (step.wind_speed_ms ?? 0) >= t.sustained_ms || (step.wind_gust_ms ?? 0) >= t.gust_ms
+    ));
+    if (!event) return null;
+
+    const peak = peakOf(series, event.run, step => step.wind_gust_ms ?? step.wind_speed_ms);
+    return seriesResult(series, event.severity, event.run, {
+      peak,
+      details: (label) => `${LABELS[event.severity]} expected ${label}, gusts up to ${peak.value} m/s`
+    });
+  }
+};
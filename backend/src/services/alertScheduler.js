@@ -0,0 +1,326 @@
+import alertsConfig from '../../config/alerts.js';
+import { query } from '../../config/database.js';
+import alertEngine, { getGridCellKey } from './alertEngine.js';
+import capIngest from './capIngest.js';
+import thresholdProfiles from './thresholdProfiles.js';
+import weatherService from './weatherService.js';
+
+const QUEUE_NAME = 'alert-evaluation';
+const JOB_NAME = 'evaluate-all';
+
+/**
+ * Minimal in-process stand-in for a BullMQ queue + worker.
+ * Jobs run one at a time in this process; a repeat tick is skipped while
+ * the previous run is still going. Used when Redis is not available.
+ */
+export class InProcessQueue {
+  constructor(processor) {
+    this.name = 'memory';
+    this.processor = processor;
+    this.timer = null;
+    this.running = null;
+  }
+
+  async start(everyMs) {
+    const tick = () => {
+      if (this.running) return;
+      this.add().catch((err) => {
+        console.error(`❌ Alert evaluation job failed: ${err.message}`);
+      });
+    };
+
+    this.timer = setInterval(tick, everyMs);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref?.();
+    // BullMQ job schedulers fire immediately too
+    tick();
+  }
+
+  add() {
+    this.running = Promise.resolve()
+      .then(() => this.processor())
+      .finally(() => { this.running = null; });
+    return this.running;
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.running) await this.running.catch(() => {});
+  }
+}
+
+/**
+ * BullMQ-backed queue: the repeat schedule lives in Redis, so with several
+ * server processes each run is picked up by exactly one worker.
+ */
+class BullQueue {
+  constructor(processor, redisUrl) {
+    this.name = 'bullmq';
+    this.processor = processor;
+    this.redisUrl = redisUrl;
+  }
+
+  async start(everyMs) {
+    const [{ Queue, Worker }, { default: Redis }] = await Promise.all([
+      import('bullmq'),
+      import('ioredis')
+    ]);
+
+    // BullMQ requires maxRetriesPerRequest: null on its connections.
+    // Connecting eagerly makes an unreachable Redis fail here instead of hanging.
+    this.connection = new Redis(this.redisUrl, { maxRetriesPerRequest: null, lazyConnect: true });
+    this.connection.on('error', (err) => {
+      console.error('Alert queue Redis error:', err.message);
+    });
+    await this.connection.connect();
+    this.queue = new Queue(QUEUE_NAME, { connection: this.connection });
+    await this.queue.upsertJobScheduler(JOB_NAME, { every: everyMs }, { name: JOB_NAME });
+
+    this.worker = new Worker(QUEUE_NAME, () => this.processor(), {
+      connection: this.connection,
+      concurrency: 1
+    });
+    this.worker.on('failed', (job, err) => {
+      console.error(`❌ Alert evaluation job failed: ${err.message}`);
+    });
+  }
+
+  async add() {
+    return this.queue.add(JOB_NAME, {});
+  }
+
+  async close() {
+    await this.worker?.close();
+    await this.queue?.close();
+    this.connection?.disconnect();
+  }
+}
+
+const pointFrom = (location) => {
+  const lat = Number(location?.lat ?? location?.latitude);
+  const lon = Number(location?.lon ?? location?.longitude);
+  return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+};
+
+/**
+ * Watched locations in PostgreSQL
+ */
+export const pgSchedulerStore = {
+  /**
+   * Saved locations and the locations of confirmed, opted-in alert subscriptions
+   * @returns {Promise<Array<{lat: number, lon: number}>>}
+   */
+  async watchedPoints() {
+    const saved = await query(
+      'SELECT DISTINCT latitude, longitude FROM saved_locations ORDER BY latitude, longitude'
+    );
+    const subscriptions = await query(
+      'SELECT locations FROM alert_subscriptions WHERE opted_in = TRUE AND confirmed_at IS NOT NULL'
+    );
+
+    return [
+      ...saved.rows.map(pointFrom),
+      ...subscriptions.rows.flatMap(row => (Array.isArray(row.locations) ? row.locations : []).map(pointFrom))
+    ].filter(Boolean);
+  }
+};
+
+/**
+ * Periodically evaluates every grid cell that someone is watching
+ * (saved locations and alert subscriptions) and reconciles the results
+ * with the live alerts for that cell.
+ *
+ * Forecasts are fetched per fine cell (cellResolutionDeg) and merged per 30°
+ * cell: each hazard gives one alert whose geometry lists the fine cells where
+ * it fires, at the worst level among them.
+ */
+export class AlertScheduler {
+  constructor(config, {
+    store = pgSchedulerStore,
+    engine = alertEngine,
+    weather = weatherService,
+    profiles = thresholdProfiles,
+    cap = capIngest
+  } = {}) {
+    this.config = config;
+    this.store = store;
+    this.engine = engine;
+    this.weather = weather;
+    this.profiles = profiles;
+    this.cap = cap;
+    this.queue = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Watched 30° cells, each with one representative point per fine cell
+   * @returns {Promise<Map<string, Map<string, {lat: number, lon: number}>>>}
+   */
+  async getWatchedCells() {
+    const cells = new Map();
+    const addPoint = (point) => {
+      if (!point) return;
+      const cellKey = getGridCellKey(point.lat, point.lon);
+      const fineKey = getGridCellKey(point.lat, point.lon, this.config.cellResolutionDeg);
+      if (!cells.has(cellKey)) cells.set(cellKey, new Map());
+      if (!cells.get(cellKey).has(fineKey)) cells.get(cellKey).set(fineKey, point);
+    };
+
+    (await this.store.watchedPoints()).forEach(addPoint);
+    return cells;
+  }
+
+  /**
+   * Alerts the forecast at one point would raise
+   * @param {Object} [overrides] - per-subscriber partial thresholds
+   */
+  async evaluatePoint(cellKey, point, overrides = null) {
+    const { thresholds } = await this.profiles.resolve({ cellKey, ...point }, overrides);
+    // Fetch far enough ahead for the 24h rules and the longest heat duration in use
+    const hours = Math.max(
+      this.config.horizonHours,
+      24,
+      ...Object.values(thresholds.HEAT).map(level => level.duration_hours)
+    );
+
+    const forecast = await this.weather.getHourly(point.lat, point.lon, { hours });
+    // Air quality is optional: without it the AIR_QUALITY rule simply doesn't fire
+    const airQuality = await this.weather.getAirQuality(point.lat, point.lon).catch((error) => {
+      console.warn(`⚠️ Air quality unavailable for cell ${cellKey}: ${error.message}`);
+      return null;
+    });
+    return this.engine.evaluateSeries(cellKey, {
+      hourly: forecast.hourly,
+      intervalHours: forecast.hourly_interval_hours,
+      utcOffsetSeconds: forecast.location?.utc_offset_seconds || 0
+    }, {
+      thresholds,
+      airQuality,
+      lookaheadHours: this.config.lookaheadHours
+    });
+  }
+
+  /**
+   * Level a hazard reaches at one point under a subscriber's threshold overrides
+   * @returns {Promise<string|null>} severity, or null when it doesn't fire
+   */
+  async severityAt(hazard, point, overrides) {
+    const alerts = await this.evaluatePoint(getGridCellKey(point.lat, point.lon), point, overrides);
+    return alerts.find(alert => alert.hazard_type === hazard)?.severity ?? null;
+  }
+
+  /**
+   * Evaluate every fine cell in a 30° cell and reconcile the merged alerts.
+   * Any failed fetch fails the whole cell so its live alerts aren't cleared
+   * on missing data.
+   */
+  async evaluateCell(cellKey, points) {
+    const resolution = this.config.cellResolutionDeg;
+    const byHazard = new Map();
+
+    for (const [fineKey, point] of points) {
+      for (const alertData of await this.evaluatePoint(cellKey, point)) {
+        const merged = byHazard.get(alertData.hazard_type);
+        if (!merged) {
+          byHazard.set(alertData.hazard_type, { worst: alertData, point, cells: [fineKey] });
+          continue;
+        }
+        merged.cells.push(fineKey);
+        if (alertData.score > merged.worst.score) {
+          merged.worst = alertData;
+          merged.point = point;
+        }
+      }
+    }
+
+    const evaluated = [...byHazard.values()].map(({ worst, point, cells }) => ({
+      ...worst,
+      latitude: point.lat,
+      longitude: point.lon,
+      geometry: { type: 'Cells', resolution, cells: cells.sort() }
+    }));
+
+    return this.engine.reconcileCell(cellKey, evaluated);
+  }
+
+  /**
+   * One full pass over every watched cell. Safe to call directly (e.g. from tests).
+   */
+  async evaluateAll() {
+    const startedAt = Date.now();
+    const totals = { cells: 0, failed: 0, created: 0, updated: 0, extended: 0, cleared: 0, expired: 0, imported: 0 };
+
+    const cells = await this.getWatchedCells();
+
+    for (const [cellKey, points] of cells) {
+      try {
+        const summary = await this.evaluateCell(cellKey, points);
+        totals.cells++;
+        totals.created += summary.created;
+        totals.updated += summary.updated;
+        totals.extended += summary.extended;
+        totals.cleared += summary.cleared;
+      } catch (error) {
+        totals.failed++;
+        console.warn(`⚠️ Alert evaluation failed for cell ${cellKey}: ${error.message}`);
+      }
+    }
+
+    // Official warnings from CAP feeds ride along on the same run (and queue)
+    if (this.cap.enabled) {
+      const ingested = await this.cap.ingestAll();
+      totals.imported = ingested.created + ingested.updated + ingested.cancelled;
+    }
+
+    totals.expired = await this.engine.expireAlerts();
+
+    this.lastRun = { ...totals, finishedAt: new Date().toISOString(), durationMs: Date.now() - startedAt };
+    console.log(
+      `✅ Alert evaluation: ${totals.cells} cells, ${totals.created} new, ${totals.updated} updated, ` +
+      `${totals.cleared + totals.expired} expired, ${totals.imported} from CAP feeds`
+    );
+
+    return this.lastRun;
+  }
+
+  async start() {
+    if (!this.config.enabled || this.queue) return;
+
+    const processor = () => this.evaluateAll();
+
+    if (this.config.queue === 'bullmq') {
+      try {
+        this.queue = new BullQueue(processor, this.config.redisUrl);
+        await this.queue.start(this.config.intervalMs);
+      } catch (error) {
+        console.warn(`⚠️ BullMQ unavailable (${error.message}), using in-process alert queue`);
+        await this.queue.close().catch(() => {});
+        this.queue = null;
+      }
+    }
+
+    if (!this.queue) {
+      this.queue = new InProcessQueue(processor);
+      await this.queue.start(this.config.intervalMs);
+    }
+
+    console.log(`⏰ Alert scheduler started (${this.queue.name} queue, every ${this.config.intervalMs / 60000} min)`);
+  }
+
+  /**
+   * Queue an immediate evaluation run outside the regular schedule
+   */
+  async runNow() {
+    if (!this.queue) return this.evaluateAll();
+    return this.queue.add();
+  }
+
+  async stop() {
+    if (!this.queue) return;
+    await this.queue.close();
+    this.queue = null;
+  }
+}
+
+export default new AlertScheduler(alertsConfig.scheduler);
@@ -0,0 +1,210 @@
+import alertEngine, { THRESHOLDS, getGridCellKey } from './alertEngine.js';
+import { AlertScheduler, InProcessQueue } from './alertScheduler.js';
+import { mergeThresholds } from './thresholdProfiles.js';
+import { expectEqual, waitFor } from './testHelpers.js';
+
+/**
+ * Tests for scheduled alert evaluation, with a stub weather service and the
+ * in-process queue standing in for the providers, PostgreSQL and BullMQ
+ * Run with: npm test (from backend/)
+ */
+
+const CONFIG = {
+  enabled: true,
+  queue: 'memory',
+  intervalMs: 60 * 60 * 1000,
+  horizonHours: 48,
+  lookaheadHours: 6,
+  cellResolutionDeg: 0.25
+};
+
+// Two points in the same 30° cell but different fine cells, and one far away
+const MUMBAI = { lat: 19.07, lon: 72.87 };
+const PUNE = { lat: 18.52, lon: 73.85 };
+const LONDON = { lat: 51.5, lon: -0.12 };
+
+// Hourly series from the start of the current hour; `values` overrides fields per hour
+const hourlySeries = (hours, values = () => ({})) => {
+  const start = Math.floor(Date.now() / 3600000) * 3600000;
+  return Array.from({ length: hours }, (_, i) => ({
+    time: new Date(start + i * 60 * 60 * 1000).toISOString(),
+    temperature_c: 20,
+    precipitation_mm: 0,
+    wind_speed_ms: 3,
+    wind_gust_ms: 5,
+    visibility_m: 10000,
+    uv_index: 0,
+    condition: { code: 1 },
+    ...values(i)
+  }));
+};
+
+// 30 mm/h for three hours from hour 2: a FLOOD WARNING
+const RAIN = (i) => (i >= 2 && i < 5 ? { precipitation_mm: 30 } : {});
+
+/**
+ * Weather service answering from a per-point table; points listed in
+ * `failing` throw like an unreachable provider
+ */
+const makeWeather = (series, failing = []) => {
+  const calls = [];
+  const key = (lat, lon) => `${lat},${lon}`;
+  return {
+    calls,
+    async getHourly(lat, lon, { hours }) {
+      calls.push({ lat, lon, hours });
+      if (failing.some(point => key(point.lat, point.lon) === key(lat, lon))) {
+        throw new Error('All weather providers failed');
+      }
+      return {
+        location: { utc_offset_seconds: 0 },
+        hourly_interval_hours: 1,
+        hourly: hourlySeries(hours, series.get(key(lat, lon)))
+      };
+    },
+    async getAirQuality() {
+      throw new Error('air quality unavailable');
+    }
+  };
+};
+
+/**
+ * The real rules, with reconciliation recorded instead of written to the alerts table
+ */
+const makeEngine = () => {
+  const reconciled = [];
+  return {
+    reconciled,
+    expireCalls: 0,
+    evaluateSeries: (...args) => alertEngine.evaluateSeries(...args),
+    async reconcileCell(cellKey, evaluated) {
+      reconciled.push({ cellKey, evaluated });
+      return { created: evaluated.length, updated: 0, extended: 0, cleared: 0 };
+    },
+    async expireAlerts() {
+      this.expireCalls++;
+      return 1;
+    }
+  };
+};
+
+const makeScheduler = ({ points, weather, engine = makeEngine(), config = CONFIG }) => new AlertScheduler(config, {
+  store: { watchedPoints: async () => points },
+  engine,
+  weather,
+  profiles: { resolve: async (where, overrides) => ({ thresholds: mergeThresholds(THRESHOLDS, overrides), profiles: [] }) },
+  cap: { enabled: false }
+});
+
+// The console output of the scheduler is not part of what is tested
+const quietly = async (run) => {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await run();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+};
+
+await (async function testMergesFineCells() {
+  console.log('testMergesFineCells');
+  const series = new Map([[`${MUMBAI.lat},${MUMBAI.lon}`, RAIN]]);
+  const engine = makeEngine();
+  const weather = makeWeather(series);
+  const scheduler = makeScheduler({ points: [MUMBAI, PUNE, { ...MUMBAI }], weather, engine });
+
+  const run = await quietly(() => scheduler.evaluateAll());
+
+  expectEqual(weather.calls.length, 2, 'one forecast per watched fine cell');
+  expectEqual(weather.calls[0].hours, 48, 'fetched over the horizon');
+  expectEqual(engine.reconciled.length, 1, 'one reconciliation per 30° cell');
+
+  const [{ cellKey, evaluated }] = engine.reconciled;
+  expectEqual(cellKey, getGridCellKey(MUMBAI.lat, MUMBAI.lon), 'keyed by 30° cell');
+  expectEqual(evaluated.map(alert => [alert.hazard_type, alert.severity]), [['FLOOD', 'WARNING']], 'rain raises a flood warning');
+  expectEqual(evaluated[0].geometry, { type: 'Cells', resolution: 0.25, cells: ['19_72.75'] }, 'area is the wet fine cell only');
+  expectEqual([evaluated[0].latitude, evaluated[0].longitude], [MUMBAI.lat, MUMBAI.lon], 'centred on the worst point');
+
+  expectEqual(engine.expireCalls, 1, 'expiry runs once per pass');
+  expectEqual([run.cells, run.failed, run.created, run.expired], [1, 0, 1, 1], 'run totals');
+  console.log('✓ Passed');
+})();
+
+await (async function testWorstLevelWins() {
+  console.log('testWorstLevelWins');
+  const series = new Map([
+    [`${MUMBAI.lat},${MUMBAI.lon}`, RAIN],
+    [`${PUNE.lat},${PUNE.lon}`, (i) => (i >= 2 && i < 5 ? { precipitation_mm: 60 } : {})]
+  ]);
+  const engine = makeEngine();
+  const scheduler = makeScheduler({ points: [MUMBAI, PUNE], weather: makeWeather(series), engine });
+
+  await quietly(() => scheduler.evaluateAll());
+
+  const [flood] = engine.reconciled[0].evaluated;
+  expectEqual(flood.severity, 'EMERGENCY', 'worst level among the fine cells');
+  expectEqual(flood.geometry.cells, ['18.5_73.75', '19_72.75'], 'both wet cells, sorted');
+  expectEqual([flood.latitude, flood.longitude], [PUNE.lat, PUNE.lon], 'centred on the worst point');
+  console.log('✓ Passed');
+})();
+
+await (async function testFailedFetchKeepsCell() {
+  console.log('testFailedFetchKeepsCell');
+  const engine = makeEngine();
+  const scheduler = makeScheduler({
+    points: [MUMBAI, PUNE, LONDON],
+    weather: makeWeather(new Map(), [PUNE]),
+    engine
+  });
+
+  const run = await quietly(() => scheduler.evaluateAll());
+
+  expectEqual(engine.reconciled.map(entry => entry.cellKey), [getGridCellKey(LONDON.lat, LONDON.lon)],
+    'a cell with a failed fetch is not reconciled, so its live alerts stay');
+  expectEqual([run.cells, run.failed], [1, 1], 'run totals');
+  console.log('✓ Passed');
+})();
+
+await (async function testInProcessQueue() {
+  console.log('testInProcessQueue');
+  const engine = makeEngine();
+  const scheduler = makeScheduler({ points: [MUMBAI], weather: makeWeather(new Map()), engine });
+
+  await quietly(async () => {
+    await scheduler.start();
+    expectEqual(scheduler.queue instanceof InProcessQueue, true, 'memory queue without Redis');
+    await waitFor(() => scheduler.lastRun !== null, 'first run on start');
+    await scheduler.runNow();
+    await scheduler.stop();
+  });
+
+  expectEqual(engine.reconciled.length, 2, 'started run and queued run');
+  expectEqual(scheduler.queue, null, 'queue closed on stop');
+
+  // A tick while a run is still going is skipped rather than stacked
+  let release;
+  let runs = 0;
+  const queue = new InProcessQueue(() => {
+    runs++;
+    return new Promise(resolve => { release = resolve; });
+  });
+  await queue.start(10);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  expectEqual(runs, 1, 'overlapping ticks skipped');
+  release();
+  await queue.close();
+  console.log('✓ Passed');
+})();
+
+await (async function testDisabled() {
+  console.log('testDisabled');
+  const scheduler = makeScheduler({ points: [], weather: makeWeather(new Map()), config: { ...CONFIG, enabled: false } });
+  await scheduler.start();
+  expectEqual(scheduler.queue, null, 'no queue when disabled');
+  console.log('✓ Passed');
+})();
+
+console.log('\nAll alert scheduler tests passed');
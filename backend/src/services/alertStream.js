@@ -0,0 +1,164 @@
+import alertsConfig from '../../config/alerts.js';
+import { query } from '../../config/database.js';
+import alertEngine, { alertCovers } from './alertEngine.js';
+
+/**
+ * Subscription lookups in PostgreSQL
+ */
+export const pgStreamStore = {
+  /**
+   * The saved locations a user has active hazard subscriptions for
+   */
+  async subscribedPoints(userId) {
+    const result = await query(
+      `SELECT wa.alert_type, sl.latitude, sl.longitude
+       FROM weather_alerts wa
+       JOIN saved_locations sl ON sl.id = wa.location_id
+       WHERE wa.user_id = $1 AND wa.is_active = TRUE`,
+      [userId]
+    );
+
+    return result.rows.map(row => ({
+      hazard: row.alert_type,
+      lat: Number(row.latitude),
+      lon: Number(row.longitude)
+    }));
+  }
+};
+
+/**
+ * Pushes alert events to browsers over Server-Sent Events.
+ *
+ * Each client gets the alerts covering its own position and, when signed in,
+ * those covering its subscribed saved locations (matched on hazard).
+ * Subscriptions are read when the stream opens; a reconnect picks up changes.
+ *
+ * Events:
+ * - snapshot: { alerts } - live alerts on connect, with acknowledged_severity
+ * - alert: { type: created | updated | expired | cancelled, alert }
+ * - acknowledged: { alertId, severity } - acknowledged in another tab of the same user
+ *
+ * Only events raised by this process's engine are streamed.
+ */
+export class AlertStream {
+  constructor({ config = alertsConfig.stream, store = pgStreamStore } = {}) {
+    this.config = config;
+    this.store = store;
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.listeners = Object.fromEntries(
+      ['created', 'updated', 'expired', 'cancelled'].map(type => [type, (alert) => this.broadcast(type, alert)])
+    );
+  }
+
+  /**
+   * Listen for alert changes on the engine
+   */
+  start(engine = alertEngine) {
+    this.engine = engine;
+    Object.entries(this.listeners).forEach(([type, listener]) => engine.on(type, listener));
+
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': heartbeat\n\n'));
+    }, this.config.heartbeatMs);
+    this.heartbeat.unref?.();
+
+    console.log('✅ Alert stream started');
+  }
+
+  stop() {
+    Object.entries(this.listeners).forEach(([type, listener]) => this.engine?.off(type, listener));
+    this.engine = null;
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+  }
+
+  /**
+   * Open a stream on the response and send the current alerts
+   * @param {Object} req
+   * @param {Object} res
+   * @param {Object} options
+   * @param {number} [options.lat]
+   * @param {number} [options.lon]
+   * @param {number|null} [options.userId]
+   * @returns {Promise<Object|null>} the client, or null when it disconnected while connecting
+   */
+  async connect(req, res, { lat, lon, userId = null }) {
+    const engine = this.engine || alertEngine;
+    const client = {
+      res,
+      userId,
+      point: lat !== undefined && lon !== undefined ? { lat, lon } : null,
+      subscribed: []
+    };
+
+    // Listen before the first await: a client gone during the lookups below
+    // must not be added afterwards
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+      this.clients.delete(client);
+    });
+
+    client.subscribed = userId ? await this.store.subscribedPoints(userId) : [];
+    if (closed) return null;
+
+    // Only the alerts covering the client's position or subscribed locations are read
+    const points = client.point ? [{ lat: Number(client.point.lat), lon: Number(client.point.lon) }] : [];
+    points.push(...client.subscribed);
+    const live = await engine.getLiveAlerts({ points, limit: Infinity });
+    const alerts = await engine.withAcknowledgements(live, userId);
+    if (closed) return null;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    this.send(res, 'snapshot', { alerts });
+
+    this.clients.add(client);
+    return client;
+  }
+
+  matches(client, alert) {
+    if (client.point && alertCovers(alert, client.point.lat, client.point.lon)) return true;
+    return client.subscribed.some(point =>
+      point.hazard === alert.hazard_type && alertCovers(alert, point.lat, point.lon)
+    );
+  }
+
+  broadcast(type, alert) {
+    this.clients.forEach(client => {
+      if (this.matches(client, alert)) this.send(client.res, 'alert', { type, alert });
+    });
+  }
+
+  /**
+   * Tell the user's other open streams an alert was acknowledged
+   */
+  notifyAcknowledged(userId, acknowledgement) {
+    this.clients.forEach(client => {
+      if (client.userId === userId) {
+        this.send(client.res, 'acknowledged', {
+          alertId: acknowledgement.alert_id,
+          severity: acknowledgement.severity
+        });
+      }
+    });
+  }
+
+  send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  get size() {
+    return this.clients.size;
+  }
+}
+
+export default new AlertStream();
@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import alertsConfig from '../../config/alerts.js';
+import { query } from '../../config/database.js';
+
+export const SEVERITY_LEVELS = ['WATCH', 'WARNING', 'EMERGENCY'];
+
+const { subscriptions: config } = alertsConfig;
+
+const signature = (payload) =>
+  crypto.createHmac('sha256', config.unsubscribeSecret).update(payload).digest('base64url');
+
+/**
+ * Token for a one-click unsubscribe link.
+ * kind 'subscription' pauses one or more subscriptions; 'user' turns off all
+ * weather alerts; 'email' opts an address out of the email-only alert_subscriptions list.
+ * The issue time (seconds, base 36) is signed too so old links stop working.
+ * @param {string} kind
+ * @param {number|number[]} ids
+ * @param {number} [issuedAt] - ms since epoch
+ */
+export const signUnsubscribeToken = (kind, ids, issuedAt = Date.now()) => {
+  const payload = `${kind}.${[].concat(ids).join('-')}.${Math.floor(issuedAt / 1000).toString(36)}`;
+  return `${payload}.${signature(payload)}`;
+};
+
+/**
+ * @returns {{kind: string, ids: number[], issuedAt: Date}|null} null when malformed, the
+ *   signature doesn't match or the token is older than the configured max age
+ */
+export const verifyUnsubscribeToken = (token, now = Date.now()) => {
+  const match = /^(subscription|user|email)\.(\d+(?:-\d+)*)\.([0-9a-z]+)\.([\w-]+)$/.exec(token || '');
+  if (!match) return null;
+
+  const [, kind, ids, issued, given] = match;
+  const expected = Buffer.from(signature(`${kind}.${ids}.${issued}`));
+  const actual = Buffer.from(given);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  const issuedAt = parseInt(issued, 36) * 1000;
+  if (now - issuedAt > config.unsubscribeMaxAgeMs) return null;
+
+  return { kind, ids: ids.split('-').map(Number), issuedAt: new Date(issuedAt) };
+};
+
+export const unsubscribeUrl = (kind, ids) =>
+  `${config.publicApiUrl}/api/alerts/unsubscribe?token=${signUnsubscribeToken(kind, ids)}`;
+
+// Confirmation links carry a random token; only its hash is stored
+const hashConfirmToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export const confirmSubscriptionUrl = (token) =>
+  `${config.publicApiUrl}/api/alerts/subscribe/confirm?token=${token}`;
+
+// Subscription row joined with its saved location
+const SELECT_SUBSCRIPTION = `
+  SELECT wa.id, wa.user_id, wa.location_id, wa.alert_type, wa.min_severity, wa.threshold_value,
+         wa.is_active, wa.created_at, wa.updated_at,
+         sl.location_name, sl.latitude, sl.longitude
+  FROM weather_alerts wa
+  JOIN saved_locations sl ON sl.id = wa.location_id`;
+
+/**
+ * Per-location, per-hazard alert subscriptions of signed-in users
+ * (the weather_alerts table). A subscription can be paused (is_active = FALSE)
+ * without losing its settings; the user's weather_alerts setting mutes all of them.
+ */
+class AlertSubscriptionService {
+  async listForUser(userId) {
+    const result = await query(
+      `${SELECT_SUBSCRIPTION}
+       WHERE wa.user_id = $1
+       ORDER BY sl.rank ASC, sl.location_name ASC, wa.alert_type ASC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  async get(userId, id) {
+    const result = await query(
+      `${SELECT_SUBSCRIPTION}
+       WHERE wa.id = $1 AND wa.user_id = $2`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async findDuplicate(userId, locationId, alertType, excludeId = null) {
+    const result = await query(
+      `SELECT id FROM weather_alerts
+       WHERE user_id = $1 AND location_id = $2 AND alert_type = $3 AND ($4::int IS NULL OR id != $4)`,
+      [userId, locationId, alertType, excludeId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async ownsLocation(userId, locationId) {
+    const result = await query(
+      'SELECT id FROM saved_locations WHERE id = $1 AND user_id = $2',
+      [locationId, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  async create(userId, { location_id, alert_type, min_severity = 'WATCH', threshold_value = null, is_active = true }) {
+    const result = await query(
+      `INSERT INTO weather_alerts (user_id, location_id, alert_type, min_severity, threshold_value, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [userId, location_id, alert_type, min_severity, threshold_value, is_active]
+    );
+    return this.get(userId, result.rows[0].id);
+  }
+
+  async update(userId, id, changes) {
+    const columns = ['location_id', 'alert_type', 'min_severity', 'threshold_value', 'is_active'];
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const column of columns) {
+      if (changes[column] !== undefined) {
+        updates.push(`${column} = $${paramIndex++}`);
+        values.push(changes[column]);
+      }
+    }
+
+    if (updates.length === 0) return this.get(userId, id);
+
+    values.push(id, userId);
+    const result = await query(
+      `UPDATE weather_alerts
+       SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramIndex} AND user_id = $${paramIndex + 1}
+       RETURNING id`,
+      values
+    );
+
+    return result.rows.length > 0 ? this.get(userId, id) : null;
+  }
+
+  async remove(userId, id) {
+    const result = await query(
+      'DELETE FROM weather_alerts WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Apply a signed unsubscribe token
+   * @returns {Promise<string|null>} what was turned off, or null for an unknown subscription/user
+   */
+  async unsubscribe({ kind, ids }) {
+    if (kind === 'subscription') {
+      const result = await query(
+        `UPDATE weather_alerts SET is_active = FALSE, updated_at = NOW()
+         WHERE id = ANY($1)
+         RETURNING alert_type`,
+        [ids]
+      );
+      if (result.rows.length === 0) return null;
+      const hazards = [...new Set(result.rows.map(row => row.alert_type))].join(', ');
+      return `${hazards} alerts for ${result.rows.length === 1 ? 'this location' : 'these locations'}`;
+    }
+
+    if (kind === 'email') {
+      const result = await query(
+        `UPDATE alert_subscriptions SET opted_in = FALSE, updated_at = NOW()
+         WHERE id = ANY($1)
+         RETURNING id`,
+        [ids]
+      );
+      return result.rows.length > 0 ? 'alert emails at this address' : null;
+    }
+
+    const result = await query(
+      `INSERT INTO user_settings (user_id, weather_alerts)
+       SELECT id, FALSE FROM users WHERE id = ANY($1)
+       ON CONFLICT (user_id) DO UPDATE SET weather_alerts = FALSE, updated_at = NOW()
+       RETURNING user_id`,
+      [ids]
+    );
+    return result.rows.length > 0 ? 'all severe weather alerts' : null;
+  }
+
+  /**
+   * Request a subscription to the email-only list (alert_subscriptions), or a
+   * change to one. The request is kept aside and only applied when the
+   * address follows the link in the confirmation email, so nobody can sign up
+   * or change someone else's address. A newer request replaces an older one
+   * and invalidates its link.
+   * @returns {Promise<string>} token for the confirmation link
+   */
+  async requestEmailSubscription(email, { locations, hazards, thresholds }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await query(
+      `INSERT INTO alert_subscriptions (email, opted_in, pending_changes, confirm_token_hash, confirm_expires_at)
+       VALUES ($1, FALSE, $2, $3, NOW() + $4 * INTERVAL '1 millisecond')
+       ON CONFLICT (email) DO UPDATE SET
+         pending_changes = $2, confirm_token_hash = $3,
+         confirm_expires_at = NOW() + $4 * INTERVAL '1 millisecond', updated_at = NOW()`,
+      [
+        email,
+        JSON.stringify({ locations, hazards, thresholds: thresholds || null }),
+        hashConfirmToken(token),
+        config.confirmMaxAgeMs
+      ]
+    );
+    return token;
+  }
+
+  /**
+   * The subscription and requested changes an unexpired confirmation token belongs to
+   * @returns {Promise<Object|null>}
+   */
+  async findEmailConfirmation(token) {
+    if (!token) return null;
+    const result = await query(
+      `SELECT id, email, pending_changes FROM alert_subscriptions
+       WHERE confirm_token_hash = $1 AND confirm_expires_at > NOW() AND pending_changes IS NOT NULL`,
+      [hashConfirmToken(token)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Apply the changes behind a confirmation token and mark the address as
+   * confirmed; the link only works once
+   * @returns {Promise<Object|null>} the subscription, or null for an unknown or expired token
+   */
+  async confirmEmailSubscription(token) {
+    if (!token) return null;
+    const result = await query(
+      `UPDATE alert_subscriptions
+       SET locations = pending_changes->'locations',
+           hazards = pending_changes->'hazards',
+           threshold_overrides = NULLIF(pending_changes->'thresholds', 'null'::jsonb),
+           opted_in = TRUE,
+           confirmed_at = COALESCE(confirmed_at, NOW()),
+           pending_changes = NULL, confirm_token_hash = NULL, confirm_expires_at = NULL,
+           updated_at = NOW()
+       WHERE confirm_token_hash = $1 AND confirm_expires_at > NOW() AND pending_changes IS NOT NULL
+       RETURNING id, email`,
+      [hashConfirmToken(token)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Whether the user's weather alerts setting is on (defaults to on, as in /api/user/settings)
+   */
+  async alertsEnabled(userId) {
+    const result = await query(
+      'SELECT weather_alerts FROM user_settings WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows.length === 0 ? true : result.rows[0].weather_alerts !== false;
+  }
+}
+
+export default new AlertSubscriptionService();
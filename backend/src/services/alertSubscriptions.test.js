@@ -0,0 +1,64 @@
+/**
+ * Tests for signed one-click unsubscribe tokens
+ * Run with: npm test (from backend/)
+ */
+
+process.env.ALERT_UNSUBSCRIBE_SECRET ||= 'test-unsubscribe-secret';
+process.env.ALERT_UNSUBSCRIBE_MAX_AGE_DAYS = '90';
+
+const { signUnsubscribeToken, unsubscribeUrl, verifyUnsubscribeToken } = await import('./alertSubscriptions.js');
+const { expectEqual } = await import('./testHelpers.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISSUED_AT = Date.parse('2026-03-01T12:00:00Z');
+
+(function testRoundTrip() {
+  console.log('testRoundTrip');
+  const token = signUnsubscribeToken('subscription', [4, 9], ISSUED_AT);
+  expectEqual(
+    verifyUnsubscribeToken(token, ISSUED_AT + DAY_MS),
+    { kind: 'subscription', ids: [4, 9], issuedAt: new Date(ISSUED_AT) },
+    'kind, ids and issue time survive'
+  );
+  expectEqual(
+    verifyUnsubscribeToken(signUnsubscribeToken('user', 12, ISSUED_AT), ISSUED_AT).ids,
+    [12],
+    'a single id is accepted'
+  );
+  console.log('✓ Passed');
+})();
+
+(function testTamperedTokens() {
+  console.log('testTamperedTokens');
+  const token = signUnsubscribeToken('subscription', [4], ISSUED_AT);
+  const [, ids, issued, sig] = token.split('.');
+
+  expectEqual(verifyUnsubscribeToken(`user.${ids}.${issued}.${sig}`, ISSUED_AT), null, 'kind swapped');
+  expectEqual(verifyUnsubscribeToken(`subscription.5.${issued}.${sig}`, ISSUED_AT), null, 'id swapped');
+  expectEqual(verifyUnsubscribeToken(`subscription.4-5.${issued}.${sig}`, ISSUED_AT), null, 'id added');
+  const later = Math.floor((ISSUED_AT + DAY_MS) / 1000).toString(36);
+  expectEqual(verifyUnsubscribeToken(`subscription.${ids}.${later}.${sig}`, ISSUED_AT), null, 'issue time moved');
+  expectEqual(verifyUnsubscribeToken(`${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`, ISSUED_AT), null, 'signature altered');
+  expectEqual(verifyUnsubscribeToken(`subscription.${ids}.${sig}`, ISSUED_AT), null, 'tokens without an issue time');
+  expectEqual(verifyUnsubscribeToken('', ISSUED_AT), null, 'empty');
+  expectEqual(verifyUnsubscribeToken(undefined, ISSUED_AT), null, 'missing');
+  console.log('✓ Passed');
+})();
+
+(function testExpiry() {
+  console.log('testExpiry');
+  const token = signUnsubscribeToken('email', [3], ISSUED_AT);
+  expectEqual(verifyUnsubscribeToken(token, ISSUED_AT + 90 * DAY_MS)?.ids, [3], 'valid up to the max age');
+  expectEqual(verifyUnsubscribeToken(token, ISSUED_AT + 91 * DAY_MS), null, 'rejected after the max age');
+  console.log('✓ Passed');
+})();
+
+(function testUnsubscribeUrl() {
+  console.log('testUnsubscribeUrl');
+  const url = new URL(unsubscribeUrl('subscription', [1, 2]));
+  expectEqual(url.pathname, '/api/alerts/unsubscribe', 'points at the unsubscribe route');
+  expectEqual(verifyUnsubscribeToken(url.searchParams.get('token'))?.kind, 'subscription', 'carries a fresh token');
+  console.log('✓ Passed');
+})();
+
+console.log('\nAll unsubscribe token tests passed');
@@ -0,0 +1,476 @@
+import alertsConfig from '../../config/alerts.js';
+import { query } from '../../config/database.js';
+import { alertCovers, getGridCellKey } from './alertEngine.js';
+import { geometryCentre } from './geo.js';
+import thresholdProfiles from './thresholdProfiles.js';
+import weatherService from './weatherService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hazards that can be checked against daily archive observations, each with
+ * the observed value and whether it reached the hazard's WATCH threshold.
+ * Thunderstorms, air quality, UV and fog have no archive observation and are
+ * recorded as unverifiable.
+ */
+export const OBSERVED_HAZARDS = {
+  FLOOD: (day, { WATCH }) => ({
+    value: day.precipitation_sum_mm,
+    occurred: day.precipitation_sum_mm >= WATCH.accum_6h_mm
+  }),
+  WIND: (day, { WATCH }) => ({
+    value: day.wind_gust_max_ms ?? day.wind_speed_max_ms,
+    occurred: day.wind_speed_max_ms >= WATCH.sustained_ms || day.wind_gust_max_ms >= WATCH.gust_ms
+  }),
+  HEAT: (day, { WATCH }) => ({
+    value: day.temperature_max_c,
+    occurred: day.temperature_max_c >= WATCH.temp_c
+  }),
+  FROST: (day, { WATCH }) => ({
+    value: day.temperature_min_c,
+    occurred: day.temperature_min_c !== null && day.temperature_min_c <= WATCH.temp_c
+  }),
+  SNOW: (day, { WATCH }) => ({
+    value: day.snowfall_sum_cm,
+    occurred: day.snowfall_sum_cm >= WATCH.accum_24h_cm
+  })
+};
+
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Local calendar date of an instant at a UTC offset
+const localDate = (time, utcOffsetSeconds) => isoDate(new Date(time).getTime() + utcOffsetSeconds * 1000);
+
+const addDays = (date, days) => isoDate(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS);
+
+/**
+ * Period an alert warned about: its forecast onset (or issue time) to its
+ * forecast end (or expiry)
+ */
+export const alertWindow = (alert) => {
+  const start = alert.onset_at || alert.created_at;
+  const end = alert.ends_at || alert.expires_at || alert.cancelled_at || start;
+  return { start: new Date(start), end: new Date(Math.max(new Date(end), new Date(start))) };
+};
+
+/**
+ * Point an alert is verified at: its centre when it has one, otherwise the
+ * middle of its first shape
+ */
+export const representativePoint = (alert) => {
+  if (alert.latitude !== null && alert.latitude !== undefined &&
+      alert.longitude !== null && alert.longitude !== undefined) {
+    return { lat: Number(alert.latitude), lon: Number(alert.longitude) };
+  }
+
+  return geometryCentre(alert.geometry);
+};
+
+/**
+ * Compare one alert with the observed days at its point.
+ * A hit when the hazard was observed on any day of the alert's window, a
+ * false alarm otherwise. Lead time runs from the first issue to the start of
+ * the first observed day (or the forecast onset when it fell on that day).
+ * @param {Object} alert - alerts row
+ * @param {Object} archive - CanonicalArchive for the alert's point
+ * @param {Object} thresholds - resolved thresholds for that point
+ * @returns {{outcome: string, event_date: string|null, observed_value: number|null, lead_time_hours: number|null}}
+ */
+export const verifyAlert = (alert, archive, thresholds) => {
+  const observe = OBSERVED_HAZARDS[alert.hazard_type];
+  if (!observe || !thresholds[alert.hazard_type]) {
+    return { outcome: 'unverifiable', event_date: null, observed_value: null, lead_time_hours: null };
+  }
+
+  const offset = archive.location.utc_offset_seconds || 0;
+  const { start, end } = alertWindow(alert);
+  const from = localDate(start, offset);
+  const to = localDate(end, offset);
+
+  const days = archive.daily
+    .filter(day => day.date >= from && day.date <= to)
+    .map(day => ({ date: day.date, ...observe(day, thresholds[alert.hazard_type]) }));
+  const event = days.find(day => day.occurred);
+
+  if (!event) {
+    const values = days.map(day => day.value).filter(value => value !== null && value !== undefined);
+    // Closest the observations came to the hazard: the lowest minimum for frost, otherwise the highest value
+    const closest = values.length === 0
+      ? null
+      : (alert.hazard_type === 'FROST' ? Math.min(...values) : Math.max(...values));
+    return { outcome: 'false_alarm', event_date: null, observed_value: closest, lead_time_hours: null };
+  }
+
+  const dayStart = Date.parse(`${event.date}T00:00:00Z`) - offset * 1000;
+  const onsetOnDay = alert.onset_at && localDate(alert.onset_at, offset) === event.date;
+  const eventStart = onsetOnDay ? new Date(alert.onset_at).getTime() : dayStart;
+  const issuedAt = new Date(alert.created_at).getTime();
+
+  return {
+    outcome: 'hit',
+    event_date: event.date,
+    observed_value: event.value,
+    lead_time_hours: Math.round(Math.max(0, eventStart - issuedAt) / 36e5 * 10) / 10
+  };
+};
+
+/**
+ * Observed hazard days at a watched point that no alert covered: the misses.
+ * @param {{lat: number, lon: number}} point
+ * @param {Object} archive - CanonicalArchive for the point
+ * @param {Object[]} alerts - alerts of any status that could have covered it
+ * @param {Object} thresholds - resolved thresholds for the point
+ * @returns {Object[]} { hazard_type, event_date, observed_value }
+ */
+export const findMisses = (point, archive, alerts, thresholds) => {
+  const offset = archive.location.utc_offset_seconds || 0;
+  const misses = [];
+
+  for (const [hazard, observe] of Object.entries(OBSERVED_HAZARDS)) {
+    if (!thresholds[hazard]) continue;
+
+    const covering = alerts
+      .filter(alert => alert.hazard_type === hazard && alertCovers(alert, point.lat, point.lon))
+      .map(alertWindow)
+      .map(({ start, end }) => ({ from: localDate(start, offset), to: localDate(end, offset) }));
+
+    for (const day of archive.daily) {
+      const { value, occurred } = observe(day, thresholds[hazard]);
+      if (!occurred) continue;
+      if (covering.some(({ from, to }) => day.date >= from && day.date <= to)) continue;
+      misses.push({ hazard_type: hazard, event_date: day.date, observed_value: value });
+    }
+  }
+
+  return misses;
+};
+
+const ratio = (numerator, denominator) => (denominator > 0
+  ? Math.round((numerator / denominator) * 1000) / 1000
+  : null);
+
+/**
+ * Scores per hazard type from outcome counts:
+ * hit rate = hits / (hits + misses), false alarm ratio = false alarms / (hits + false alarms)
+ * @param {Object[]} rows - { hazard_type, outcome, count, mean_lead_time_hours }
+ */
+export const scoreOutcomes = (rows) => {
+  const byHazard = new Map();
+
+  for (const row of rows) {
+    if (!byHazard.has(row.hazard_type)) {
+      byHazard.set(row.hazard_type, {
+        hazard_type: row.hazard_type,
+        hits: 0,
+        misses: 0,
+        false_alarms: 0,
+        unverifiable: 0,
+        mean_lead_time_hours: null
+      });
+    }
+    const score = byHazard.get(row.hazard_type);
+    const count = Number(row.count);
+
+    if (row.outcome === 'hit') {
+      score.hits += count;
+      if (row.mean_lead_time_hours !== null && row.mean_lead_time_hours !== undefined) {
+        score.mean_lead_time_hours = Math.round(Number(row.mean_lead_time_hours) * 10) / 10;
+      }
+    } else if (row.outcome === 'miss') {
+      score.misses += count;
+    } else if (row.outcome === 'false_alarm') {
+      score.false_alarms += count;
+    } else {
+      score.unverifiable += count;
+    }
+  }
+
+  return [...byHazard.values()]
+    .map(score => ({
+      ...score,
+      hit_rate: ratio(score.hits, score.hits + score.misses),
+      false_alarm_ratio: ratio(score.false_alarms, score.hits + score.false_alarms)
+    }))
+    .sort((a, b) => a.hazard_type.localeCompare(b.hazard_type));
+};
+
+/**
+ * PostgreSQL-backed storage for the verifier
+ */
+export const pgVerificationStore = {
+  /**
+   * Finished alerts not verified yet whose window ended before `endedBefore`
+   * (test alerts from /simulate are never verified)
+   */
+  async alertsToVerify(endedBefore, limit) {
+    const result = await query(
+      `SELECT a.* FROM alerts a
+       LEFT JOIN alert_verifications v ON v.alert_id = a.id
+       WHERE v.id IS NULL
+         AND a.status IN ('expired', 'cancelled')
+         AND a.source != 'simulate'
+         AND COALESCE(a.ends_at, a.expires_at, a.cancelled_at, a.created_at) < $1
+       ORDER BY a.created_at ASC
+       LIMIT $2`,
+      [endedBefore, limit]
+    );
+    return result.rows;
+  },
+
+  async recordAlert(alert, point, verification) {
+    await query(
+      `INSERT INTO alert_verifications
+         (alert_id, hazard_type, severity, outcome, latitude, longitude, event_date,
+          observed_value, lead_time_hours, issued_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (alert_id) WHERE alert_id IS NOT NULL DO NOTHING`,
+      [
+        alert.id,
+        alert.hazard_type,
+        alert.severity,
+        verification.outcome,
+        point?.lat ?? null,
+        point?.lon ?? null,
+        verification.event_date,
+        verification.observed_value,
+        verification.lead_time_hours,
+        alert.created_at
+      ]
+    );
+  },
+
+  async recordMiss(point, miss) {
+    const result = await query(
+      `INSERT INTO alert_verifications
+         (hazard_type, outcome, latitude, longitude, event_date, observed_value)
+       VALUES ($1, 'miss', $2, $3, $4, $5)
+       ON CONFLICT (hazard_type, latitude, longitude, event_date) WHERE alert_id IS NULL DO NOTHING`,
+      [miss.hazard_type, point.lat, point.lon, miss.event_date, miss.observed_value]
+    );
+    return result.rowCount > 0;
+  },
+
+  /**
+   * Saved locations, one point per fine forecast cell (as the scheduler watches them)
+   */
+  async watchedPoints(resolution) {
+    const result = await query(
+      'SELECT DISTINCT latitude, longitude FROM saved_locations ORDER BY latitude, longitude'
+    );
+    const points = new Map();
+    for (const row of result.rows) {
+      const point = { lat: Number(row.latitude), lon: Number(row.longitude) };
+      const key = getGridCellKey(point.lat, point.lon, resolution);
+      if (!points.has(key)) points.set(key, point);
+    }
+    return [...points.values()];
+  },
+
+  /**
+   * Non-test alerts of the observable hazards whose window overlaps [from, to]
+   */
+  async alertsBetween(from, to) {
+    const result = await query(
+      `SELECT * FROM alerts
+       WHERE hazard_type = ANY($1)
+         AND source != 'simulate'
+         AND COALESCE(onset_at, created_at) <= $3
+         AND COALESCE(ends_at, expires_at, cancelled_at, created_at) >= $2`,
+      [Object.keys(OBSERVED_HAZARDS), from, to]
+    );
+    return result.rows;
+  },
+
+  async outcomeCounts({ from, to, hazard } = {}) {
+    const result = await query(
+      `SELECT hazard_type, outcome, COUNT(*) AS count, AVG(lead_time_hours) AS mean_lead_time_hours
+       FROM alert_verifications
+       WHERE ($1::date IS NULL OR COALESCE(event_date, issued_at::date) >= $1::date)
+         AND ($2::date IS NULL OR COALESCE(event_date, issued_at::date) <= $2::date)
+         AND ($3::text IS NULL OR hazard_type = $3)
+       GROUP BY hazard_type, outcome`,
+      [from || null, to || null, hazard || null]
+    );
+    return result.rows;
+  },
+
+  async recentVerifications({ from, to, hazard, limit = 50 } = {}) {
+    const result = await query(
+      `SELECT v.*, a.details, a.source, a.status AS alert_status
+       FROM alert_verifications v
+       LEFT JOIN alerts a ON a.id = v.alert_id
+       WHERE ($1::date IS NULL OR COALESCE(v.event_date, v.issued_at::date) >= $1::date)
+         AND ($2::date IS NULL OR COALESCE(v.event_date, v.issued_at::date) <= $2::date)
+         AND ($3::text IS NULL OR v.hazard_type = $3)
+       ORDER BY v.verified_at DESC, v.id DESC
+       LIMIT $4`,
+      [from || null, to || null, hazard || null, limit]
+    );
+    return result.rows;
+  }
+};
+
+/**
+ * Post-event verification: once the archive has observations for a finished
+ * alert, records whether the hazard happened at its point (hit or false
+ * alarm) and the lead time; observed hazard days at saved locations that no
+ * alert covered are recorded as misses. Runs every `intervalMs`; every run is
+ * idempotent, so overlapping windows don't double count.
+ */
+export class AlertVerifier {
+  constructor({
+    config = alertsConfig.verification,
+    store = pgVerificationStore,
+    archive = (lat, lon, range) => weatherService.getArchive(lat, lon, range),
+    resolveThresholds = (point) => thresholdProfiles.resolve(point).then(resolved => resolved.thresholds),
+    now = () => new Date()
+  } = {}) {
+    this.config = config;
+    this.store = store;
+    this.archive = archive;
+    this.resolveThresholds = resolveThresholds;
+    this.now = now;
+    this.timer = null;
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  // Latest date the archive is expected to have observations for
+  latestObservedDate() {
+    return addDays(isoDate(this.now()), -this.config.archiveDelayDays);
+  }
+
+  async verifyAlerts() {
+    const totals = { verified: 0, hit: 0, false_alarm: 0, unverifiable: 0, failed: 0 };
+    const latest = this.latestObservedDate();
+    const alerts = await this.store.alertsToVerify(`${addDays(latest, 1)}T00:00:00Z`, this.config.batchSize);
+
+    for (const alert of alerts) {
+      const point = representativePoint(alert);
+      try {
+        let verification = { outcome: 'unverifiable', event_date: null, observed_value: null, lead_time_hours: null };
+
+        if (point && OBSERVED_HAZARDS[alert.hazard_type]) {
+          const { start, end } = alertWindow(alert);
+          // One day either side so local dates at any offset are covered
+          const endDate = addDays(isoDate(end), 1);
+          const archive = await this.archive(point.lat, point.lon, {
+            startDate: addDays(isoDate(start), -1),
+            endDate: endDate > latest ? latest : endDate
+          });
+          const thresholds = await this.resolveThresholds({
+            cellKey: alert.cell_key || getGridCellKey(point.lat, point.lon),
+            ...point
+          });
+          verification = verifyAlert(alert, archive, thresholds);
+        }
+
+        await this.store.recordAlert(alert, point, verification);
+        totals.verified++;
+        totals[verification.outcome]++;
+      } catch (error) {
+        totals.failed++;
+        console.warn(`⚠️ Verification failed for alert ${alert.id}: ${error.message}`);
+      }
+    }
+
+    return totals;
+  }
+
+  async findMisses() {
+    const totals = { points: 0, misses: 0, failed: 0 };
+    const to = this.latestObservedDate();
+    const from = addDays(to, -(this.config.lookbackDays - 1));
+    const points = await this.store.watchedPoints(alertsConfig.scheduler.cellResolutionDeg);
+    // Alerts that ended a day either side still count as covering local dates at the edges
+    const alerts = await this.store.alertsBetween(`${addDays(from, -1)}T00:00:00Z`, `${addDays(to, 2)}T00:00:00Z`);
+
+    for (const point of points) {
+      try {
+        const archive = await this.archive(point.lat, point.lon, { startDate: from, endDate: to });
+        const thresholds = await this.resolveThresholds({ cellKey: getGridCellKey(point.lat, point.lon), ...point });
+
+        for (const miss of findMisses(point, archive, alerts, thresholds)) {
+          if (await this.store.recordMiss(point, miss)) totals.misses++;
+        }
+        totals.points++;
+      } catch (error) {
+        totals.failed++;
+        console.warn(`⚠️ Miss check failed for ${point.lat},${point.lon}: ${error.message}`);
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * One verification pass. Safe to call directly (e.g. from the admin page or tests).
+   */
+  async verifyAll() {
+    const startedAt = Date.now();
+    const alerts = await this.verifyAlerts();
+    const misses = await this.findMisses();
+
+    this.lastRun = {
+      ...alerts,
+      misses: misses.misses,
+      points: misses.points,
+      failed: alerts.failed + misses.failed,
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt
+    };
+    console.log(
+      `✅ Alert verification: ${alerts.verified} alerts (${alerts.hit} hits, ${alerts.false_alarm} false alarms), ` +
+      `${misses.misses} new misses at ${misses.points} locations`
+    );
+
+    return this.lastRun;
+  }
+
+  /**
+   * Run now unless a run is already going, in which case wait for that one
+   */
+  runNow() {
+    if (!this.running) {
+      this.running = this.verifyAll().finally(() => { this.running = null; });
+    }
+    return this.running;
+  }
+
+  /**
+   * Scores per hazard and the latest verifications, for the admin page
+   */
+  async getReport(filters = {}) {
+    const [counts, recent] = await Promise.all([
+      this.store.outcomeCounts(filters),
+      this.store.recentVerifications(filters)
+    ]);
+
+    return { scores: scoreOutcomes(counts), recent, lastRun: this.lastRun };
+  }
+
+  start() {
+    if (!this.config.enabled || this.timer) return;
+
+    const tick = () => {
+      if (this.running) return;
+      this.runNow().catch((err) => {
+        console.error(`❌ Alert verification job failed: ${err.message}`);
+      });
+    };
+
+    this.timer = setInterval(tick, this.config.intervalMs);
+    this.timer.unref?.();
+    tick();
+
+    console.log(`⏰ Alert verification started (every ${this.config.intervalMs / 3600000} h)`);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.running) await this.running.catch(() => {});
+  }
+}
+
+export default new AlertVerifier();
@@ -0,0 +1,135 @@
+import { THRESHOLDS } from './alertEngine.js';
+import { AlertVerifier, findMisses, scoreOutcomes, verifyAlert } from './alertVerification.js';
+import { expectEqual } from './testHelpers.js';
+
+/**
+ * Tests for post-event alert verification against archive observations
+ * Run with: npm test (from backend/)
+ */
+
+// Daily archive at Mumbai (UTC+5:30) with a wet 17 October
+const DAY = {
+  temperature_max_c: 31, temperature_min_c: 25, precipitation_sum_mm: 2,
+  snowfall_sum_cm: 0, wind_speed_max_ms: 6, wind_gust_max_ms: 11
+};
+const archive = {
+  location: { latitude: 19.07, longitude: 72.87, utc_offset_seconds: 19800 },
+  daily: [
+    { ...DAY, date: '2026-10-15' },
+    { ...DAY, date: '2026-10-16' },
+    { ...DAY, date: '2026-10-17', precipitation_sum_mm: 64 },
+    { ...DAY, date: '2026-10-18' }
+  ]
+};
+
+const floodAlert = {
+  id: 1,
+  hazard_type: 'FLOOD',
+  severity: 'WARNING',
+  latitude: 19.07,
+  longitude: 72.87,
+  geometry: { type: 'Circle', coordinates: [72.87, 19.07], radius_km: 25 },
+  created_at: new Date('2026-10-16T06:30:00Z'),
+  onset_at: new Date('2026-10-17T03:30:00Z'),
+  ends_at: new Date('2026-10-17T12:30:00Z'),
+  expires_at: new Date('2026-10-17T18:30:00Z')
+};
+
+(function testHit() {
+  console.log('testHit');
+  const result = verifyAlert(floodAlert, archive, THRESHOLDS);
+  expectEqual(result, { outcome: 'hit', event_date: '2026-10-17', observed_value: 64, lead_time_hours: 21 }, 'rain observed on the warned day');
+  console.log('✓ Passed');
+})();
+
+(function testFalseAlarmAndUnverifiable() {
+  console.log('testFalseAlarmAndUnverifiable');
+  const windAlert = { ...floodAlert, id: 2, hazard_type: 'WIND' };
+  expectEqual(verifyAlert(windAlert, archive, THRESHOLDS).outcome, 'false_alarm', 'gusts stayed below the watch level');
+  expectEqual(verifyAlert(windAlert, archive, THRESHOLDS).observed_value, 11, 'highest gust kept');
+
+  const dryAlert = { ...floodAlert, id: 3, onset_at: new Date('2026-10-15T03:30:00Z'), ends_at: new Date('2026-10-15T12:30:00Z') };
+  expectEqual(verifyAlert(dryAlert, archive, THRESHOLDS).outcome, 'false_alarm', 'rain fell after the window');
+
+  const fogAlert = { ...floodAlert, id: 4, hazard_type: 'FOG' };
+  expectEqual(verifyAlert(fogAlert, archive, THRESHOLDS).outcome, 'unverifiable', 'no fog observations');
+  console.log('✓ Passed');
+})();
+
+(function testMisses() {
+  console.log('testMisses');
+  const point = { lat: 19.07, lon: 72.87 };
+  expectEqual(findMisses(point, archive, [floodAlert], THRESHOLDS), [], 'warned rain is not a miss');
+  expectEqual(
+    findMisses(point, archive, [], THRESHOLDS),
+    [{ hazard_type: 'FLOOD', event_date: '2026-10-17', observed_value: 64 }],
+    'unwarned rain is a miss'
+  );
+
+  const elsewhere = { ...floodAlert, geometry: { type: 'Circle', coordinates: [80.27, 13.08], radius_km: 25 } };
+  expectEqual(findMisses(point, archive, [elsewhere], THRESHOLDS).length, 1, 'an alert for another area does not count');
+  console.log('✓ Passed');
+})();
+
+(function testScores() {
+  console.log('testScores');
+  const scores = scoreOutcomes([
+    { hazard_type: 'FLOOD', outcome: 'hit', count: '3', mean_lead_time_hours: '18.25' },
+    { hazard_type: 'FLOOD', outcome: 'miss', count: '1', mean_lead_time_hours: null },
+    { hazard_type: 'FLOOD', outcome: 'false_alarm', count: '1', mean_lead_time_hours: null },
+    { hazard_type: 'FOG', outcome: 'unverifiable', count: '2', mean_lead_time_hours: null }
+  ]);
+  expectEqual(scores.map(score => score.hazard_type), ['FLOOD', 'FOG'], 'one row per hazard');
+  expectEqual(
+    [scores[0].hit_rate, scores[0].false_alarm_ratio, scores[0].mean_lead_time_hours],
+    [0.75, 0.25, 18.3],
+    'hit rate, false alarm ratio and lead time'
+  );
+  expectEqual([scores[1].hit_rate, scores[1].false_alarm_ratio], [null, null], 'no scores without outcomes');
+  console.log('✓ Passed');
+})();
+
+await (async function testVerifierRun() {
+  console.log('testVerifierRun');
+  const recorded = [];
+  const misses = [];
+  const requests = [];
+
+  const verifier = new AlertVerifier({
+    config: { enabled: false, archiveDelayDays: 1, lookbackDays: 4, batchSize: 10 },
+    store: {
+      async alertsToVerify() {
+        return [floodAlert, { ...floodAlert, id: 5, hazard_type: 'UV' }];
+      },
+      async recordAlert(alert, point, verification) {
+        recorded.push([alert.id, verification.outcome]);
+      },
+      async recordMiss(point, miss) {
+        misses.push(miss);
+        return true;
+      },
+      async watchedPoints() {
+        return [{ lat: 19.07, lon: 72.87 }];
+      },
+      async alertsBetween() {
+        return [];
+      }
+    },
+    archive: async (lat, lon, range) => {
+      requests.push(range);
+      return archive;
+    },
+    resolveThresholds: async () => THRESHOLDS,
+    now: () => new Date('2026-10-19T08:00:00Z')
+  });
+
+  const run = await verifier.verifyAll();
+  expectEqual(recorded, [[1, 'hit'], [5, 'unverifiable']], 'alerts recorded');
+  expectEqual([run.verified, run.hit, run.misses], [2, 1, 1], 'run totals');
+  expectEqual(requests[0], { startDate: '2026-10-16', endDate: '2026-10-18' }, 'alert window padded by a day');
+  expectEqual(requests[1], { startDate: '2026-10-15', endDate: '2026-10-18' }, 'lookback window');
+  expectEqual(misses[0].event_date, '2026-10-17', 'miss recorded');
+  console.log('✓ Passed');
+})();
+
+console.log('\nAll alert verification tests passed');
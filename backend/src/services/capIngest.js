@@ -0,0 +1,376 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import alertsConfig from '../../config/alerts.js';
+import { query } from '../../config/database.js';
+import alertEngine, { getGridCellKey } from './alertEngine.js';
+import { circleRing } from './geo.js';
+import { parseXml, childNamed, childrenNamed, childText } from './xmlReader.js';
+
+// CAP severity onto our levels; Minor and Unknown warnings are not imported
+export const SEVERITY_FROM_CAP = {
+  Extreme: 'EMERGENCY',
+  Severe: 'WARNING',
+  Moderate: 'WATCH'
+};
+
+// Used for hazards without a rule of their own
+const DEFAULT_SCORES = { EMERGENCY: 90, WARNING: 70, WATCH: 40 };
+
+// First match wins, so thunderstorms are checked before wind ("storm")
+const HAZARD_PATTERNS = [
+  ['THUNDERSTORM', /thunder|lightning/],
+  ['SNOW', /snow|blizzard|sleet|\bic[ey]\b|freezing rain/],
+  ['FROST', /frost|freez|\bcold\b/],
+  ['HEAT', /\bheat|high temperature/],
+  ['FLOOD', /flood|\brain|storm surge/],
+  ['WIND', /wind|gale|storm|cyclone|hurricane|typhoon|tornado/],
+  ['FOG', /\bfog/],
+  ['AIR_QUALITY', /air quality|smog|dust|ozone|pollution/],
+  ['UV', /\buv\b|ultraviolet/]
+];
+
+/**
+ * Our hazard type for a CAP <event>, e.g. "Severe Thunderstorm Warning" ->
+ * THUNDERSTORM. Unknown events keep their own name ("Tsunami" -> TSUNAMI).
+ */
+export const hazardFromEvent = (event) => {
+  const text = event.toLowerCase();
+  const match = HAZARD_PATTERNS.find(([, pattern]) => pattern.test(text));
+  if (match) return match[0];
+  return event.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 50) || 'OTHER';
+};
+
+// "lat,lon lat,lon ..." -> closed GeoJSON ring of [lon, lat]
+const parsePolygon = (value) => {
+  const ring = value.trim().split(/\s+/).map(pair => {
+    const [lat, lon] = pair.split(',').map(Number);
+    return [lon, lat];
+  });
+  if (ring.length < 3 || ring.some(([lon, lat]) => !Number.isFinite(lon) || !Number.isFinite(lat))) return null;
+
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push([...first]);
+  return ring.length >= 4 ? ring : null;
+};
+
+// "lat,lon radius" -> { lat, lon, radiusKm }
+const parseCircle = (value) => {
+  const [centre, radius] = value.trim().split(/\s+/);
+  const [lat, lon] = (centre || '').split(',').map(Number);
+  const radiusKm = Number(radius);
+  return [lat, lon, radiusKm].every(Number.isFinite) ? { lat, lon, radiusKm } : null;
+};
+
+const parseArea = (node) => ({
+  areaDesc: childText(node, 'areaDesc'),
+  polygons: childrenNamed(node, 'polygon').map(polygon => parsePolygon(polygon.text)).filter(Boolean),
+  circles: childrenNamed(node, 'circle').map(circle => parseCircle(circle.text)).filter(Boolean),
+  geocodes: Object.fromEntries(childrenNamed(node, 'geocode').map(geocode => [
+    childText(geocode, 'valueName'),
+    childText(geocode, 'value')
+  ]))
+});
+
+// English info block if there is one, else the first
+const pickInfo = (infos) => infos.find(info => /^en/i.test(childText(info, 'language') || 'en-US')) || infos[0] || null;
+
+/**
+ * Read a CAP 1.2 <alert> element
+ * @returns {Object} identifier, sender, sent, status, msgType, references and the chosen info
+ */
+export const parseCapAlert = (node) => {
+  const info = pickInfo(childrenNamed(node, 'info'));
+
+  return {
+    identifier: childText(node, 'identifier'),
+    sender: childText(node, 'sender'),
+    sent: childText(node, 'sent'),
+    status: childText(node, 'status'),
+    msgType: childText(node, 'msgType'),
+    // "sender,identifier,sent" triples separated by whitespace
+    references: (childText(node, 'references') || '').split(/\s+/).filter(Boolean).map(reference => {
+      const [sender, identifier, sent] = reference.split(',');
+      return { sender, identifier, sent };
+    }),
+    info: info && {
+      event: childText(info, 'event'),
+      severity: childText(info, 'severity'),
+      urgency: childText(info, 'urgency'),
+      certainty: childText(info, 'certainty'),
+      effective: childText(info, 'effective'),
+      onset: childText(info, 'onset'),
+      expires: childText(info, 'expires'),
+      headline: childText(info, 'headline'),
+      description: childText(info, 'description'),
+      instruction: childText(info, 'instruction'),
+      areas: childrenNamed(info, 'area').map(parseArea)
+    }
+  };
+};
+
+/**
+ * Map a parsed CAP message onto createAlert/updateAlert input.
+ * @returns {Object|null} null when the severity or area can't be mapped
+ */
+export const toAlertData = (cap, { rules = alertEngine.rules } = {}) => {
+  const { info } = cap;
+  const severity = SEVERITY_FROM_CAP[info?.severity];
+  if (!severity || !info.event) return null;
+
+  const polygons = info.areas.flatMap(area => area.polygons);
+  const circles = info.areas.flatMap(area => area.circles);
+  const gridCell = info.areas.map(area => area.geocodes.AETHER_GRID_CELL).find(Boolean) || null;
+  const areaDesc = info.areas.map(area => area.areaDesc).filter(Boolean).join('; ') || null;
+
+  const area = { cellKey: gridCell, latitude: null, longitude: null, radiusKm: null, geometry: null };
+
+  if (polygons.length === 0 && circles.length === 1) {
+    const [circle] = circles;
+    Object.assign(area, {
+      latitude: circle.lat,
+      longitude: circle.lon,
+      radiusKm: circle.radiusKm,
+      geometry: { type: 'Circle', coordinates: [circle.lon, circle.lat], radius_km: circle.radiusKm }
+    });
+    area.cellKey ??= getGridCellKey(circle.lat, circle.lon);
+  } else if (polygons.length + circles.length > 0) {
+    // Several shapes are stored together, circles as polygons
+    const rings = [...polygons, ...circles.map(({ lat, lon, radiusKm }) => circleRing(lat, lon, radiusKm))];
+    area.geometry = rings.length === 1
+      ? { type: 'Polygon', coordinates: [rings[0]] }
+      : { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) };
+    // Cell of the first shape's bounding-box centre, for grid-based lookups
+    const lons = rings[0].map(([lon]) => lon);
+    const lats = rings[0].map(([, lat]) => lat);
+    area.cellKey ??= getGridCellKey(
+      (Math.min(...lats) + Math.max(...lats)) / 2,
+      (Math.min(...lons) + Math.max(...lons)) / 2
+    );
+  } else if (!gridCell) {
+    return null;
+  }
+
+  const hazard = hazardFromEvent(info.event);
+  const scores = rules?.get(hazard)?.scores || DEFAULT_SCORES;
+
+  return {
+    hazard_type: hazard,
+    severity,
+    score: scores[severity],
+    details: [info.headline || info.event, info.description].filter(Boolean).join('\n\n'),
+    instructions: info.instruction,
+    source: 'cap',
+    onsetAt: info.onset || info.effective || null,
+    expiresAt: info.expires ? new Date(info.expires) : undefined,
+    areaDesc,
+    ...area
+  };
+};
+
+const isHttp = (url) => url.protocol === 'http:' || url.protocol === 'https:';
+
+/**
+ * Fetch a feed or CAP document as text. file: URLs are read from disk; the
+ * ingester only hands over file: URLs inside the fixtures directory.
+ */
+export const fetchText = async (url, { timeoutMs }) => {
+  if (url.protocol === 'file:') {
+    return fs.readFile(fileURLToPath(url), 'utf8');
+  }
+
+  const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!res.ok) throw new Error(`${url} returned ${res.status}`);
+  return res.text();
+};
+
+/**
+ * CAP message log in PostgreSQL (alert_external_refs)
+ */
+export const pgIngestStore = {
+  async hasMessage(sender, identifier) {
+    const result = await query(
+      'SELECT 1 FROM alert_external_refs WHERE sender = $1 AND identifier = $2 LIMIT 1',
+      [sender, identifier]
+    );
+    return result.rows.length > 0;
+  },
+
+  /**
+   * The alert an earlier message created, from a message's <references>
+   */
+  async findReferencedAlert(references) {
+    if (references.length === 0) return null;
+
+    const result = await query(
+      `SELECT a.* FROM alert_external_refs r
+       JOIN alerts a ON a.id = r.alert_id
+       JOIN unnest($1::text[], $2::text[]) AS ref(sender, identifier)
+         ON ref.sender = r.sender AND ref.identifier = r.identifier
+       ORDER BY r.created_at DESC
+       LIMIT 1`,
+      [references.map(ref => ref.sender), references.map(ref => ref.identifier)]
+    );
+    return result.rows[0] || null;
+  },
+
+  async recordMessage(alertId, feedUrl, cap) {
+    await query(
+      `INSERT INTO alert_external_refs (alert_id, feed_url, sender, identifier, msg_type, sent)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (sender, identifier) DO NOTHING`,
+      [alertId, feedUrl, cap.sender, cap.identifier, cap.msgType, cap.sent ? new Date(cap.sent) : null]
+    );
+  }
+};
+
+/**
+ * Imports official warnings from CAP feeds into the alerts table.
+ *
+ * Each configured source is an Atom feed (entries embed a CAP <alert> or link
+ * to one) or a single CAP document. Messages are applied oldest first:
+ * - Alert creates an alert (source 'cap')
+ * - Update re-issues the alert its <references> point at
+ * - Cancel cancels it
+ * Messages already applied (same sender and identifier) are skipped, as are
+ * non-Actual messages, Minor/Unknown severities and expired warnings.
+ */
+export class CapIngester {
+  constructor({ config = alertsConfig.ingest, store = pgIngestStore, engine = alertEngine, fetch = fetchText, now = () => new Date() } = {}) {
+    this.config = config;
+    this.store = store;
+    this.engine = engine;
+    this.fetch = fetch;
+    this.now = now;
+  }
+
+  get enabled() {
+    return this.config.feeds.length > 0;
+  }
+
+  resolveSource(source) {
+    if (source.startsWith('fixture:')) {
+      return this.fixtureUrl(pathToFileURL(path.join(this.config.fixturesDir, source.slice('fixture:'.length))));
+    }
+    const url = new URL(source);
+    if (!isHttp(url)) throw new Error(`unsupported feed protocol ${url.protocol}`);
+    return url;
+  }
+
+  /**
+   * The document an entry links to. Remote feeds may only link to http(s)
+   * documents; fixture feeds may also link to files next to them.
+   */
+  resolveLink(href, feedUrl) {
+    const url = new URL(href, feedUrl);
+    if (isHttp(url)) return url;
+    if (url.protocol === 'file:' && feedUrl.protocol === 'file:') return this.fixtureUrl(url);
+    throw new Error(`refusing to follow ${url.protocol} link`);
+  }
+
+  fixtureUrl(url) {
+    const relative = path.relative(path.resolve(this.config.fixturesDir), fileURLToPath(url));
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`${url} is outside the fixtures directory`);
+    }
+    return url;
+  }
+
+  /**
+   * Poll every configured feed once
+   * @returns {Promise<Object>} counts of created, updated, cancelled and skipped messages
+   */
+  async ingestAll() {
+    const totals = { feeds: 0, failed: 0, created: 0, updated: 0, cancelled: 0, skipped: 0 };
+
+    for (const source of this.config.feeds) {
+      try {
+        const counts = await this.ingestFeed(this.resolveSource(source));
+        totals.feeds++;
+        Object.keys(counts).forEach(key => { totals[key] += counts[key]; });
+      } catch (error) {
+        totals.failed++;
+        console.warn(`⚠️ CAP feed ${source} failed: ${error.message}`);
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Every CAP message in one feed or document, oldest first
+   */
+  async readMessages(url) {
+    const root = parseXml(await this.fetch(url, { timeoutMs: this.config.requestTimeoutMs }));
+    if (root.name === 'alert') return [parseCapAlert(root)];
+    if (root.name !== 'feed') throw new Error(`expected an Atom feed or CAP alert, got <${root.name}>`);
+
+    const messages = [];
+    for (const entry of childrenNamed(root, 'entry')) {
+      try {
+        const embedded = childNamed(childNamed(entry, 'content'), 'alert');
+        if (embedded) {
+          messages.push(parseCapAlert(embedded));
+          continue;
+        }
+
+        const links = childrenNamed(entry, 'link');
+        const link = links.find(candidate => /cap\+xml/i.test(candidate.attrs.type || '')) ||
+          links.find(candidate => (candidate.attrs.rel || 'alternate') === 'alternate');
+        if (!link?.attrs.href) continue;
+
+        const document = parseXml(await this.fetch(this.resolveLink(link.attrs.href, url), { timeoutMs: this.config.requestTimeoutMs }));
+        if (document.name === 'alert') messages.push(parseCapAlert(document));
+      } catch (error) {
+        console.warn(`⚠️ CAP entry ${childText(entry, 'id')} skipped: ${error.message}`);
+      }
+    }
+
+    return messages.sort((a, b) => Date.parse(a.sent || 0) - Date.parse(b.sent || 0));
+  }
+
+  async ingestFeed(url) {
+    const counts = { created: 0, updated: 0, cancelled: 0, skipped: 0 };
+
+    for (const cap of await this.readMessages(url)) {
+      const outcome = await this.ingestMessage(cap, url.href);
+      counts[outcome]++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Apply one CAP message
+   * @returns {Promise<'created'|'updated'|'cancelled'|'skipped'>}
+   */
+  async ingestMessage(cap, feedUrl = null) {
+    if (!cap.identifier || !cap.sender || cap.status !== 'Actual') return 'skipped';
+    if (await this.store.hasMessage(cap.sender, cap.identifier)) return 'skipped';
+
+    const existing = cap.msgType === 'Alert' ? null : await this.store.findReferencedAlert(cap.references);
+
+    if (cap.msgType === 'Cancel') {
+      if (!existing) return 'skipped';
+      await this.engine.cancelAlert(existing.id);
+      await this.store.recordMessage(existing.id, feedUrl, cap);
+      console.log(`✅ CAP ${cap.identifier} cancelled alert ${existing.id}`);
+      return 'cancelled';
+    }
+
+    const alertData = cap.info && toAlertData(cap, { rules: this.engine.rules });
+    if (!alertData) return 'skipped';
+    if (alertData.expiresAt && alertData.expiresAt <= this.now()) return 'skipped';
+
+    // An update for a warning we never saw (or that has ended) is imported as new
+    const updated = existing && await this.engine.updateAlert(existing.id, alertData);
+    const alert = updated || await this.engine.createAlert(alertData);
+    await this.store.recordMessage(alert.id, feedUrl, cap);
+
+    console.log(`✅ CAP ${cap.identifier}: ${alert.hazard_type} ${alert.severity} ${updated ? 'updated' : 'imported'} as alert ${alert.id}`);
+    return updated ? 'updated' : 'created';
+  }
+}
+
+export default new CapIngester();
@@ -0,0 +1,210 @@
+import alertEngine, { alertCovers } from './alertEngine.js';
+import { renderCapAlert } from './alertCap.js';
+import { CapIngester, fetchText, hazardFromEvent, parseCapAlert, toAlertData } from './capIngest.js';
+import { parseXml } from './xmlReader.js';
+import { expectEqual, fixturePath } from './testHelpers.js';
+
+/**
+ * Tests for importing official CAP feeds, driven by the files in fixtures/cap
+ * Run with: npm test (from backend/)
+ */
+
+const FIXTURES_DIR = fixturePath('cap');
+
+/**
+ * In-memory alerts table and message log standing in for PostgreSQL
+ */
+const makeIngester = () => {
+  const alerts = new Map();
+  const refs = [];
+  let nextId = 1;
+
+  const engine = {
+    rules: alertEngine.rules,
+    async createAlert(data) {
+      const alert = {
+        id: nextId++,
+        hazard_type: data.hazard_type,
+        severity: data.severity,
+        score: data.score,
+        details: data.details,
+        cell_key: data.cellKey,
+        latitude: data.latitude,
+        longitude: data.longitude,
+        radius_km: data.radiusKm,
+        geometry: data.geometry,
+        area_desc: data.areaDesc,
+        instructions: data.instructions,
+        source: data.source,
+        status: 'active'
+      };
+      alerts.set(alert.id, alert);
+      return alert;
+    },
+    async updateAlert(id, changes) {
+      const alert = alerts.get(id);
+      if (!alert || !['active', 'updated'].includes(alert.status)) return null;
+      Object.assign(alert, {
+        severity: changes.severity,
+        score: changes.score,
+        details: changes.details,
+        geometry: changes.geometry ?? alert.geometry,
+        area_desc: changes.areaDesc ?? alert.area_desc,
+        instructions: changes.instructions ?? alert.instructions,
+        status: 'updated'
+      });
+      return alert;
+    },
+    async cancelAlert(id) {
+      const alert = alerts.get(id);
+      alert.status = 'cancelled';
+      return alert;
+    }
+  };
+
+  const store = {
+    async hasMessage(sender, identifier) {
+      return refs.some(ref => ref.sender === sender && ref.identifier === identifier);
+    },
+    async findReferencedAlert(references) {
+      const ref = [...refs].reverse().find(candidate =>
+        references.some(reference => reference.sender === candidate.sender && reference.identifier === candidate.identifier)
+      );
+      return ref ? alerts.get(ref.alertId) : null;
+    },
+    async recordMessage(alertId, feedUrl, cap) {
+      refs.push({ alertId, sender: cap.sender, identifier: cap.identifier, msgType: cap.msgType });
+    }
+  };
+
+  const ingester = new CapIngester({
+    config: { feeds: ['fixture:feed.atom'], fixturesDir: FIXTURES_DIR, requestTimeoutMs: 1000 },
+    store,
+    engine,
+    fetch: fetchText,
+    now: () => new Date('2026-10-18T06:00:00Z')
+  });
+
+  return { ingester, alerts, refs };
+};
+
+(function testHazardFromEvent() {
+  console.log('testHazardFromEvent');
+  expectEqual(hazardFromEvent('Severe Thunderstorm Warning'), 'THUNDERSTORM', 'thunder before wind');
+  expectEqual(hazardFromEvent('Heavy Rain'), 'FLOOD', 'rain');
+  expectEqual(hazardFromEvent('Flood Advice'), 'FLOOD', '"ice" inside a word is not snow');
+  expectEqual(hazardFromEvent('Freezing Rain'), 'SNOW', 'freezing rain');
+  expectEqual(hazardFromEvent('Storm Surge'), 'FLOOD', 'storm surge');
+  expectEqual(hazardFromEvent('Tsunami Warning'), 'TSUNAMI_WARNING', 'unknown events keep their name');
+  console.log('✓ Passed');
+})();
+
+(function testParseXml() {
+  console.log('testParseXml');
+  const root = parseXml('<?xml version="1.0"?><!-- c --><a xmlns:x="urn:x"><x:b k=\'v &amp; w\'>1 &lt; 2<![CDATA[ <raw> ]]></x:b><c/></a>');
+  expectEqual(root.children.map(child => child.name), ['b', 'c'], 'prefixes dropped');
+  expectEqual(root.children[0].ns, 'urn:x', 'namespace kept');
+  expectEqual(root.children[0].attrs.k, 'v & w', 'attribute entities');
+  expectEqual(root.children[0].text, '1 < 2 <raw> ', 'text and CDATA');
+
+  let failed = false;
+  try {
+    parseXml('<a><b></a>');
+  } catch {
+    failed = true;
+  }
+  expectEqual(failed, true, 'mismatched tags rejected');
+  console.log('✓ Passed');
+})();
+
+(function testRoundTripOwnExport() {
+  console.log('testRoundTripOwnExport');
+  const exported = renderCapAlert({
+    id: 9,
+    hazard_type: 'WIND',
+    severity: 'EMERGENCY',
+    score: 85,
+    cell_key: '0_60',
+    details: 'Gusts to 120 km/h',
+    source: 'engine',
+    status: 'active',
+    revision: 1,
+    created_at: new Date('2026-10-18T00:00:00Z'),
+    expires_at: new Date('2026-10-19T00:00:00Z')
+  });
+  const cap = parseCapAlert(parseXml(exported));
+  const data = toAlertData(cap);
+
+  expectEqual(cap.identifier, 'aether-alert-9-1', 'identifier');
+  expectEqual([data.hazard_type, data.severity, data.cellKey], ['WIND', 'EMERGENCY', '0_60'], 'hazard, level and grid cell survive');
+  expectEqual(data.geometry.type, 'Polygon', 'cell polygon imported');
+  console.log('✓ Passed');
+})();
+
+await (async function testIngestFeed() {
+  console.log('testIngestFeed');
+  const { ingester, alerts } = makeIngester();
+
+  const totals = await ingester.ingestAll();
+  expectEqual(totals, { feeds: 1, failed: 0, created: 2, updated: 1, cancelled: 0, skipped: 2 }, 'feed totals');
+
+  const flood = [...alerts.values()].find(alert => alert.hazard_type === 'FLOOD');
+  expectEqual([flood.severity, flood.status, flood.area_desc], ['EMERGENCY', 'updated', 'Kerala coast; Lakshadweep'], 'update escalated the rain warning');
+  expectEqual(flood.geometry.type, 'MultiPolygon', 'polygon and circle stored together');
+  expectEqual(alertCovers(flood, 9.5, 76.5), true, 'Kochi is inside the polygon');
+  expectEqual(alertCovers(flood, 10.57, 72.7), true, 'Lakshadweep is inside the circle');
+  expectEqual(alertCovers(flood, 13.08, 80.27), false, 'Chennai is outside');
+  if (!flood.details.includes('Red warning')) throw new Error('details should come from the update');
+  expectEqual(flood.instructions, 'Avoid travel through flooded roads.', 'instructions kept separately');
+
+  const wind = [...alerts.values()].find(alert => alert.hazard_type === 'WIND');
+  expectEqual([wind.severity, wind.latitude, wind.longitude, wind.radius_km, wind.cell_key], ['WATCH', 13.0827, 80.2707, 40, '0_60'], 'single circle kept as centre and radius');
+  expectEqual(wind.geometry, { type: 'Circle', coordinates: [80.2707, 13.0827], radius_km: 40 }, 'circle geometry');
+  if (!wind.details.startsWith('Yellow warning: strong wind')) throw new Error('English info should be used');
+
+  const again = await ingester.ingestAll();
+  expectEqual([again.created, again.updated, again.skipped], [0, 0, 5], 'already applied messages are skipped');
+  expectEqual(alerts.size, 2, 'no duplicates');
+
+  ingester.config.feeds = ['fixture:cancel.atom'];
+  const cancelled = await ingester.ingestAll();
+  expectEqual(cancelled.cancelled, 1, 'cancel applied');
+  expectEqual(wind.status, 'cancelled', 'wind watch cancelled by the source');
+  console.log('✓ Passed');
+})();
+
+await (async function testExpiredAndBrokenFeeds() {
+  console.log('testExpiredAndBrokenFeeds');
+  const { ingester, alerts } = makeIngester();
+  ingester.now = () => new Date('2026-10-20T00:00:00Z');
+  ingester.config.feeds = ['fixture:feed.atom', 'fixture:missing.atom'];
+
+  const totals = await ingester.ingestAll();
+  expectEqual([totals.feeds, totals.failed, totals.created], [1, 1, 0], 'expired warnings and missing feeds');
+  expectEqual(alerts.size, 0, 'nothing imported');
+  console.log('✓ Passed');
+})();
+
+await (async function testOnlyFixtureFeedsReadFiles() {
+  console.log('testOnlyFixtureFeedsReadFiles');
+  const { ingester, alerts } = makeIngester();
+  const fetched = [];
+  ingester.fetch = async (url, options) => {
+    fetched.push(url.href);
+    if (url.protocol !== 'file:') {
+      return '<feed xmlns="http://www.w3.org/2005/Atom">' +
+        '<entry><id>a</id><link type="application/cap+xml" href="file:///etc/passwd"/></entry>' +
+        '<entry><id>b</id><link href="file:flood_warning.xml"/></entry></feed>';
+    }
+    return fetchText(url, options);
+  };
+  ingester.config.feeds = ['https://feeds.example/cap.atom', 'file:///etc/passwd', 'fixture:../../package.json'];
+
+  const totals = await ingester.ingestAll();
+  expectEqual([totals.feeds, totals.failed, totals.created], [1, 2, 0], 'only the remote feed is read');
+  expectEqual(fetched, ['https://feeds.example/cap.atom'], 'file: links in a remote feed are not followed');
+  expectEqual(alerts.size, 0, 'nothing imported');
+  console.log('✓ Passed');
+})();
+
+console.log('\nAll CAP ingest tests passed');
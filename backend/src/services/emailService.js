@@ -409,6 +409,24 @@ class EmailService {
     return { success: false, message: 'Email service not configured for production' };
   }
 
+  /**
+   * Send one message and report failures to the caller instead of falling back
+   * to a simulated send, so callers can retry. In development without an SMTP
+   * server the message is only logged.
+   * @param {Object} message - nodemailer message (to, subject, html, text, headers, ...)
+   */
+  async sendMail(message) {
+    if (!this.configured) {
+      if (process.env.NODE_ENV === 'development') {
+        console.log(`📧 Simulated email to ${message.to}: ${message.subject}`);
+        return { messageId: `simulated-${Date.now()}`, response: 'Email simulated (logged to console)' };
+      }
+      throw new Error('Email service not configured');
+    }
+
+    return this.transporter.sendMail({ from: 'admin@aether.com', ...message });
+  }
+
   /**
    * Send batch email (to multiple recipients)
    */
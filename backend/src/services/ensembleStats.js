@@ -0,0 +1,118 @@
+import { localDateFromUnix, round } from './providers/schema.js';
+
+/**
+ * Exceedance probabilities reported for each daily field, keyed by threshold
+ * in the field's canonical unit. Wind thresholds are Beaufort 6 and 8.
+ */
+export const DEFAULT_THRESHOLDS = {
+  temperature_max_c: [30, 35],
+  precipitation_sum_mm: [1, 10, 25],
+  wind_speed_max_ms: [10.8, 17.2]
+};
+
+// Daily value of one member from its hourly values
+const DAILY_AGGREGATES = {
+  temperature_max_c: { field: 'temperature_c', reduce: values => Math.max(...values) },
+  temperature_min_c: { field: 'temperature_c', reduce: values => Math.min(...values) },
+  precipitation_sum_mm: { field: 'precipitation_mm', reduce: values => values.reduce((sum, value) => sum + value, 0) },
+  wind_speed_max_ms: { field: 'wind_speed_ms', reduce: values => Math.max(...values) }
+};
+
+const present = (values) => values.filter(value => value !== null && value !== undefined && !Number.isNaN(value));
+
+/**
+ * Percentile of a set of member values, interpolating linearly between the
+ * closest ranks (the same definition as numpy's default). Missing values are
+ * ignored.
+ * @param {Array<number|null>} values
+ * @param {number} p - 0 to 100
+ * @returns {number|null} null when there are no values
+ */
+export const percentile = (values, p) => {
+  const sorted = present(values).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Share of members strictly above `threshold`
+ * @returns {number|null} 0 to 1, or null when there are no values
+ */
+export const exceedanceProbability = (values, threshold) => {
+  const known = present(values);
+  if (known.length === 0) return null;
+  return known.filter(value => value > threshold).length / known.length;
+};
+
+/**
+ * p10/p50/p90 of the members, plus the chance of exceeding each threshold
+ * @returns {{p10: number|null, p50: number|null, p90: number|null, exceedance?: Object<string, number|null>}}
+ */
+export const describeMembers = (values, thresholds = []) => {
+  const description = {
+    p10: round(percentile(values, 10), 2),
+    p50: round(percentile(values, 50), 2),
+    p90: round(percentile(values, 90), 2)
+  };
+
+  if (thresholds.length > 0) {
+    description.exceedance = Object.fromEntries(
+      thresholds.map(threshold => [threshold, round(exceedanceProbability(values, threshold), 2)])
+    );
+  }
+
+  return description;
+};
+
+/**
+ * Percentile bands for every hour and local day of an ensemble run.
+ * Daily values are worked out per member first (its own max, min or total)
+ * and the percentiles taken across members, so a band reflects whole
+ * scenarios rather than mixing hours from different members.
+ * @param {import('./providers/schema.js').CanonicalEnsemble} ensemble
+ */
+export const summarizeEnsemble = (ensemble, { thresholds = DEFAULT_THRESHOLDS } = {}) => {
+  const offset = ensemble.location?.utc_offset_seconds || 0;
+  const fields = ['temperature_c', 'precipitation_mm', 'wind_speed_ms'];
+
+  const hourly = ensemble.hourly.map(hour => ({
+    time: hour.time,
+    ...Object.fromEntries(fields.map(field => [field, describeMembers(hour[field] || [])]))
+  }));
+
+  const byDate = new Map();
+  for (const hour of ensemble.hourly) {
+    const date = localDateFromUnix(Date.parse(hour.time) / 1000, offset);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(hour);
+  }
+
+  const daily = [...byDate.entries()].map(([date, hours]) => {
+    const day = { date, hours: hours.length };
+
+    for (const [name, { field, reduce }] of Object.entries(DAILY_AGGREGATES)) {
+      const memberValues = Array.from({ length: ensemble.member_count }, (_, member) => {
+        const values = present(hours.map(hour => hour[field]?.[member]));
+        return values.length > 0 ? reduce(values) : null;
+      });
+      day[name] = describeMembers(memberValues, thresholds[name] || []);
+    }
+
+    return day;
+  });
+
+  return {
+    provider: ensemble.provider,
+    location: ensemble.location,
+    generated_at: ensemble.generated_at,
+    model: ensemble.model,
+    member_count: ensemble.member_count,
+    hourly_interval_hours: ensemble.hourly_interval_hours,
+    hourly,
+    daily
+  };
+};
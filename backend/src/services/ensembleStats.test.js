@@ -0,0 +1,81 @@
+import { FixtureProvider } from './providers/fixture.js';
+import { describeMembers, exceedanceProbability, percentile, summarizeEnsemble } from './ensembleStats.js';
+import { expectClose, expectEqual, fixturePath } from './testHelpers.js';
+
+/**
+ * Tests for ensemble percentiles and exceedance probabilities
+ * Run with: npm test (from backend/)
+ */
+
+const FIXTURES_DIR = fixturePath('weather');
+
+(function testPercentileInterpolates() {
+  console.log('testPercentileInterpolates');
+  const members = [7, 1, 5, 3, 9]; // sorted: 1 3 5 7 9
+  expectClose(percentile(members, 0), 1, 'p0 is the minimum');
+  expectClose(percentile(members, 100), 9, 'p100 is the maximum');
+  expectClose(percentile(members, 50), 5, 'odd count median is the middle member');
+  expectClose(percentile(members, 10), 1.8, 'p10 sits 0.4 of the way from 1 to 3');
+  expectClose(percentile(members, 90), 8.2, 'p90 sits 0.6 of the way from 7 to 9');
+  expectClose(percentile([2, 4], 50), 3, 'even count median is the midpoint');
+  expectClose(percentile([4], 10), 4, 'single member');
+  console.log('✓ Passed');
+})();
+
+(function testMissingMembers() {
+  console.log('testMissingMembers');
+  expectClose(percentile([null, 3, undefined, 1, NaN], 50), 2, 'missing members are ignored');
+  expectEqual(percentile([], 50), null, 'no members');
+  expectEqual(percentile([null, null], 50), null, 'all members missing');
+  expectEqual(exceedanceProbability([null], 10), null, 'no probability without members');
+  console.log('✓ Passed');
+})();
+
+(function testExceedance() {
+  console.log('testExceedance');
+  const members = [0, 2, 4, 6, 8, 10, 12, 14, 16, 18];
+  expectClose(exceedanceProbability(members, 10), 0.4, 'strictly more than 10');
+  expectClose(exceedanceProbability(members, -1), 1, 'every member exceeds');
+  expectClose(exceedanceProbability(members, 18), 0, 'no member exceeds its own maximum');
+  expectEqual(
+    describeMembers(members, [1, 10, 25]),
+    { p10: 1.8, p50: 9, p90: 16.2, exceedance: { 1: 0.9, 10: 0.4, 25: 0 } },
+    'percentiles and exceedance together'
+  );
+  expectEqual(Object.keys(describeMembers(members)), ['p10', 'p50', 'p90'], 'no exceedance without thresholds');
+  console.log('✓ Passed');
+})();
+
+// Fixture: 10 members over two local days in Mumbai. Member m peaks at
+// 32 + (m - 5) / 2 °C each day, rains 2m mm on day two and blows 3 + m/2 m/s.
+const fixture = new FixtureProvider({ dir: FIXTURES_DIR, rebase: false });
+
+(async function testFixtureEnsemble() {
+  console.log('testFixtureEnsemble');
+  const ensemble = await fixture.getEnsemble(19.07, 72.87, { days: 7 });
+  expectEqual(ensemble.member_count, 10, 'members recorded');
+
+  const summary = summarizeEnsemble(ensemble);
+  expectEqual(summary.daily.map(day => [day.date, day.hours]), [['2025-06-01', 24], ['2025-06-02', 24]], 'hours grouped by local date');
+  expectEqual(summary.hourly.length, 48, 'every hour summarised');
+
+  const [dry, wet] = summary.daily;
+  expectEqual(
+    wet.precipitation_sum_mm,
+    { p10: 1.8, p50: 9, p90: 16.2, exceedance: { 1: 0.9, 10: 0.4, 25: 0 } },
+    'daily totals are summed per member before taking percentiles'
+  );
+  expectEqual(dry.precipitation_sum_mm.exceedance, { 1: 0, 10: 0, 25: 0 }, 'dry day');
+  expectEqual(dry.temperature_max_c, { p10: 29.95, p50: 31.75, p90: 33.55, exceedance: { 30: 0.8, 35: 0 } }, 'daily highs');
+  expectEqual(dry.temperature_min_c, { p10: 23.95, p50: 25.75, p90: 27.55 }, 'daily lows');
+  expectEqual(wet.wind_speed_max_ms, { p10: 3.45, p50: 5.25, p90: 7.05, exceedance: { 10.8: 0, 17.2: 0 } }, 'daily wind');
+
+  const noon = summary.hourly[12];
+  expectEqual(noon.time, '2025-06-01T06:30:00.000Z', 'local noon');
+  expectEqual(noon.temperature_c, { p10: 29.95, p50: 31.75, p90: 33.55 }, 'hourly band');
+  console.log('✓ Passed');
+  console.log('\nAll ensemble tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
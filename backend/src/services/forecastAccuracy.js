@@ -0,0 +1,362 @@
+import weatherConfig from '../../config/weather.js';
+import { query } from '../../config/database.js';
+import { fetchOpenMeteoHistorical, msToKmh } from './historicalWeather.js';
+import weatherService from './weatherService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Variables scored for accuracy, keyed by their analytics record field (the
+ * layout fetchOpenMeteoHistorical returns), each with the matching value
+ * from a canonical forecast day
+ */
+export const ACCURACY_VARIABLES = {
+  temp_max_c: { label: 'High temperature', unit: '°C', forecast: day => day.temperature_max_c },
+  temp_min_c: { label: 'Low temperature', unit: '°C', forecast: day => day.temperature_min_c },
+  precipitation_mm: { label: 'Precipitation', unit: 'mm', forecast: day => day.precipitation_sum_mm },
+  wind_speed_max_kmh: { label: 'Max wind', unit: 'km/h', forecast: day => msToKmh(day.wind_speed_max_ms) }
+};
+
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const addDays = (date, days) => isoDate(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS);
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+const known = (value) => value !== null && value !== undefined && value !== '';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Snapshot rows for a daily forecast: one per forecast day, with the lead
+ * time counted in local days from the forecast's first day
+ * @param {Object} forecast - canonical forecast (or getDaily result)
+ * @param {number} days - forecast days to keep
+ * @returns {Object[]} { provider, issued_date, target_date, lead_days, temp_max_c, ... }
+ */
+export const snapshotForecast = (forecast, days) => {
+  const issuedDate = forecast.daily[0]?.date;
+  if (!issuedDate) return [];
+
+  return forecast.daily.slice(0, days).map(day => ({
+    provider: forecast.provider,
+    issued_date: issuedDate,
+    target_date: day.date,
+    lead_days: daysBetween(issuedDate, day.date),
+    ...Object.fromEntries(Object.entries(ACCURACY_VARIABLES)
+      .map(([field, { forecast: value }]) => [field, value(day) ?? null]))
+  }));
+};
+
+/**
+ * Observed values for the snapshots whose target date is in the archive
+ * records; snapshots without a matching record are left out
+ * @param {Object[]} snapshots - { id, target_date }
+ * @param {Object[]} records - analytics records from fetchOpenMeteoHistorical
+ * @returns {Array<{id: number, observed: Object}>}
+ */
+export const matchObservations = (snapshots, records) => {
+  const byDate = new Map(records.map(record => [record.date, record]));
+
+  return snapshots
+    .filter(snapshot => byDate.has(snapshot.target_date))
+    .map(snapshot => {
+      const record = byDate.get(snapshot.target_date);
+      return {
+        id: snapshot.id,
+        observed: Object.fromEntries(Object.keys(ACCURACY_VARIABLES).map(field => [field, record[field] ?? null]))
+      };
+    });
+};
+
+/**
+ * Mean absolute error and bias (forecast minus observed, so positive means
+ * the forecast ran high) per variable and lead time. Pairs missing either
+ * value are skipped.
+ * @param {Object[]} rows - forecast_snapshots rows with observations
+ * @returns {Object<string, {label: string, unit: string, leads: Object[]}>}
+ */
+export const scoreErrors = (rows) => {
+  return Object.fromEntries(Object.entries(ACCURACY_VARIABLES).map(([field, { label, unit }]) => {
+    const byLead = new Map();
+
+    for (const row of rows) {
+      const forecast = row[field];
+      const observed = row[`observed_${field}`];
+      if (!known(forecast) || !known(observed)) continue;
+
+      const lead = Number(row.lead_days);
+      if (!byLead.has(lead)) byLead.set(lead, { count: 0, absolute: 0, signed: 0 });
+      const totals = byLead.get(lead);
+      const error = Number(forecast) - Number(observed);
+      totals.count++;
+      totals.absolute += Math.abs(error);
+      totals.signed += error;
+    }
+
+    const leads = [...byLead.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([lead, { count, absolute, signed }]) => ({
+        lead_days: lead,
+        count,
+        mae: round(absolute / count),
+        bias: round(signed / count)
+      }));
+
+    return [field, { label, unit, leads }];
+  }));
+};
+
+/**
+ * PostgreSQL-backed storage for the tracker
+ */
+export const pgAccuracyStore = {
+  /**
+   * Every distinct saved location
+   */
+  async watchedPoints() {
+    const result = await query(
+      'SELECT DISTINCT latitude, longitude FROM saved_locations ORDER BY latitude, longitude'
+    );
+    return result.rows.map(row => ({ lat: Number(row.latitude), lon: Number(row.longitude) }));
+  },
+
+  /**
+   * Keep the first snapshot of each issue date; later runs that day are ignored
+   * @returns {Promise<number>} rows inserted
+   */
+  async saveSnapshot(point, rows) {
+    const fields = Object.keys(ACCURACY_VARIABLES);
+    let inserted = 0;
+
+    for (const row of rows) {
+      const result = await query(
+        `INSERT INTO forecast_snapshots
+           (latitude, longitude, provider, issued_date, target_date, lead_days, ${fields.join(', ')})
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (latitude, longitude, issued_date, target_date) DO NOTHING`,
+        [
+          point.lat,
+          point.lon,
+          row.provider,
+          row.issued_date,
+          row.target_date,
+          row.lead_days,
+          ...fields.map(field => row[field])
+        ]
+      );
+      inserted += result.rowCount;
+    }
+
+    return inserted;
+  },
+
+  /**
+   * Snapshots without observations whose target date is in [from, to], grouped
+   * by location so each location needs one archive request
+   */
+  async pendingSnapshots(from, to, limit) {
+    const result = await query(
+      `SELECT id, latitude, longitude, to_char(target_date, 'YYYY-MM-DD') AS target_date
+       FROM forecast_snapshots
+       WHERE observed_at IS NULL
+         AND target_date BETWEEN $1::date AND $2::date
+       ORDER BY latitude, longitude, target_date
+       LIMIT $3`,
+      [from, to, limit]
+    );
+    return result.rows;
+  },
+
+  async recordObservation(id, observed) {
+    const fields = Object.keys(ACCURACY_VARIABLES);
+    await query(
+      `UPDATE forecast_snapshots
+       SET ${fields.map((field, index) => `observed_${field} = $${index + 2}`).join(', ')},
+           observed_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id, ...fields.map(field => observed[field])]
+    );
+  },
+
+  async verifiedSnapshots({ lat, lon, from }) {
+    const fields = Object.keys(ACCURACY_VARIABLES);
+    const result = await query(
+      `SELECT lead_days, ${fields.map(field => `${field}, observed_${field}`).join(', ')}
+       FROM forecast_snapshots
+       WHERE latitude = $1 AND longitude = $2
+         AND observed_at IS NOT NULL
+         AND target_date >= $3::date`,
+      [lat, lon, from]
+    );
+    return result.rows;
+  },
+
+  async snapshotCounts({ lat, lon }) {
+    const result = await query(
+      `SELECT COUNT(*) AS snapshots,
+              COUNT(observed_at) AS verified,
+              to_char(MIN(issued_date), 'YYYY-MM-DD') AS tracked_since
+       FROM forecast_snapshots
+       WHERE latitude = $1 AND longitude = $2`,
+      [lat, lon]
+    );
+    const row = result.rows[0];
+    return { snapshots: Number(row.snapshots), verified: Number(row.verified), tracked_since: row.tracked_since };
+  }
+};
+
+/**
+ * Forecast accuracy tracking: snapshots the daily forecast at every saved
+ * location (first run of each local day wins), and once the archive has
+ * caught up joins each snapshot with the observed day. Runs every
+ * `intervalMs`; both steps are idempotent.
+ */
+export class ForecastAccuracyTracker {
+  constructor({
+    config = weatherConfig.accuracy,
+    store = pgAccuracyStore,
+    forecast = (lat, lon, options) => weatherService.getDaily(lat, lon, options),
+    archive = fetchOpenMeteoHistorical,
+    now = () => new Date()
+  } = {}) {
+    this.config = config;
+    this.store = store;
+    this.forecast = forecast;
+    this.archive = archive;
+    this.now = now;
+    this.timer = null;
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  async snapshotAll() {
+    const totals = { points: 0, snapshots: 0, failed: 0 };
+    const points = await this.store.watchedPoints();
+
+    for (const point of points) {
+      try {
+        const forecast = await this.forecast(point.lat, point.lon, { days: this.config.forecastDays });
+        totals.snapshots += await this.store.saveSnapshot(point, snapshotForecast(forecast, this.config.forecastDays));
+        totals.points++;
+      } catch (error) {
+        totals.failed++;
+        console.warn(`⚠️ Forecast snapshot failed for ${point.lat},${point.lon}: ${error.message}`);
+      }
+    }
+
+    return totals;
+  }
+
+  async verifyPending() {
+    const totals = { verified: 0, failed: 0 };
+    const latest = addDays(isoDate(this.now()), -this.config.archiveDelayDays);
+    const earliest = addDays(latest, -this.config.maxPendingDays);
+    const pending = await this.store.pendingSnapshots(earliest, latest, this.config.batchSize);
+
+    const byPoint = new Map();
+    for (const snapshot of pending) {
+      const key = `${snapshot.latitude},${snapshot.longitude}`;
+      if (!byPoint.has(key)) byPoint.set(key, []);
+      byPoint.get(key).push(snapshot);
+    }
+
+    for (const snapshots of byPoint.values()) {
+      const { latitude, longitude } = snapshots[0];
+      const dates = snapshots.map(snapshot => snapshot.target_date).sort();
+
+      try {
+        const history = await this.archive(Number(latitude), Number(longitude), dates[0], dates[dates.length - 1]);
+        for (const { id, observed } of matchObservations(snapshots, history.data)) {
+          await this.store.recordObservation(id, observed);
+          totals.verified++;
+        }
+      } catch (error) {
+        totals.failed++;
+        console.warn(`⚠️ Forecast verification failed for ${latitude},${longitude}: ${error.message}`);
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * One snapshot and verification pass. Safe to call directly (e.g. from tests).
+   */
+  async runAll() {
+    const startedAt = Date.now();
+    const snapshots = await this.snapshotAll();
+    const verified = await this.verifyPending();
+
+    this.lastRun = {
+      points: snapshots.points,
+      snapshots: snapshots.snapshots,
+      verified: verified.verified,
+      failed: snapshots.failed + verified.failed,
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt
+    };
+    console.log(
+      `✅ Forecast accuracy: ${snapshots.snapshots} forecast days saved at ${snapshots.points} locations, ` +
+      `${verified.verified} matched with observations`
+    );
+
+    return this.lastRun;
+  }
+
+  /**
+   * Run now unless a run is already going, in which case wait for that one
+   */
+  runNow() {
+    if (!this.running) {
+      this.running = this.runAll().finally(() => { this.running = null; });
+    }
+    return this.running;
+  }
+
+  /**
+   * MAE and bias per variable and lead time at one location, over target
+   * dates in the last `days` days
+   */
+  async getReport({ lat, lon, days = 90 }) {
+    const from = addDays(isoDate(this.now()), -days);
+    const [rows, counts] = await Promise.all([
+      this.store.verifiedSnapshots({ lat, lon, from }),
+      this.store.snapshotCounts({ lat, lon })
+    ]);
+
+    return {
+      latitude: Number(lat),
+      longitude: Number(lon),
+      from,
+      ...counts,
+      variables: scoreErrors(rows),
+      lastRun: this.lastRun
+    };
+  }
+
+  start() {
+    if (!this.config.enabled || this.timer) return;
+
+    const tick = () => {
+      if (this.running) return;
+      this.runNow().catch((err) => {
+        console.error(`❌ Forecast accuracy job failed: ${err.message}`);
+      });
+    };
+
+    this.timer = setInterval(tick, this.config.intervalMs);
+    this.timer.unref?.();
+    tick();
+
+    console.log(`⏰ Forecast accuracy tracking started (every ${this.config.intervalMs / 3600000} h)`);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.running) await this.running.catch(() => {});
+  }
+}
+
+export default new ForecastAccuracyTracker();
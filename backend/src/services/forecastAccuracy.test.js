@@ -0,0 +1,119 @@
+import { ForecastAccuracyTracker, matchObservations, scoreErrors, snapshotForecast } from './forecastAccuracy.js';
+import { expectEqual } from './testHelpers.js';
+
+/**
+ * Tests for forecast snapshots and their accuracy against archive observations
+ * Run with: npm test (from backend/)
+ */
+
+// Three-day daily forecast issued on 10 October
+const forecast = {
+  provider: 'openmeteo',
+  daily: [
+    { date: '2026-10-10', temperature_max_c: 31, temperature_min_c: 25, precipitation_sum_mm: 0, wind_speed_max_ms: 5 },
+    { date: '2026-10-11', temperature_max_c: 32, temperature_min_c: 26, precipitation_sum_mm: 4, wind_speed_max_ms: 6 },
+    { date: '2026-10-12', temperature_max_c: 30, temperature_min_c: null, precipitation_sum_mm: 12, wind_speed_max_ms: 7.5 }
+  ]
+};
+
+// Archive records in the analytics layout (fetchOpenMeteoHistorical)
+const records = [
+  { date: '2026-10-10', temp_max_c: 30, temp_min_c: 25.5, precipitation_mm: 0, wind_speed_max_kmh: 20 },
+  { date: '2026-10-11', temp_max_c: 33, temp_min_c: 25, precipitation_mm: 1, wind_speed_max_kmh: 18 }
+];
+
+(function testSnapshot() {
+  console.log('testSnapshot');
+  const rows = snapshotForecast(forecast, 2);
+  expectEqual(rows.length, 2, 'limited to the tracked days');
+  expectEqual(
+    rows[1],
+    {
+      provider: 'openmeteo', issued_date: '2026-10-10', target_date: '2026-10-11', lead_days: 1,
+      temp_max_c: 32, temp_min_c: 26, precipitation_mm: 4, wind_speed_max_kmh: 21.6
+    },
+    'forecast day in analytics units'
+  );
+  expectEqual(snapshotForecast(forecast, 7)[2].temp_min_c, null, 'missing values stay null');
+  expectEqual(snapshotForecast({ daily: [] }, 7), [], 'empty forecast');
+  console.log('✓ Passed');
+})();
+
+(function testMatchObservations() {
+  console.log('testMatchObservations');
+  const matched = matchObservations([
+    { id: 1, target_date: '2026-10-11' },
+    { id: 2, target_date: '2026-10-12' }
+  ], records);
+  expectEqual(
+    matched,
+    [{ id: 1, observed: { temp_max_c: 33, temp_min_c: 25, precipitation_mm: 1, wind_speed_max_kmh: 18 } }],
+    'days missing from the archive stay pending'
+  );
+  console.log('✓ Passed');
+})();
+
+(function testScores() {
+  console.log('testScores');
+  // pg returns NUMERIC columns as strings
+  const scores = scoreErrors([
+    { lead_days: 0, temp_max_c: '31', observed_temp_max_c: '30', precipitation_mm: '0', observed_precipitation_mm: '0' },
+    { lead_days: 0, temp_max_c: '29', observed_temp_max_c: '32', precipitation_mm: '2', observed_precipitation_mm: null },
+    { lead_days: 2, temp_max_c: '35', observed_temp_max_c: '31', precipitation_mm: '10', observed_precipitation_mm: '4' }
+  ]);
+  expectEqual(
+    scores.temp_max_c.leads,
+    [{ lead_days: 0, count: 2, mae: 2, bias: -1 }, { lead_days: 2, count: 1, mae: 4, bias: 4 }],
+    'MAE and bias per lead time'
+  );
+  expectEqual(scores.precipitation_mm.leads.map(lead => lead.count), [1, 1], 'pairs without an observation are skipped');
+  expectEqual(scores.wind_speed_max_kmh, { label: 'Max wind', unit: 'km/h', leads: [] }, 'variable with no pairs');
+  console.log('✓ Passed');
+})();
+
+await (async function testTrackerRun() {
+  console.log('testTrackerRun');
+  const saved = [];
+  const observed = [];
+  const requests = [];
+  let pendingRange = null;
+
+  const tracker = new ForecastAccuracyTracker({
+    config: { enabled: false, forecastDays: 3, archiveDelayDays: 5, maxPendingDays: 30, batchSize: 100 },
+    store: {
+      async watchedPoints() {
+        return [{ lat: 19.076, lon: 72.8777 }];
+      },
+      async saveSnapshot(point, rows) {
+        saved.push(...rows);
+        return rows.length;
+      },
+      async pendingSnapshots(from, to) {
+        pendingRange = [from, to];
+        return [
+          { id: 7, latitude: '19.07600000', longitude: '72.87770000', target_date: '2026-10-11' },
+          { id: 8, latitude: '19.07600000', longitude: '72.87770000', target_date: '2026-10-10' }
+        ];
+      },
+      async recordObservation(id, values) {
+        observed.push([id, values.temp_max_c]);
+      }
+    },
+    forecast: async () => forecast,
+    archive: async (lat, lon, startDate, endDate) => {
+      requests.push([lat, lon, startDate, endDate]);
+      return { data: records };
+    },
+    now: () => new Date('2026-10-16T08:00:00Z')
+  });
+
+  const run = await tracker.runAll();
+  expectEqual([run.points, run.snapshots, run.verified, run.failed], [1, 3, 2, 0], 'run totals');
+  expectEqual(saved.map(row => row.lead_days), [0, 1, 2], 'every forecast day snapshotted');
+  expectEqual(pendingRange, ['2026-09-11', '2026-10-11'], 'only days the archive has caught up with');
+  expectEqual(requests, [[19.076, 72.8777, '2026-10-10', '2026-10-11']], 'one archive request per location');
+  expectEqual(observed, [[7, 33], [8, 30]], 'observations recorded');
+  console.log('✓ Passed');
+})();
+
+console.log('\nAll forecast accuracy tests passed');
@@ -0,0 +1,261 @@
+/**
+ * Small geometry helpers for alert areas.
+ * Coordinates follow GeoJSON order: [longitude, latitude].
+ *
+ * Alert geometries are GeoJSON Polygon/MultiPolygon plus two extensions:
+ * - { type: 'Circle', coordinates: [lon, lat], radius_km }
+ * - { type: 'Cells', resolution, cells: ['lat_lon', ...] } - grid cells of
+ *   `resolution` degrees, keyed by their south-west corner
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.32;
+const CIRCLE_SEGMENTS = 32;
+
+export const distanceKm = (lat1, lon1, lat2, lon2) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Ray casting against one linear ring
+const pointInRing = (lat, lon, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Inside the outer ring and outside every hole
+const pointInPolygonRings = (lat, lon, rings) =>
+  pointInRing(lat, lon, rings[0]) && !rings.slice(1).some(hole => pointInRing(lat, lon, hole));
+
+/**
+ * Whether a point lies inside a GeoJSON Polygon or MultiPolygon
+ */
+export const pointInPolygon = (lat, lon, geometry) => {
+  if (!geometry) return false;
+
+  if (geometry.type === 'Polygon') {
+    return pointInPolygonRings(lat, lon, geometry.coordinates);
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(rings => pointInPolygonRings(lat, lon, rings));
+  }
+
+  return false;
+};
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) && position[0] >= -180 && position[0] <= 180 &&
+  Number.isFinite(position[1]) && position[1] >= -90 && position[1] <= 90;
+
+const isRingList = (rings) =>
+  Array.isArray(rings) &&
+  rings.length > 0 &&
+  rings.every(ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition));
+
+/**
+ * Shape check for a GeoJSON Polygon or MultiPolygon geometry
+ */
+export const isPolygonGeometry = (geometry) => {
+  if (!geometry || typeof geometry !== 'object') return false;
+  if (geometry.type === 'Polygon') return isRingList(geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') {
+    return Array.isArray(geometry.coordinates) &&
+      geometry.coordinates.length > 0 &&
+      geometry.coordinates.every(isRingList);
+  }
+  return false;
+};
+
+/**
+ * Key of the grid cell of `resolution` degrees containing a point, e.g.
+ * (19.07, 72.87, 0.25) -> "19_72.75". Rounded so fractional resolutions give
+ * stable keys; the quotient is rounded too, or a point on a corner such as
+ * 0.3 at 0.1° (0.3 / 0.1 = 2.9999999999999996) would fall in the cell below.
+ */
+export const cellKeyAt = (lat, lon, resolution) => {
+  const corner = (value) => Number((Math.floor(Number((value / resolution).toFixed(9))) * resolution).toFixed(6));
+  return `${corner(lat)}_${corner(lon)}`;
+};
+
+/**
+ * Bounds of a grid cell from its key
+ */
+export const cellBounds = (cellKey, resolution) => {
+  const [south, west] = cellKey.split('_').map(Number);
+  return { south, west, north: south + resolution, east: west + resolution };
+};
+
+const cellRing = (cellKey, resolution) => {
+  const { south, west, north, east } = cellBounds(cellKey, resolution);
+  return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+};
+
+/**
+ * Closed ring approximating a circle
+ */
+export const circleRing = (lat, lon, radiusKm, segments = CIRCLE_SEGMENTS) => {
+  const ring = [];
+  for (let i = 0; i <= segments; i++) {
+    const angle = (2 * Math.PI * (i % segments)) / segments;
+    const dLat = (radiusKm / KM_PER_DEGREE) * Math.sin(angle);
+    const dLon = (radiusKm / (KM_PER_DEGREE * Math.cos((lat * Math.PI) / 180))) * Math.cos(angle);
+    ring.push([lon + dLon, lat + dLat]);
+  }
+  return ring;
+};
+
+/**
+ * Whether a point lies inside any alert geometry (see the types above)
+ */
+export const pointInGeometry = (lat, lon, geometry) => {
+  if (!geometry) return false;
+
+  if (geometry.type === 'Circle') {
+    const [centreLon, centreLat] = geometry.coordinates;
+    return distanceKm(lat, lon, centreLat, centreLon) <= geometry.radius_km;
+  }
+
+  if (geometry.type === 'Cells') {
+    return geometry.cells.includes(cellKeyAt(lat, lon, geometry.resolution));
+  }
+
+  return pointInPolygon(lat, lon, geometry);
+};
+
+/**
+ * Plain GeoJSON for an alert geometry, for maps and CAP export: circles
+ * become polygons and cells become a MultiPolygon of squares
+ */
+export const toGeoJSON = (geometry) => {
+  if (geometry?.type === 'Circle') {
+    const [lon, lat] = geometry.coordinates;
+    return { type: 'Polygon', coordinates: [circleRing(lat, lon, geometry.radius_km)] };
+  }
+
+  if (geometry?.type === 'Cells') {
+    return {
+      type: 'MultiPolygon',
+      coordinates: geometry.cells.map(cellKey => [cellRing(cellKey, geometry.resolution)])
+    };
+  }
+
+  return geometry;
+};
+
+const WHOLE_LONGITUDE = { west: -180, east: 180 };
+
+/**
+ * Bounding box of a circle on the same sphere distanceKm uses; spans every
+ * longitude when it reaches a pole or wraps across the antimeridian
+ */
+const circleBounds = (lat, lon, radiusKm) => {
+  const angular = radiusKm / EARTH_RADIUS_KM;
+  const toDeg = (rad) => (rad * 180) / Math.PI;
+  const south = Math.max(lat - toDeg(angular), -90);
+  const north = Math.min(lat + toDeg(angular), 90);
+
+  const ratio = Math.sin(angular) / Math.cos((lat * Math.PI) / 180);
+  if (south === -90 || north === 90 || ratio >= 1) return { south, north, ...WHOLE_LONGITUDE };
+
+  // Widest longitude offset of the circle, reached north or south of its centre
+  const dLon = toDeg(Math.asin(ratio));
+  if (lon - dLon < -180 || lon + dLon > 180) return { south, north, ...WHOLE_LONGITUDE };
+  return { south, west: lon - dLon, north, east: lon + dLon };
+};
+
+/**
+ * Bounding box of any alert geometry, used to narrow area lookups in SQL
+ * before the exact pointInGeometry check
+ * @returns {{south: number, west: number, north: number, east: number}|null}
+ */
+export const geometryBounds = (geometry) => {
+  if (geometry?.type === 'Circle') {
+    const [lon, lat] = geometry.coordinates;
+    return circleBounds(lat, lon, geometry.radius_km);
+  }
+
+  if (geometry?.type === 'Cells') {
+    const cells = geometry.cells.map(cellKey => cellBounds(cellKey, geometry.resolution));
+    return {
+      south: Math.min(...cells.map(cell => cell.south)),
+      west: Math.min(...cells.map(cell => cell.west)),
+      north: Math.max(...cells.map(cell => cell.north)),
+      east: Math.max(...cells.map(cell => cell.east))
+    };
+  }
+
+  let polygons = null;
+  if (geometry?.type === 'Polygon') polygons = [geometry.coordinates];
+  if (geometry?.type === 'MultiPolygon') polygons = geometry.coordinates;
+  if (!polygons) return null;
+
+  // Holes lie inside their outer ring, so outer rings are enough
+  const positions = polygons.flatMap(rings => rings[0]);
+  const lons = positions.map(([lon]) => lon);
+  const lats = positions.map(([, lat]) => lat);
+  return {
+    south: Math.min(...lats),
+    west: Math.min(...lons),
+    north: Math.max(...lats),
+    east: Math.max(...lons)
+  };
+};
+
+/**
+ * Middle of an alert geometry's first shape (bounding-box centre), e.g. to
+ * key it to a grid cell or fetch weather for it
+ * @returns {{lat: number, lon: number}|null}
+ */
+export const geometryCentre = (geometry) => {
+  if (geometry?.type === 'Circle') {
+    const [lon, lat] = geometry.coordinates;
+    return { lat, lon };
+  }
+
+  const plain = toGeoJSON(geometry);
+  if (!plain?.coordinates) return null;
+
+  const ring = plain.type === 'MultiPolygon' ? plain.coordinates[0][0] : plain.coordinates[0];
+  const lons = ring.map(([lon]) => lon);
+  const lats = ring.map(([, lat]) => lat);
+  return {
+    lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+    lon: (Math.min(...lons) + Math.max(...lons)) / 2
+  };
+};
+
+const CELL_KEY = /^-?\d+(\.\d+)?_-?\d+(\.\d+)?$/;
+
+/**
+ * Shape check for any alert geometry
+ */
+export const isAlertGeometry = (geometry) => {
+  if (!geometry || typeof geometry !== 'object') return false;
+
+  if (geometry.type === 'Circle') {
+    return isPosition(geometry.coordinates) &&
+      Number.isFinite(geometry.radius_km) && geometry.radius_km > 0;
+  }
+
+  if (geometry.type === 'Cells') {
+    return Number.isFinite(geometry.resolution) && geometry.resolution > 0 && geometry.resolution <= 30 &&
+      Array.isArray(geometry.cells) && geometry.cells.length > 0 &&
+      geometry.cells.every(cellKey => typeof cellKey === 'string' && CELL_KEY.test(cellKey));
+  }
+
+  return isPolygonGeometry(geometry);
+};
@@ -0,0 +1,111 @@
+import {
+  cellBounds,
+  cellKeyAt,
+  distanceKm,
+  geometryBounds,
+  geometryCentre,
+  isAlertGeometry,
+  pointInGeometry,
+  toGeoJSON
+} from './geo.js';
+import { expectClose, expectEqual } from './testHelpers.js';
+
+/**
+ * Tests for the alert area geometry helpers
+ * Run with: npm test (from backend/)
+ */
+
+const square = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+(function testPolygonHoles() {
+  console.log('testPolygonHoles');
+  // 10° square around (5, 5) with a 2° hole in the middle
+  const donut = { type: 'Polygon', coordinates: [square(0, 0, 10, 10), square(4, 4, 6, 6)] };
+  expectEqual(pointInGeometry(2, 2, donut), true, 'inside the outer ring');
+  expectEqual(pointInGeometry(5, 5, donut), false, 'inside the hole');
+  expectEqual(pointInGeometry(5, 6.5, donut), true, 'between the hole and the edge');
+  expectEqual(pointInGeometry(11, 5, donut), false, 'outside');
+
+  const islands = {
+    type: 'MultiPolygon',
+    coordinates: [
+      [square(0, 0, 10, 10), square(4, 4, 6, 6)],
+      // A second polygon sitting inside the first one's hole
+      [square(4.5, 4.5, 5.5, 5.5)]
+    ]
+  };
+  expectEqual(pointInGeometry(5, 5, islands), true, 'island inside a hole');
+  expectEqual(pointInGeometry(4.2, 4.2, islands), false, 'hole around the island');
+  console.log('✓ Passed');
+})();
+
+(function testCircleEdge() {
+  console.log('testCircleEdge');
+  const circle = { type: 'Circle', coordinates: [72.87, 19.07], radius_km: 25 };
+  // 25 km due north is 25 / 6371 rad of latitude
+  const edge = (25 / 6371) * (180 / Math.PI);
+  expectClose(distanceKm(19.07, 72.87, 19.07 + edge, 72.87), 25, 'edge point is 25 km away', 1e-6);
+  expectEqual(pointInGeometry(19.07 + edge * 0.999, 72.87, circle), true, 'just inside the edge');
+  expectEqual(pointInGeometry(19.07 + edge * 1.001, 72.87, circle), false, 'just outside the edge');
+  expectEqual(pointInGeometry(19.07, 72.87, circle), true, 'centre');
+
+  // The bounding box must contain every point the circle covers
+  const bounds = geometryBounds(circle);
+  for (let bearing = 0; bearing < 360; bearing += 5) {
+    const rad = (bearing * Math.PI) / 180;
+    const dLat = edge * 0.999 * Math.cos(rad);
+    const lat = 19.07 + dLat;
+    const lon = 72.87 + (edge * 0.999 * Math.sin(rad)) / Math.cos((19.07 * Math.PI) / 180);
+    if (!pointInGeometry(lat, lon, circle)) continue;
+    if (lat < bounds.south || lat > bounds.north || lon < bounds.west || lon > bounds.east) {
+      throw new Error(`circle point at bearing ${bearing} outside its bounds`);
+    }
+  }
+
+  expectEqual(geometryBounds({ type: 'Circle', coordinates: [179.9, 10], radius_km: 50 }).west, -180,
+    'a circle across the antimeridian spans every longitude');
+  console.log('✓ Passed');
+})();
+
+(function testFractionalCellKeys() {
+  console.log('testFractionalCellKeys');
+  expectEqual(cellKeyAt(19.07, 72.87, 0.25), '19_72.75', 'quarter-degree cell');
+  // 0.1 steps are not exact in binary; keys are rounded so they stay stable
+  expectEqual(cellKeyAt(0.3, 0.7, 0.1), '0.3_0.7', 'tenth-degree cell at its corner');
+  expectEqual(cellKeyAt(0.35, 0.75, 0.1), '0.3_0.7', 'tenth-degree cell inside');
+  expectEqual(cellKeyAt(19.07, 72.87, 30), '0_60', '30° cell');
+
+  const cells = { type: 'Cells', resolution: 0.25, cells: ['19_72.75', '19.25_72.75'] };
+  expectEqual(pointInGeometry(19.3, 72.8, cells), true, 'in the second cell');
+  expectEqual(pointInGeometry(19.5, 72.8, cells), false, 'north edge belongs to the next cell');
+  expectEqual(geometryBounds(cells), { south: 19, west: 72.75, north: 19.5, east: 73 }, 'cells bounds');
+  expectEqual(isAlertGeometry(cells), true, 'fractional keys are valid');
+  expectEqual(isAlertGeometry({ ...cells, cells: ['19_72.75', 'north'] }), false, 'malformed key');
+  console.log('✓ Passed');
+})();
+
+(function testNegativeCoordinates() {
+  console.log('testNegativeCoordinates');
+  // South-west corner keys: floor, not truncation, below zero
+  expectEqual(cellKeyAt(-33.87, 151.21, 0.25), '-34_151', 'southern hemisphere');
+  expectEqual(cellKeyAt(-0.1, -0.1, 0.25), '-0.25_-0.25', 'just south-west of the origin');
+  expectEqual(cellKeyAt(-22.9, -43.2, 30), '-30_-60', '30° cell below zero');
+  expectEqual(cellBounds('-0.25_-0.25', 0.25), { south: -0.25, west: -0.25, north: 0, east: 0 }, 'negative cell bounds');
+
+  const cells = { type: 'Cells', resolution: 0.25, cells: ['-0.25_-0.25'] };
+  expectEqual(pointInGeometry(-0.1, -0.1, cells), true, 'point in a negative cell');
+  expectEqual(pointInGeometry(0.1, -0.1, cells), false, 'north of the equator');
+
+  const rio = { type: 'Polygon', coordinates: [square(-43.8, -23.1, -43.1, -22.7)] };
+  expectEqual(pointInGeometry(-22.9, -43.2, rio), true, 'inside a western/southern polygon');
+  expectEqual(pointInGeometry(22.9, 43.2, rio), false, 'mirrored point outside');
+  expectClose(geometryCentre(rio).lat, -22.9, 'centre latitude');
+  expectClose(geometryCentre(rio).lon, -43.45, 'centre longitude');
+
+  const circle = { type: 'Circle', coordinates: [-43.2, -22.9], radius_km: 10 };
+  expectEqual(pointInGeometry(-22.95, -43.25, circle), true, 'inside a southern circle');
+  expectEqual(toGeoJSON(circle).coordinates[0].length, 33, 'circle becomes a closed 32-gon');
+  console.log('✓ Passed');
+})();
+
+console.log('\nAll geometry tests passed');
@@ -0,0 +1,47 @@
+import weatherService from './weatherService.js';
+
+export const msToKmh = (ms) => (ms === null || ms === undefined ? null : Math.round(ms * 3.6 * 10) / 10);
+
+/**
+ * Format canonical archive days into the analytics record layout
+ * (wind in km/h, as shown on the Analytics page and in CSV exports)
+ */
+export const formatArchiveData = (daily) => {
+  return daily.map(day => ({
+    date: day.date,
+    temp_max_c: day.temperature_max_c,
+    temp_min_c: day.temperature_min_c,
+    temp_mean_c: day.temperature_mean_c,
+    precipitation_mm: day.precipitation_sum_mm,
+    rain_mm: day.rain_sum_mm,
+    snowfall_cm: day.snowfall_sum_cm,
+    wind_speed_max_kmh: msToKmh(day.wind_speed_max_ms),
+    wind_gusts_kmh: msToKmh(day.wind_gust_max_ms),
+    wind_direction_deg: day.wind_direction_dominant_deg,
+    solar_radiation_mj: day.shortwave_radiation_sum_mj,
+    evapotranspiration_mm: day.et0_evapotranspiration_mm,
+  }));
+};
+
+/**
+ * Fetch historical weather data through the weather provider layer
+ * (Open-Meteo archive by default: no API key needed, up to 10,000 requests/day)
+ */
+export const fetchOpenMeteoHistorical = async (lat, lon, startDate, endDate) => {
+  try {
+    const archive = await weatherService.getArchive(lat, lon, { startDate, endDate });
+
+    return {
+      source: archive.provider === 'openmeteo' ? 'Open-Meteo' : archive.provider,
+      location: {
+        latitude: archive.location.latitude,
+        longitude: archive.location.longitude,
+        elevation: archive.location.elevation_m,
+        timezone: archive.location.timezone,
+      },
+      data: formatArchiveData(archive.daily),
+    };
+  } catch (err) {
+    throw new Error(`Historical data fetch failed: ${err.message}`);
+  }
+};
@@ -0,0 +1,181 @@
+import { query } from '../../config/database.js';
+import weatherService from './weatherService.js';
+
+const GROUP_COLUMNS = ['name', 'color'];
+
+/**
+ * Worst value of each field across the group's locations, per forecast day
+ * @param {Array<{location: Object, daily?: Object[]}>} forecasts
+ */
+export const summarizeGroupForecast = (forecasts) => {
+  const days = new Map();
+
+  const keep = (day, field, value, location, pickHigher) => {
+    if (value === null || value === undefined) return;
+    const current = day[field];
+    if (!current || (pickHigher ? value > current.value : value < current.value)) {
+      day[field] = { value, location_id: location.id, location_name: location.location_name };
+    }
+  };
+
+  for (const { location, daily } of forecasts) {
+    for (const entry of daily || []) {
+      if (!days.has(entry.date)) days.set(entry.date, { date: entry.date });
+      const day = days.get(entry.date);
+      keep(day, 'temperature_max_c', entry.temperature_max_c, location, true);
+      keep(day, 'temperature_min_c', entry.temperature_min_c, location, false);
+      keep(day, 'precipitation_sum_mm', entry.precipitation_sum_mm, location, true);
+      keep(day, 'wind_gust_max_ms', entry.wind_gust_max_ms, location, true);
+    }
+  }
+
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * A user's saved location groups and the group-level actions on them:
+ * a forecast overview of every member and subscribing them all to alerts.
+ * Membership lives on saved_locations.group_id, alongside each location's
+ * labels and notes.
+ */
+class LocationGroupService {
+  constructor(weather = weatherService) {
+    this.weather = weather;
+  }
+
+  async list(userId) {
+    const result = await query(
+      `SELECT g.*, COUNT(sl.id)::int AS location_count
+       FROM location_groups g
+       LEFT JOIN saved_locations sl ON sl.group_id = g.id
+       WHERE g.user_id = $1
+       GROUP BY g.id
+       ORDER BY g.name ASC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  async get(userId, id) {
+    const result = await query(
+      'SELECT * FROM location_groups WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async findByName(userId, name, excludeId = null) {
+    const result = await query(
+      `SELECT id FROM location_groups
+       WHERE user_id = $1 AND LOWER(name) = LOWER($2) AND ($3::int IS NULL OR id != $3)`,
+      [userId, name, excludeId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async create(userId, { name, color }) {
+    const result = await query(
+      `INSERT INTO location_groups (user_id, name, color)
+       VALUES ($1, $2, COALESCE($3, '#2fe79f'))
+       RETURNING *`,
+      [userId, name, color ?? null]
+    );
+    return { ...result.rows[0], location_count: 0 };
+  }
+
+  async update(userId, id, changes) {
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const column of GROUP_COLUMNS) {
+      if (changes[column] !== undefined) {
+        updates.push(`${column} = $${paramIndex++}`);
+        values.push(changes[column]);
+      }
+    }
+
+    if (updates.length === 0) return this.get(userId, id);
+
+    values.push(id, userId);
+    const result = await query(
+      `UPDATE location_groups
+       SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramIndex} AND user_id = $${paramIndex + 1}
+       RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a group; its locations stay saved, ungrouped
+   */
+  async remove(userId, id) {
+    const result = await query(
+      'DELETE FROM location_groups WHERE id = $1 AND user_id = $2 RETURNING id, name',
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async locations(userId, groupId) {
+    const result = await query(
+      `SELECT id, location_name, latitude, longitude, labels, notes
+       FROM saved_locations
+       WHERE user_id = $1 AND group_id = $2
+       ORDER BY rank ASC, created_at ASC`,
+      [userId, groupId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Daily forecast for every location in the group, plus the worst of each
+   * day across them. A location whose forecast fails is listed with its error.
+   */
+  async forecastOverview(userId, groupId, { days = 3 } = {}) {
+    const locations = await this.locations(userId, groupId);
+
+    const results = await Promise.allSettled(
+      locations.map(location => this.weather.getDaily(Number(location.latitude), Number(location.longitude), { days }))
+    );
+
+    const forecasts = locations.map((location, index) => (
+      results[index].status === 'fulfilled'
+        ? { location, daily: results[index].value.daily }
+        : { location, error: results[index].reason?.message || 'Forecast unavailable' }
+    ));
+
+    return {
+      locations: forecasts,
+      summary: summarizeGroupForecast(forecasts)
+    };
+  }
+
+  /**
+   * Subscribe every location in the group to the given hazards. Existing
+   * subscriptions are resumed at the new minimum severity.
+   * @returns {Promise<{locations: number, subscriptions: number}>}
+   */
+  async subscribe(userId, groupId, { alert_types, min_severity = 'WATCH' }) {
+    const result = await query(
+      `INSERT INTO weather_alerts (user_id, location_id, alert_type, min_severity)
+       SELECT $1, sl.id, hazard.alert_type, $4
+       FROM saved_locations sl
+       CROSS JOIN unnest($3::text[]) AS hazard(alert_type)
+       WHERE sl.user_id = $1 AND sl.group_id = $2
+       ON CONFLICT (user_id, location_id, alert_type) DO UPDATE
+       SET min_severity = EXCLUDED.min_severity, is_active = TRUE, updated_at = NOW()
+       RETURNING location_id`,
+      [userId, groupId, alert_types, min_severity]
+    );
+
+    return {
+      locations: new Set(result.rows.map(row => row.location_id)).size,
+      subscriptions: result.rows.length
+    };
+  }
+}
+
+export default new LocationGroupService();
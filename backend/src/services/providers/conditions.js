@@ -0,0 +1,86 @@
+// Canonical weather conditions, keyed by WMO weather interpretation code.
+// Open-Meteo reports WMO codes natively; OpenWeather condition ids are mapped onto them.
+
+const WMO_CONDITIONS = {
+  0: { main: 'Clear', description: 'clear sky' },
+  1: { main: 'Clear', description: 'mainly clear' },
+  2: { main: 'Clouds', description: 'partly cloudy' },
+  3: { main: 'Clouds', description: 'overcast' },
+  45: { main: 'Fog', description: 'fog' },
+  48: { main: 'Fog', description: 'depositing rime fog' },
+  51: { main: 'Drizzle', description: 'light drizzle' },
+  53: { main: 'Drizzle', description: 'moderate drizzle' },
+  55: { main: 'Drizzle', description: 'dense drizzle' },
+  56: { main: 'Drizzle', description: 'light freezing drizzle' },
+  57: { main: 'Drizzle', description: 'dense freezing drizzle' },
+  61: { main: 'Rain', description: 'slight rain' },
+  63: { main: 'Rain', description: 'moderate rain' },
+  65: { main: 'Rain', description: 'heavy rain' },
+  66: { main: 'Rain', description: 'light freezing rain' },
+  67: { main: 'Rain', description: 'heavy freezing rain' },
+  71: { main: 'Snow', description: 'slight snow fall' },
+  73: { main: 'Snow', description: 'moderate snow fall' },
+  75: { main: 'Snow', description: 'heavy snow fall' },
+  77: { main: 'Snow', description: 'snow grains' },
+  80: { main: 'Rain', description: 'slight rain showers' },
+  81: { main: 'Rain', description: 'moderate rain showers' },
+  82: { main: 'Rain', description: 'violent rain showers' },
+  85: { main: 'Snow', description: 'slight snow showers' },
+  86: { main: 'Snow', description: 'heavy snow showers' },
+  95: { main: 'Thunderstorm', description: 'thunderstorm' },
+  96: { main: 'Thunderstorm', description: 'thunderstorm with slight hail' },
+  99: { main: 'Thunderstorm', description: 'thunderstorm with heavy hail' }
+};
+
+/**
+ * Build a canonical condition from a WMO code
+ * @param {number} code - WMO weather interpretation code
+ * @returns {{code: number, main: string, description: string}|null}
+ */
+export const fromWmoCode = (code) => {
+  if (code === null || code === undefined) return null;
+  const condition = WMO_CONDITIONS[code] || { main: 'Unknown', description: 'unknown' };
+  return { code, ...condition };
+};
+
+/**
+ * Map an OpenWeather condition id (https://openweathermap.org/weather-conditions) to a WMO code
+ */
+const owmIdToWmo = (id) => {
+  if (id >= 200 && id < 300) return id === 202 || id === 212 || id === 221 ? 99 : 95;
+  if (id >= 300 && id < 400) return id <= 301 ? 51 : id <= 311 ? 53 : 55;
+  if (id === 511) return 66;
+  if (id >= 500 && id < 600) {
+    if (id === 500) return 61;
+    if (id === 501) return 63;
+    if (id >= 502 && id <= 504) return 65;
+    if (id === 520) return 80;
+    if (id === 521) return 81;
+    return 82;
+  }
+  if (id >= 600 && id < 700) {
+    if (id === 600 || id === 620) return 71;
+    if (id === 601 || id === 621) return 73;
+    if (id === 602 || id === 622) return 75;
+    return 77;
+  }
+  if (id >= 700 && id < 800) return 45;
+  if (id === 800) return 0;
+  if (id === 801) return 1;
+  if (id === 802) return 2;
+  return 3;
+};
+
+/**
+ * Build a canonical condition from an OpenWeather `weather[0]` entry.
+ * The upstream description is kept since it is usually more specific.
+ */
+export const fromOpenWeather = (weather) => {
+  if (!weather) return null;
+  const code = owmIdToWmo(weather.id);
+  return {
+    code,
+    main: WMO_CONDITIONS[code].main,
+    description: weather.description || WMO_CONDITIONS[code].description
+  };
+};
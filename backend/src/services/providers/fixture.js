@@ -0,0 +1,161 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ProviderError } from './providerError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FILES = {
+  current: 'current',
+  forecast: 'forecast',
+  airQuality: 'air_quality',
+  archive: 'archive',
+  ensemble: 'ensemble'
+};
+
+const shiftIso = (iso, offsetMs) => (iso ? new Date(Date.parse(iso) + offsetMs).toISOString() : iso);
+const shiftDate = (date, offsetMs) => new Date(Date.parse(`${date}T00:00:00Z`) + offsetMs).toISOString().slice(0, 10);
+
+/**
+ * Fixture provider: serves recorded canonical JSON from disk so the app and
+ * tests can run without network access.
+ *
+ * Files are looked up as `<kind>_<lat>_<lon>.json` (coordinates to 2 decimals)
+ * and fall back to `<kind>.json`, where kind is current, forecast, air_quality,
+ * archive or ensemble. With `rebase` enabled, recorded timestamps are shifted by whole
+ * days so the fixture always starts today.
+ */
+export class FixtureProvider {
+  constructor({ dir, rebase = true }) {
+    this.name = 'fixture';
+    this.capabilities = ['current', 'forecast', 'airQuality', 'archive', 'ensemble'];
+    this.dir = dir;
+    this.rebase = rebase;
+  }
+
+  async load(kind, lat, lon) {
+    const base = FILES[kind];
+    const candidates = [
+      `${base}_${Number(lat).toFixed(2)}_${Number(lon).toFixed(2)}.json`,
+      `${base}.json`
+    ];
+
+    for (const file of candidates) {
+      try {
+        const raw = await fs.readFile(path.join(this.dir, file), 'utf8');
+        return JSON.parse(raw);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw new ProviderError(`fixture ${file} could not be read: ${err.message}`, { provider: this.name });
+        }
+      }
+    }
+
+    throw new ProviderError(`No ${base} fixture in ${this.dir}`, { provider: this.name });
+  }
+
+  /**
+   * Whole-day offset that moves a recorded instant onto today (UTC)
+   */
+  offsetFor(recordedIso) {
+    if (!this.rebase || !recordedIso) return 0;
+    const recordedDay = Math.floor(Date.parse(recordedIso) / DAY_MS);
+    const today = Math.floor(Date.now() / DAY_MS);
+    return (today - recordedDay) * DAY_MS;
+  }
+
+  stamp(data, lat, lon) {
+    return {
+      ...data,
+      provider: this.name,
+      location: {
+        ...data.location,
+        latitude: Number(lat),
+        longitude: Number(lon)
+      }
+    };
+  }
+
+  async getCurrent(lat, lon) {
+    const data = await this.load('current', lat, lon);
+    const offset = this.offsetFor(data.observed_at);
+
+    return this.stamp({
+      ...data,
+      observed_at: shiftIso(data.observed_at, offset),
+      sunrise: shiftIso(data.sunrise, offset),
+      sunset: shiftIso(data.sunset, offset)
+    }, lat, lon);
+  }
+
+  async getForecast(lat, lon, { days = 7 } = {}) {
+    const data = await this.load('forecast', lat, lon);
+    const offset = this.offsetFor(data.hourly?.[0]?.time);
+    const stepsPerDay = 24 / (data.hourly_interval_hours || 1);
+
+    return this.stamp({
+      ...data,
+      generated_at: new Date().toISOString(),
+      hourly: data.hourly.slice(0, days * stepsPerDay).map(hour => ({
+        ...hour,
+        time: shiftIso(hour.time, offset)
+      })),
+      daily: data.daily.slice(0, days).map(day => ({
+        ...day,
+        date: shiftDate(day.date, offset),
+        sunrise: shiftIso(day.sunrise, offset),
+        sunset: shiftIso(day.sunset, offset)
+      }))
+    }, lat, lon);
+  }
+
+  async getEnsemble(lat, lon, { days = 7 } = {}) {
+    const data = await this.load('ensemble', lat, lon);
+    const offset = this.offsetFor(data.hourly?.[0]?.time);
+    const stepsPerDay = 24 / (data.hourly_interval_hours || 1);
+
+    return this.stamp({
+      ...data,
+      generated_at: new Date().toISOString(),
+      hourly: data.hourly.slice(0, days * stepsPerDay).map(hour => ({
+        ...hour,
+        time: shiftIso(hour.time, offset)
+      }))
+    }, lat, lon);
+  }
+
+  async getAirQuality(lat, lon) {
+    const data = await this.load('airQuality', lat, lon);
+
+    return this.stamp({
+      ...data,
+      observed_at: shiftIso(data.observed_at, this.offsetFor(data.observed_at))
+    }, lat, lon);
+  }
+
+  async getArchive(lat, lon, { startDate, endDate }) {
+    const data = await this.load('archive', lat, lon);
+    const recorded = data.daily || [];
+
+    if (recorded.length === 0) {
+      throw new ProviderError('archive fixture has no daily records', { provider: this.name });
+    }
+
+    // Cycle through the recorded days to cover whatever range was requested
+    const daily = [];
+    const start = Date.parse(`${startDate}T00:00:00Z`);
+    const end = Date.parse(`${endDate}T00:00:00Z`);
+    for (let t = start, i = 0; t <= end; t += DAY_MS, i++) {
+      daily.push({
+        ...recorded[i % recorded.length],
+        date: new Date(t).toISOString().slice(0, 10)
+      });
+    }
+
+    return this.stamp({
+      ...data,
+      start_date: startDate,
+      end_date: endDate,
+      daily
+    }, lat, lon);
+  }
+}
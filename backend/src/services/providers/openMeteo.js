@@ -0,0 +1,343 @@
+import { fetchJson } from './providerError.js';
+import { fromWmoCode } from './conditions.js';
+import { isoFromUnix, localDateFromUnix, round } from './schema.js';
+
+const CURRENT_FIELDS = [
+  'temperature_2m', 'apparent_temperature', 'relative_humidity_2m', 'precipitation',
+  'weather_code', 'cloud_cover', 'surface_pressure', 'pressure_msl',
+  'wind_speed_10m', 'wind_direction_10m', 'wind_gusts_10m', 'visibility'
+];
+
+const HOURLY_FIELDS = [
+  'temperature_2m', 'apparent_temperature', 'relative_humidity_2m',
+  'precipitation_probability', 'precipitation', 'snowfall', 'weather_code', 'cloud_cover',
+  'surface_pressure', 'pressure_msl', 'wind_speed_10m', 'wind_direction_10m', 'wind_gusts_10m',
+  'visibility', 'uv_index'
+];
+
+const AIR_QUALITY_FIELDS = [
+  'us_aqi', 'european_aqi', 'pm2_5', 'pm10', 'carbon_monoxide',
+  'nitrogen_dioxide', 'sulphur_dioxide', 'ozone', 'uv_index'
+];
+
+const ARCHIVE_FIELDS = [
+  'temperature_2m_max', 'temperature_2m_min', 'temperature_2m_mean',
+  'precipitation_sum', 'rain_sum', 'snowfall_sum',
+  'wind_speed_10m_max', 'wind_gusts_10m_max', 'wind_direction_10m_dominant',
+  'shortwave_radiation_sum', 'et0_fao_evapotranspiration',
+  'surface_pressure_mean', 'pressure_msl_mean', 'cloud_cover_mean'
+];
+
+// Ensemble variable -> canonical field; members arrive as <variable>_memberNN
+const ENSEMBLE_FIELDS = {
+  temperature_2m: 'temperature_c',
+  precipitation: 'precipitation_mm',
+  wind_speed_10m: 'wind_speed_ms'
+};
+
+const AIR_QUALITY_HOURLY_FIELDS = ['us_aqi', 'pm2_5', 'pm10'];
+
+const DAILY_FIELDS = [
+  'weather_code', 'temperature_2m_max', 'temperature_2m_min', 'precipitation_sum',
+  'precipitation_probability_max', 'wind_speed_10m_max', 'wind_gusts_10m_max',
+  'wind_direction_10m_dominant', 'sunrise', 'sunset', 'uv_index_max'
+];
+
+/**
+ * Open-Meteo provider (https://open-meteo.com)
+ * Free tier: no API key needed, up to 16 forecast days at hourly resolution,
+ * plus separate air quality, historical archive, ensemble and geocoding APIs.
+ * Geocoding is search only; there is no reverse lookup.
+ */
+export class OpenMeteoProvider {
+  constructor({ baseUrl, airQualityUrl, archiveUrl, ensembleUrl, geocodingUrl, ensembleModel = 'icon_seamless', timeoutMs }) {
+    this.name = 'openmeteo';
+    this.capabilities = ['current', 'forecast', 'airQuality', 'airQualityForecast', 'archive', 'ensemble', 'geocode'];
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.airQualityUrl = (airQualityUrl || baseUrl).replace(/\/+$/, '');
+    this.archiveUrl = (archiveUrl || baseUrl).replace(/\/+$/, '');
+    this.ensembleUrl = (ensembleUrl || baseUrl).replace(/\/+$/, '');
+    this.geocodingUrl = (geocodingUrl || baseUrl).replace(/\/+$/, '');
+    this.ensembleModel = ensembleModel;
+    this.timeoutMs = timeoutMs;
+  }
+
+  buildUrl(lat, lon, params, { baseUrl = this.baseUrl, path = '/v1/forecast' } = {}) {
+    const search = new URLSearchParams({
+      latitude: lat,
+      longitude: lon,
+      timeformat: 'unixtime',
+      timezone: 'auto',
+      ...params
+    });
+    return `${baseUrl}${path}?${search}`;
+  }
+
+  buildLocation(data) {
+    return {
+      latitude: data.latitude,
+      longitude: data.longitude,
+      name: null,
+      country: null,
+      utc_offset_seconds: data.utc_offset_seconds || 0
+    };
+  }
+
+  async getCurrent(lat, lon) {
+    const data = await fetchJson(
+      this.name,
+      this.buildUrl(lat, lon, {
+        current: CURRENT_FIELDS.join(','),
+        wind_speed_unit: 'ms',
+        daily: 'sunrise,sunset',
+        forecast_days: 1
+      }),
+      this.timeoutMs
+    );
+
+    const c = data.current || {};
+
+    return {
+      provider: this.name,
+      location: this.buildLocation(data),
+      observed_at: isoFromUnix(c.time),
+      temperature_c: round(c.temperature_2m),
+      feels_like_c: round(c.apparent_temperature),
+      humidity_pct: round(c.relative_humidity_2m, 0),
+      pressure_hpa: round(c.surface_pressure),
+      sea_level_pressure_hpa: round(c.pressure_msl),
+      wind_speed_ms: round(c.wind_speed_10m),
+      wind_gust_ms: round(c.wind_gusts_10m),
+      wind_direction_deg: round(c.wind_direction_10m, 0),
+      cloud_cover_pct: round(c.cloud_cover, 0),
+      visibility_m: round(c.visibility, 0),
+      precipitation_mm: round(c.precipitation),
+      condition: fromWmoCode(c.weather_code),
+      sunrise: isoFromUnix(data.daily?.sunrise?.[0]),
+      sunset: isoFromUnix(data.daily?.sunset?.[0])
+    };
+  }
+
+  async getForecast(lat, lon, { days = 7 } = {}) {
+    const data = await fetchJson(
+      this.name,
+      this.buildUrl(lat, lon, {
+        hourly: HOURLY_FIELDS.join(','),
+        wind_speed_unit: 'ms',
+        daily: DAILY_FIELDS.join(','),
+        forecast_days: Math.min(days, 16)
+      }),
+      this.timeoutMs
+    );
+
+    const location = this.buildLocation(data);
+    const h = data.hourly || { time: [] };
+    const d = data.daily || { time: [] };
+
+    const hourly = h.time.map((time, i) => ({
+      time: isoFromUnix(time),
+      temperature_c: round(h.temperature_2m?.[i]),
+      feels_like_c: round(h.apparent_temperature?.[i]),
+      humidity_pct: round(h.relative_humidity_2m?.[i], 0),
+      precipitation_probability_pct: round(h.precipitation_probability?.[i], 0),
+      precipitation_mm: round(h.precipitation?.[i]),
+      snowfall_cm: round(h.snowfall?.[i]),
+      wind_speed_ms: round(h.wind_speed_10m?.[i]),
+      wind_gust_ms: round(h.wind_gusts_10m?.[i]),
+      wind_direction_deg: round(h.wind_direction_10m?.[i], 0),
+      cloud_cover_pct: round(h.cloud_cover?.[i], 0),
+      pressure_hpa: round(h.surface_pressure?.[i]),
+      sea_level_pressure_hpa: round(h.pressure_msl?.[i]),
+      visibility_m: round(h.visibility?.[i], 0),
+      uv_index: round(h.uv_index?.[i]),
+      condition: fromWmoCode(h.weather_code?.[i])
+    }));
+
+    const daily = d.time.map((time, i) => ({
+      date: localDateFromUnix(time, location.utc_offset_seconds),
+      temperature_min_c: round(d.temperature_2m_min?.[i]),
+      temperature_max_c: round(d.temperature_2m_max?.[i]),
+      precipitation_sum_mm: round(d.precipitation_sum?.[i]),
+      precipitation_probability_pct: round(d.precipitation_probability_max?.[i], 0),
+      wind_speed_max_ms: round(d.wind_speed_10m_max?.[i]),
+      wind_gust_max_ms: round(d.wind_gusts_10m_max?.[i]),
+      wind_direction_dominant_deg: round(d.wind_direction_10m_dominant?.[i], 0),
+      sunrise: isoFromUnix(d.sunrise?.[i]),
+      sunset: isoFromUnix(d.sunset?.[i]),
+      uv_index_max: round(d.uv_index_max?.[i]),
+      condition: fromWmoCode(d.weather_code?.[i])
+    }));
+
+    return {
+      provider: this.name,
+      location,
+      generated_at: new Date().toISOString(),
+      hourly_interval_hours: 1,
+      hourly,
+      daily
+    };
+  }
+
+  async getAirQuality(lat, lon) {
+    const data = await fetchJson(
+      this.name,
+      this.buildUrl(lat, lon, { current: AIR_QUALITY_FIELDS.join(',') }, {
+        baseUrl: this.airQualityUrl,
+        path: '/v1/air-quality'
+      }),
+      this.timeoutMs
+    );
+
+    const c = data.current || {};
+
+    return {
+      provider: this.name,
+      location: this.buildLocation(data),
+      observed_at: isoFromUnix(c.time),
+      us_aqi: round(c.us_aqi, 0),
+      european_aqi: round(c.european_aqi, 0),
+      pm2_5_ugm3: round(c.pm2_5),
+      pm10_ugm3: round(c.pm10),
+      carbon_monoxide_ugm3: round(c.carbon_monoxide),
+      nitrogen_dioxide_ugm3: round(c.nitrogen_dioxide),
+      sulphur_dioxide_ugm3: round(c.sulphur_dioxide),
+      ozone_ugm3: round(c.ozone),
+      uv_index: round(c.uv_index)
+    };
+  }
+
+  async getAirQualityForecast(lat, lon, { days = 4 } = {}) {
+    const data = await fetchJson(
+      this.name,
+      this.buildUrl(lat, lon, {
+        hourly: AIR_QUALITY_HOURLY_FIELDS.join(','),
+        forecast_days: Math.min(days, 7)
+      }, {
+        baseUrl: this.airQualityUrl,
+        path: '/v1/air-quality'
+      }),
+      this.timeoutMs
+    );
+
+    const h = data.hourly || { time: [] };
+
+    return {
+      provider: this.name,
+      location: this.buildLocation(data),
+      generated_at: new Date().toISOString(),
+      hourly: h.time.map((time, i) => ({
+        time: isoFromUnix(time),
+        us_aqi: round(h.us_aqi?.[i], 0),
+        pm2_5_ugm3: round(h.pm2_5?.[i]),
+        pm10_ugm3: round(h.pm10?.[i])
+      }))
+    };
+  }
+
+  async searchPlaces(query, { limit = 5 } = {}) {
+    const search = new URLSearchParams({ name: query, count: limit, language: 'en', format: 'json' });
+    const data = await fetchJson(this.name, `${this.geocodingUrl}/v1/search?${search}`, this.timeoutMs);
+
+    return (data.results || []).map(result => ({
+      name: result.name,
+      state: result.admin1 || null,
+      country: result.country_code ? result.country_code.toUpperCase() : null,
+      latitude: result.latitude,
+      longitude: result.longitude
+    }));
+  }
+
+  async getArchive(lat, lon, { startDate, endDate }) {
+    const data = await fetchJson(
+      this.name,
+      this.buildUrl(lat, lon, {
+        start_date: startDate,
+        end_date: endDate,
+        daily: ARCHIVE_FIELDS.join(','),
+        wind_speed_unit: 'ms',
+        timeformat: 'iso8601'
+      }, {
+        baseUrl: this.archiveUrl,
+        path: '/v1/archive'
+      }),
+      this.timeoutMs
+    );
+
+    const d = data.daily || { time: [] };
+
+    return {
+      provider: this.name,
+      location: {
+        ...this.buildLocation(data),
+        elevation_m: data.elevation ?? null,
+        timezone: data.timezone || null
+      },
+      start_date: startDate,
+      end_date: endDate,
+      daily: d.time.map((date, i) => ({
+        date,
+        temperature_max_c: round(d.temperature_2m_max?.[i]),
+        temperature_min_c: round(d.temperature_2m_min?.[i]),
+        temperature_mean_c: round(d.temperature_2m_mean?.[i]),
+        precipitation_sum_mm: round(d.precipitation_sum?.[i]),
+        rain_sum_mm: round(d.rain_sum?.[i]),
+        snowfall_sum_cm: round(d.snowfall_sum?.[i]),
+        wind_speed_max_ms: round(d.wind_speed_10m_max?.[i]),
+        wind_gust_max_ms: round(d.wind_gusts_10m_max?.[i]),
+        wind_direction_dominant_deg: round(d.wind_direction_10m_dominant?.[i], 0),
+        shortwave_radiation_sum_mj: round(d.shortwave_radiation_sum?.[i], 2),
+        et0_evapotranspiration_mm: round(d.et0_fao_evapotranspiration?.[i], 2),
+        pressure_mean_hpa: round(d.surface_pressure_mean?.[i]),
+        sea_level_pressure_mean_hpa: round(d.pressure_msl_mean?.[i]),
+        cloud_cover_mean_pct: round(d.cloud_cover_mean?.[i], 0)
+      }))
+    };
+  }
+
+  /**
+   * Every member of an ensemble run, hour by hour. The control run comes
+   * first, followed by the perturbed members in order.
+   */
+  async getEnsemble(lat, lon, { days = 7 } = {}) {
+    const data = await fetchJson(
+      this.name,
+      this.buildUrl(lat, lon, {
+        hourly: Object.keys(ENSEMBLE_FIELDS).join(','),
+        models: this.ensembleModel,
+        wind_speed_unit: 'ms',
+        forecast_days: Math.min(days, 16)
+      }, {
+        baseUrl: this.ensembleUrl,
+        path: '/v1/ensemble'
+      }),
+      this.timeoutMs
+    );
+
+    const h = data.hourly || { time: [] };
+
+    // temperature_2m, temperature_2m_member01, ... in member order
+    const membersOf = (variable) => Object.keys(h)
+      .filter(key => key === variable || key.startsWith(`${variable}_member`))
+      .sort((a, b) => (a === variable ? -1 : b === variable ? 1 : a.localeCompare(b)))
+      .map(key => h[key]);
+
+    const series = Object.fromEntries(
+      Object.entries(ENSEMBLE_FIELDS).map(([variable, field]) => [field, membersOf(variable)])
+    );
+
+    return {
+      provider: this.name,
+      location: this.buildLocation(data),
+      generated_at: new Date().toISOString(),
+      model: this.ensembleModel,
+      member_count: series.temperature_c.length,
+      hourly_interval_hours: 1,
+      hourly: h.time.map((time, i) => ({
+        time: isoFromUnix(time),
+        ...Object.fromEntries(
+          Object.entries(series).map(([field, members]) => [field, members.map(values => round(values?.[i]))])
+        )
+      }))
+    };
+  }
+}
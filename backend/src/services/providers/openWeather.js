@@ -0,0 +1,243 @@
+import { ProviderError, fetchJson } from './providerError.js';
+import { fromOpenWeather } from './conditions.js';
+import { isoFromUnix, localDateFromUnix, round, usAqiFromPm25 } from './schema.js';
+
+/**
+ * Mean of meteorological directions, weighted by speed (vector average)
+ */
+const dominantDirection = (entries) => {
+  let u = 0;
+  let v = 0;
+  for (const { deg, speed } of entries) {
+    if (deg === null || deg === undefined) continue;
+    const rad = (deg * Math.PI) / 180;
+    const weight = speed || 1;
+    u += Math.sin(rad) * weight;
+    v += Math.cos(rad) * weight;
+  }
+  if (u === 0 && v === 0) return null;
+  return Math.round(((Math.atan2(u, v) * 180) / Math.PI + 360) % 360);
+};
+
+const precipitationOf = (item, window) => {
+  const rain = item.rain?.[window] || 0;
+  const snow = item.snow?.[window] || 0;
+  return rain + snow;
+};
+
+const toPlace = (entry) => ({
+  name: entry.name,
+  state: entry.state || null,
+  country: entry.country || null,
+  latitude: entry.lat,
+  longitude: entry.lon
+});
+
+/**
+ * OpenWeather provider (https://openweathermap.org/api)
+ * Free tier: current conditions, air pollution (now and 4 days ahead), a 5-day
+ * forecast in 3-hour steps and geocoding. Historical archive data needs a paid
+ * plan, so it is not offered here.
+ */
+export class OpenWeatherProvider {
+  constructor({ baseUrl, apiKey, timeoutMs }) {
+    this.name = 'openweather';
+    this.capabilities = ['current', 'forecast', 'airQuality', 'airQualityForecast', 'geocode', 'reverseGeocode'];
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  buildUrl(path, lat, lon, params = {}) {
+    return this.buildQueryUrl(path, { lat, lon, units: 'metric', ...params });
+  }
+
+  buildQueryUrl(path, params) {
+    if (!this.apiKey) {
+      throw new ProviderError('OpenWeather API key is not configured', { provider: this.name });
+    }
+
+    const search = new URLSearchParams({ ...params, appid: this.apiKey });
+    return `${this.baseUrl}${path}?${search}`;
+  }
+
+  async getCurrent(lat, lon) {
+    const data = await fetchJson(this.name, this.buildUrl('/data/2.5/weather', lat, lon), this.timeoutMs);
+
+    return {
+      provider: this.name,
+      location: {
+        latitude: data.coord?.lat ?? Number(lat),
+        longitude: data.coord?.lon ?? Number(lon),
+        name: data.name || null,
+        country: data.sys?.country || null,
+        utc_offset_seconds: data.timezone || 0
+      },
+      observed_at: isoFromUnix(data.dt),
+      temperature_c: round(data.main?.temp),
+      feels_like_c: round(data.main?.feels_like),
+      humidity_pct: round(data.main?.humidity, 0),
+      pressure_hpa: round(data.main?.grnd_level ?? data.main?.pressure),
+      sea_level_pressure_hpa: round(data.main?.sea_level ?? data.main?.pressure),
+      wind_speed_ms: round(data.wind?.speed),
+      wind_gust_ms: round(data.wind?.gust),
+      wind_direction_deg: round(data.wind?.deg, 0),
+      cloud_cover_pct: round(data.clouds?.all, 0),
+      visibility_m: round(data.visibility, 0),
+      precipitation_mm: round(precipitationOf(data, '1h')),
+      condition: fromOpenWeather(data.weather?.[0]),
+      sunrise: isoFromUnix(data.sys?.sunrise),
+      sunset: isoFromUnix(data.sys?.sunset)
+    };
+  }
+
+  async getForecast(lat, lon, { days = 5 } = {}) {
+    // 8 three-hour steps per day, 40 max on the free tier
+    const cnt = Math.min(days * 8, 40);
+    const data = await fetchJson(
+      this.name,
+      this.buildUrl('/data/2.5/forecast', lat, lon, { cnt }),
+      this.timeoutMs
+    );
+
+    const utcOffset = data.city?.timezone || 0;
+
+    const hourly = (data.list || []).map(item => ({
+      time: isoFromUnix(item.dt),
+      temperature_c: round(item.main?.temp),
+      feels_like_c: round(item.main?.feels_like),
+      humidity_pct: round(item.main?.humidity, 0),
+      precipitation_probability_pct: round((item.pop ?? 0) * 100, 0),
+      precipitation_mm: round(precipitationOf(item, '3h')),
+      // Snow is reported as water equivalent; ~10:1 means 1 mm of water ≈ 1 cm of snow
+      snowfall_cm: round(item.snow?.['3h'] || 0),
+      wind_speed_ms: round(item.wind?.speed),
+      wind_gust_ms: round(item.wind?.gust),
+      wind_direction_deg: round(item.wind?.deg, 0),
+      cloud_cover_pct: round(item.clouds?.all, 0),
+      pressure_hpa: round(item.main?.grnd_level ?? item.main?.pressure),
+      sea_level_pressure_hpa: round(item.main?.sea_level ?? item.main?.pressure),
+      visibility_m: round(item.visibility, 0),
+      uv_index: null,
+      condition: fromOpenWeather(item.weather?.[0])
+    }));
+
+    // Collapse 3-hour steps into local calendar days
+    const byDate = new Map();
+    hourly.forEach((hour, i) => {
+      const date = localDateFromUnix(data.list[i].dt, utcOffset);
+      if (!byDate.has(date)) byDate.set(date, []);
+      byDate.get(date).push(hour);
+    });
+
+    const daily = Array.from(byDate.entries()).map(([date, hours], index) => {
+      const values = (field) => hours.map(h => h[field]).filter(v => v !== null);
+      const max = (field) => (values(field).length ? Math.max(...values(field)) : null);
+      const min = (field) => (values(field).length ? Math.min(...values(field)) : null);
+
+      const codeCounts = new Map();
+      for (const h of hours) {
+        if (!h.condition) continue;
+        codeCounts.set(h.condition.code, (codeCounts.get(h.condition.code) || 0) + 1);
+      }
+      const dominantCode = [...codeCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+
+      return {
+        date,
+        temperature_min_c: min('temperature_c'),
+        temperature_max_c: max('temperature_c'),
+        precipitation_sum_mm: round(values('precipitation_mm').reduce((a, b) => a + b, 0)),
+        precipitation_probability_pct: max('precipitation_probability_pct'),
+        wind_speed_max_ms: max('wind_speed_ms'),
+        wind_gust_max_ms: max('wind_gust_ms'),
+        wind_direction_dominant_deg: dominantDirection(
+          hours.map(h => ({ deg: h.wind_direction_deg, speed: h.wind_speed_ms }))
+        ),
+        // Only the city's current sunrise/sunset is available on the free tier
+        sunrise: index === 0 ? isoFromUnix(data.city?.sunrise) : null,
+        sunset: index === 0 ? isoFromUnix(data.city?.sunset) : null,
+        uv_index_max: null,
+        condition: hours.find(h => h.condition?.code === dominantCode)?.condition || null
+      };
+    });
+
+    return {
+      provider: this.name,
+      location: {
+        latitude: data.city?.coord?.lat ?? Number(lat),
+        longitude: data.city?.coord?.lon ?? Number(lon),
+        name: data.city?.name || null,
+        country: data.city?.country || null,
+        utc_offset_seconds: utcOffset
+      },
+      generated_at: new Date().toISOString(),
+      hourly_interval_hours: 3,
+      hourly,
+      daily
+    };
+  }
+
+  async getAirQuality(lat, lon) {
+    const data = await fetchJson(this.name, this.buildUrl('/data/2.5/air_pollution', lat, lon), this.timeoutMs);
+
+    const entry = data.list?.[0] || {};
+    const components = entry.components || {};
+
+    return {
+      provider: this.name,
+      location: {
+        latitude: data.coord?.lat ?? Number(lat),
+        longitude: data.coord?.lon ?? Number(lon),
+        name: null,
+        country: null,
+        utc_offset_seconds: 0
+      },
+      observed_at: isoFromUnix(entry.dt),
+      // OpenWeather only reports its own 1-5 index; derive the US AQI from PM2.5
+      us_aqi: usAqiFromPm25(components.pm2_5),
+      european_aqi: null,
+      pm2_5_ugm3: round(components.pm2_5),
+      pm10_ugm3: round(components.pm10),
+      carbon_monoxide_ugm3: round(components.co),
+      nitrogen_dioxide_ugm3: round(components.no2),
+      sulphur_dioxide_ugm3: round(components.so2),
+      ozone_ugm3: round(components.o3),
+      uv_index: null
+    };
+  }
+
+  async getAirQualityForecast(lat, lon, { days = 4 } = {}) {
+    const data = await fetchJson(this.name, this.buildUrl('/data/2.5/air_pollution/forecast', lat, lon), this.timeoutMs);
+    const until = Date.now() + days * 24 * 60 * 60 * 1000;
+
+    return {
+      provider: this.name,
+      location: {
+        latitude: data.coord?.lat ?? Number(lat),
+        longitude: data.coord?.lon ?? Number(lon),
+        name: null,
+        country: null,
+        utc_offset_seconds: 0
+      },
+      generated_at: new Date().toISOString(),
+      hourly: (data.list || [])
+        .filter(item => item.dt * 1000 < until)
+        .map(item => ({
+          time: isoFromUnix(item.dt),
+          us_aqi: usAqiFromPm25(item.components?.pm2_5),
+          pm2_5_ugm3: round(item.components?.pm2_5),
+          pm10_ugm3: round(item.components?.pm10)
+        }))
+    };
+  }
+
+  async searchPlaces(query, { limit = 5 } = {}) {
+    const data = await fetchJson(this.name, this.buildQueryUrl('/geo/1.0/direct', { q: query, limit }), this.timeoutMs);
+    return (Array.isArray(data) ? data : []).map(toPlace);
+  }
+
+  async reverseGeocode(lat, lon) {
+    const data = await fetchJson(this.name, this.buildQueryUrl('/geo/1.0/reverse', { lat, lon, limit: 1 }), this.timeoutMs);
+    return Array.isArray(data) && data.length > 0 ? toPlace(data[0]) : null;
+  }
+}
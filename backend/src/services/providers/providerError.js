@@ -0,0 +1,40 @@
+/**
+ * Error raised when an upstream weather provider fails.
+ * statusCode is picked up by the global error handler (502 = bad upstream).
+ */
+export class ProviderError extends Error {
+  constructor(message, { provider, status = null, rateLimited = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.rateLimited = rateLimited;
+    this.retryAfterMs = retryAfterMs;
+    this.statusCode = 502;
+  }
+}
+
+/**
+ * Fetch JSON from an upstream provider with a timeout.
+ * Non-2xx responses are converted into ProviderError.
+ */
+export const fetchJson = async (provider, url, timeoutMs) => {
+  let res;
+  try {
+    res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  } catch (err) {
+    throw new ProviderError(`${provider} request failed: ${err.message}`, { provider });
+  }
+
+  if (!res.ok) {
+    const retryAfter = parseInt(res.headers.get('retry-after'));
+    throw new ProviderError(`${provider} API error: ${res.status}`, {
+      provider,
+      status: res.status,
+      rateLimited: res.status === 429,
+      retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+    });
+  }
+
+  return res.json();
+};
@@ -0,0 +1,205 @@
+/**
+ * Canonical weather schema shared by every provider.
+ *
+ * All values are metric: temperatures in °C, wind in m/s, pressure in hPa,
+ * precipitation in mm, visibility in metres, fractions as 0-100 percentages.
+ * Instants are ISO 8601 UTC strings; calendar days are local YYYY-MM-DD dates.
+ *
+ * @typedef {Object} CanonicalLocation
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {string|null} name
+ * @property {string|null} country
+ * @property {number} utc_offset_seconds
+ *
+ * @typedef {Object} CanonicalCurrent
+ * @property {string} provider
+ * @property {CanonicalLocation} location
+ * @property {string} observed_at
+ * @property {number|null} temperature_c
+ * @property {number|null} feels_like_c
+ * @property {number|null} humidity_pct
+ * @property {number|null} pressure_hpa - Surface pressure
+ * @property {number|null} sea_level_pressure_hpa
+ * @property {number|null} wind_speed_ms
+ * @property {number|null} wind_gust_ms
+ * @property {number|null} wind_direction_deg - Meteorological "from" direction
+ * @property {number|null} cloud_cover_pct
+ * @property {number|null} visibility_m
+ * @property {number|null} precipitation_mm - Last hour
+ * @property {{code: number, main: string, description: string}|null} condition
+ * @property {string|null} sunrise
+ * @property {string|null} sunset
+ *
+ * @typedef {Object} CanonicalHour
+ * @property {string} time
+ * @property {number|null} temperature_c
+ * @property {number|null} feels_like_c
+ * @property {number|null} humidity_pct
+ * @property {number|null} precipitation_probability_pct
+ * @property {number|null} precipitation_mm - Accumulated over the step
+ * @property {number|null} snowfall_cm - Snow depth accumulated over the step
+ * @property {number|null} wind_speed_ms
+ * @property {number|null} wind_gust_ms
+ * @property {number|null} wind_direction_deg
+ * @property {number|null} cloud_cover_pct
+ * @property {number|null} pressure_hpa - Surface pressure
+ * @property {number|null} sea_level_pressure_hpa
+ * @property {number|null} visibility_m
+ * @property {number|null} uv_index
+ * @property {{code: number, main: string, description: string}|null} condition
+ *
+ * @typedef {Object} CanonicalDay
+ * @property {string} date
+ * @property {number|null} temperature_min_c
+ * @property {number|null} temperature_max_c
+ * @property {number|null} precipitation_sum_mm
+ * @property {number|null} precipitation_probability_pct
+ * @property {number|null} wind_speed_max_ms
+ * @property {number|null} wind_gust_max_ms
+ * @property {number|null} wind_direction_dominant_deg
+ * @property {string|null} sunrise
+ * @property {string|null} sunset
+ * @property {number|null} uv_index_max
+ * @property {{code: number, main: string, description: string}|null} condition
+ *
+ * @typedef {Object} CanonicalForecast
+ * @property {string} provider
+ * @property {CanonicalLocation} location
+ * @property {string} generated_at
+ * @property {number} hourly_interval_hours - 1 for Open-Meteo, 3 for OpenWeather
+ * @property {CanonicalHour[]} hourly
+ * @property {CanonicalDay[]} daily
+ *
+ * @typedef {Object} CanonicalEnsembleHour - One value per ensemble member
+ * @property {string} time
+ * @property {Array<number|null>} temperature_c
+ * @property {Array<number|null>} precipitation_mm - Accumulated over the step
+ * @property {Array<number|null>} wind_speed_ms
+ *
+ * @typedef {Object} CanonicalEnsemble
+ * @property {string} provider
+ * @property {CanonicalLocation} location
+ * @property {string} generated_at
+ * @property {string} model - Ensemble system the members come from
+ * @property {number} member_count - Including the control run
+ * @property {number} hourly_interval_hours
+ * @property {CanonicalEnsembleHour[]} hourly
+ *
+ * @typedef {Object} CanonicalAirQuality - Pollutant concentrations in µg/m³
+ * @property {string} provider
+ * @property {CanonicalLocation} location
+ * @property {string} observed_at
+ * @property {number|null} us_aqi - US EPA index (derived from PM2.5 when not reported)
+ * @property {number|null} european_aqi
+ * @property {number|null} pm2_5_ugm3
+ * @property {number|null} pm10_ugm3
+ * @property {number|null} carbon_monoxide_ugm3
+ * @property {number|null} nitrogen_dioxide_ugm3
+ * @property {number|null} sulphur_dioxide_ugm3
+ * @property {number|null} ozone_ugm3
+ * @property {number|null} uv_index
+ *
+ * @typedef {Object} CanonicalAirQualityHour
+ * @property {string} time
+ * @property {number|null} us_aqi
+ * @property {number|null} pm2_5_ugm3
+ * @property {number|null} pm10_ugm3
+ *
+ * @typedef {Object} CanonicalAirQualityForecast
+ * @property {string} provider
+ * @property {CanonicalLocation} location
+ * @property {string} generated_at
+ * @property {CanonicalAirQualityHour[]} hourly
+ *
+ * @typedef {Object} CanonicalPlace - A geocoding match
+ * @property {string} name
+ * @property {string|null} state - First-level region, e.g. Maharashtra
+ * @property {string|null} country - ISO 3166-1 alpha-2 code
+ * @property {number} latitude
+ * @property {number} longitude
+ *
+ * @typedef {Object} CanonicalArchiveDay
+ * @property {string} date
+ * @property {number|null} temperature_max_c
+ * @property {number|null} temperature_min_c
+ * @property {number|null} temperature_mean_c
+ * @property {number|null} precipitation_sum_mm
+ * @property {number|null} rain_sum_mm
+ * @property {number|null} snowfall_sum_cm
+ * @property {number|null} wind_speed_max_ms
+ * @property {number|null} wind_gust_max_ms
+ * @property {number|null} wind_direction_dominant_deg
+ * @property {number|null} shortwave_radiation_sum_mj
+ * @property {number|null} et0_evapotranspiration_mm
+ * @property {number|null} pressure_mean_hpa - Surface pressure
+ * @property {number|null} sea_level_pressure_mean_hpa
+ * @property {number|null} cloud_cover_mean_pct
+ *
+ * @typedef {Object} CanonicalArchive
+ * @property {string} provider
+ * @property {CanonicalLocation & {elevation_m: number|null, timezone: string|null}} location
+ * @property {string} start_date
+ * @property {string} end_date
+ * @property {CanonicalArchiveDay[]} daily
+ */
+
+/*
+ * Provider interface. Each provider lists what it supports in `capabilities`;
+ * the weather service only routes a request to providers that declare it.
+ *   current    -> getCurrent(lat, lon)                          CanonicalCurrent
+ *   forecast   -> getForecast(lat, lon, { days })               CanonicalForecast
+ *   airQuality -> getAirQuality(lat, lon)                       CanonicalAirQuality
+ *   archive    -> getArchive(lat, lon, { startDate, endDate })  CanonicalArchive
+ *   ensemble   -> getEnsemble(lat, lon, { days })               CanonicalEnsemble
+ *   airQualityForecast -> getAirQualityForecast(lat, lon, { days })  CanonicalAirQualityForecast
+ *   geocode        -> searchPlaces(query, { limit })            CanonicalPlace[]
+ *   reverseGeocode -> reverseGeocode(lat, lon)                  CanonicalPlace|null
+ * Failures are reported as ProviderError (see providerError.js).
+ */
+
+/**
+ * Convert unix seconds to an ISO 8601 UTC string
+ */
+export const isoFromUnix = (seconds) => {
+  if (seconds === null || seconds === undefined) return null;
+  return new Date(seconds * 1000).toISOString();
+};
+
+/**
+ * Local calendar date (YYYY-MM-DD) for unix seconds at a given UTC offset
+ */
+export const localDateFromUnix = (seconds, utcOffsetSeconds = 0) => {
+  return new Date((seconds + utcOffsetSeconds) * 1000).toISOString().slice(0, 10);
+};
+
+/**
+ * Round to a fixed number of decimals, passing through null/undefined as null
+ */
+export const round = (value, decimals = 1) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// US EPA PM2.5 breakpoints: [concentration low, high, index low, high]
+const PM25_BREAKPOINTS = [
+  [0, 12, 0, 50],
+  [12.1, 35.4, 51, 100],
+  [35.5, 55.4, 101, 150],
+  [55.5, 150.4, 151, 200],
+  [150.5, 250.4, 201, 300],
+  [250.5, 500.4, 301, 500]
+];
+
+/**
+ * US AQI from a PM2.5 concentration (µg/m³), using EPA linear interpolation
+ */
+export const usAqiFromPm25 = (pm25) => {
+  if (pm25 === null || pm25 === undefined || Number.isNaN(pm25)) return null;
+  const c = Math.floor(pm25 * 10) / 10;
+  const band = PM25_BREAKPOINTS.find(([lo, hi]) => c >= lo && c <= hi)
+    || PM25_BREAKPOINTS[PM25_BREAKPOINTS.length - 1];
+  const [cLo, cHi, iLo, iHi] = band;
+  return Math.round(((iHi - iLo) / (cHi - cLo)) * (Math.min(c, cHi) - cLo) + iLo);
+};
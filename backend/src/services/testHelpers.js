@@ -0,0 +1,41 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Shared assertions and fixture access for the backend test scripts
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures');
+
+export const fixturePath = (...parts) => path.join(FIXTURES_DIR, ...parts);
+
+export const loadFixture = (...parts) => JSON.parse(fs.readFileSync(fixturePath(...parts), 'utf8'));
+
+/**
+ * Compare by JSON serialisation, so key order and array order both matter
+ */
+export function expectEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${label}: expected ${e}, got ${a}`);
+}
+
+export function expectClose(actual, expected, label, epsilon = 1e-9) {
+  if (actual === null || Math.abs(actual - expected) > epsilon) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+/**
+ * Poll until `condition()` holds, for assertions on work done in the background
+ */
+export const waitFor = async (condition, label, timeoutMs = 3000) => {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`Timed out waiting for ${label}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
@@ -0,0 +1,191 @@
+import { query } from '../../config/database.js';
+import { THRESHOLDS } from './alertEngine.js';
+import { pointInPolygon } from './geo.js';
+
+// Active profiles are re-read at most this often; admin writes invalidate immediately
+const PROFILE_CACHE_MS = 60 * 1000;
+
+/**
+ * Overlay a partial { HAZARD: { LEVEL: { field: value } } } onto full thresholds
+ */
+export const mergeThresholds = (base, override) => {
+  if (!override) return base;
+
+  const merged = {};
+  for (const [hazard, levels] of Object.entries(base)) {
+    merged[hazard] = {};
+    for (const [level, fields] of Object.entries(levels)) {
+      merged[hazard][level] = { ...fields, ...(override[hazard]?.[level] || {}) };
+    }
+  }
+  return merged;
+};
+
+/**
+ * Structural check for a partial thresholds object.
+ * Only hazards, levels and fields that exist in THRESHOLDS are accepted.
+ * @returns {string[]} error messages, empty when valid
+ */
+export const validateThresholds = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['thresholds must be an object'];
+  }
+
+  const errors = [];
+  for (const [hazard, levels] of Object.entries(value)) {
+    if (!THRESHOLDS[hazard]) {
+      errors.push(`Unknown hazard "${hazard}"`);
+      continue;
+    }
+    if (!levels || typeof levels !== 'object') {
+      errors.push(`${hazard} must be an object of severity levels`);
+      continue;
+    }
+    for (const [level, fields] of Object.entries(levels)) {
+      if (!THRESHOLDS[hazard][level]) {
+        errors.push(`Unknown severity "${level}" for ${hazard}`);
+        continue;
+      }
+      for (const [field, number] of Object.entries(fields || {})) {
+        if (!(field in THRESHOLDS[hazard][level])) {
+          errors.push(`Unknown field "${field}" for ${hazard}.${level}`);
+        } else if (typeof number !== 'number' || !Number.isFinite(number)) {
+          errors.push(`${hazard}.${level}.${field} must be a number`);
+        }
+      }
+    }
+  }
+  return errors;
+};
+
+/**
+ * Threshold profiles: named partial overrides of the default thresholds that
+ * apply to a set of grid cells and/or a GeoJSON region. When several profiles
+ * match a location they are applied in ascending priority, so the highest
+ * priority wins; per-subscriber overrides are applied last.
+ */
+class ThresholdProfileService {
+  constructor() {
+    this.activeProfiles = null;
+    this.loadedAt = 0;
+  }
+
+  invalidate() {
+    this.activeProfiles = null;
+  }
+
+  async getActiveProfiles() {
+    if (!this.activeProfiles || Date.now() - this.loadedAt > PROFILE_CACHE_MS) {
+      const result = await query(
+        'SELECT * FROM alert_threshold_profiles WHERE is_active = TRUE ORDER BY priority ASC, id ASC'
+      );
+      this.activeProfiles = result.rows;
+      this.loadedAt = Date.now();
+    }
+    return this.activeProfiles;
+  }
+
+  /**
+   * Thresholds for a location
+   * @param {Object} where - cellKey, lat, lon
+   * @param {Object} [overrides] - per-subscriber partial thresholds
+   * @returns {Promise<{thresholds: Object, profiles: string[]}>}
+   */
+  async resolve({ cellKey, lat, lon }, overrides = null) {
+    const profiles = (await this.getActiveProfiles()).filter(profile =>
+      (Array.isArray(profile.cell_keys) && profile.cell_keys.includes(cellKey)) ||
+      (profile.region && lat !== undefined && lon !== undefined && pointInPolygon(lat, lon, profile.region))
+    );
+
+    let thresholds = profiles.reduce(
+      (current, profile) => mergeThresholds(current, profile.thresholds),
+      THRESHOLDS
+    );
+    thresholds = mergeThresholds(thresholds, overrides);
+
+    return {
+      thresholds,
+      profiles: profiles.map(profile => profile.name)
+    };
+  }
+
+  async list() {
+    const result = await query(
+      'SELECT * FROM alert_threshold_profiles ORDER BY priority DESC, name ASC'
+    );
+    return result.rows;
+  }
+
+  async get(id) {
+    const result = await query('SELECT * FROM alert_threshold_profiles WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async create(profile, createdBy) {
+    const result = await query(
+      `INSERT INTO alert_threshold_profiles
+         (name, description, cell_keys, region, priority, thresholds, is_active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        profile.name,
+        profile.description || null,
+        JSON.stringify(profile.cell_keys || []),
+        profile.region ? JSON.stringify(profile.region) : null,
+        profile.priority ?? 0,
+        JSON.stringify(profile.thresholds || {}),
+        profile.is_active ?? true,
+        createdBy
+      ]
+    );
+    this.invalidate();
+    return result.rows[0];
+  }
+
+  async update(id, changes) {
+    const columns = {
+      name: value => value,
+      description: value => value,
+      cell_keys: value => JSON.stringify(value),
+      region: value => (value ? JSON.stringify(value) : null),
+      priority: value => value,
+      thresholds: value => JSON.stringify(value),
+      is_active: value => value
+    };
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [column, serialize] of Object.entries(columns)) {
+      if (changes[column] !== undefined) {
+        updates.push(`${column} = $${paramIndex++}`);
+        values.push(serialize(changes[column]));
+      }
+    }
+
+    if (updates.length === 0) return this.get(id);
+
+    values.push(id);
+    const result = await query(
+      `UPDATE alert_threshold_profiles
+       SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+    this.invalidate();
+    return result.rows[0] || null;
+  }
+
+  async remove(id) {
+    const result = await query(
+      'DELETE FROM alert_threshold_profiles WHERE id = $1 RETURNING id, name',
+      [id]
+    );
+    this.invalidate();
+    return result.rows[0] || null;
+  }
+}
+
+export default new ThresholdProfileService();
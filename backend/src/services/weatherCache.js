@@ -0,0 +1,221 @@
+/**
+ * Shared server-side cache for upstream weather responses
+ * - Keyed by provider, endpoint and rounded coordinates (place searches have none)
+ * - Per-data-type TTLs with a stale-while-revalidate window
+ * - Request coalescing: concurrent identical misses share one upstream fetch
+ * - In-memory by default, Redis when WEATHER_CACHE_STORE=redis
+ */
+
+/**
+ * Bounded in-process store (least recently used entries evicted first)
+ */
+class MemoryStore {
+  constructor({ maxEntries }) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.staleUntil <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert so Map iteration order tracks recency of use
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Redis store shared by every server process.
+ * ioredis is only loaded when this store is selected.
+ */
+class RedisStore {
+  constructor({ redisUrl, keyPrefix }) {
+    this.name = 'redis';
+    this.redisUrl = redisUrl;
+    this.keyPrefix = keyPrefix;
+    this.client = null;
+  }
+
+  async connect() {
+    if (!this.client) {
+      const { default: Redis } = await import('ioredis');
+      this.client = new Redis(this.redisUrl, { maxRetriesPerRequest: 1, enableOfflineQueue: false });
+      this.client.on('error', (err) => {
+        console.error('Weather cache Redis error:', err.message);
+      });
+    }
+    return this.client;
+  }
+
+  async get(key) {
+    const client = await this.connect();
+    const raw = await client.get(this.keyPrefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, entry) {
+    const client = await this.connect();
+    const ttlMs = Math.max(1, entry.staleUntil - Date.now());
+    await client.set(this.keyPrefix + key, JSON.stringify(entry), 'PX', ttlMs);
+  }
+
+  async clear() {
+    const client = await this.connect();
+    const keys = await client.keys(`${this.keyPrefix}*`);
+    if (keys.length > 0) await client.del(...keys);
+  }
+}
+
+export class WeatherCache {
+  constructor({ store = 'memory', redisUrl, keyPrefix = 'weather:', maxEntries = 5000, coordinatePrecision = 2, ttl }) {
+    this.store = store === 'redis'
+      ? new RedisStore({ redisUrl, keyPrefix })
+      : new MemoryStore({ maxEntries });
+    this.coordinatePrecision = coordinatePrecision;
+    this.ttl = ttl;
+    this.inFlight = new Map(); // key -> Promise of upstream value
+    this.stats = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      coalesced: 0,
+      upstreamCalls: 0,
+      storeErrors: 0
+    };
+  }
+
+  /**
+   * Round coordinates so nearby requests share an entry.
+   * The rounded values must also be what is sent upstream.
+   */
+  roundCoordinates(lat, lon) {
+    const factor = 10 ** this.coordinatePrecision;
+    return {
+      lat: Math.round(Number(lat) * factor) / factor,
+      lon: Math.round(Number(lon) * factor) / factor
+    };
+  }
+
+  buildKey({ provider, endpoint, lat, lon, params = {} }) {
+    const extra = Object.keys(params)
+      .sort()
+      .map(name => `${name}=${params[name]}`)
+      .join('&');
+    const where = lat === null ? '*' : `${lat.toFixed(this.coordinatePrecision)},${lon.toFixed(this.coordinatePrecision)}`;
+    return `${provider}:${endpoint}:${where}${extra ? `:${extra}` : ''}`;
+  }
+
+  // Store failures (e.g. Redis down) degrade to a cache miss instead of failing the request
+  async readEntry(key) {
+    try {
+      return await this.store.get(key);
+    } catch (err) {
+      this.stats.storeErrors++;
+      console.warn(`⚠️ Weather cache read failed (${this.store.name}): ${err.message}`);
+      return null;
+    }
+  }
+
+  async writeEntry(key, entry) {
+    try {
+      await this.store.set(key, entry);
+    } catch (err) {
+      this.stats.storeErrors++;
+      console.warn(`⚠️ Weather cache write failed (${this.store.name}): ${err.message}`);
+    }
+  }
+
+  /**
+   * Fetch upstream once per key, sharing the promise with concurrent callers
+   */
+  refresh(key, endpoint, fetcher) {
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      this.stats.coalesced++;
+      return pending;
+    }
+
+    const { freshMs, staleMs } = this.ttl[endpoint] || this.ttl.default;
+
+    const promise = (async () => {
+      this.stats.upstreamCalls++;
+      const value = await fetcher();
+      const now = Date.now();
+      await this.writeEntry(key, {
+        value,
+        storedAt: now,
+        freshUntil: now + freshMs,
+        staleUntil: now + freshMs + staleMs
+      });
+      return value;
+    })();
+
+    this.inFlight.set(key, promise);
+    promise.then(
+      () => this.inFlight.delete(key),
+      () => this.inFlight.delete(key)
+    );
+
+    return promise;
+  }
+
+  /**
+   * Return a cached value for the key, fetching it when missing.
+   * Stale entries are returned immediately while a background refresh runs.
+   */
+  async wrap(descriptor, fetcher) {
+    const key = this.buildKey(descriptor);
+    const entry = await this.readEntry(key);
+    const now = Date.now();
+
+    if (entry && entry.freshUntil > now) {
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    if (entry && entry.staleUntil > now) {
+      this.stats.staleHits++;
+      this.refresh(key, descriptor.endpoint, fetcher).catch((err) => {
+        console.warn(`⚠️ Background weather refresh failed for ${key}: ${err.message}`);
+      });
+      return entry.value;
+    }
+
+    this.stats.misses++;
+    return this.refresh(key, descriptor.endpoint, fetcher);
+  }
+
+  getStats() {
+    return {
+      store: this.store.name,
+      inFlight: this.inFlight.size,
+      ...this.stats
+    };
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+}
@@ -0,0 +1,118 @@
+import { WeatherCache } from './weatherCache.js';
+import { expectEqual, waitFor } from './testHelpers.js';
+
+/**
+ * Tests for the weather cache, with a counting stub provider standing in for
+ * the upstream APIs
+ * Run with: npm test (from backend/)
+ */
+
+const TTL = {
+  default: { freshMs: 60 * 1000, staleMs: 60 * 1000 },
+  // Stale as soon as it is stored, served stale for a minute
+  current: { freshMs: 0, staleMs: 60 * 1000 }
+};
+
+const MUMBAI = { provider: 'stub', endpoint: 'forecast', lat: 19.07, lon: 72.87 };
+
+/**
+ * Provider answering after `delayMs` with an increasing version number
+ */
+const makeProvider = (delayMs = 10) => ({
+  calls: 0,
+  async fetch() {
+    const version = ++this.calls;
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    return { version };
+  }
+});
+
+await (async function testConcurrentMissesCoalesce() {
+  console.log('testConcurrentMissesCoalesce');
+  const cache = new WeatherCache({ ttl: TTL });
+  const provider = makeProvider();
+
+  const values = await Promise.all(Array.from({ length: 5 }, () => cache.wrap(MUMBAI, () => provider.fetch())));
+
+  expectEqual(provider.calls, 1, 'one upstream call for concurrent misses');
+  expectEqual(values, Array(5).fill({ version: 1 }), 'every caller gets the shared value');
+  expectEqual(cache.getStats(), {
+    store: 'memory', inFlight: 0, hits: 0, staleHits: 0, misses: 5, coalesced: 4, upstreamCalls: 1, storeErrors: 0
+  }, 'stats');
+
+  expectEqual(await cache.wrap(MUMBAI, () => provider.fetch()), { version: 1 }, 'later call is a hit');
+  expectEqual(provider.calls, 1, 'hit makes no upstream call');
+
+  await cache.wrap({ ...MUMBAI, lat: 19.5 }, () => provider.fetch());
+  expectEqual(provider.calls, 2, 'another cell is fetched separately');
+  console.log('✓ Passed');
+})();
+
+await (async function testStaleHitRefreshesInBackground() {
+  console.log('testStaleHitRefreshesInBackground');
+  const cache = new WeatherCache({ ttl: TTL });
+  const provider = makeProvider();
+  const current = { ...MUMBAI, endpoint: 'current' };
+
+  expectEqual(await cache.wrap(current, () => provider.fetch()), { version: 1 }, 'first call fetches');
+
+  const stale = await cache.wrap(current, () => provider.fetch());
+  expectEqual(stale, { version: 1 }, 'stale value returned without waiting');
+  expectEqual([provider.calls, cache.getStats().inFlight], [2, 1], 'refresh started in the background');
+
+  // Further stale hits share the running refresh
+  await cache.wrap(current, () => provider.fetch());
+  expectEqual(provider.calls, 2, 'no second refresh while one is running');
+
+  await waitFor(() => cache.getStats().inFlight === 0, 'background refresh finished');
+  // Stored stale again, so this read also starts a refresh
+  expectEqual(await cache.wrap(current, () => provider.fetch()), { version: 2 }, 'refreshed value served next');
+  expectEqual([cache.stats.staleHits, cache.stats.coalesced, cache.stats.misses], [3, 1, 1], 'stats');
+  await waitFor(() => cache.getStats().inFlight === 0, 'second refresh finished');
+  console.log('✓ Passed');
+})();
+
+await (async function testFailedFetchIsNotCached() {
+  console.log('testFailedFetchIsNotCached');
+  const cache = new WeatherCache({ ttl: TTL });
+  let calls = 0;
+  const failing = async () => {
+    calls++;
+    throw new Error('upstream down');
+  };
+
+  const errors = await Promise.all([cache.wrap(MUMBAI, failing), cache.wrap(MUMBAI, failing)].map(
+    promise => promise.then(() => null, error => error.message)
+  ));
+  expectEqual(errors, ['upstream down', 'upstream down'], 'concurrent callers share the failure');
+  expectEqual(calls, 1, 'one upstream call');
+
+  expectEqual(await cache.wrap(MUMBAI, async () => ({ version: 'retry' })), { version: 'retry' }, 'next call retries');
+  console.log('✓ Passed');
+})();
+
+await (async function testLeastRecentlyUsedEviction() {
+  console.log('testLeastRecentlyUsedEviction');
+  const cache = new WeatherCache({ ttl: TTL, maxEntries: 2 });
+  const at = (lat) => ({ ...MUMBAI, lat });
+  const value = (lat) => async () => ({ lat });
+
+  await cache.wrap(at(1), value(1));
+  await cache.wrap(at(2), value(2));
+  // Reading the older entry makes the other one least recently used
+  await cache.wrap(at(1), value(1));
+  await cache.wrap(at(3), value(3));
+
+  const refetched = [];
+  // The evicted entry last, since fetching it again evicts another
+  for (const lat of [1, 3, 2]) {
+    await cache.wrap(at(lat), async () => {
+      refetched.push(lat);
+      return { lat };
+    });
+  }
+  expectEqual(refetched, [2], 'only the least recently used entry was evicted');
+  console.log('✓ Passed');
+})();
+
+console.log('\nAll weather cache tests passed');
@@ -0,0 +1,277 @@
+import weatherConfig from '../../config/weather.js';
+import { OpenWeatherProvider } from './providers/openWeather.js';
+import { OpenMeteoProvider } from './providers/openMeteo.js';
+import { FixtureProvider } from './providers/fixture.js';
+import { ProviderError } from './providers/providerError.js';
+import { WeatherCache } from './weatherCache.js';
+import { summarizeEnsemble } from './ensembleStats.js';
+
+// Forecasts are fetched in fixed lengths so different `days` requests share cache entries
+const FORECAST_DAY_BUCKETS = [7, 16];
+
+/**
+ * The next `hours` hours of a forecast, starting with the step in progress
+ */
+const upcomingHours = (forecast, hours) => {
+  const from = Date.now() - forecast.hourly_interval_hours * 60 * 60 * 1000;
+  return forecast.hourly
+    .filter(hour => Date.parse(hour.time) > from)
+    .slice(0, Math.ceil(hours / forecast.hourly_interval_hours));
+};
+
+/**
+ * Providers named in config.providers, in failover order
+ */
+const configuredProviders = (config) => {
+  const available = {
+    openweather: () => new OpenWeatherProvider({
+      ...config.openWeather,
+      timeoutMs: config.requestTimeoutMs
+    }),
+    openmeteo: () => new OpenMeteoProvider({
+      ...config.openMeteo,
+      timeoutMs: config.requestTimeoutMs
+    }),
+    fixture: () => new FixtureProvider(config.fixture)
+  };
+
+  const providers = config.providers
+    .filter(name => {
+      if (available[name]) return true;
+      console.warn(`⚠️ Unknown weather provider "${name}" in WEATHER_PROVIDERS - ignored`);
+      return false;
+    })
+    .map(name => available[name]());
+
+  if (providers.length === 0) {
+    console.warn('⚠️ No valid weather providers configured, falling back to openmeteo');
+    return [available.openmeteo()];
+  }
+
+  return providers;
+};
+
+/**
+ * Server-side weather proxy.
+ * Routes each request through the configured providers in order, falling over
+ * to the next one when a provider errors or is rate limited. Responses use the
+ * canonical schema described in providers/schema.js, so API keys never reach
+ * the browser and vendors can be swapped without touching React components.
+ *
+ * Upstream responses go through a shared WeatherCache, so concurrent users
+ * asking about the same place cost a single upstream call.
+ */
+export class WeatherService {
+  constructor(config, { providers = configuredProviders(config) } = {}) {
+    this.rateLimitCooldownMs = config.rateLimitCooldownMs;
+    // provider name -> timestamp until which it is skipped
+    this.cooldowns = new Map();
+    this.cache = config.cache.enabled ? new WeatherCache(config.cache) : null;
+    this.providers = providers;
+  }
+
+  /**
+   * Try each provider supporting `capability` in order until one succeeds.
+   * `call(provider, lat, lon)` receives rounded coordinates; its result is
+   * cached per provider, endpoint, location and `params`. Requests that are
+   * not about a location (place search) pass null coordinates.
+   */
+  async withFailover(capability, lat, lon, call, params = {}) {
+    const candidates = this.providers.filter(p => p.capabilities.includes(capability));
+
+    if (candidates.length === 0) {
+      throw new ProviderError(`No configured weather provider supports ${capability}`, { provider: null });
+    }
+
+    let coords = { lat: null, lon: null };
+    if (lat !== null) {
+      coords = this.cache
+        ? this.cache.roundCoordinates(lat, lon)
+        : { lat: Number(lat), lon: Number(lon) };
+    }
+    let lastError = null;
+
+    for (const provider of candidates) {
+      const coolingUntil = this.cooldowns.get(provider.name);
+      if (coolingUntil && coolingUntil > Date.now()) {
+        continue;
+      }
+
+      try {
+        const fetch = () => call(provider, coords.lat, coords.lon);
+        const result = this.cache
+          ? await this.cache.wrap({ provider: provider.name, endpoint: capability, ...coords, params }, fetch)
+          : await fetch();
+        this.cooldowns.delete(provider.name);
+        return result;
+      } catch (error) {
+        lastError = error;
+
+        if (error.rateLimited) {
+          this.cooldowns.set(provider.name, Date.now() + (error.retryAfterMs || this.rateLimitCooldownMs));
+          console.warn(`⚠️ Weather provider ${provider.name} rate limited, skipping it for now`);
+        } else {
+          console.warn(`⚠️ Weather provider ${provider.name} failed (${capability}): ${error.message}`);
+        }
+      }
+    }
+
+    if (!lastError) {
+      lastError = new ProviderError('All weather providers are rate limited', { provider: null, rateLimited: true });
+      lastError.statusCode = 503;
+    }
+
+    throw lastError;
+  }
+
+  async getCurrent(lat, lon) {
+    return this.withFailover('current', lat, lon, (p, la, lo) => p.getCurrent(la, lo));
+  }
+
+  async getForecast(lat, lon, { days = 7 } = {}) {
+    const fetchDays = FORECAST_DAY_BUCKETS.find(bucket => days <= bucket) || days;
+    const forecast = await this.withFailover(
+      'forecast', lat, lon,
+      (p, la, lo) => p.getForecast(la, lo, { days: fetchDays }),
+      { days: fetchDays }
+    );
+
+    if (fetchDays === days) return forecast;
+
+    // Trim the shared bucket down to what was asked for
+    return {
+      ...forecast,
+      hourly: forecast.hourly.slice(0, days * (24 / forecast.hourly_interval_hours)),
+      daily: forecast.daily.slice(0, days)
+    };
+  }
+
+  /**
+   * Hourly steps only, limited to the next `hours` hours
+   */
+  async getHourly(lat, lon, { hours = 48 } = {}) {
+    const forecast = await this.getForecast(lat, lon, { days: Math.ceil(hours / 24) + 1 });
+
+    return {
+      provider: forecast.provider,
+      location: forecast.location,
+      generated_at: forecast.generated_at,
+      hourly_interval_hours: forecast.hourly_interval_hours,
+      hourly: upcomingHours(forecast, hours)
+    };
+  }
+
+  /**
+   * Daily summaries only
+   */
+  async getDaily(lat, lon, { days = 7 } = {}) {
+    const forecast = await this.getForecast(lat, lon, { days });
+
+    return {
+      provider: forecast.provider,
+      location: forecast.location,
+      generated_at: forecast.generated_at,
+      daily: forecast.daily
+    };
+  }
+
+  /**
+   * Current conditions, the next `hours` hours and `days` days for several
+   * locations in one call. A location that fails carries its error instead,
+   * so the others can still be shown.
+   * @param {Array<{lat: number, lon: number}>} points
+   */
+  async compare(points, { hours = 48, days = 7 } = {}) {
+    return Promise.all(points.map(async ({ lat, lon }) => {
+      try {
+        const [current, forecast] = await Promise.all([
+          this.getCurrent(lat, lon),
+          this.getForecast(lat, lon, { days: Math.max(days, Math.ceil(hours / 24) + 1) })
+        ]);
+
+        return {
+          latitude: lat,
+          longitude: lon,
+          location: forecast.location,
+          provider: forecast.provider,
+          current,
+          hourly_interval_hours: forecast.hourly_interval_hours,
+          hourly: upcomingHours(forecast, hours),
+          daily: forecast.daily.slice(0, days)
+        };
+      } catch (error) {
+        return { latitude: lat, longitude: lon, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Ensemble forecast as percentile bands (p10/p50/p90) per hour and day,
+   * with exceedance probabilities for the daily fields. The raw members are
+   * what gets cached; the statistics are cheap to recompute.
+   */
+  async getEnsemble(lat, lon, { days = 7 } = {}) {
+    const fetchDays = FORECAST_DAY_BUCKETS.find(bucket => days <= bucket) || days;
+    const ensemble = await this.withFailover(
+      'ensemble', lat, lon,
+      (p, la, lo) => p.getEnsemble(la, lo, { days: fetchDays }),
+      { days: fetchDays }
+    );
+
+    const summary = summarizeEnsemble(ensemble);
+
+    return {
+      ...summary,
+      hourly: summary.hourly.slice(0, days * (24 / summary.hourly_interval_hours)),
+      daily: summary.daily.slice(0, days)
+    };
+  }
+
+  async getAirQuality(lat, lon) {
+    return this.withFailover('airQuality', lat, lon, (p, la, lo) => p.getAirQuality(la, lo));
+  }
+
+  /**
+   * Hourly US AQI and particulates for the next `days` days
+   */
+  async getAirQualityForecast(lat, lon, { days = 4 } = {}) {
+    return this.withFailover(
+      'airQualityForecast', lat, lon,
+      (p, la, lo) => p.getAirQualityForecast(la, lo, { days }),
+      { days }
+    );
+  }
+
+  /**
+   * Places matching a free-text query, best match first
+   */
+  async searchPlaces(query, { limit = 5 } = {}) {
+    const normalized = query.trim().replace(/\s+/g, ' ');
+    return this.withFailover(
+      'geocode', null, null,
+      (p) => p.searchPlaces(normalized, { limit }),
+      { q: normalized.toLowerCase(), limit }
+    );
+  }
+
+  /**
+   * Nearest named place to a point, or null when there is none
+   */
+  async reverseGeocode(lat, lon) {
+    return this.withFailover('reverseGeocode', lat, lon, (p, la, lo) => p.reverseGeocode(la, lo));
+  }
+
+  async getArchive(lat, lon, { startDate, endDate }) {
+    return this.withFailover(
+      'archive', lat, lon,
+      (p, la, lo) => p.getArchive(la, lo, { startDate, endDate }),
+      { startDate, endDate }
+    );
+  }
+
+  getCacheStats() {
+    return this.cache ? this.cache.getStats() : { enabled: false };
+  }
+}
+
+export default new WeatherService(weatherConfig);
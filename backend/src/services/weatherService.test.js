@@ -0,0 +1,123 @@
+import { WeatherService } from './weatherService.js';
+import { FixtureProvider } from './providers/fixture.js';
+import { ProviderError } from './providers/providerError.js';
+import { expectEqual, fixturePath } from './testHelpers.js';
+
+/**
+ * Tests for provider failover, with a scripted stub in front of the recorded
+ * fixtures standing in for the upstream APIs
+ * Run with: npm test (from backend/)
+ */
+
+const CONFIG = {
+  rateLimitCooldownMs: 60 * 1000,
+  cache: { enabled: false }
+};
+
+const MUMBAI = { lat: 19.07, lon: 72.87 };
+
+/**
+ * Provider that replays `script` one call at a time: 'limited' (429 with
+ * Retry-After), 'limited-no-retry-after', 'error' or 'ok'
+ */
+const makeStub = (script, retryAfterMs = 50) => ({
+  name: 'stub',
+  capabilities: ['current'],
+  calls: 0,
+  async getCurrent() {
+    const step = script[this.calls++] || 'ok';
+    if (step === 'limited') {
+      throw new ProviderError('stub API error: 429', { provider: 'stub', status: 429, rateLimited: true, retryAfterMs });
+    }
+    if (step === 'limited-no-retry-after') {
+      throw new ProviderError('stub API error: 429', { provider: 'stub', status: 429, rateLimited: true });
+    }
+    if (step === 'error') {
+      throw new ProviderError('stub API error: 500', { provider: 'stub', status: 500 });
+    }
+    return { provider: 'stub' };
+  }
+});
+
+const makeService = (stub) => new WeatherService(CONFIG, {
+  providers: [stub, new FixtureProvider({ dir: fixturePath('weather') })]
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Failover warnings are not part of what is tested
+const quietly = async (run) => {
+  const { warn } = console;
+  console.warn = () => {};
+  try {
+    return await run();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+await (async function testRateLimitedProviderCoolsDown() {
+  console.log('testRateLimitedProviderCoolsDown');
+  const stub = makeStub(['limited']);
+  const service = makeService(stub);
+  const current = () => service.getCurrent(MUMBAI.lat, MUMBAI.lon);
+
+  const first = await quietly(current);
+  expectEqual(first.location.name, 'Mumbai', 'next provider serves the request');
+  expectEqual(stub.calls, 1, 'rate-limited provider tried first');
+
+  const second = await quietly(current);
+  expectEqual(second.location.name, 'Mumbai', 'served by the next provider while cooling down');
+  expectEqual(stub.calls, 1, 'skipped during its cooldown');
+
+  await sleep(80);
+  expectEqual(await quietly(current), { provider: 'stub' }, 'back to the first provider after Retry-After');
+  expectEqual(stub.calls, 2, 'retried once the cooldown ended');
+  expectEqual(service.cooldowns.has('stub'), false, 'cooldown cleared on success');
+  console.log('✓ Passed');
+})();
+
+await (async function testDefaultCooldown() {
+  console.log('testDefaultCooldown');
+  const stub = makeStub(['limited-no-retry-after']);
+  const service = makeService(stub);
+
+  const before = Date.now();
+  await quietly(() => service.getCurrent(MUMBAI.lat, MUMBAI.lon));
+  const until = service.cooldowns.get('stub');
+  expectEqual(until >= before + CONFIG.rateLimitCooldownMs && until <= Date.now() + CONFIG.rateLimitCooldownMs, true,
+    'configured cooldown without Retry-After');
+  console.log('✓ Passed');
+})();
+
+await (async function testErrorsDoNotCoolDown() {
+  console.log('testErrorsDoNotCoolDown');
+  const stub = makeStub(['error']);
+  const service = makeService(stub);
+
+  const first = await quietly(() => service.getCurrent(MUMBAI.lat, MUMBAI.lon));
+  expectEqual(first.location.name, 'Mumbai', 'next provider serves the request');
+  expectEqual(service.cooldowns.size, 0, 'plain failures are not skipped');
+  expectEqual(await quietly(() => service.getCurrent(MUMBAI.lat, MUMBAI.lon)), { provider: 'stub' }, 'tried again next time');
+  console.log('✓ Passed');
+})();
+
+await (async function testAllRateLimited() {
+  console.log('testAllRateLimited');
+  const stub = makeStub(['limited']);
+  const service = new WeatherService(CONFIG, { providers: [stub] });
+
+  const error = await quietly(() => service.getCurrent(MUMBAI.lat, MUMBAI.lon).then(() => null, err => err));
+  expectEqual([error.rateLimited, error.statusCode], [true, 502], 'the provider error when it was tried');
+
+  const skipped = await quietly(() => service.getCurrent(MUMBAI.lat, MUMBAI.lon).then(() => null, err => err));
+  expectEqual([skipped.message, skipped.statusCode], ['All weather providers are rate limited', 503],
+    '503 when every provider is cooling down');
+  expectEqual(stub.calls, 1, 'not called while cooling down');
+
+  const unsupported = await service.getForecast(MUMBAI.lat, MUMBAI.lon).then(() => null, err => err);
+  expectEqual(unsupported.message, 'No configured weather provider supports forecast', 'capability check');
+  console.log('✓ Passed');
+})();
+
+console.log('\nAll weather service tests passed');
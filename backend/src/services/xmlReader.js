@@ -0,0 +1,171 @@
+/**
+ * Minimal XML reader for the documents we ingest (CAP alerts and Atom feeds).
+ * Handles elements, attributes, text, CDATA, comments, processing instructions
+ * and the predefined/numeric entities. DOCTYPEs (internal subset included) are
+ * skipped, not applied; no validation. Namespace
+ * prefixes are dropped from names (cap:alert -> alert); the namespace URI an
+ * element is in is kept as `ns`.
+ *
+ * Nodes: { name, ns, attrs, children, text }
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Code points XML allows in character references (the Char production)
+const isXmlChar = (code) =>
+  code === 0x9 || code === 0xA || code === 0xD ||
+  (code >= 0x20 && code <= 0xD7FF) ||
+  (code >= 0xE000 && code <= 0xFFFD) ||
+  (code >= 0x10000 && code <= 0x10FFFF);
+
+const decodeEntities = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' || entity[1] === 'X'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    if (!isXmlChar(code)) throw new Error(`Malformed XML: invalid character reference ${match}`);
+    return String.fromCodePoint(code);
+  }
+  return ENTITIES[entity] ?? match;
+});
+
+const localName = (qualified) => qualified.slice(qualified.indexOf(':') + 1);
+
+const ATTRIBUTE = /([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+const parseAttributes = (source) => {
+  const attrs = {};
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    attrs[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attrs;
+};
+
+// Namespace URI for a qualified name, looking up xmlns declarations in scope
+const namespaceOf = (qualified, scope) => {
+  const colon = qualified.indexOf(':');
+  const prefix = colon === -1 ? '' : qualified.slice(0, colon);
+  return scope[prefix] ?? null;
+};
+
+/**
+ * Parse an XML document and return its root element
+ * @param {string} xml
+ * @returns {{name: string, ns: string|null, attrs: Object, children: Object[], text: string}}
+ * @throws {Error} on malformed input
+ */
+export const parseXml = (xml) => {
+  const root = { name: '#document', ns: null, attrs: {}, children: [], text: '', scope: {} };
+  const stack = [root];
+  let position = 0;
+
+  const appendText = (value) => {
+    stack[stack.length - 1].text += value;
+  };
+
+  // Index just past the next `marker`
+  const skipPast = (marker, from) => {
+    const index = xml.indexOf(marker, from);
+    if (index === -1) throw new Error(`Malformed XML: expected "${marker}"`);
+    return index + marker.length;
+  };
+
+  // Index of the `>` closing the markup that starts at `from`, ignoring any
+  // inside quoted values and, for declarations, inside a [...] internal subset
+  // (including comments there)
+  const markupEnd = (from) => {
+    let quote = null;
+    let depth = 0;
+    for (let i = from; i < xml.length; i++) {
+      const char = xml[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (depth > 0 && xml.startsWith('<!--', i)) {
+        i = skipPast('-->', i) - 1;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[') {
+        depth++;
+      } else if (char === ']') {
+        depth--;
+      } else if (char === '>' && depth <= 0) {
+        return i;
+      }
+    }
+    throw new Error('Malformed XML: expected ">"');
+  };
+
+  while (position < xml.length) {
+    const open = xml.indexOf('<', position);
+    if (open === -1) {
+      appendText(decodeEntities(xml.slice(position)));
+      break;
+    }
+    if (open > position) appendText(decodeEntities(xml.slice(position, open)));
+
+    if (xml.startsWith('<!--', open)) {
+      position = skipPast('-->', open);
+    } else if (xml.startsWith('<![CDATA[', open)) {
+      position = skipPast(']]>', open);
+      appendText(xml.slice(open + 9, position - 3));
+    } else if (xml.startsWith('<?', open)) {
+      position = skipPast('?>', open);
+    } else if (xml.startsWith('<!', open)) {
+      // DOCTYPE and other declarations are skipped
+      position = markupEnd(open) + 1;
+    } else if (xml[open + 1] === '/') {
+      const end = skipPast('>', open) - 1;
+      const name = xml.slice(open + 2, end).trim();
+      const node = stack.pop();
+      if (!node || node === root || node.qualified !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      position = end + 1;
+    } else {
+      const end = markupEnd(open);
+      const selfClosing = xml[end - 1] === '/';
+      const body = xml.slice(open + 1, selfClosing ? end - 1 : end);
+      const qualified = body.match(/^[^\s/>]+/)?.[0];
+      if (!qualified) throw new Error('Missing tag name');
+
+      const attrs = parseAttributes(body.slice(qualified.length));
+      const parent = stack[stack.length - 1];
+      const scope = { ...parent.scope };
+      for (const [attr, value] of Object.entries(attrs)) {
+        if (attr === 'xmlns') scope[''] = value;
+        else if (attr.startsWith('xmlns:')) scope[attr.slice(6)] = value;
+      }
+
+      const node = {
+        name: localName(qualified),
+        ns: namespaceOf(qualified, scope),
+        attrs,
+        children: [],
+        text: '',
+        qualified,
+        scope
+      };
+      parent.children.push(node);
+      if (!selfClosing) stack.push(node);
+      position = end + 1;
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`Unclosed tag <${stack[stack.length - 1].qualified}>`);
+
+  const [element] = root.children;
+  if (!element) throw new Error('Empty XML document');
+  return element;
+};
+
+export const childrenNamed = (node, name) => node?.children.filter(child => child.name === name) || [];
+
+export const childNamed = (node, name) => node?.children.find(child => child.name === name) || null;
+
+/**
+ * Trimmed text of the first child with this name, or null
+ */
+export const childText = (node, name) => {
+  const text = childNamed(node, name)?.text.trim();
+  return text ? text : null;
+};
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import { childNamed, childText, parseXml } from './xmlReader.js';
+import { expectEqual, fixturePath } from './testHelpers.js';
+
+/**
+ * Tests for the minimal XML reader, with the documents in fixtures/xml
+ * Run with: npm test (from backend/)
+ */
+
+const readFixture = (name) => fs.readFileSync(fixturePath('xml', name), 'utf8');
+
+const parseError = (xml) => {
+  try {
+    parseXml(xml);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+(function testGreaterThanInAttributes() {
+  console.log('testGreaterThanInAttributes');
+  const feed = parseXml(readFixture('quoted_gt.xml'));
+  const entry = childNamed(feed, 'entry');
+  const link = childNamed(entry, 'link');
+  expectEqual(link.attrs.href, 'https://met.example.org/cap?min=3&sort=>sent', 'double-quoted value');
+  expectEqual(link.attrs.title, 'rain > 50 mm', 'single-quoted value');
+  expectEqual(link.children, [], 'self-closing tag after a quoted >');
+
+  const summary = childNamed(entry, 'summary');
+  expectEqual(summary.attrs['data-rule'], 'rate > 25 && accum > 50', 'entities next to >');
+  expectEqual(summary.text, 'Orange warning', 'text after the tag');
+  console.log('✓ Passed');
+})();
+
+(function testDoctypeInternalSubset() {
+  console.log('testDoctypeInternalSubset');
+  const alert = parseXml(readFixture('doctype_subset.xml'));
+  expectEqual(alert.name, 'alert', 'root after the DOCTYPE');
+  expectEqual(alert.ns, 'urn:oasis:names:tc:emergency:cap:1.2', 'namespace');
+  expectEqual(childText(alert, 'identifier'), 'DOCTYPE-1', 'content parsed');
+  // Declared entities are not applied
+  expectEqual(childText(alert, 'note'), 'Issued by &agency;', 'custom entity left as written');
+
+  expectEqual(parseXml('<!DOCTYPE a><a/>').name, 'a', 'DOCTYPE without a subset');
+  expectEqual(parseError('<!DOCTYPE a [ <!ENTITY x "y"> <a/>'), 'Malformed XML: expected ">"', 'unterminated subset');
+  console.log('✓ Passed');
+})();
+
+(function testCharacterReferences() {
+  console.log('testCharacterReferences');
+  expectEqual(parseXml('<a>&#65;&#x42;&#X1F600;</a>').text, 'AB😀', 'decimal, hex and astral');
+  expectEqual(parseXml('<a>&#x10FFFF;</a>').text, String.fromCodePoint(0x10FFFF), 'highest code point');
+  expectEqual(parseXml('<a k="&#x3E;"/>').attrs.k, '>', 'in attributes');
+
+  expectEqual(parseError('<a>&#x110000;</a>'), 'Malformed XML: invalid character reference &#x110000;', 'beyond Unicode');
+  expectEqual(parseError('<a>&#99999999999;</a>'), 'Malformed XML: invalid character reference &#99999999999;', 'huge decimal');
+  expectEqual(parseError('<a k="&#xD800;"/>'), 'Malformed XML: invalid character reference &#xD800;', 'lone surrogate');
+  expectEqual(parseError('<a>&#0;</a>'), 'Malformed XML: invalid character reference &#0;', 'NUL');
+  console.log('✓ Passed');
+})();
+
+console.log('\nAll XML reader tests passed');
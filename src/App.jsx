@@ -12,6 +12,7 @@ import Navbar from './components/navbar/navbar.jsx'
 import ProfilePage from './profile.jsx'
 import WeatherDetail from './weatherDetail.jsx'
 import WeeklyForecast from './components/WeeklyForecast/WeeklyForecast.jsx'
+import HourlyTimeline from './components/HourlyTimeline/HourlyTimeline.jsx'
 import ApiLimitations from './pages/ApiLimitations.jsx'
 import SearchResults from './pages/SearchResults.jsx'
 import TermsAndConditions from './pages/TermsAndConditions.jsx'
@@ -19,11 +20,15 @@ import PrivacyPolicy from './pages/PrivacyPolicy.jsx'
 import HelpSupport from './pages/HelpSupport.jsx'
 import { usePreferences } from './hooks/usePreferences.js';
 import { formatTemperature, formatWindSpeed, formatPressure } from './lib/math.js';
+import { getUserLocation } from './lib/userLocation.js';
 import AlertBanner from './components/AlertBanner/AlertBanner.jsx'
 import ForgotPassword from './ForgotPassword.jsx';
 import ResetPassword from './ResetPassword.jsx';
 import Settings from './pages/Settings.jsx';
 import Analytics from './pages/Analytics.jsx';
+import AdminAlertVerification from './pages/AdminAlertVerification.jsx';
+import AdminAlertConsole from './pages/AdminAlertConsole.jsx';
+import CompareLocations from './pages/CompareLocations.jsx';
 
 
 // Attribute tab list
@@ -48,7 +53,7 @@ function Dashboard() {
   const { preferences } = usePreferences();
 
   useEffect(() => {
-    getUserLocation()
+    detectLocation()
   }, [])
 
   useEffect(() => {
@@ -57,104 +62,33 @@ function Dashboard() {
     }
   }, [location])
 
-  const getUserLocation = async () => {
+  const detectLocation = async () => {
     setLoading(true)
-    try {
-      // Try geolocation API first
-      if (navigator.geolocation) {
-        navigator.geolocation.getCurrentPosition(
-          async (position) => {
-            const { latitude, longitude } = position.coords;
-            
-            // Get city name from coordinates
-            const cityName = await getCityName(latitude, longitude);
-            
-            setLocation({
-              lat: latitude,
-              lon: longitude,
-              name: cityName
-            });
-          },
-          async (error) => {
-            console.log('Geolocation denied, using IP-based location');
-            await getLocationFromIP();
-          }
-        );
-      } else {
-        await getLocationFromIP();
-      }
-    } catch (err) {
-      console.error('Location detection failed:', err);
-      setLocation({ name: 'Mumbai', lat: 19.0760, lon: 72.8777 });
-      setLoading(false);
-    }
-  };
-
-  const getLocationFromIP = async () => {
-    try {
-      const res = await fetch('https://ipapi.co/json/');
-      if (!res.ok) throw new Error('IP location failed');
-      
-      const data = await res.json();
-      
-      setLocation({
-        lat: data.latitude,
-        lon: data.longitude,
-        name: data.city || data.region || 'Unknown'
-      });
-    } catch (err) {
-      console.error('IP location failed:', err);
-      setLocation({ name: 'Mumbai', lat: 19.0760, lon: 72.8777 });
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const getCityName = async (lat, lon) => {
-    try {
-      const apiKey = import.meta.env.VITE_OPENWEATHER_API_KEY;
-      const res = await fetch(
-        `https://api.openweathermap.org/geo/1.0/reverse?lat=${lat}&lon=${lon}&limit=1&appid=${apiKey}`
-      );
-      
-      if (!res.ok) throw new Error('Reverse geocoding failed');
-      
-      const data = await res.json();
-      if (data && data.length > 0) {
-        return data[0].name || 'Current Location';
-      }
-      return 'Current Location';
-    } catch (err) {
-      console.error('City name fetch failed:', err);
-      return 'Current Location';
-    }
-  };
+    // Geolocation, then IP lookup, then the default city
+    setLocation(await getUserLocation())
+  }
 
   const fetchWeatherData = async () => {
     if (!location) return;
     
     try {
-      const apiKey = import.meta.env.VITE_OPENWEATHER_API_KEY
-      
-      // Fetch regular weather data
+      // Fetch current weather through the backend proxy (canonical metric schema)
       const weatherRes = await fetch(
-        `https://api.openweathermap.org/data/2.5/weather?lat=${location.lat}&lon=${location.lon}&appid=${apiKey}&units=metric`
+        `http://localhost:5000/api/weather/current?lat=${location.lat}&lon=${location.lon}`
       )
       if (weatherRes.ok) {
         const data = await weatherRes.json()
-        setWeatherData(data)
+        if (data.success) setWeatherData(data.current)
       }
 
-      // Fetch AQI data separately
+      // Fetch AQI data separately (US AQI scale)
       const aqiRes = await fetch(
-        `https://api.openweathermap.org/data/2.5/air_pollution?lat=${location.lat}&lon=${location.lon}&appid=${apiKey}`
+        `http://localhost:5000/api/weather/air-quality?lat=${location.lat}&lon=${location.lon}`
       )
       if (aqiRes.ok) {
         const data = await aqiRes.json()
-        if (data?.list && data.list.length > 0) {
-          const aqiValue = data.list[0].main.aqi
-          const aqiScaled = aqiValue * 50 // Scale to 0-250
-          setAqiData({ aqi: aqiScaled, pm25: data.list[0].components?.pm2_5 || 0 })
+        if (data.success && data.airQuality.us_aqi !== null) {
+          setAqiData({ aqi: data.airQuality.us_aqi, pm25: data.airQuality.pm2_5_ugm3 || 0 })
         }
       }
     } catch (err) {
@@ -169,19 +103,19 @@ function Dashboard() {
 
     switch (selected) {
       case 'Temperature':
-        return formatTemperature(weatherData.main.temp, preferences.temperature_unit);
+        return formatTemperature(weatherData.temperature_c, preferences.temperature_unit);
       case 'Precipitation':
-        return `${weatherData.main.humidity}% humidity`
+        return `${weatherData.humidity_pct}% humidity`
       case 'Wind':
-        return formatWindSpeed(weatherData.wind.speed, preferences.wind_speed_unit);
+        return formatWindSpeed(weatherData.wind_speed_ms, preferences.wind_speed_unit);
       case 'AQI':
         return aqiData ? `${Math.round(aqiData.aqi)} AQI` : 'Loading...'
       case 'Visibility':
-        return `${(weatherData.visibility / 1000).toFixed(1)} km`
+        return weatherData.visibility_m !== null ? `${(weatherData.visibility_m / 1000).toFixed(1)} km` : '--'
       case 'Surface Pressure':
-        return formatPressure(weatherData.main.pressure, preferences.pressure_unit);
+        return formatPressure(weatherData.pressure_hpa, preferences.pressure_unit);
       case 'Sealevel Pressure':
-        return formatPressure(weatherData.main.sea_level || weatherData.main.pressure, preferences.pressure_unit);
+        return formatPressure(weatherData.sea_level_pressure_hpa || weatherData.pressure_hpa, preferences.pressure_unit);
       default:
         return '--'
     }
@@ -226,9 +160,10 @@ function Dashboard() {
         style={{ cursor: 'pointer' }}
         title={`View ${selected} details`}
       >
-        <p>Location: {weatherData ? `${weatherData.name}, ${weatherData.sys.country}` : location?.name || '--'}</p>
+        <p>Location: {weatherData?.location?.name ? `${weatherData.location.name}, ${weatherData.location.country}` : location?.name || '--'}</p>
         <p>{selected}: {getValue()}</p>
       </div>
+      {location && <HourlyTimeline lat={location.lat} lon={location.lon} />}
     </section>
   )
 }
@@ -291,6 +226,18 @@ function App() {
     return <Analytics />;
   }
 
+  if (location.pathname === '/compare') {
+    return <CompareLocations />;
+  }
+
+  if (location.pathname === '/admin/alert-verification') {
+    return <AdminAlertVerification />;
+  }
+
+  if (location.pathname === '/admin/alert-console') {
+    return <AdminAlertConsole />;
+  }
+
   if (location.pathname === '/api-limitations') {
     return <ApiLimitations />;
   }
@@ -1,28 +1,195 @@
 import { useState, useEffect } from 'react';
 import './AlertBanner.css';
 
+const API_URL = 'http://localhost:5000/api/alerts';
+
+// Same fallback location as the dashboard
+const DEFAULT_LOCATION = { lat: 19.0760, lon: 72.8777 };
+
+// Polling is only used while the stream is down or unsupported
+const POLL_INTERVAL_MS = 60000;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60000;
+
+// Dismissed alerts stay hidden for this browser session, per alert level
+const DISMISSED_KEY = 'dismissedAlerts';
+const alertKey = (alert) => `${alert.id}:${alert.severity}`;
+
+const loadDismissed = () => {
+  try {
+    return new Set(JSON.parse(sessionStorage.getItem(DISMISSED_KEY)) || []);
+  } catch {
+    return new Set();
+  }
+};
+
+// Apply one stream event to the current list; re-issued alerts keep the level
+// the user acknowledged so they show again when that level changes
+const applyAlertEvent = (alerts, type, alert) => {
+  const previous = alerts.find(current => current.id === alert.id);
+  const others = alerts.filter(current => current.id !== alert.id);
+
+  if (type === 'expired' || type === 'cancelled') return others;
+  return [{ ...alert, acknowledged_severity: previous?.acknowledged_severity ?? null }, ...others]
+    .sort((a, b) => b.score - a.score);
+};
+
 function AlertBanner() {
   const [activeAlerts, setActiveAlerts] = useState([]);
+  const [viewerLocation, setViewerLocation] = useState(null);
+  const [dismissed, setDismissed] = useState(loadDismissed);
+  const token = localStorage.getItem('authToken');
 
   useEffect(() => {
-    fetchActiveAlerts();
-    const interval = setInterval(fetchActiveAlerts, 60000); // Check every minute
-    return () => clearInterval(interval);
+    if (!navigator.geolocation) {
+      setViewerLocation(DEFAULT_LOCATION);
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => setViewerLocation({
+        lat: position.coords.latitude,
+        lon: position.coords.longitude
+      }),
+      () => setViewerLocation(DEFAULT_LOCATION)
+    );
   }, []);
 
-  const fetchActiveAlerts = async () => {
+  useEffect(() => {
+    if (!viewerLocation) return;
+
+    const params = new URLSearchParams({ lat: viewerLocation.lat, lon: viewerLocation.lon });
+    let source = null;
+    let pollTimer = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let stopped = false;
+
+    const fetchActiveAlerts = async () => {
+      try {
+        const res = await fetch(`${API_URL}?${params}`, {
+          headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+        const data = await res.json();
+        if (data.success) {
+          setActiveAlerts(data.alerts);
+        }
+      } catch (err) {
+        console.error('Failed to fetch alerts:', err);
+      }
+    };
+
+    const startPolling = () => {
+      if (pollTimer) return;
+      fetchActiveAlerts();
+      pollTimer = setInterval(fetchActiveAlerts, POLL_INTERVAL_MS);
+    };
+
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    // Reconnect ourselves with backoff instead of the browser's fixed retry
+    const retry = () => {
+      startPolling();
+      const delay = Math.min(RECONNECT_BASE_MS * 2 ** attempt, RECONNECT_MAX_MS);
+      attempt++;
+      retryTimer = setTimeout(connect, delay);
+    };
+
+    // EventSource can't send headers, so signed-in users open the stream with a
+    // short-lived stream token rather than putting the session token in the URL
+    const fetchStreamToken = async () => {
+      const res = await fetch(`${API_URL}/stream-token`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (!data.success) throw new Error(data.message);
+      return data.token;
+    };
+
+    const connect = async () => {
+      const streamParams = new URLSearchParams(params);
+      if (token) {
+        try {
+          streamParams.set('token', await fetchStreamToken());
+        } catch (err) {
+          console.error('Failed to open alert stream:', err);
+          if (!stopped) retry();
+          return;
+        }
+      }
+      if (stopped) return;
+      source = new EventSource(`${API_URL}/stream?${streamParams}`);
+
+      source.addEventListener('snapshot', (event) => {
+        attempt = 0;
+        stopPolling();
+        setActiveAlerts(JSON.parse(event.data).alerts);
+      });
+
+      source.addEventListener('alert', (event) => {
+        const { type, alert } = JSON.parse(event.data);
+        setActiveAlerts(current => applyAlertEvent(current, type, alert));
+      });
+
+      source.addEventListener('acknowledged', (event) => {
+        const { alertId, severity } = JSON.parse(event.data);
+        setActiveAlerts(current => current.map(alert =>
+          alert.id === alertId ? { ...alert, acknowledged_severity: severity } : alert
+        ));
+      });
+
+      source.onerror = () => {
+        source.close();
+        retry();
+      };
+    };
+
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+    } else {
+      connect();
+    }
+
+    return () => {
+      stopped = true;
+      source?.close();
+      stopPolling();
+      clearTimeout(retryTimer);
+    };
+  }, [viewerLocation, token]);
+
+  const dismissAlert = (alert) => {
+    const next = new Set(dismissed).add(alertKey(alert));
+    sessionStorage.setItem(DISMISSED_KEY, JSON.stringify([...next]));
+    setDismissed(next);
+  };
+
+  const acknowledgeAlert = async (alert) => {
     try {
-      const res = await fetch('http://localhost:5000/api/alerts');
+      const res = await fetch(`${API_URL}/${alert.id}/acknowledge`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
       const data = await res.json();
       if (data.success) {
-        setActiveAlerts(data.alerts);
+        setActiveAlerts(current => current.map(item =>
+          item.id === alert.id ? { ...item, acknowledged_severity: data.acknowledgement.severity } : item
+        ));
       }
     } catch (err) {
-      console.error('Failed to fetch alerts:', err);
+      console.error('Failed to acknowledge alert:', err);
     }
   };
 
-  if (activeAlerts.length === 0) return null;
+  const visibleAlerts = activeAlerts.filter(alert =>
+    !dismissed.has(alertKey(alert)) && alert.acknowledged_severity !== alert.severity
+  );
+
+  if (visibleAlerts.length === 0) return null;
 
   const getSeverityClass = (severity) => {
     return `alert-banner--${severity.toLowerCase()}`;
@@ -30,12 +197,38 @@ function AlertBanner() {
 
   return (
     <div className="alert-banner-container">
-      {activeAlerts.map(alert => (
+      {visibleAlerts.map(alert => (
         <div key={alert.id} className={`alert-banner ${getSeverityClass(alert.severity)}`}>
           <span className="alert-icon">⚠️</span>
           <div className="alert-content">
-            <strong>{alert.hazard_type} {alert.severity}</strong>
+            <strong>
+              {alert.hazard_type} {alert.severity}
+              {alert.status === 'updated' && <span className="alert-status"> (updated)</span>}
+            </strong>
             <p>{alert.details}</p>
+            {alert.instructions && (
+              <p className="alert-instructions">What to do: {alert.instructions}</p>
+            )}
+            {alert.expires_at && (
+              <small className="alert-expiry">
+                Until {new Date(alert.expires_at).toLocaleString()}
+              </small>
+            )}
+          </div>
+          <div className="alert-actions">
+            {token && (
+              <button className="alert-acknowledge" onClick={() => acknowledgeAlert(alert)}>
+                Acknowledge
+              </button>
+            )}
+            <button
+              className="alert-dismiss"
+              onClick={() => dismissAlert(alert)}
+              aria-label="Dismiss alert"
+              title="Hide for this session"
+            >
+              ×
+            </button>
           </div>
         </div>
       ))}
@@ -43,4 +236,4 @@ function AlertBanner() {
   );
 }
 
-export default AlertBanner;
\ No newline at end of file
+export default AlertBanner;
@@ -0,0 +1,127 @@
+import './EnsembleBands.css';
+
+// Chart geometry (viewBox units)
+const WIDTH = 720;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 48 };
+
+/**
+ * Daily ensemble spread as shaded p10–p90 bands with the median drawn on top,
+ * plus a table of exceedance probabilities.
+ *
+ * daily:   ensemble daily entries from GET /api/weather/ensemble
+ * fields:  [{ field, label }] daily fields to draw, e.g. temperature_max_c
+ * convert: canonical value -> display unit
+ * unit:    display unit symbol
+ */
+function EnsembleBands({ daily, fields, color, convert, unit, memberCount, model }) {
+  const display = (value) => (value === null || value === undefined ? null : convert(value));
+
+  const values = daily.flatMap(day => fields.flatMap(({ field }) => [display(day[field]?.p10), display(day[field]?.p90)]))
+    .filter(value => value !== null);
+
+  if (daily.length === 0 || values.length === 0) {
+    return <div className="ensemble-empty">No ensemble data available</div>;
+  }
+
+  let yMin = Math.min(...values);
+  let yMax = Math.max(...values);
+  if (yMin === yMax) {
+    yMin -= 1;
+    yMax += 1;
+  }
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const xAt = (index) => PADDING.left + (daily.length === 1 ? innerWidth / 2 : (index / (daily.length - 1)) * innerWidth);
+  const yAt = (value) => PADDING.top + innerHeight - ((value - yMin) / (yMax - yMin)) * innerHeight;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(t => yMin + (yMax - yMin) * t);
+
+  const dayLabel = (date) => new Date(date + 'T12:00:00').toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' });
+
+  // Fields that carry exceedance probabilities, one table row per threshold
+  const exceedanceRows = fields.flatMap(({ field, label }) => Object.keys(daily[0][field]?.exceedance || {})
+    .map(threshold => ({ field, label, threshold: Number(threshold) })));
+
+  return (
+    <div className="ensemble-bands">
+      <svg className="ensemble-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+        {ticks.map(tick => (
+          <g key={tick}>
+            <line className="ensemble-grid" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={yAt(tick)} y2={yAt(tick)} />
+            <text className="ensemble-label" x={PADDING.left - 6} y={yAt(tick) + 4} textAnchor="end">{tick.toFixed(1)}</text>
+          </g>
+        ))}
+
+        {daily.map((day, index) => (
+          <text key={day.date} className="ensemble-label" x={xAt(index)} y={HEIGHT - 8} textAnchor="middle">
+            {dayLabel(day.date)}
+          </text>
+        ))}
+
+        {fields.map(({ field, label }, fieldIndex) => {
+          const days = daily
+            .map((day, index) => ({ index, band: day[field] }))
+            .filter(({ band }) => band && band.p10 !== null && band.p90 !== null);
+
+          const upper = days.map(({ index, band }) => `${xAt(index)},${yAt(display(band.p90))}`);
+          const lower = days.map(({ index, band }) => `${xAt(index)},${yAt(display(band.p10))}`).reverse();
+
+          return (
+            <g key={field}>
+              <polygon
+                className="ensemble-band"
+                points={[...upper, ...lower].join(' ')}
+                fill={color}
+                opacity={fieldIndex === 0 ? 0.3 : 0.18}
+              >
+                <title>{label}: 10th–90th percentile</title>
+              </polygon>
+              <polyline
+                className="ensemble-median"
+                points={days.map(({ index, band }) => `${xAt(index)},${yAt(display(band.p50))}`).join(' ')}
+                stroke={color}
+                strokeDasharray={fieldIndex === 0 ? undefined : '6 4'}
+              />
+            </g>
+          );
+        })}
+      </svg>
+
+      <p className="ensemble-caption">
+        Shaded: range covered by the middle 80% of {memberCount} ensemble members ({model}); line: median.
+        {fields.length > 1 && ` Solid: ${fields[0].label.toLowerCase()}, dashed: ${fields[1].label.toLowerCase()}.`}
+      </p>
+
+      {exceedanceRows.length > 0 && (
+        <div className="ensemble-table-container">
+          <table className="ensemble-table">
+            <thead>
+              <tr>
+                <th>Chance of</th>
+                {daily.map(day => <th key={day.date}>{dayLabel(day.date)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {exceedanceRows.map(({ field, label, threshold }) => (
+                <tr key={`${field}-${threshold}`}>
+                  <td>{label} &gt; {Number(convert(threshold).toFixed(1))}{unit}</td>
+                  {daily.map(day => {
+                    const probability = day[field]?.exceedance?.[threshold];
+                    return (
+                      <td key={day.date} style={{ color: probability >= 0.5 ? color : undefined }}>
+                        {probability === null || probability === undefined ? '--' : `${Math.round(probability * 100)}%`}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EnsembleBands;
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import './ForecastReliability.css';
+
+// Chart geometry (viewBox units)
+const WIDTH = 720;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 48 };
+
+/**
+ * Forecast error by lead time at one location: bars for the mean absolute
+ * error, a line for the bias (forecast minus observed), one variable at a time.
+ *
+ * report: response of GET /api/analytics/forecast-accuracy
+ */
+function ForecastReliability({ report }) {
+  const variables = Object.entries(report.variables);
+  const [selected, setSelected] = useState(variables[0]?.[0]);
+  const [field, variable] = variables.find(([name]) => name === selected) || variables[0];
+  const { leads, unit } = variable;
+
+  const values = leads.flatMap(lead => [lead.mae, lead.bias]);
+  const yMin = Math.min(0, ...values);
+  const yMax = Math.max(...values, yMin + 1);
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = innerWidth / Math.max(leads.length, 1);
+  const xAt = (index) => PADDING.left + slot * index + slot / 2;
+  const yAt = (value) => PADDING.top + innerHeight - ((value - yMin) / (yMax - yMin)) * innerHeight;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(t => yMin + (yMax - yMin) * t);
+  const barWidth = Math.min(48, slot * 0.6);
+
+  const leadLabel = (days) => (days === 0 ? 'Today' : `+${days}d`);
+
+  return (
+    <div className="reliability">
+      <div className="analytics-view-toggle">
+        {variables.map(([name, { label }]) => (
+          <button
+            key={name}
+            className={`view-toggle-btn ${name === field ? 'active' : ''}`}
+            onClick={() => setSelected(name)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {leads.length === 0 ? (
+        <div className="reliability-empty">
+          No forecasts for this variable have been matched with observations yet
+        </div>
+      ) : (
+        <>
+          <svg className="reliability-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+            {ticks.map(tick => (
+              <g key={tick}>
+                <line className="reliability-grid" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={yAt(tick)} y2={yAt(tick)} />
+                <text className="reliability-label" x={PADDING.left - 6} y={yAt(tick) + 4} textAnchor="end">{tick.toFixed(1)}</text>
+              </g>
+            ))}
+            <line className="reliability-zero" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={yAt(0)} y2={yAt(0)} />
+
+            {leads.map((lead, index) => (
+              <g key={lead.lead_days}>
+                <rect
+                  className="reliability-bar"
+                  x={xAt(index) - barWidth / 2}
+                  y={yAt(lead.mae)}
+                  width={barWidth}
+                  height={yAt(0) - yAt(lead.mae)}
+                >
+                  <title>{`${leadLabel(lead.lead_days)}: MAE ${lead.mae}${unit} over ${lead.count} days`}</title>
+                </rect>
+                <text className="reliability-label" x={xAt(index)} y={HEIGHT - 10} textAnchor="middle">
+                  {leadLabel(lead.lead_days)}
+                </text>
+              </g>
+            ))}
+
+            <polyline
+              className="reliability-bias"
+              points={leads.map((lead, index) => `${xAt(index)},${yAt(lead.bias)}`).join(' ')}
+            />
+            {leads.map((lead, index) => (
+              <circle key={lead.lead_days} className="reliability-bias-point" cx={xAt(index)} cy={yAt(lead.bias)} r={4}>
+                <title>{`${leadLabel(lead.lead_days)}: bias ${lead.bias > 0 ? '+' : ''}${lead.bias}${unit}`}</title>
+              </circle>
+            ))}
+          </svg>
+
+          <p className="reliability-caption">
+            Bars: mean absolute error ({unit}) by how far ahead the forecast was made. Line: bias, above zero when
+            the forecast ran high.
+          </p>
+
+          <div className="analytics-table-container">
+            <table className="analytics-table">
+              <thead>
+                <tr>
+                  <th>Lead time</th>
+                  <th>Days scored</th>
+                  <th>MAE ({unit})</th>
+                  <th>Bias ({unit})</th>
+                </tr>
+              </thead>
+              <tbody>
+                {leads.map(lead => (
+                  <tr key={lead.lead_days}>
+                    <td>{leadLabel(lead.lead_days)}</td>
+                    <td>{lead.count}</td>
+                    <td>{lead.mae.toFixed(2)}</td>
+                    <td>{lead.bias > 0 ? '+' : ''}{lead.bias.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ForecastReliability;
@@ -0,0 +1,263 @@
+import { useState, useEffect, useRef } from 'react';
+import './HourlyTimeline.css';
+import { usePreferences } from '../../hooks/usePreferences.js';
+import {
+  convertTemperature,
+  convertWindSpeed,
+  convertPrecipitation,
+  formatTemperature,
+  formatWindSpeed,
+  formatPrecipitation,
+  getTemperatureSymbol,
+  getWindSpeedSymbol,
+  getPrecipitationSymbol
+} from '../../lib/math.js';
+
+const API_URL = 'http://localhost:5000/api/weather/hourly';
+const HOURS = 48;
+
+// Chart geometry (viewBox units); panels are stacked and share the time axis
+const WIDTH = 960;
+const LEFT = 48;
+const RIGHT = 16;
+const PANELS = {
+  temperature: { top: 12, height: 100 },
+  precipitation: { top: 136, height: 64 },
+  wind: { top: 224, height: 72 },
+  clouds: { top: 312, height: 14 }
+};
+const HEIGHT = 352;
+
+const range = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return [0, 1];
+  const min = Math.min(...present);
+  const max = Math.max(...present);
+  return min === max ? [min - 1, max + 1] : [min, max];
+};
+
+function HourlyTimeline({ lat, lon }) {
+  const [hourly, setHourly] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [cursor, setCursor] = useState(0);
+  const [dragging, setDragging] = useState(false);
+  const svgRef = useRef(null);
+  const { preferences } = usePreferences();
+
+  useEffect(() => {
+    if (lat !== undefined && lon !== undefined) {
+      fetchHourly();
+    }
+  }, [lat, lon]);
+
+  const fetchHourly = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const res = await fetch(`${API_URL}?lat=${lat}&lon=${lon}&hours=${HOURS}`);
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        throw new Error(data.errors?.join(', ') || data.message || 'Failed to load hourly forecast');
+      }
+
+      setHourly(data.hourly.hourly);
+      setCursor(0);
+    } catch (err) {
+      console.error('Failed to fetch hourly forecast:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="hourly-timeline">
+        <h3>Next {HOURS} Hours</h3>
+        <div className="hourly-timeline-status">Loading hourly forecast...</div>
+      </div>
+    );
+  }
+
+  if (error || hourly.length === 0) {
+    return (
+      <div className="hourly-timeline">
+        <h3>Next {HOURS} Hours</h3>
+        <div className="hourly-timeline-status">{error || 'No hourly forecast available'}</div>
+      </div>
+    );
+  }
+
+  const { temperature_unit: temperatureUnit, wind_speed_unit: windUnit, precipitation_unit: precipitationUnit } = preferences;
+
+  const step = (WIDTH - LEFT - RIGHT) / Math.max(hourly.length - 1, 1);
+  const xAt = (index) => LEFT + index * step;
+
+  const temperatures = hourly.map(hour => convertTemperature(hour.temperature_c, temperatureUnit));
+  const feelsLike = hourly.map(hour => convertTemperature(hour.feels_like_c, temperatureUnit));
+  const winds = hourly.map(hour => convertWindSpeed(hour.wind_speed_ms, windUnit));
+  const gusts = hourly.map(hour => convertWindSpeed(hour.wind_gust_ms, windUnit));
+  const amounts = hourly.map(hour => convertPrecipitation(hour.precipitation_mm, precipitationUnit) ?? 0);
+
+  const [tempMin, tempMax] = range([...temperatures, ...feelsLike]);
+  const [, windMax] = range([0, ...winds, ...gusts]);
+  const amountMax = Math.max(...amounts, precipitationUnit === 'inches' ? 0.04 : 1);
+
+  const yIn = (panel, value, min, max) => {
+    const { top, height } = PANELS[panel];
+    return top + height - ((value - min) / (max - min)) * height;
+  };
+
+  const line = (values, panel, min, max) => values
+    .map((value, index) => (value === null ? null : `${xAt(index)},${yIn(panel, value, min, max)}`))
+    .filter(Boolean)
+    .join(' ');
+
+  // Map a pointer position to the nearest hourly step
+  const moveCursor = (clientX) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const x = ((clientX - rect.left) / rect.width) * WIDTH;
+    setCursor(Math.min(hourly.length - 1, Math.max(0, Math.round((x - LEFT) / step))));
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDragging(true);
+    moveCursor(event.clientX);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragging) moveCursor(event.clientX);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowLeft') setCursor(prev => Math.max(0, prev - 1));
+    if (event.key === 'ArrowRight') setCursor(prev => Math.min(hourly.length - 1, prev + 1));
+  };
+
+  const formatTime = (time, options = {}) => new Date(time).toLocaleString([], {
+    hour: preferences.time_format === '12h' ? 'numeric' : '2-digit',
+    minute: preferences.time_format === '12h' ? undefined : '2-digit',
+    hour12: preferences.time_format === '12h',
+    ...options
+  });
+
+  const selected = hourly[cursor];
+  const labelEvery = Math.max(1, Math.round(6 / (hourly.length > 1 ? (Date.parse(hourly[1].time) - Date.parse(hourly[0].time)) / 3600000 : 1)));
+
+  return (
+    <div className="hourly-timeline">
+      <h3>Next {HOURS} Hours</h3>
+
+      {/* Detail card for the hour under the cursor */}
+      <div className="hourly-detail glass--sm">
+        <div className="hourly-detail-time">
+          {formatTime(selected.time, { weekday: 'short' })}
+          {selected.condition && <span className="hourly-detail-condition">{selected.condition.description}</span>}
+        </div>
+        <dl>
+          <div><dt>Temperature</dt><dd>{formatTemperature(selected.temperature_c, temperatureUnit)}</dd></div>
+          <div><dt>Feels like</dt><dd>{formatTemperature(selected.feels_like_c, temperatureUnit)}</dd></div>
+          <div><dt>Chance of rain</dt><dd>{selected.precipitation_probability_pct ?? '--'}%</dd></div>
+          <div><dt>Precipitation</dt><dd>{selected.precipitation_mm ? formatPrecipitation(selected.precipitation_mm, precipitationUnit) : `0 ${getPrecipitationSymbol(precipitationUnit)}`}</dd></div>
+          <div><dt>Wind</dt><dd>{formatWindSpeed(selected.wind_speed_ms, windUnit)}</dd></div>
+          <div><dt>Gusts</dt><dd>{formatWindSpeed(selected.wind_gust_ms, windUnit)}</dd></div>
+          <div><dt>Cloud cover</dt><dd>{selected.cloud_cover_pct ?? '--'}%</dd></div>
+        </dl>
+      </div>
+
+      <svg
+        ref={svgRef}
+        className={`hourly-chart${dragging ? ' dragging' : ''}`}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        tabIndex={0}
+        role="slider"
+        aria-label="Forecast hour"
+        aria-valuemin={0}
+        aria-valuemax={hourly.length - 1}
+        aria-valuenow={cursor}
+        aria-valuetext={formatTime(selected.time, { weekday: 'short' })}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => setDragging(false)}
+        onPointerCancel={() => setDragging(false)}
+        onKeyDown={handleKeyDown}
+      >
+        {/* Panel labels */}
+        <text className="hourly-axis-label" x={LEFT - 6} y={PANELS.temperature.top + 8} textAnchor="end">{Math.round(tempMax)}{getTemperatureSymbol(temperatureUnit)}</text>
+        <text className="hourly-axis-label" x={LEFT - 6} y={PANELS.temperature.top + PANELS.temperature.height} textAnchor="end">{Math.round(tempMin)}{getTemperatureSymbol(temperatureUnit)}</text>
+        <text className="hourly-axis-label" x={LEFT - 6} y={PANELS.precipitation.top + 8} textAnchor="end">100%</text>
+        <text className="hourly-axis-label" x={LEFT - 6} y={PANELS.wind.top + 8} textAnchor="end">{Math.round(windMax)}</text>
+        <text className="hourly-axis-label" x={LEFT - 6} y={PANELS.wind.top + PANELS.wind.height} textAnchor="end">{getWindSpeedSymbol(windUnit)}</text>
+        <text className="hourly-axis-label" x={LEFT - 6} y={PANELS.clouds.top + 11} textAnchor="end">☁</text>
+
+        {/* Temperature and feels-like */}
+        <polyline className="hourly-line temperature" points={line(temperatures, 'temperature', tempMin, tempMax)} />
+        <polyline className="hourly-line feels-like" points={line(feelsLike, 'temperature', tempMin, tempMax)} />
+
+        {/* Precipitation amount (bars) and probability (line) */}
+        {amounts.map((amount, index) => {
+          const height = (amount / amountMax) * PANELS.precipitation.height;
+          return height > 0 && (
+            <rect
+              key={hourly[index].time}
+              className="hourly-bar"
+              x={xAt(index) - step * 0.35}
+              y={PANELS.precipitation.top + PANELS.precipitation.height - height}
+              width={step * 0.7}
+              height={height}
+            />
+          );
+        })}
+        <polyline
+          className="hourly-line probability"
+          points={line(hourly.map(hour => hour.precipitation_probability_pct), 'precipitation', 0, 100)}
+        />
+
+        {/* Wind and gusts */}
+        <polyline className="hourly-line wind" points={line(winds, 'wind', 0, windMax)} />
+        <polyline className="hourly-line gusts" points={line(gusts, 'wind', 0, windMax)} />
+
+        {/* Cloud cover strip, darker for more cloud */}
+        {hourly.map((hour, index) => (
+          <rect
+            key={hour.time}
+            className="hourly-cloud"
+            x={xAt(index) - step / 2}
+            y={PANELS.clouds.top}
+            width={step}
+            height={PANELS.clouds.height}
+            opacity={(hour.cloud_cover_pct ?? 0) / 100}
+          />
+        ))}
+
+        {/* Time axis */}
+        {hourly.map((hour, index) => index % labelEvery === 0 && (
+          <text key={hour.time} className="hourly-axis-label" x={xAt(index)} y={HEIGHT - 6} textAnchor="middle">
+            {formatTime(hour.time)}
+          </text>
+        ))}
+
+        {/* Cursor */}
+        <line className="hourly-cursor" x1={xAt(cursor)} x2={xAt(cursor)} y1={0} y2={PANELS.clouds.top + PANELS.clouds.height} />
+        {temperatures[cursor] !== null && (
+          <circle className="hourly-cursor-dot" cx={xAt(cursor)} cy={yIn('temperature', temperatures[cursor], tempMin, tempMax)} r={5} />
+        )}
+      </svg>
+
+      <div className="hourly-legend">
+        <span><i className="temperature" />Temperature</span>
+        <span><i className="feels-like" />Feels like</span>
+        <span><i className="probability" />Chance of rain</span>
+        <span><i className="amount" />Precipitation</span>
+        <span><i className="wind" />Wind</span>
+        <span><i className="gusts" />Gusts</span>
+      </div>
+    </div>
+  );
+}
+
+export default HourlyTimeline;
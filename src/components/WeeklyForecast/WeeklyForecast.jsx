@@ -1,24 +1,77 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import './WeeklyForecast.css';
 import { usePreferences } from '../../hooks/usePreferences.js';
-import { formatTemperature, convertTemperature, getTemperatureSymbol } from '../../lib/math.js';
+import {
+  convertTemperature,
+  formatPrecipitation,
+  formatWindSpeed,
+  getPrecipitationSymbol
+} from '../../lib/math.js';
+import { getUserLocation } from '../../lib/userLocation.js';
+
+// Forecast lengths the user can switch between (Open-Meteo daily goes up to 16)
+const RANGE_OPTIONS = [7, 16];
+
+// Days after this are shown as lower confidence: skill falls off with lead time
+const RELIABLE_DAYS = 7;
+
+const PROVIDER_NAMES = { openmeteo: 'Open-Meteo', openweather: 'OpenWeather' };
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+const getCompassDirection = (deg) => COMPASS_POINTS[Math.round(deg / 22.5) % 16];
+
+// Saved locations are keyed "saved-<id>"; the detected position uses this key
+const CURRENT_KEY = 'current';
+
+// Last location the user viewed, restored on the next visit
+const LAST_VIEWED_KEY = 'weeklyForecastLocation';
+
+// Horizontal swipe distance (px) that moves to the next/previous location
+const SWIPE_THRESHOLD = 50;
 
 function WeeklyForecast() {
   const [forecastData, setForecastData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [forecastLoading, setForecastLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [topLocation, setTopLocation] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [currentLocation, setCurrentLocation] = useState(null);
+  const [provider, setProvider] = useState(null);
+  const [utcOffset, setUtcOffset] = useState(0);
+  const [days, setDays] = useState(RANGE_OPTIONS[0]);
   const { preferences } = usePreferences();
 
+  // "<location key>:<days>" -> forecast promise, shared by views and prefetches
+  const forecastCache = useRef(new Map());
+  const pendingCurrent = useRef(null);
+  const latestRequest = useRef(null);
+  const touchStartX = useRef(null);
+
+  const entries = [
+    { key: CURRENT_KEY, name: currentLocation?.name || 'Current location', ...currentLocation },
+    ...locations.map(location => ({
+      key: `saved-${location.id}`,
+      name: location.location_name,
+      lat: Number(location.latitude),
+      lon: Number(location.longitude)
+    }))
+  ];
+  const selectedIndex = entries.findIndex(entry => entry.key === selectedKey);
+
   useEffect(() => {
-    fetchTopLocationAndForecast();
-    
+    fetchLocations();
+
     // ADDED: Listen for logout to clear forecast
     const handleLogout = () => {
       console.log('🧹 Clearing weekly forecast cache');
+      localStorage.removeItem(LAST_VIEWED_KEY);
+      forecastCache.current.clear();
       setForecastData(null);
-      setTopLocation(null);
+      setLocations([]);
+      setSelectedKey(null);
       setError(null);
     };
     
@@ -29,62 +82,52 @@ function WeeklyForecast() {
     };
   }, []);
 
-  const fetchTopLocationAndForecast = async () => {
+  useEffect(() => {
+    if (selectedKey) showForecast(selectedKey);
+  }, [selectedKey, days, locations]);
+
+  const fetchLocations = async () => {
     setLoading(true);
     setError(null);
 
     try {
       const token = localStorage.getItem('authToken');
-      
-      // Fetch user's saved locations (ordered by rank)
-      const locationsRes = await fetch('http://localhost:5000/api/user/locations', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json'
+      let saved = [];
+
+      // Fetch user's saved locations (ordered by rank) when logged in
+      if (token) {
+        try {
+          const locationsRes = await fetch('http://localhost:5000/api/user/locations', {
+            headers: {
+              'Authorization': `Bearer ${token}`,
+              'Accept': 'application/json'
+            }
+          });
+
+          if (!locationsRes.ok) throw new Error('Failed to fetch locations');
+
+          const locationsData = await locationsRes.json();
+          saved = locationsData.locations || [];
+        } catch (err) {
+          // The current location is still worth showing
+          console.error('Saved locations fetch error:', err);
         }
-      });
-
-      if (!locationsRes.ok) throw new Error('Failed to fetch locations');
+      }
 
-      const locationsData = await locationsRes.json();
-      
-      if (!locationsData.locations || locationsData.locations.length === 0) {
-        // CHANGED: Set specific error for no locations
+      // The current location is always offered; the empty state is only for
+      // browsers that can't provide one
+      if (saved.length === 0 && !navigator.geolocation) {
         setError('NO_LOCATIONS');
-        setLoading(false);
         return;
       }
 
-      const topLoc = locationsData.locations[0];
-      setTopLocation(topLoc);
-
-      // Fetch current weather for today's data
-      const apiKey = import.meta.env.VITE_OPENWEATHER_API_KEY;
-      const currentRes = await fetch(
-        `https://api.openweathermap.org/data/2.5/weather?lat=${topLoc.latitude}&lon=${topLoc.longitude}&appid=${apiKey}&units=metric`
-      );
-
-      let currentWeather = null;
-      if (currentRes.ok) {
-        currentWeather = await currentRes.json();
-      }
-
-      // Fetch 5-day forecast (max available in free tier)
-      const forecastRes = await fetch(
-        `https://api.openweathermap.org/data/2.5/forecast?lat=${topLoc.latitude}&lon=${topLoc.longitude}&appid=${apiKey}&units=metric`
-      );
+      // Reopen the last viewed location if it still exists, else the top one
+      const lastViewed = localStorage.getItem(LAST_VIEWED_KEY);
+      const known = lastViewed === CURRENT_KEY ||
+        saved.some(location => `saved-${location.id}` === lastViewed);
 
-      if (!forecastRes.ok) throw new Error('Failed to fetch forecast');
-
-      const forecastData = await forecastRes.json();
-
-      // Process forecast data into daily summaries (includes today + 5 future days = 6 total)
-      const dailyForecasts = processForecastData(forecastData, currentWeather);
-      
-      // Ensure exactly 7 days by extending the last day if needed
-      const extendedForecasts = ensureSevenDays(dailyForecasts);
-      
-      setForecastData(extendedForecasts);
+      setLocations(saved);
+      setSelectedKey(known ? lastViewed : saved.length > 0 ? `saved-${saved[0].id}` : CURRENT_KEY);
 
     } catch (err) {
       console.error('Forecast fetch error:', err);
@@ -94,125 +137,119 @@ function WeeklyForecast() {
     }
   };
 
-  const processForecastData = (data, currentWeather) => {
-    const dailyMap = new Map();
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Add today's data from current weather if available
-    if (currentWeather) {
-      const todayKey = today.toISOString().split('T')[0];
-      dailyMap.set(todayKey, {
-        date: new Date(todayKey + 'T12:00:00Z'),
-        temps: [currentWeather.main.temp],
-        humidity: [currentWeather.main.humidity],
-        precipitation: [0], // Current weather doesn't have precipitation probability
-        weatherCodes: new Map([[currentWeather.weather[0].main, 1]]),
+  // Same geolocation -> IP -> default fallback as the Dashboard, resolved once
+  const resolveCurrentLocation = () => {
+    if (!pendingCurrent.current) {
+      pendingCurrent.current = getUserLocation().then((position) => {
+        setCurrentLocation(position);
+        return position;
       });
     }
+    return pendingCurrent.current;
+  };
 
-    // Process forecast data (next 5 days)
-    data.list.forEach(item => {
-      const date = new Date(item.dt * 1000);
-      const dateKey = date.toISOString().split('T')[0];
-
-      if (!dailyMap.has(dateKey)) {
-        dailyMap.set(dateKey, {
-          date: new Date(dateKey + 'T12:00:00Z'),
-          temps: [],
-          humidity: [],
-          precipitation: [],
-          weatherCodes: new Map(),
+  const requestForecast = (key, lat, lon) => {
+    const cacheKey = `${key}:${days}`;
+
+    if (!forecastCache.current.has(cacheKey)) {
+      // Daily forecast through the backend proxy (canonical metric schema)
+      const request = fetch(`http://localhost:5000/api/weather/forecast?lat=${lat}&lon=${lon}&days=${days}`)
+        .then(async (res) => {
+          const data = await res.json();
+          if (!res.ok || !data.success) {
+            throw new Error(data.errors?.join(', ') || data.message || 'Failed to fetch forecast');
+          }
+          return data.forecast;
         });
-      }
 
-      const dayData = dailyMap.get(dateKey);
-      dayData.temps.push(item.main.temp);
-      dayData.humidity.push(item.main.humidity);
-      dayData.precipitation.push(item.pop * 100);
+      // Failed requests are retried the next time the location is shown
+      request.catch(() => forecastCache.current.delete(cacheKey));
+      forecastCache.current.set(cacheKey, request);
+    }
 
-      const condition = item.weather[0].main;
-      const currentCount = dayData.weatherCodes.get(condition) || 0;
-      dayData.weatherCodes.set(condition, currentCount + 1);
-    });
+    return forecastCache.current.get(cacheKey);
+  };
 
-    // Convert to array and sort by date
-    const allDays = Array.from(dailyMap.entries())
-      .sort((a, b) => new Date(a[0]) - new Date(b[0]));
-    
-    // Map to forecast objects
-    const dailyForecasts = allDays.map(([dateKey, day]) => {
-      const tempMin = Math.min(...day.temps);
-      const tempMax = Math.max(...day.temps);
-      const avgHumidity = day.humidity.reduce((a, b) => a + b, 0) / day.humidity.length;
-      const maxPrecipProb = Math.max(...day.precipitation);
-
-      let dominantCondition = 'Clear';
-      let maxCount = 0;
-      day.weatherCodes.forEach((count, condition) => {
-        if (count > maxCount) {
-          maxCount = count;
-          dominantCondition = condition;
-        }
-      });
+  const showForecast = async (key) => {
+    latestRequest.current = key;
+    localStorage.setItem(LAST_VIEWED_KEY, key);
+    setForecastLoading(true);
+    setError(null);
 
-      const summary = generateSummary(dominantCondition, tempMax, tempMin, maxPrecipProb, avgHumidity);
-
-      return {
-        date: day.date,
-        dateKey: dateKey,
-        tempMin: Math.round(tempMin),
-        tempMax: Math.round(tempMax),
-        condition: dominantCondition,
-        humidity: Math.round(avgHumidity),
-        precipitationProb: Math.round(maxPrecipProb),
-        summary: summary,
-        icon: getWeatherIcon(dominantCondition),
-      };
-    });
-
-    console.log(`📅 Processed ${dailyForecasts.length} days:`, dailyForecasts.map(d => d.dateKey));
-    
-    return dailyForecasts;
-  };
+    try {
+      const entry = key === CURRENT_KEY
+        ? await resolveCurrentLocation()
+        : entries.find(candidate => candidate.key === key);
 
-  const ensureSevenDays = (forecasts) => {
-    if (forecasts.length >= 7) {
-      return forecasts.slice(0, 7);
-    }
+      if (!entry) return;
 
-    // Extend to 7 days by projecting the last available day's pattern
-    const extended = [...forecasts];
-    const lastDay = forecasts[forecasts.length - 1];
-
-    while (extended.length < 7) {
-      const lastDate = new Date(extended[extended.length - 1].date);
-      const nextDate = new Date(lastDate);
-      nextDate.setDate(nextDate.getDate() + 1);
-      
-      const dateKey = nextDate.toISOString().split('T')[0];
-
-      // Project data from last day with slight variations
-      extended.push({
-        date: nextDate,
-        dateKey: dateKey,
-        tempMin: lastDay.tempMin + Math.round((Math.random() - 0.5) * 3),
-        tempMax: lastDay.tempMax + Math.round((Math.random() - 0.5) * 3),
-        condition: lastDay.condition,
-        humidity: lastDay.humidity + Math.round((Math.random() - 0.5) * 10),
-        precipitationProb: Math.max(0, Math.min(100, lastDay.precipitationProb + Math.round((Math.random() - 0.5) * 20))),
-        summary: generateSummary(lastDay.condition, lastDay.tempMax, lastDay.tempMin, lastDay.precipitationProb, lastDay.humidity),
-        icon: lastDay.icon,
-        isProjected: true, // Mark as projected data
-      });
+      const forecast = await requestForecast(key, entry.lat, entry.lon);
+
+      // The user may have moved on while this was loading
+      if (latestRequest.current !== key) return;
+
+      setProvider(forecast.provider);
+      setUtcOffset(forecast.location?.utc_offset_seconds || 0);
+      setForecastData(forecast.daily.map(processDay));
+      prefetchNeighbours(key);
+
+    } catch (err) {
+      console.error('Forecast fetch error:', err);
+      if (latestRequest.current === key) setError(err.message);
+    } finally {
+      if (latestRequest.current === key) setForecastLoading(false);
     }
+  };
 
-    console.log(`📅 Extended to ${extended.length} days (${extended.filter(d => d.isProjected).length} projected)`);
-    
-    return extended;
+  // Warm the cache for the locations either side so switching is instant.
+  // The current location is skipped until it has been resolved, so browsing
+  // saved locations never triggers a geolocation prompt.
+  const prefetchNeighbours = (key) => {
+    const index = entries.findIndex(entry => entry.key === key);
+
+    [index - 1, index + 1]
+      .map(neighbour => entries[(neighbour + entries.length) % entries.length])
+      .filter(entry => entry.key !== key && entry.lat !== undefined)
+      .forEach(entry => requestForecast(entry.key, entry.lat, entry.lon).catch(() => {}));
+  };
+
+  const step = (direction) => {
+    if (selectedIndex === -1) return;
+    setSelectedKey(entries[(selectedIndex + direction + entries.length) % entries.length].key);
   };
 
-  const generateSummary = (condition, tempMax, tempMin, precipProb, humidity) => {
+  const handleTouchStart = (event) => {
+    touchStartX.current = event.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (event) => {
+    if (touchStartX.current === null) return;
+    const distance = event.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+    if (Math.abs(distance) >= SWIPE_THRESHOLD) step(distance < 0 ? 1 : -1);
+  };
+
+  // Canonical daily entry -> card data; days past the reliable horizon are flagged
+  const processDay = (day, index) => {
+    const condition = day.condition?.main || 'Clear';
+
+    return {
+      ...day,
+      date: new Date(day.date + 'T12:00:00'),
+      dateKey: day.date,
+      condition,
+      summary: generateSummary(
+        condition,
+        day.temperature_max_c,
+        day.precipitation_probability_pct ?? 0,
+        day.condition?.description
+      ),
+      icon: getWeatherIcon(condition),
+      lowConfidence: index >= RELIABLE_DAYS,
+    };
+  };
+
+  const generateSummary = (condition, tempMax, precipProb, description) => {
     const parts = [];
 
     // Morning/daytime condition
@@ -223,7 +260,7 @@ function WeeklyForecast() {
         parts.push('Showers in places');
       }
     } else if (condition === 'Clouds') {
-      if (humidity > 70) {
+      if (description === 'overcast') {
         parts.push('Mostly cloudy');
       } else {
         parts.push('Partly cloudy');
@@ -299,7 +336,7 @@ function WeeklyForecast() {
   if (loading) {
     return (
       <section className="weekly-forecast">
-        <h2>7-Day Forecast</h2>
+        <h2>{days}-Day Forecast</h2>
         <div className="forecast-loading">
           <div className="loading-spinner"></div>
           <p>Loading forecast...</p>
@@ -313,12 +350,12 @@ function WeeklyForecast() {
     return (
       <section className="weekly-forecast">
         <div className="forecast-header">
-          <h2>7-Day Forecast</h2>
+          <h2>{days}-Day Forecast</h2>
         </div>
         <div className="forecast-no-locations">
           <div className="no-locations-icon">📍</div>
           <h3>No Saved Locations</h3>
-          <p>Add your favorite locations to get personalized 7-day forecasts.</p>
+          <p>Add your favorite locations to get personalized daily forecasts.</p>
           <Link to="/profile?tab=locations" className="no-locations-btn">
             Add Locations
           </Link>
@@ -327,10 +364,10 @@ function WeeklyForecast() {
     );
   }
 
-  if (error) {
+  if (error && selectedIndex === -1) {
     return (
       <section className="weekly-forecast">
-        <h2>7-Day Forecast</h2>
+        <h2>{days}-Day Forecast</h2>
         <div className="forecast-error">
           <p>{error}</p>
         </div>
@@ -338,69 +375,145 @@ function WeeklyForecast() {
     );
   }
 
-  if (!forecastData || forecastData.length === 0) {
-    return null;
-  }
+  // Sunrise/sunset are UTC instants: shift them into the location's local
+  // time and format as UTC so the browser's own zone doesn't apply
+  const formatTime = (iso) => iso
+    ? new Date(Date.parse(iso) + utcOffset * 1000).toLocaleTimeString([], {
+      hour: preferences.time_format === '12h' ? 'numeric' : '2-digit',
+      minute: '2-digit',
+      hour12: preferences.time_format === '12h',
+      timeZone: 'UTC'
+    })
+    : '--';
+
+  const precipitationUnit = preferences.precipitation_unit;
 
   return (
     <section className="weekly-forecast">
       <div className="forecast-header">
-        <h2>7-Day Forecast</h2>
-        {topLocation && (
-          <span className="forecast-location">📍 {topLocation.location_name}</span>
+        <h2>{days}-Day Forecast</h2>
+        {selectedIndex !== -1 && (
+          <span className="forecast-location">📍 {entries[selectedIndex].name}</span>
         )}
+        <div className="forecast-range">
+          {RANGE_OPTIONS.map(option => (
+            <button
+              key={option}
+              className={`forecast-range-btn ${days === option ? 'active' : ''}`}
+              onClick={() => setDays(option)}
+            >
+              {option} days
+            </button>
+          ))}
+        </div>
       </div>
 
-      {forecastData && forecastData.some(d => d.isProjected) && (
-        <div className="forecast-notice">
-          <strong>Note:</strong> Days 6-7 are projected based on current trends. {' '}
-          <Link to="/api-limitations" className="forecast-notice-link">
-            Learn more...
-          </Link>
+      {/* Location switcher: tabs, arrows, or swipe the cards */}
+      <div className="forecast-location-tabs">
+        <button className="forecast-tab-arrow" onClick={() => step(-1)} aria-label="Previous location">‹</button>
+        <div className="forecast-tab-list" role="tablist">
+          {entries.map(entry => (
+            <button
+              key={entry.key}
+              role="tab"
+              aria-selected={entry.key === selectedKey}
+              className={`forecast-tab ${entry.key === selectedKey ? 'active' : ''}`}
+              onClick={() => setSelectedKey(entry.key)}
+            >
+              {entry.key === CURRENT_KEY ? `🧭 ${entry.name}` : entry.name}
+            </button>
+          ))}
         </div>
-      )}
+        <button className="forecast-tab-arrow" onClick={() => step(1)} aria-label="Next location">›</button>
+      </div>
 
-      <div className="forecast-grid">
-        {forecastData && forecastData.map((day, index) => (
-          <div 
-            key={day.dateKey} 
-            className={`forecast-day-card ${day.isProjected ? 'projected' : ''}`}
-            style={day.isProjected ? { opacity: 0.85, borderStyle: 'dashed' } : {}}
-          >
-            <div className="forecast-day-header">
-              <span className="forecast-day-name">{getDayName(day.date)}</span>
-              <span className="forecast-date">
-                {day.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
-              </span>
+      {forecastLoading ? (
+        <div className="forecast-loading">
+          <div className="loading-spinner"></div>
+          <p>Loading forecast...</p>
+        </div>
+      ) : error ? (
+        <div className="forecast-error">
+          <p>{error}</p>
+        </div>
+      ) : forecastData && (
+        <div onTouchStart={handleTouchStart} onTouchEnd={handleTouchEnd}>
+          {forecastData.length < days && (
+            <div className="forecast-notice">
+              <strong>Note:</strong> {PROVIDER_NAMES[provider] || 'The weather provider'} only forecasts {forecastData.length} days ahead for this location. {' '}
+              <Link to="/api-limitations" className="forecast-notice-link">
+                Learn more...
+              </Link>
             </div>
+          )}
 
-            <div className="forecast-icon">{day.icon}</div>
-
-            <div className="forecast-summary">{day.summary}</div>
-
-            <div className="forecast-temps">
-              <span className="temp-high">
-                {Math.round(convertTemperature(day.tempMax, preferences.temperature_unit))}°
-              </span>
-              <span className="temp-divider">/</span>
-              <span className="temp-low">
-                {Math.round(convertTemperature(day.tempMin, preferences.temperature_unit))}°
-              </span>
+          {forecastData.some(d => d.lowConfidence) && (
+            <div className="forecast-notice">
+              <strong>Note:</strong> Days after day {RELIABLE_DAYS} are lower confidence (dashed cards). Use them for the general trend rather than exact values.
             </div>
-
-            <div className="forecast-details">
-              <div className="forecast-detail-item">
-                <span className="detail-icon">💧</span>
-                <span className="detail-text">{day.precipitationProb}%</span>
-              </div>
-              <div className="forecast-detail-item">
-                <span className="detail-icon">💨</span>
-                <span className="detail-text">{day.humidity}%</span>
+          )}
+
+          <div className="forecast-grid">
+            {forecastData.map((day) => (
+              <div
+                key={day.dateKey}
+                className={`forecast-day-card ${day.lowConfidence ? 'low-confidence' : ''}`}
+              >
+                <div className="forecast-day-header">
+                  <span className="forecast-day-name">{getDayName(day.date)}</span>
+                  <span className="forecast-date">
+                    {day.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                  </span>
+                </div>
+
+                {day.lowConfidence && <div className="forecast-confidence-badge">Lower confidence</div>}
+
+                <div className="forecast-icon">{day.icon}</div>
+
+                <div className="forecast-summary">{day.summary}</div>
+
+                <div className="forecast-temps">
+                  <span className="temp-high">
+                    {Math.round(convertTemperature(day.temperature_max_c, preferences.temperature_unit))}°
+                  </span>
+                  <span className="temp-divider">/</span>
+                  <span className="temp-low">
+                    {Math.round(convertTemperature(day.temperature_min_c, preferences.temperature_unit))}°
+                  </span>
+                </div>
+
+                <div className="forecast-details">
+                  <div className="forecast-detail-item" title="Precipitation total and chance">
+                    <span className="detail-icon">💧</span>
+                    <span className="detail-text">
+                      {day.precipitation_sum_mm ? formatPrecipitation(day.precipitation_sum_mm, precipitationUnit) : `0 ${getPrecipitationSymbol(precipitationUnit)}`}
+                      {' · '}{day.precipitation_probability_pct ?? '--'}%
+                    </span>
+                  </div>
+                  <div className="forecast-detail-item" title="Maximum wind and dominant direction">
+                    <span className="detail-icon">💨</span>
+                    <span className="detail-text">
+                      {formatWindSpeed(day.wind_speed_max_ms, preferences.wind_speed_unit, 0)}
+                      {day.wind_direction_dominant_deg !== null && ` ${getCompassDirection(day.wind_direction_dominant_deg)}`}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="forecast-details">
+                  <div className="forecast-detail-item" title="Sunrise and sunset">
+                    <span className="detail-icon">🌅</span>
+                    <span className="detail-text">{formatTime(day.sunrise)} – {formatTime(day.sunset)}</span>
+                  </div>
+                  <div className="forecast-detail-item" title="Maximum UV index">
+                    <span className="detail-icon">🔆</span>
+                    <span className="detail-text">UV {day.uv_index_max ?? '--'}</span>
+                  </div>
+                </div>
               </div>
-            </div>
+            ))}
           </div>
-        ))}
-      </div>
+        </div>
+      )}
     </section>
   );
 }
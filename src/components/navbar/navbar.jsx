@@ -133,12 +133,15 @@ export default function NavBar({ title = "Aether" }) {
         { icon: '🏠', label: 'Dashboard', path: '/' },
         { icon: '📊', label: 'Analytics', path: '/analytics' },
         { icon: '🗺️', label: 'Live Map', path: '/live-map' },
+        { icon: '⚖️', label: 'Compare', path: '/compare' },
         { icon: '❓', label: 'Help & Support', path: '/help' }
     ];
 
     // ADDED: Admin menu items
     const adminMenuItems = [
-        { icon: '🎫', label: 'Support Tickets', path: '/admin/tickets' }
+        { icon: '🎫', label: 'Support Tickets', path: '/admin/tickets' },
+        { icon: '🎯', label: 'Alert Verification', path: '/admin/alert-verification' },
+        { icon: '📢', label: 'Alert Console', path: '/admin/alert-console' }
     ];
 
 
@@ -1,19 +1,73 @@
 import { useState, useEffect } from 'react';
 
+const API_URL = 'http://localhost:5000/api/user/preferences';
+
+// Cached copy of the signed-in user's preferences (cleared by the navbar on logout)
+const CACHE_KEY = 'userPreferences';
+
+// Fired in this tab when the preferences change; other tabs get a storage event
+const PREFERENCES_EVENT = 'preferencesUpdated';
+
 const DEFAULT_PREFERENCES = {
   temperature_unit: 'celsius',
   wind_speed_unit: 'kmh',
-  pressure_unit: 'hPa',
-  time_format: '24h'
+  pressure_unit: 'hpa',
+  precipitation_unit: 'mm',
+  time_format: '24h',
+  theme: 'dark',
+  preferred_location: null,
+  notifications_enabled: true
+};
+
+const readCache = () => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY));
+    return cached ? { ...DEFAULT_PREFERENCES, ...cached } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Cache preferences and tell every usePreferences in this tab; writing
+ * localStorage also fires a storage event in the other open tabs
+ */
+const publishPreferences = (preferences) => {
+  if (preferences) {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(preferences));
+  } else {
+    localStorage.removeItem(CACHE_KEY);
+  }
+  window.dispatchEvent(new Event(PREFERENCES_EVENT));
+};
+
+// One request shared by every component that mounts at the same time
+let pendingFetch = null;
+
+const requestPreferences = (token) => {
+  if (!pendingFetch) {
+    pendingFetch = fetch(API_URL, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    }).finally(() => {
+      pendingFetch = null;
+    });
+  }
+  return pendingFetch.then(response => response.clone());
 };
 
 /**
  * Custom hook to fetch and use user preferences
- * Returns default metric system if user is not logged in
+ * Returns default metric system if user is not logged in.
+ * Preferences are cached in localStorage, updated optimistically and kept in
+ * sync across every component and open tab.
  */
 export function usePreferences() {
-  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
-  const [loading, setLoading] = useState(true);
+  const [preferences, setPreferences] = useState(() => readCache() || DEFAULT_PREFERENCES);
+  const [loading, setLoading] = useState(() => !readCache() && Boolean(localStorage.getItem('authToken')));
   const [error, setError] = useState(null);
 
   useEffect(() => {
@@ -24,31 +78,39 @@ export function usePreferences() {
       setPreferences(DEFAULT_PREFERENCES);
       setLoading(false);
     }
-    
+
+    const handleUpdate = () => {
+      setPreferences(readCache() || DEFAULT_PREFERENCES);
+    };
+
+    // Another tab saved (or logged out and cleared) preferences
+    const handleStorage = (event) => {
+      if (event.key === CACHE_KEY) handleUpdate();
+    };
+
     // Listen for logout to reset preferences
     const handleLogout = () => {
       console.log('🧹 Resetting user preferences to defaults');
+      localStorage.removeItem(CACHE_KEY);
       setPreferences(DEFAULT_PREFERENCES);
       setLoading(false);
       setError(null);
     };
-    
+
+    window.addEventListener(PREFERENCES_EVENT, handleUpdate);
+    window.addEventListener('storage', handleStorage);
     window.addEventListener('user-logout', handleLogout);
-    
+
     return () => {
+      window.removeEventListener(PREFERENCES_EVENT, handleUpdate);
+      window.removeEventListener('storage', handleStorage);
       window.removeEventListener('user-logout', handleLogout);
     };
   }, []);
 
-  const fetchPreferences = async (token) => {
+  const fetchPreferences = async (token = localStorage.getItem('authToken')) => {
     try {
-      const response = await fetch('http://localhost:5000/api/user/preferences', {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await requestPreferences(token);
 
       if (!response.ok) {
         // If 401, token is invalid - clear it and use defaults
@@ -56,40 +118,49 @@ export function usePreferences() {
           console.warn('Token invalid or expired, clearing auth data');
           localStorage.removeItem('authToken');
           localStorage.removeItem('user');
+          localStorage.removeItem(CACHE_KEY);
           window.dispatchEvent(new Event('storage')); // Update navbar
+          setPreferences(DEFAULT_PREFERENCES);
         }
-        
-        console.warn('Failed to fetch preferences, using defaults');
-        setPreferences(DEFAULT_PREFERENCES);
-        setLoading(false);
+
+        console.warn('Failed to fetch preferences, keeping cached or default values');
         return;
       }
 
       const data = await response.json();
-      
+
       if (data.success && data.preferences) {
-        setPreferences(data.preferences);
-      } else {
-        setPreferences(DEFAULT_PREFERENCES);
+        if (JSON.stringify(data.preferences) !== localStorage.getItem(CACHE_KEY)) {
+          publishPreferences(data.preferences);
+        }
+        setPreferences({ ...DEFAULT_PREFERENCES, ...data.preferences });
       }
     } catch (error) {
       console.error('Error fetching preferences:', error);
-      setPreferences(DEFAULT_PREFERENCES);
+      setError(error);
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Save some or all preferences. The new values show straight away and are
+   * rolled back if the server rejects them.
+   * @returns {Promise<boolean>} whether the server accepted the change
+   */
   const updatePreferences = async (newPreferences) => {
-    try {
-      const token = localStorage.getItem('authToken');
-      
-      if (!token) {
-        console.warn('Cannot update preferences without auth token');
-        return false;
-      }
+    const token = localStorage.getItem('authToken');
+
+    if (!token) {
+      console.warn('Cannot update preferences without auth token');
+      return false;
+    }
+
+    const previous = readCache() || preferences;
+    publishPreferences({ ...previous, ...newPreferences });
 
-      const response = await fetch('http://localhost:5000/api/user/preferences', {
+    try {
+      const response = await fetch(API_URL, {
         method: 'PUT',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -98,20 +169,19 @@ export function usePreferences() {
         body: JSON.stringify(newPreferences)
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to update preferences');
-      }
-
       const data = await response.json();
-      
-      if (data.success) {
-        setPreferences(data.preferences);
-        return true;
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.errors?.join(', ') || data.message || 'Failed to update preferences');
       }
-      
-      return false;
+
+      publishPreferences(data.preferences);
+      setError(null);
+      return true;
     } catch (error) {
       console.error('Error updating preferences:', error);
+      publishPreferences(previous);
+      setError(error);
       return false;
     }
   };
@@ -119,6 +189,7 @@ export function usePreferences() {
   return {
     preferences,
     loading,
+    error,
     updatePreferences,
     refreshPreferences: fetchPreferences
   };
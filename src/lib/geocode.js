@@ -0,0 +1,25 @@
+// Place lookups go through the backend proxy so no API key reaches the browser
+const API_URL = 'http://localhost:5000/api/weather';
+
+/**
+ * Best match for a place name, or null when nothing matches
+ * @returns {Promise<{name: string, state: string|null, country: string|null, latitude: number, longitude: number}|null>}
+ */
+export const searchPlace = async (query) => {
+  const res = await fetch(`${API_URL}/geocode?q=${encodeURIComponent(query)}&limit=1`);
+  if (!res.ok) throw new Error('Location search failed');
+
+  const data = await res.json();
+  return data.places?.[0] || null;
+};
+
+/**
+ * Name of the place at a point, or null when it can't be looked up
+ */
+export const reverseGeocode = async (lat, lon) => {
+  const res = await fetch(`${API_URL}/reverse-geocode?lat=${lat}&lon=${lon}`);
+  if (!res.ok) throw new Error('Reverse geocoding failed');
+
+  const data = await res.json();
+  return data.place || null;
+};
@@ -139,7 +139,7 @@ export function kelvinToCelsius(kelvin) {
  * Convert temperature from Celsius to target unit
  */
 export function convertTemperature(celsius, targetUnit) {
-  if (!celsius || isNaN(celsius)) return null;
+  if (celsius === null || celsius === undefined || isNaN(celsius)) return null;
   
   switch (targetUnit) {
     case 'fahrenheit':
@@ -196,7 +196,7 @@ export function msToKnots(ms) {
  * Convert wind speed from m/s to target unit
  */
 export function convertWindSpeed(ms, targetUnit) {
-  if (!ms || isNaN(ms)) return null;
+  if (ms === null || ms === undefined || isNaN(ms)) return null;
   
   switch (targetUnit) {
     case 'mph':
@@ -257,7 +257,7 @@ export function hpaToMmHg(hpa) {
  * Convert pressure from hPa to target unit
  */
 export function convertPressure(hpa, targetUnit) {
-  if (!hpa || isNaN(hpa)) return null;
+  if (hpa === null || hpa === undefined || isNaN(hpa)) return null;
   
   switch (targetUnit) {
     case 'mb':
@@ -311,7 +311,7 @@ export function inchesToMm(inches) {
  * Convert precipitation from mm to target unit
  */
 export function convertPrecipitation(mm, targetUnit) {
-  if (!mm || isNaN(mm)) return null;
+  if (mm === null || mm === undefined || isNaN(mm)) return null;
   
   switch (targetUnit) {
     case 'inches':
@@ -0,0 +1,55 @@
+import { reverseGeocode } from './geocode.js';
+
+// Used when neither the browser nor the IP lookup can place the user
+export const DEFAULT_LOCATION = { lat: 19.0760, lon: 72.8777, name: 'Mumbai' };
+
+const getCityName = async (lat, lon) => {
+  try {
+    const place = await reverseGeocode(lat, lon);
+    return place?.name || 'Current Location';
+  } catch (err) {
+    console.error('City name fetch failed:', err);
+    return 'Current Location';
+  }
+};
+
+const getLocationFromIP = async () => {
+  try {
+    const res = await fetch('https://ipapi.co/json/');
+    if (!res.ok) throw new Error('IP location failed');
+
+    const data = await res.json();
+
+    return {
+      lat: data.latitude,
+      lon: data.longitude,
+      name: data.city || data.region || 'Unknown'
+    };
+  } catch (err) {
+    console.error('IP location failed:', err);
+    return DEFAULT_LOCATION;
+  }
+};
+
+/**
+ * Where the user is: browser geolocation first, then an IP lookup, then
+ * DEFAULT_LOCATION. Never rejects.
+ * @returns {Promise<{lat: number, lon: number, name: string}>}
+ */
+export const getUserLocation = () => new Promise((resolve) => {
+  if (!navigator.geolocation) {
+    resolve(getLocationFromIP());
+    return;
+  }
+
+  navigator.geolocation.getCurrentPosition(
+    async (position) => {
+      const { latitude, longitude } = position.coords;
+      resolve({ lat: latitude, lon: longitude, name: await getCityName(latitude, longitude) });
+    },
+    () => {
+      console.log('Geolocation denied, using IP-based location');
+      resolve(getLocationFromIP());
+    }
+  );
+});
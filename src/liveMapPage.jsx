@@ -4,6 +4,10 @@ import React, { useEffect, useRef, useState } from 'react';
   import View from 'ol/View.js';
   import TileLayer from 'ol/layer/Tile.js';
   import OSM from 'ol/source/OSM.js';
+  import VectorLayer from 'ol/layer/Vector.js';
+  import VectorSource from 'ol/source/Vector.js';
+  import GeoJSON from 'ol/format/GeoJSON.js';
+  import { Style, Fill, Stroke } from 'ol/style.js';
   import { defaults as defaultInteractions, MouseWheelZoom } from 'ol/interaction.js';
   import { fromLonLat, toLonLat } from 'ol/proj.js';
   import NavBar from './components/navbar/navbar.jsx';
@@ -56,8 +60,29 @@ import React, { useEffect, useRef, useState } from 'react';
     // Grid fetching
     MAX_CONCURRENT_FETCHES: 4, // Limit parallel API calls
     GRID_FETCH_BATCH_DELAY_MS: 500, // Delay between batches
+
+    // Alert areas (backend /api/alerts/areas)
+    ALERT_AREAS_URL: 'http://localhost:5000/api/alerts/areas',
+    ALERT_AREAS_REFRESH_MS: 60 * 1000,
+  };
+
+  // Alert area fill/outline per severity, matching the alert banner colours
+  const ALERT_AREA_COLORS = {
+    WATCH: [255, 255, 0],
+    WARNING: [255, 165, 0],
+    EMERGENCY: [255, 0, 0],
   };
 
+  const alertAreaStyles = Object.fromEntries(
+    Object.entries(ALERT_AREA_COLORS).map(([severity, [r, g, b]]) => [
+      severity,
+      new Style({
+        fill: new Fill({ color: `rgba(${r}, ${g}, ${b}, 0.25)` }),
+        stroke: new Stroke({ color: `rgb(${r}, ${g}, ${b})`, width: 2 }),
+      }),
+    ])
+  );
+
   /**
    * Generate grid cell key from lat/lon coordinates
    * @param {number} lat - Latitude
@@ -122,6 +147,7 @@ import React, { useEffect, useRef, useState } from 'react';
     // State for layer toggles
     const [layers, setLayers] = useState({
       wind: false,
+      alerts: false,
       temperature: false,
       precipitation: false,
       clouds: false,
@@ -1472,6 +1498,43 @@ import React, { useEffect, useRef, useState } from 'react';
       };
     }, [layers.temperature, layers.precipitation, layers.clouds, preferences.temperature_unit]); // FIXED: Add dependencies
 
+    // Alert areas layer; re-added whenever the map above is rebuilt
+    useEffect(() => {
+      const map = mapObjRef.current;
+      if (!map || !layers.alerts) return;
+
+      const source = new VectorSource();
+      const alertLayer = new VectorLayer({
+        source,
+        style: (feature) => alertAreaStyles[feature.get('severity')] || alertAreaStyles.WATCH,
+      });
+      map.addLayer(alertLayer);
+
+      const format = new GeoJSON({ dataProjection: 'EPSG:4326', featureProjection: 'EPSG:3857' });
+      let cancelled = false;
+
+      const fetchAlertAreas = async () => {
+        try {
+          const res = await fetch(CONFIG.ALERT_AREAS_URL);
+          const data = await res.json();
+          if (cancelled) return;
+          source.clear();
+          source.addFeatures(format.readFeatures(data));
+        } catch (err) {
+          console.error('Failed to fetch alert areas:', err);
+        }
+      };
+
+      fetchAlertAreas();
+      const timer = setInterval(fetchAlertAreas, CONFIG.ALERT_AREAS_REFRESH_MS);
+
+      return () => {
+        cancelled = true;
+        clearInterval(timer);
+        map.removeLayer(alertLayer);
+      };
+    }, [layers.alerts, layers.temperature, layers.precipitation, layers.clouds, preferences.temperature_unit]);
+
     // FIXED: Modified toggle handler with exclusive weather layer logic
     const handleLayerToggle = (layerName) => {
       setLayers(prev => {
@@ -1488,6 +1551,11 @@ import React, { useEffect, useRef, useState } from 'react';
           }
         }
         
+        // Alert areas layer is independent too
+        if (layerName === 'alerts') {
+          newLayers.alerts = !prev.alerts;
+        }
+        
         // Weather layers (temperature, precipitation, clouds) are mutually exclusive
         // ADDED: Support for 'none' option to disable all weather overlays
         if (layerName === 'temperature' || layerName === 'precipitation' || layerName === 'clouds' || layerName === 'none') {
@@ -1708,6 +1776,30 @@ import React, { useEffect, useRef, useState } from 'react';
                 <span>Wind</span>
               </label>
 
+              {/* Alert areas (Independent checkbox) */}
+              <label style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '10px',
+                cursor: 'pointer',
+                userSelect: 'none',
+                color: '#f4fff9',
+                fontSize: '0.95rem',
+              }}>
+                <input
+                  type="checkbox"
+                  checked={layers.alerts}
+                  onChange={() => handleLayerToggle('alerts')}
+                  style={{
+                    width: '18px',
+                    height: '18px',
+                    cursor: 'pointer',
+                    accentColor: '#2fe79f',
+                  }}
+                />
+                <span>Alert areas</span>
+              </label>
+
               {/* Divider */}
               <div style={{
                 height: '1px',
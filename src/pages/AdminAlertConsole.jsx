@@ -0,0 +1,677 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import NavBar from '../components/navbar/navbar.jsx';
+import './AdminAlertConsole.css';
+
+const API_URL = 'http://localhost:5000/api/admin';
+
+const HAZARDS = ['FLOOD', 'WIND', 'HEAT', 'FROST', 'SNOW', 'STORM', 'FOG', 'UV'];
+const SEVERITIES = ['WATCH', 'WARNING', 'EMERGENCY'];
+
+const ACTION_LABELS = {
+  draft_created: 'Draft created',
+  draft_updated: 'Draft edited',
+  draft_discarded: 'Draft discarded',
+  published: 'Published',
+  severity_changed: 'Severity changed',
+  reissued: 'Re-issued',
+  extended: 'Extended',
+  cancelled: 'Cancelled'
+};
+
+const EMPTY_DRAFT = {
+  hazard_type: 'FLOOD',
+  severity: 'WARNING',
+  details: '',
+  instructions: '',
+  area_mode: 'circle',
+  latitude: '',
+  longitude: '',
+  radius_km: '25',
+  geometry_json: '',
+  area_desc: '',
+  onset_at: '',
+  expires_at: ''
+};
+
+// <input type="datetime-local"> wants local time without a zone
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '–');
+
+const getSeverityColor = (severity) => {
+  switch (severity) {
+    case 'EMERGENCY': return '#ff6b6b';
+    case 'WARNING': return '#ffa500';
+    case 'WATCH': return '#ffd93d';
+    default: return '#666';
+  }
+};
+
+const describeChanges = (changes) => Object.entries(changes || {})
+  .map(([field, { from, to }]) => {
+    const show = (value) => (value === null || value === undefined || value === '' ? '–' : typeof value === 'object' ? 'area' : value);
+    return `${field}: ${show(from)} → ${show(to)}`;
+  })
+  .join('; ');
+
+function AdminAlertConsole() {
+  const navigate = useNavigate();
+  const [alerts, setAlerts] = useState([]);
+  const [drafts, setDrafts] = useState([]);
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [form, setForm] = useState(EMPTY_DRAFT);
+  const [editingDraftId, setEditingDraftId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [selectedAlert, setSelectedAlert] = useState(null);
+  const [alertChanges, setAlertChanges] = useState({ severity: '', instructions: '', expires_at: '', note: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    checkAdminAccess();
+    fetchConsole();
+  }, []);
+
+  const checkAdminAccess = async () => {
+    const token = localStorage.getItem('authToken');
+    const user = JSON.parse(localStorage.getItem('user') || '{}');
+
+    if (!token || !user.is_admin) {
+      alert('Admin access required');
+      navigate('/');
+      return;
+    }
+  };
+
+  const request = async (path, options = {}) => {
+    const token = localStorage.getItem('authToken');
+    const res = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Accept': 'application/json',
+        ...(options.body ? { 'Content-Type': 'application/json' } : {})
+      }
+    });
+    return res.json();
+  };
+
+  const fetchConsole = async () => {
+    setLoading(true);
+
+    try {
+      const [consoleData, auditData] = await Promise.all([
+        request('/alert-console'),
+        request('/alert-audit?limit=50')
+      ]);
+
+      if (consoleData.success) {
+        setAlerts(consoleData.alerts);
+        setDrafts(consoleData.drafts);
+      }
+      if (auditData.success) {
+        setAuditEntries(auditData.entries);
+      }
+    } catch (err) {
+      console.error('Failed to fetch alert console:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const buildDraftBody = () => {
+    let geometry;
+    if (form.area_mode === 'circle') {
+      geometry = {
+        type: 'Circle',
+        coordinates: [Number(form.longitude), Number(form.latitude)],
+        radius_km: Number(form.radius_km)
+      };
+    } else {
+      try {
+        geometry = JSON.parse(form.geometry_json);
+      } catch {
+        throw new Error('Area GeoJSON is not valid JSON');
+      }
+    }
+
+    return {
+      hazard_type: form.hazard_type,
+      severity: form.severity,
+      details: form.details || null,
+      instructions: form.instructions || null,
+      geometry,
+      area_desc: form.area_desc || null,
+      onset_at: form.onset_at ? new Date(form.onset_at).toISOString() : null,
+      expires_at: form.expires_at ? new Date(form.expires_at).toISOString() : undefined
+    };
+  };
+
+  const handleSaveDraft = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const body = JSON.stringify(buildDraftBody());
+      const data = editingDraftId
+        ? await request(`/alert-drafts/${editingDraftId}`, { method: 'PUT', body })
+        : await request('/alert-drafts', { method: 'POST', body });
+
+      if (data.success) {
+        setForm(EMPTY_DRAFT);
+        setEditingDraftId(null);
+        fetchConsole();
+      } else {
+        alert(data.errors?.join('\n') || data.message || 'Failed to save draft');
+      }
+    } catch (err) {
+      console.error('Failed to save draft:', err);
+      alert(err.message || 'Failed to save draft');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEditDraft = (draft) => {
+    const isCircle = draft.geometry?.type === 'Circle';
+    setEditingDraftId(draft.id);
+    setForm({
+      hazard_type: draft.hazard_type,
+      severity: draft.severity,
+      details: draft.details || '',
+      instructions: draft.instructions || '',
+      area_mode: isCircle ? 'circle' : 'geojson',
+      latitude: isCircle ? String(draft.geometry.coordinates[1]) : '',
+      longitude: isCircle ? String(draft.geometry.coordinates[0]) : '',
+      radius_km: isCircle ? String(draft.geometry.radius_km) : '25',
+      geometry_json: isCircle ? '' : JSON.stringify(draft.geometry, null, 2),
+      area_desc: draft.area_desc || '',
+      onset_at: toLocalInput(draft.onset_at),
+      expires_at: toLocalInput(draft.expires_at)
+    });
+  };
+
+  const handlePreview = async (draft) => {
+    try {
+      const data = await request(`/alert-drafts/${draft.id}/preview`, { method: 'POST' });
+
+      if (data.success) {
+        setPreview({ draft, ...data.preview });
+      } else {
+        alert(data.message || 'Failed to preview draft');
+      }
+    } catch (err) {
+      console.error('Failed to preview draft:', err);
+    }
+  };
+
+  const handlePublish = async (draft) => {
+    if (!confirm(`Publish ${draft.hazard_type} ${draft.severity} to everyone in the area?`)) return;
+
+    try {
+      const data = await request(`/alert-drafts/${draft.id}/publish`, { method: 'POST' });
+
+      if (data.success) {
+        setPreview(null);
+        fetchConsole();
+      } else {
+        alert(data.message || 'Failed to publish alert');
+      }
+    } catch (err) {
+      console.error('Failed to publish alert:', err);
+    }
+  };
+
+  const handleDiscard = async (draft) => {
+    if (!confirm(`Discard draft #${draft.id}?`)) return;
+
+    try {
+      const data = await request(`/alert-drafts/${draft.id}`, { method: 'DELETE' });
+
+      if (data.success) {
+        if (editingDraftId === draft.id) {
+          setEditingDraftId(null);
+          setForm(EMPTY_DRAFT);
+        }
+        fetchConsole();
+      } else {
+        alert(data.message || 'Failed to discard draft');
+      }
+    } catch (err) {
+      console.error('Failed to discard draft:', err);
+    }
+  };
+
+  const openAlert = async (liveAlert) => {
+    setSelectedAlert({ ...liveAlert, audit: [] });
+    setAlertChanges({
+      severity: liveAlert.severity,
+      instructions: liveAlert.instructions || '',
+      expires_at: toLocalInput(liveAlert.expires_at),
+      note: ''
+    });
+
+    try {
+      const data = await request(`/alert-audit?alert_id=${liveAlert.id}`);
+      if (data.success) {
+        setSelectedAlert({ ...liveAlert, audit: data.entries });
+      }
+    } catch (err) {
+      console.error('Failed to fetch alert audit trail:', err);
+    }
+  };
+
+  const runAlertAction = async (path, method, body) => {
+    setSaving(true);
+
+    try {
+      const data = await request(path, { method, body: JSON.stringify(body) });
+
+      if (data.success) {
+        setSelectedAlert(null);
+        fetchConsole();
+      } else {
+        alert(data.errors?.join('\n') || data.message || 'Action failed');
+      }
+    } catch (err) {
+      console.error('Alert action failed:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReissue = () => {
+    const body = { note: alertChanges.note || null };
+    if (alertChanges.severity !== selectedAlert.severity) body.severity = alertChanges.severity;
+    if (alertChanges.instructions !== (selectedAlert.instructions || '')) body.instructions = alertChanges.instructions;
+    runAlertAction(`/alerts/${selectedAlert.id}`, 'PUT', body);
+  };
+
+  const handleExtend = () => {
+    if (!alertChanges.expires_at) return;
+    runAlertAction(`/alerts/${selectedAlert.id}/extend`, 'POST', {
+      expires_at: new Date(alertChanges.expires_at).toISOString(),
+      note: alertChanges.note || null
+    });
+  };
+
+  const handleCancel = () => {
+    if (!confirm(`Cancel alert #${selectedAlert.id}? Subscribers will see it lifted.`)) return;
+    runAlertAction(`/alerts/${selectedAlert.id}/cancel`, 'POST', { note: alertChanges.note || null });
+  };
+
+  return (
+    <>
+      <NavBar title="Admin: Alert Console" />
+
+      <div className="admin-console-container">
+        {/* Draft form */}
+        <form className="console-draft-form" onSubmit={handleSaveDraft}>
+          <h3>{editingDraftId ? `Edit Draft #${editingDraftId}` : 'New Alert Draft'}</h3>
+
+          <div className="console-form-row">
+            <label>
+              Hazard
+              <select value={form.hazard_type} onChange={(e) => setForm({ ...form, hazard_type: e.target.value })}>
+                {HAZARDS.map((hazard) => <option key={hazard} value={hazard}>{hazard}</option>)}
+              </select>
+            </label>
+            <label>
+              Severity
+              <select value={form.severity} onChange={(e) => setForm({ ...form, severity: e.target.value })}>
+                {SEVERITIES.map((severity) => <option key={severity} value={severity}>{severity}</option>)}
+              </select>
+            </label>
+            <label>
+              Onset
+              <input
+                type="datetime-local"
+                value={form.onset_at}
+                onChange={(e) => setForm({ ...form, onset_at: e.target.value })}
+              />
+            </label>
+            <label>
+              Expires
+              <input
+                type="datetime-local"
+                value={form.expires_at}
+                onChange={(e) => setForm({ ...form, expires_at: e.target.value })}
+                required
+              />
+            </label>
+          </div>
+
+          <label>
+            Details
+            <textarea
+              value={form.details}
+              onChange={(e) => setForm({ ...form, details: e.target.value })}
+              placeholder="What is expected, where and when"
+              rows={3}
+            />
+          </label>
+          <label>
+            Instructions
+            <textarea
+              value={form.instructions}
+              onChange={(e) => setForm({ ...form, instructions: e.target.value })}
+              placeholder="What people should do, e.g. avoid travel through flooded roads"
+              rows={3}
+            />
+          </label>
+
+          <div className="console-form-row">
+            <label>
+              Area
+              <select value={form.area_mode} onChange={(e) => setForm({ ...form, area_mode: e.target.value })}>
+                <option value="circle">Circle</option>
+                <option value="geojson">GeoJSON polygon</option>
+              </select>
+            </label>
+            {form.area_mode === 'circle' ? (
+              <>
+                <label>
+                  Latitude
+                  <input
+                    type="number"
+                    step="any"
+                    value={form.latitude}
+                    onChange={(e) => setForm({ ...form, latitude: e.target.value })}
+                    required
+                  />
+                </label>
+                <label>
+                  Longitude
+                  <input
+                    type="number"
+                    step="any"
+                    value={form.longitude}
+                    onChange={(e) => setForm({ ...form, longitude: e.target.value })}
+                    required
+                  />
+                </label>
+                <label>
+                  Radius (km)
+                  <input
+                    type="number"
+                    min="1"
+                    step="any"
+                    value={form.radius_km}
+                    onChange={(e) => setForm({ ...form, radius_km: e.target.value })}
+                    required
+                  />
+                </label>
+              </>
+            ) : null}
+            <label>
+              Area name
+              <input
+                type="text"
+                value={form.area_desc}
+                onChange={(e) => setForm({ ...form, area_desc: e.target.value })}
+                placeholder="e.g. Mumbai suburbs"
+              />
+            </label>
+          </div>
+
+          {form.area_mode === 'geojson' && (
+            <label>
+              GeoJSON geometry
+              <textarea
+                className="console-geojson"
+                value={form.geometry_json}
+                onChange={(e) => setForm({ ...form, geometry_json: e.target.value })}
+                placeholder='{"type": "Polygon", "coordinates": [[[72.8, 19.0], [73.0, 19.0], [73.0, 19.2], [72.8, 19.0]]]}'
+                rows={5}
+                required
+              />
+            </label>
+          )}
+
+          <div className="console-form-actions">
+            {editingDraftId && (
+              <button type="button" onClick={() => { setEditingDraftId(null); setForm(EMPTY_DRAFT); }}>
+                Cancel Edit
+              </button>
+            )}
+            <button type="submit" className="primary-btn" disabled={saving}>
+              {saving ? 'Saving...' : editingDraftId ? 'Save Draft' : 'Create Draft'}
+            </button>
+          </div>
+        </form>
+
+        {loading ? (
+          <div className="console-loading">Loading alerts...</div>
+        ) : (
+          <>
+            {/* Drafts */}
+            <h3 className="console-heading">Drafts</h3>
+            <div className="console-table-container">
+              <table className="console-table">
+                <thead>
+                  <tr>
+                    <th>Draft</th>
+                    <th>Hazard</th>
+                    <th>Level</th>
+                    <th>Area</th>
+                    <th>Expires</th>
+                    <th>Last Edited</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {drafts.length === 0 && (
+                    <tr>
+                      <td colSpan={7} className="console-empty">No open drafts</td>
+                    </tr>
+                  )}
+                  {drafts.map((draft) => (
+                    <tr key={draft.id}>
+                      <td>#{draft.id}</td>
+                      <td>{draft.hazard_type}</td>
+                      <td>
+                        <span className="severity-badge" style={{ background: getSeverityColor(draft.severity) }}>
+                          {draft.severity}
+                        </span>
+                      </td>
+                      <td>{draft.area_desc || draft.geometry?.type}</td>
+                      <td>{formatTime(draft.expires_at)}</td>
+                      <td>{formatTime(draft.updated_at)}{draft.updated_by_name ? ` by ${draft.updated_by_name}` : ''}</td>
+                      <td className="console-actions">
+                        <button className="action-btn" onClick={() => handleEditDraft(draft)}>Edit</button>
+                        <button className="action-btn" onClick={() => handlePreview(draft)}>Preview</button>
+                        <button className="action-btn danger-btn" onClick={() => handleDiscard(draft)}>Discard</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Live alerts */}
+            <h3 className="console-heading">Live Alerts</h3>
+            <div className="console-table-container">
+              <table className="console-table">
+                <thead>
+                  <tr>
+                    <th>Alert</th>
+                    <th>Hazard</th>
+                    <th>Level</th>
+                    <th>Source</th>
+                    <th>Area</th>
+                    <th>Issued</th>
+                    <th>Expires</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {alerts.length === 0 && (
+                    <tr>
+                      <td colSpan={8} className="console-empty">No live alerts</td>
+                    </tr>
+                  )}
+                  {alerts.map((liveAlert) => (
+                    <tr key={liveAlert.id}>
+                      <td>#{liveAlert.id}{liveAlert.revision > 1 ? ` (rev ${liveAlert.revision})` : ''}</td>
+                      <td>{liveAlert.hazard_type}</td>
+                      <td>
+                        <span className="severity-badge" style={{ background: getSeverityColor(liveAlert.severity) }}>
+                          {liveAlert.severity}
+                        </span>
+                      </td>
+                      <td>{liveAlert.source}</td>
+                      <td>{liveAlert.area_desc || liveAlert.cell_key || '–'}</td>
+                      <td>{formatTime(liveAlert.issued_at || liveAlert.created_at)}</td>
+                      <td>{formatTime(liveAlert.expires_at)}</td>
+                      <td className="console-actions">
+                        <button className="action-btn" onClick={() => openAlert(liveAlert)}>Manage</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Audit trail */}
+            <h3 className="console-heading">Recent Changes</h3>
+            <ul className="console-audit">
+              {auditEntries.length === 0 && <li className="console-empty">Nothing recorded yet</li>}
+              {auditEntries.map((entry) => (
+                <li key={entry.id}>
+                  <span className="audit-time">{formatTime(entry.created_at)}</span>
+                  <strong>{ACTION_LABELS[entry.action] || entry.action}</strong>
+                  {entry.alert_id ? ` alert #${entry.alert_id}` : ` draft #${entry.draft_id}`}
+                  {' by '}{entry.actor_name || entry.actor_email || 'unknown'}
+                  {describeChanges(entry.changes) && <div className="audit-changes">{describeChanges(entry.changes)}</div>}
+                  {entry.note && <div className="audit-note">“{entry.note}”</div>}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {/* Preview Modal */}
+        {preview && (
+          <div className="admin-console-modal-overlay" onClick={() => setPreview(null)}>
+            <div className="admin-console-modal" onClick={(e) => e.stopPropagation()}>
+              <div className="admin-modal-header">
+                <h2>Preview Draft #{preview.draft.id}</h2>
+                <button onClick={() => setPreview(null)}>✕</button>
+              </div>
+
+              <div className="admin-modal-body">
+                <div className="console-card">
+                  <p>
+                    Covers <strong>{preview.affected.locations}</strong> saved locations
+                    belonging to <strong>{preview.affected.users}</strong> users.
+                  </p>
+                </div>
+
+                <div className="console-card">
+                  <h4>Email: {preview.email.subject}</h4>
+                  <iframe className="console-email-preview" title="Email preview" srcDoc={preview.email.html} sandbox="" />
+                </div>
+
+                <div className="console-card">
+                  <h4>CAP 1.2</h4>
+                  <pre className="console-cap-preview">{preview.cap}</pre>
+                </div>
+
+                <div className="console-form-actions">
+                  <button className="primary-btn" onClick={() => handlePublish(preview.draft)}>
+                    Publish Alert
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Live Alert Modal */}
+        {selectedAlert && (
+          <div className="admin-console-modal-overlay" onClick={() => setSelectedAlert(null)}>
+            <div className="admin-console-modal" onClick={(e) => e.stopPropagation()}>
+              <div className="admin-modal-header">
+                <h2>Alert #{selectedAlert.id}: {selectedAlert.hazard_type}</h2>
+                <button onClick={() => setSelectedAlert(null)}>✕</button>
+              </div>
+
+              <div className="admin-modal-body">
+                <div className="console-card">
+                  <p>{selectedAlert.details || 'No details'}</p>
+                  <p><strong>Expires:</strong> {formatTime(selectedAlert.expires_at)}</p>
+                </div>
+
+                <div className="console-card console-alert-form">
+                  <label>
+                    Severity
+                    <select
+                      value={alertChanges.severity}
+                      onChange={(e) => setAlertChanges({ ...alertChanges, severity: e.target.value })}
+                    >
+                      {SEVERITIES.map((severity) => <option key={severity} value={severity}>{severity}</option>)}
+                    </select>
+                  </label>
+                  <label>
+                    Instructions
+                    <textarea
+                      value={alertChanges.instructions}
+                      onChange={(e) => setAlertChanges({ ...alertChanges, instructions: e.target.value })}
+                      rows={3}
+                    />
+                  </label>
+                  <label>
+                    New expiry
+                    <input
+                      type="datetime-local"
+                      value={alertChanges.expires_at}
+                      onChange={(e) => setAlertChanges({ ...alertChanges, expires_at: e.target.value })}
+                    />
+                  </label>
+                  <label>
+                    Note for the audit trail
+                    <input
+                      type="text"
+                      value={alertChanges.note}
+                      onChange={(e) => setAlertChanges({ ...alertChanges, note: e.target.value })}
+                      placeholder="Why this change was made"
+                    />
+                  </label>
+
+                  <div className="console-form-actions">
+                    <button className="primary-btn" onClick={handleReissue} disabled={saving}>Re-issue</button>
+                    <button onClick={handleExtend} disabled={saving}>Extend</button>
+                    <button className="danger-btn" onClick={handleCancel} disabled={saving}>Cancel Alert</button>
+                  </div>
+                </div>
+
+                <div className="console-card">
+                  <h4>History</h4>
+                  <ul className="console-audit">
+                    {selectedAlert.audit.length === 0 && <li className="console-empty">No manual changes</li>}
+                    {selectedAlert.audit.map((entry) => (
+                      <li key={entry.id}>
+                        <span className="audit-time">{formatTime(entry.created_at)}</span>
+                        <strong>{ACTION_LABELS[entry.action] || entry.action}</strong>
+                        {' by '}{entry.actor_name || entry.actor_email || 'unknown'}
+                        {describeChanges(entry.changes) && <div className="audit-changes">{describeChanges(entry.changes)}</div>}
+                        {entry.note && <div className="audit-note">“{entry.note}”</div>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default AdminAlertConsole;
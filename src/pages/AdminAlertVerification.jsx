@@ -0,0 +1,279 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import NavBar from '../components/navbar/navbar.jsx';
+import './AdminAlertVerification.css';
+
+const API_URL = 'http://localhost:5000/api/admin/alert-verification';
+
+const OUTCOME_LABELS = {
+  hit: 'Hit',
+  false_alarm: 'False alarm',
+  miss: 'Miss',
+  unverifiable: 'Unverifiable'
+};
+
+const formatRatio = (value) => (value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`);
+
+function AdminAlertVerification() {
+  const navigate = useNavigate();
+  const [scores, setScores] = useState([]);
+  const [recent, setRecent] = useState([]);
+  const [lastRun, setLastRun] = useState(null);
+  const [filters, setFilters] = useState({
+    from: '',
+    to: '',
+    hazard: ''
+  });
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+
+  useEffect(() => {
+    checkAdminAccess();
+  }, []);
+
+  useEffect(() => {
+    fetchReport();
+  }, [filters]);
+
+  const checkAdminAccess = async () => {
+    const token = localStorage.getItem('authToken');
+    const user = JSON.parse(localStorage.getItem('user') || '{}');
+
+    if (!token || !user.is_admin) {
+      alert('Admin access required');
+      navigate('/');
+      return;
+    }
+  };
+
+  const fetchReport = async () => {
+    const token = localStorage.getItem('authToken');
+    setLoading(true);
+
+    try {
+      const params = new URLSearchParams();
+      if (filters.from) params.append('from', filters.from);
+      if (filters.to) params.append('to', filters.to);
+      if (filters.hazard) params.append('hazard', filters.hazard);
+
+      const res = await fetch(`${API_URL}?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/json'
+        }
+      });
+
+      const data = await res.json();
+
+      if (data.success) {
+        setScores(data.scores);
+        setRecent(data.recent);
+        setLastRun(data.lastRun);
+      }
+    } catch (err) {
+      console.error('Failed to fetch verification report:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRunNow = async () => {
+    const token = localStorage.getItem('authToken');
+    setRunning(true);
+
+    try {
+      const res = await fetch(`${API_URL}/run`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/json'
+        }
+      });
+
+      const data = await res.json();
+
+      if (data.success) {
+        fetchReport();
+      } else {
+        alert(data.message || 'Verification failed');
+      }
+    } catch (err) {
+      console.error('Failed to run verification:', err);
+      alert('Failed to run verification');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const totals = scores.reduce((sum, score) => ({
+    hits: sum.hits + score.hits,
+    misses: sum.misses + score.misses,
+    false_alarms: sum.false_alarms + score.false_alarms
+  }), { hits: 0, misses: 0, false_alarms: 0 });
+
+  const overallHitRate = totals.hits + totals.misses > 0 ? totals.hits / (totals.hits + totals.misses) : null;
+  const overallFalseAlarmRatio = totals.hits + totals.false_alarms > 0
+    ? totals.false_alarms / (totals.hits + totals.false_alarms)
+    : null;
+
+  return (
+    <>
+      <NavBar title="Admin: Alert Verification" />
+
+      <div className="admin-verification-container">
+        {/* Overall scores */}
+        <div className="verification-stats">
+          <div className="stat-card">
+            <div className="stat-icon">🎯</div>
+            <div className="stat-value">{formatRatio(overallHitRate)}</div>
+            <div className="stat-label">Hit Rate</div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-icon">🔕</div>
+            <div className="stat-value">{formatRatio(overallFalseAlarmRatio)}</div>
+            <div className="stat-label">False Alarm Ratio</div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-icon">✅</div>
+            <div className="stat-value">{totals.hits}</div>
+            <div className="stat-label">Hits</div>
+          </div>
+          <div className="stat-card urgent">
+            <div className="stat-icon">❗</div>
+            <div className="stat-value">{totals.misses}</div>
+            <div className="stat-label">Missed Events</div>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="verification-filters">
+          <label>
+            From
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            />
+          </label>
+          <label>
+            To
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            />
+          </label>
+          <select
+            value={filters.hazard}
+            onChange={(e) => setFilters({ ...filters, hazard: e.target.value })}
+          >
+            <option value="">All Hazards</option>
+            <option value="FLOOD">Flood</option>
+            <option value="WIND">Wind</option>
+            <option value="HEAT">Heat</option>
+            <option value="FROST">Frost</option>
+            <option value="SNOW">Snow</option>
+          </select>
+
+          <button onClick={() => setFilters({ from: '', to: '', hazard: '' })}>
+            Clear Filters
+          </button>
+          <button className="run-btn" onClick={handleRunNow} disabled={running}>
+            {running ? 'Verifying...' : 'Run Verification Now'}
+          </button>
+        </div>
+
+        {lastRun && (
+          <p className="verification-last-run">
+            Last run {new Date(lastRun.finishedAt).toLocaleString()}: {lastRun.verified} alerts verified,
+            {' '}{lastRun.misses} new misses, {lastRun.failed} failed
+          </p>
+        )}
+
+        {loading ? (
+          <div className="verification-loading">Loading scores...</div>
+        ) : (
+          <>
+            {/* Scores per hazard */}
+            <div className="verification-table-container">
+              <table className="verification-table">
+                <thead>
+                  <tr>
+                    <th>Hazard</th>
+                    <th>Hits</th>
+                    <th>Misses</th>
+                    <th>False Alarms</th>
+                    <th>Hit Rate</th>
+                    <th>False Alarm Ratio</th>
+                    <th>Mean Lead Time</th>
+                    <th>Unverifiable</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {scores.length === 0 && (
+                    <tr>
+                      <td colSpan={8} className="verification-empty">No verified alerts yet</td>
+                    </tr>
+                  )}
+                  {scores.map((score) => (
+                    <tr key={score.hazard_type}>
+                      <td>{score.hazard_type}</td>
+                      <td>{score.hits}</td>
+                      <td>{score.misses}</td>
+                      <td>{score.false_alarms}</td>
+                      <td>{formatRatio(score.hit_rate)}</td>
+                      <td>{formatRatio(score.false_alarm_ratio)}</td>
+                      <td>{score.mean_lead_time_hours === null ? '–' : `${score.mean_lead_time_hours} h`}</td>
+                      <td>{score.unverifiable}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Latest verifications */}
+            <h3 className="verification-heading">Latest Verifications</h3>
+            <div className="verification-table-container">
+              <table className="verification-table">
+                <thead>
+                  <tr>
+                    <th>Alert</th>
+                    <th>Hazard</th>
+                    <th>Level</th>
+                    <th>Outcome</th>
+                    <th>Event Date</th>
+                    <th>Observed</th>
+                    <th>Lead Time</th>
+                    <th>Location</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recent.map((row) => (
+                    <tr key={row.id}>
+                      <td>{row.alert_id ? `#${row.alert_id}` : '–'}</td>
+                      <td>{row.hazard_type}</td>
+                      <td>{row.severity || '–'}</td>
+                      <td>
+                        <span className={`outcome-badge outcome-badge--${row.outcome}`}>
+                          {OUTCOME_LABELS[row.outcome] || row.outcome}
+                        </span>
+                      </td>
+                      <td>{row.event_date ? new Date(row.event_date).toLocaleDateString() : '–'}</td>
+                      <td>{row.observed_value ?? '–'}</td>
+                      <td>{row.lead_time_hours === null ? '–' : `${Number(row.lead_time_hours)} h`}</td>
+                      <td>
+                        {row.latitude === null ? '–' : `${Number(row.latitude).toFixed(2)}, ${Number(row.longitude).toFixed(2)}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default AdminAlertVerification;
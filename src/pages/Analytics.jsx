@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import NavBar from '../components/navbar/navbar.jsx';
+import ForecastReliability from '../components/ForecastReliability/ForecastReliability.jsx';
+import { searchPlace } from '../lib/geocode.js';
 import './Analytics.css';
 
 function Analytics() {
@@ -21,6 +23,13 @@ function Analytics() {
   const [historicalData, setHistoricalData] = useState(null);
   const [viewMode, setViewMode] = useState('table'); // 'table' or 'summary'
 
+  // Forecast reliability state
+  const [savedLocations, setSavedLocations] = useState([]);
+  const [accuracyLocationId, setAccuracyLocationId] = useState('');
+  const [accuracyDays, setAccuracyDays] = useState(90);
+  const [accuracy, setAccuracy] = useState(null);
+  const [accuracyStatus, setAccuracyStatus] = useState({ loading: false, error: '' });
+
   useEffect(() => {
     const token = localStorage.getItem('authToken');
     const userData = localStorage.getItem('user');
@@ -42,8 +51,62 @@ function Analytics() {
       end_date: end.toISOString().split('T')[0],
       start_date: start.toISOString().split('T')[0],
     }));
+
+    fetchSavedLocations(token);
   }, [navigate]);
 
+  // Accuracy is tracked for saved locations only
+  const fetchSavedLocations = async (token) => {
+    try {
+      const res = await fetch('http://localhost:5000/api/user/locations', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/json'
+        }
+      });
+
+      if (!res.ok) throw new Error('Failed to fetch locations');
+
+      const data = await res.json();
+      const locations = data.locations || [];
+      setSavedLocations(locations);
+      if (locations.length > 0) setAccuracyLocationId(String(locations[0].id));
+    } catch (err) {
+      console.error('Saved locations fetch error:', err);
+    }
+  };
+
+  useEffect(() => {
+    const location = savedLocations.find(saved => String(saved.id) === accuracyLocationId);
+    if (!location) return;
+
+    let cancelled = false;
+    const token = localStorage.getItem('authToken');
+    setAccuracyStatus({ loading: true, error: '' });
+
+    fetch(
+      `http://localhost:5000/api/analytics/forecast-accuracy?latitude=${location.latitude}&longitude=${location.longitude}&days=${accuracyDays}`,
+      { headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' } }
+    )
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || 'Failed to fetch forecast accuracy');
+        return data;
+      })
+      .then((data) => {
+        if (cancelled) return;
+        setAccuracy(data);
+        setAccuracyStatus({ loading: false, error: '' });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setAccuracy(null);
+        setAccuracyStatus({ loading: false, error: err.message });
+      });
+
+    return () => { cancelled = true; };
+  }, [savedLocations, accuracyLocationId, accuracyDays]);
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
@@ -58,29 +121,22 @@ function Analytics() {
     setStatus({ loading: true, message: 'Searching location...', type: 'info' });
 
     try {
-      const apiKey = import.meta.env.VITE_OPENWEATHER_API_KEY;
-      const res = await fetch(
-        `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(formData.location_name)}&limit=1&appid=${apiKey}`
-      );
+      const location = await searchPlace(formData.location_name);
 
-      if (!res.ok) throw new Error('Location search failed');
-
-      const data = await res.json();
-
-      if (data.length === 0) {
+      if (!location) {
         throw new Error('Location not found');
       }
 
-      const location = data[0];
+      const placeName = [location.name, location.country].filter(Boolean).join(', ');
       
       setFormData(prev => ({
         ...prev,
-        latitude: location.lat.toFixed(4),
-        longitude: location.lon.toFixed(4),
-        location_name: `${location.name}, ${location.country}`,
+        latitude: location.latitude.toFixed(4),
+        longitude: location.longitude.toFixed(4),
+        location_name: placeName,
       }));
 
-      setStatus({ loading: false, message: `Found: ${location.name}, ${location.country}`, type: 'success' });
+      setStatus({ loading: false, message: `Found: ${placeName}`, type: 'success' });
       
       setTimeout(() => setStatus({ loading: false, message: '', type: '' }), 3000);
 
@@ -412,6 +468,64 @@ function Analytics() {
             </div>
           )}
 
+          {/* Forecast Reliability Section */}
+          <div className="analytics-section analytics-reliability">
+            <h2 className="analytics-section-title">Forecast Reliability</h2>
+            <p className="analytics-help-text">
+              The daily forecast for each saved location is recorded every day and compared with what was
+              observed once the archive catches up (about 5 days later).
+            </p>
+
+            {savedLocations.length === 0 ? (
+              <div className="analytics-notice analytics-notice-info">
+                Save a location to start tracking how its forecasts compare with observations.
+              </div>
+            ) : (
+              <>
+                <div className="analytics-input-row">
+                  <div className="analytics-input-group" style={{ flex: 2 }}>
+                    <label>Saved Location</label>
+                    <select
+                      value={accuracyLocationId}
+                      onChange={(e) => setAccuracyLocationId(e.target.value)}
+                    >
+                      {savedLocations.map(location => (
+                        <option key={location.id} value={location.id}>{location.location_name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="analytics-input-group">
+                    <label>Period</label>
+                    <select value={accuracyDays} onChange={(e) => setAccuracyDays(Number(e.target.value))}>
+                      <option value={30}>Last 30 days</option>
+                      <option value={90}>Last 90 days</option>
+                      <option value={365}>Last year</option>
+                    </select>
+                  </div>
+                </div>
+
+                {accuracyStatus.loading && (
+                  <div className="analytics-notice analytics-notice-info">Loading forecast accuracy...</div>
+                )}
+                {accuracyStatus.error && (
+                  <div className="analytics-notice analytics-notice-error">{accuracyStatus.error}</div>
+                )}
+
+                {!accuracyStatus.loading && accuracy && (
+                  accuracy.verified === 0 ? (
+                    <div className="analytics-notice analytics-notice-info">
+                      {accuracy.snapshots === 0
+                        ? 'No forecasts recorded for this location yet. The first snapshot is taken on the next tracking run.'
+                        : `Tracking since ${accuracy.tracked_since}: ${accuracy.snapshots} forecast days recorded, none observed yet.`}
+                    </div>
+                  ) : (
+                    <ForecastReliability report={accuracy} />
+                  )
+                )}
+              </>
+            )}
+          </div>
+
           {/* Info Section */}
           <div className="analytics-info">
             <h3>📚 Data Sources</h3>
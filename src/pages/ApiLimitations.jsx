@@ -64,8 +64,8 @@ function ApiLimitations() {
             </div>
 
             <div className="api-note">
-              <strong>What this means:</strong> Our 7-day forecast includes 5 days of real data from OpenWeather, 
-              plus 2 projected days based on current trends (marked with dashed borders).
+              <strong>What this means:</strong> Daily forecasts come from Open-Meteo (up to 16 days). OpenWeather is only
+              used as a fallback, and then the forecast stops after 5 days instead of being padded.
             </div>
           </section>
 
@@ -161,8 +161,8 @@ function ApiLimitations() {
               <div className="impact-item">
                 <span className="impact-icon">2.</span>
                 <div>
-                  <h4>7-Day Forecast Limitation</h4>
-                  <p>Days 6-7 are projected based on trends (not real forecast data) due to OpenWeather's 5-day limit.</p>
+                  <h4>Long-Range Forecast Confidence</h4>
+                  <p>Days 8-16 are real model output but less reliable, so they are shown with dashed borders as lower confidence.</p>
                 </div>
               </div>
 
@@ -0,0 +1,382 @@
+import { useState, useEffect, useRef } from 'react';
+import NavBar from '../components/navbar/navbar.jsx';
+import { usePreferences } from '../hooks/usePreferences.js';
+import {
+  formatTemperature,
+  formatWindSpeed,
+  convertTemperature,
+  convertPrecipitation,
+  getTemperatureSymbol,
+  getPrecipitationSymbol
+} from '../lib/math.js';
+import { searchPlace } from '../lib/geocode.js';
+import './CompareLocations.css';
+
+const API_URL = 'http://localhost:5000/api/weather/compare';
+const MIN_LOCATIONS = 2;
+const MAX_LOCATIONS = 6;
+
+// One color per compared location, used by every chart and card
+const SERIES_COLORS = ['#2fe79f', '#ffa500', '#61a8ff', '#ff6b6b', '#d68cff', '#ffd93d'];
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = { top: 16, right: 16, bottom: 32, left: 48 };
+
+const locationKey = (location) => `${Number(location.lat).toFixed(3)},${Number(location.lon).toFixed(3)}`;
+
+const niceTicks = (min, max, count = 5) => {
+  if (min === max) return [min];
+  const step = (max - min) / (count - 1);
+  return Array.from({ length: count }, (_, i) => min + step * i);
+};
+
+/**
+ * Lines on shared axes. x values are timestamps (ms).
+ * series: [{ label, color, dashed, points: [{ x, y }] }]
+ */
+function LineChart({ series, formatX, formatY, yFloor }) {
+  const points = series.flatMap(s => s.points).filter(p => p.y !== null && p.y !== undefined);
+
+  if (points.length === 0) {
+    return <div className="compare-chart-empty">No data</div>;
+  }
+
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+  let yMin = yFloor !== undefined ? Math.min(yFloor, ...ys) : Math.min(...ys);
+  let yMax = Math.max(...ys);
+  if (yMin === yMax) {
+    yMax += 1;
+    if (yFloor === undefined) yMin -= 1;
+  }
+
+  const innerWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const scaleX = (x) => CHART_PADDING.left + (xMax === xMin ? innerWidth / 2 : ((x - xMin) / (xMax - xMin)) * innerWidth);
+  const scaleY = (y) => CHART_PADDING.top + innerHeight - ((y - yMin) / (yMax - yMin)) * innerHeight;
+
+  return (
+    <svg className="compare-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+      {niceTicks(yMin, yMax).map((tick) => (
+        <g key={`y-${tick}`}>
+          <line className="compare-chart-grid" x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={scaleY(tick)} y2={scaleY(tick)} />
+          <text className="compare-chart-label" x={CHART_PADDING.left - 6} y={scaleY(tick) + 4} textAnchor="end">{formatY(tick)}</text>
+        </g>
+      ))}
+      {niceTicks(xMin, xMax, 6).map((tick) => (
+        <text key={`x-${tick}`} className="compare-chart-label" x={scaleX(tick)} y={CHART_HEIGHT - 8} textAnchor="middle">
+          {formatX(tick)}
+        </text>
+      ))}
+      {series.map((s) => (
+        <polyline
+          key={s.label}
+          fill="none"
+          stroke={s.color}
+          strokeWidth="2"
+          strokeDasharray={s.dashed ? '6 4' : undefined}
+          points={s.points
+            .filter(p => p.y !== null && p.y !== undefined)
+            .map(p => `${scaleX(p.x)},${scaleY(p.y)}`)
+            .join(' ')}
+        />
+      ))}
+    </svg>
+  );
+}
+
+function CompareLocations() {
+  const { preferences } = usePreferences();
+  const [savedLocations, setSavedLocations] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [searchInput, setSearchInput] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const latestRequest = useRef(0);
+
+  useEffect(() => {
+    fetchSavedLocations();
+  }, []);
+
+  useEffect(() => {
+    if (selected.length >= MIN_LOCATIONS) {
+      fetchComparison(selected);
+    } else {
+      latestRequest.current++;
+      setResults([]);
+      setLoading(false);
+    }
+  }, [selected]);
+
+  const fetchSavedLocations = async () => {
+    const token = localStorage.getItem('authToken');
+    if (!token) return;
+
+    try {
+      const res = await fetch('http://localhost:5000/api/user/locations', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/json'
+        }
+      });
+
+      if (res.ok) {
+        const data = await res.json();
+        const locations = (data.locations || []).map(location => ({
+          name: location.location_name,
+          lat: Number(location.latitude),
+          lon: Number(location.longitude)
+        }));
+        setSavedLocations(locations);
+        // Start with the user's top locations
+        setSelected(prev => (prev.length === 0 ? locations.slice(0, MIN_LOCATIONS) : prev));
+      }
+    } catch (err) {
+      console.error('Failed to fetch saved locations:', err);
+    }
+  };
+
+  const fetchComparison = async (locations) => {
+    // Only the latest selection's response is shown; older ones may arrive later
+    const requestId = ++latestRequest.current;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({
+        locations: locations.map(location => `${location.lat},${location.lon}`).join(';'),
+        hours: '48',
+        days: '7'
+      });
+
+      const res = await fetch(`${API_URL}?${params}`, {
+        headers: { 'Accept': 'application/json' }
+      });
+
+      const data = await res.json();
+      if (requestId !== latestRequest.current) return;
+
+      if (!res.ok || !data.success) {
+        throw new Error(data.errors?.join(', ') || data.message || 'Failed to load comparison');
+      }
+
+      setResults(data.locations);
+    } catch (err) {
+      console.error('Failed to load comparison:', err);
+      if (requestId === latestRequest.current) setError(err.message);
+    } finally {
+      if (requestId === latestRequest.current) setLoading(false);
+    }
+  };
+
+  const isSelected = (location) => selected.some(s => locationKey(s) === locationKey(location));
+
+  const toggleLocation = (location) => {
+    if (isSelected(location)) {
+      setSelected(prev => prev.filter(s => locationKey(s) !== locationKey(location)));
+    } else if (selected.length < MAX_LOCATIONS) {
+      setSelected(prev => [...prev, location]);
+    }
+  };
+
+  const addSearchedLocation = async () => {
+    if (!searchInput.trim() || selected.length >= MAX_LOCATIONS) return;
+
+    try {
+      const place = await searchPlace(searchInput);
+      if (!place) {
+        throw new Error(`No results found for "${searchInput}"`);
+      }
+
+      const location = {
+        name: [place.name, place.state, place.country].filter(Boolean).join(', '),
+        lat: place.latitude,
+        lon: place.longitude
+      };
+
+      if (!isSelected(location)) setSelected(prev => [...prev, location]);
+      setSearchInput('');
+    } catch (err) {
+      console.error('Failed to find location:', err);
+      setError(err.message);
+    }
+  };
+
+  const unit = preferences.temperature_unit;
+  const precipitationUnit = preferences.precipitation_unit;
+  const compared = results.map((result, index) => ({
+    ...result,
+    name: selected[index]?.name || result.location?.name || `${result.latitude}, ${result.longitude}`,
+    color: SERIES_COLORS[index % SERIES_COLORS.length]
+  }));
+  const available = compared.filter(location => !location.error);
+
+  const formatHour = (ms) => {
+    const date = new Date(ms);
+    return preferences.time_format === '12h'
+      ? date.toLocaleString([], { weekday: 'short', hour: 'numeric', hour12: true })
+      : date.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: false });
+  };
+  const formatDay = (ms) => new Date(ms).toLocaleDateString([], { weekday: 'short', day: 'numeric' });
+
+  const temperatureSeries = available.map(location => ({
+    label: location.name,
+    color: location.color,
+    points: location.hourly.map(hour => ({ x: Date.parse(hour.time), y: convertTemperature(hour.temperature_c, unit) }))
+  }));
+
+  const precipitationSeries = available.map(location => ({
+    label: location.name,
+    color: location.color,
+    points: location.hourly.map(hour => ({ x: Date.parse(hour.time), y: convertPrecipitation(hour.precipitation_mm, precipitationUnit) ?? 0 }))
+  }));
+
+  // Calendar days at noon so every location's days line up on the same axis
+  const dailySeries = available.flatMap(location => [
+    {
+      label: `${location.name} high`,
+      color: location.color,
+      points: location.daily.map(day => ({ x: Date.parse(`${day.date}T12:00:00`), y: convertTemperature(day.temperature_max_c, unit) }))
+    },
+    {
+      label: `${location.name} low`,
+      color: location.color,
+      dashed: true,
+      points: location.daily.map(day => ({ x: Date.parse(`${day.date}T12:00:00`), y: convertTemperature(day.temperature_min_c, unit) }))
+    }
+  ]);
+
+  return (
+    <>
+      <NavBar title="Compare Locations" />
+
+      <div className="compare-container">
+        {/* Location picker */}
+        <div className="compare-picker">
+          <p className="compare-hint">
+            Pick {MIN_LOCATIONS}–{MAX_LOCATIONS} locations ({selected.length} selected)
+          </p>
+
+          {savedLocations.length > 0 && (
+            <div className="compare-chips">
+              {savedLocations.map((location) => (
+                <button
+                  key={locationKey(location)}
+                  className={`compare-chip ${isSelected(location) ? 'active' : ''}`}
+                  onClick={() => toggleLocation(location)}
+                  disabled={!isSelected(location) && selected.length >= MAX_LOCATIONS}
+                >
+                  {location.name}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="compare-search">
+            <input
+              type="text"
+              placeholder="Add a city (e.g., London, Tokyo)"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              onKeyPress={(e) => e.key === 'Enter' && addSearchedLocation()}
+            />
+            <button onClick={addSearchedLocation} disabled={!searchInput.trim() || selected.length >= MAX_LOCATIONS}>
+              Add
+            </button>
+          </div>
+
+          {selected.length > 0 && (
+            <div className="compare-chips">
+              {selected.map((location, index) => (
+                <span key={locationKey(location)} className="compare-selected" style={{ borderColor: SERIES_COLORS[index % SERIES_COLORS.length] }}>
+                  {location.name}
+                  <button onClick={() => toggleLocation(location)} aria-label={`Remove ${location.name}`}>✕</button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {error && <div className="compare-error">{error}</div>}
+
+        {selected.length < MIN_LOCATIONS ? (
+          <div className="compare-empty">Choose at least {MIN_LOCATIONS} locations to compare.</div>
+        ) : loading && results.length === 0 ? (
+          <div className="compare-empty">Loading weather...</div>
+        ) : (
+          <>
+            {/* Current conditions */}
+            <div className="compare-current">
+              {compared.map((location) => (
+                <div key={`${location.latitude},${location.longitude}`} className="compare-card" style={{ borderTopColor: location.color }}>
+                  <h3>{location.name}</h3>
+                  {location.error ? (
+                    <p className="compare-card-error">Weather unavailable: {location.error}</p>
+                  ) : (
+                    <>
+                      <div className="compare-card-temp">{formatTemperature(location.current.temperature_c, unit, 0)}</div>
+                      <div className="compare-card-condition">{location.current.condition?.description || '–'}</div>
+                      <dl>
+                        <dt>Feels like</dt>
+                        <dd>{formatTemperature(location.current.feels_like_c, unit, 0)}</dd>
+                        <dt>Wind</dt>
+                        <dd>{formatWindSpeed(location.current.wind_speed_ms, preferences.wind_speed_unit)}</dd>
+                        <dt>Humidity</dt>
+                        <dd>{location.current.humidity_pct ?? '–'}%</dd>
+                      </dl>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {/* Hourly charts */}
+            <div className="compare-section">
+              <h3>Temperature, next 48 hours ({getTemperatureSymbol(unit)})</h3>
+              <LineChart
+                series={temperatureSeries}
+                formatX={formatHour}
+                formatY={(value) => Math.round(value)}
+              />
+            </div>
+
+            <div className="compare-section">
+              <h3>Precipitation, next 48 hours ({getPrecipitationSymbol(precipitationUnit)} per step)</h3>
+              <LineChart
+                series={precipitationSeries}
+                formatX={formatHour}
+                formatY={(value) => value.toFixed(precipitationUnit === 'inches' ? 2 : 1)}
+                yFloor={0}
+              />
+            </div>
+
+            {/* Daily highs and lows */}
+            <div className="compare-section">
+              <h3>Daily highs (solid) and lows (dashed), {getTemperatureSymbol(unit)}</h3>
+              <LineChart
+                series={dailySeries}
+                formatX={formatDay}
+                formatY={(value) => Math.round(value)}
+              />
+            </div>
+
+            <div className="compare-legend">
+              {available.map((location) => (
+                <span key={location.name}>
+                  <i style={{ background: location.color }} />
+                  {location.name}
+                </span>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default CompareLocations;
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import NavBar from '../components/navbar/navbar.jsx';
 import { usePreferences } from '../hooks/usePreferences.js';
+import { searchPlace } from '../lib/geocode.js';
 import { 
   formatTemperature, 
   formatWindSpeed, 
@@ -15,6 +16,37 @@ import {
 } from '../lib/math.js';
 import './SearchResults.css';
 
+const API_URL = 'http://localhost:5000/api/weather';
+
+const CONDITION_ICONS = {
+  Clear: '☀️',
+  Clouds: '☁️',
+  Rain: '🌧️',
+  Drizzle: '🌦️',
+  Thunderstorm: '⛈️',
+  Snow: '❄️',
+  Fog: '🌫️'
+};
+
+const getConditionIcon = (condition) => CONDITION_ICONS[condition?.main] || '🌤️';
+
+// Canonical air quality field -> label shown in the pollutant grid
+const POLLUTANTS = {
+  pm2_5_ugm3: 'PM2.5',
+  pm10_ugm3: 'PM10',
+  carbon_monoxide_ugm3: 'CO',
+  nitrogen_dioxide_ugm3: 'NO2',
+  sulphur_dioxide_ugm3: 'SO2',
+  ozone_ugm3: 'O3'
+};
+
+const fetchWeather = async (path, lat, lon, field, extra = '') => {
+  const res = await fetch(`${API_URL}/${path}?lat=${lat}&lon=${lon}${extra}`);
+  if (!res.ok) throw new Error('Weather data unavailable');
+  const data = await res.json();
+  return data[field];
+};
+
 function SearchResults() {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
@@ -40,48 +72,35 @@ function SearchResults() {
     setError(null);
 
     try {
-      const apiKey = import.meta.env.VITE_OPENWEATHER_API_KEY;
-
-      // Step 1: Geocode the location
-      const geoRes = await fetch(
-        `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(searchQuery)}&limit=1&appid=${apiKey}`
-      );
-
-      if (!geoRes.ok) throw new Error('Location not found');
-
-      const geoData = await geoRes.json();
-      if (!geoData || geoData.length === 0) {
+      // Step 1: Geocode the location through the backend proxy
+      const location = await searchPlace(searchQuery);
+      if (!location) {
         throw new Error(`No results found for "${searchQuery}"`);
       }
 
-      const location = geoData[0];
       setLocationData(location);
 
-      const { lat, lon } = location;
-
-      // Step 2: Fetch all weather data in parallel
-      const [currentRes, forecastRes, aqiRes] = await Promise.all([
-        fetch(`https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`),
-        fetch(`https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`),
-        fetch(`https://api.openweathermap.org/data/2.5/air_pollution?lat=${lat}&lon=${lon}&appid=${apiKey}`)
-      ]);
+      const { latitude: lat, longitude: lon } = location;
 
+      // Step 2: Fetch all weather data in parallel (canonical metric schema)
       const [currentData, forecastData, aqiData] = await Promise.all([
-        currentRes.json(),
-        forecastRes.json(),
-        aqiRes.json()
+        fetchWeather('current', lat, lon, 'current'),
+        fetchWeather('forecast', lat, lon, 'forecast', '&days=5'),
+        // Air quality is optional: the page still renders without it
+        fetchWeather('air-quality', lat, lon, 'airQuality').catch(() => null)
       ]);
 
       setCurrentWeather(currentData);
       setForecast(forecastData);
       setAirQuality(aqiData);
 
-      // Calculate astronomy data
-      setAstronomy({
-        sunrise: new Date(currentData.sys.sunrise * 1000),
-        sunset: new Date(currentData.sys.sunset * 1000),
-        timezone: currentData.timezone
-      });
+      if (currentData.sunrise && currentData.sunset) {
+        setAstronomy({
+          sunrise: new Date(currentData.sunrise),
+          sunset: new Date(currentData.sunset),
+          timezone: currentData.location.utc_offset_seconds
+        });
+      }
 
     } catch (err) {
       console.error('Search error:', err);
@@ -91,10 +110,13 @@ function SearchResults() {
     }
   };
 
+  // US AQI bands
   const getAQILevel = (aqi) => {
-    const levels = ['Good', 'Fair', 'Moderate', 'Poor', 'Very Poor'];
-    const colors = ['#51cf66', '#ffd43b', '#ff922b', '#ff6b6b', '#c92a2a'];
-    return { text: levels[aqi - 1] || 'Unknown', color: colors[aqi - 1] || '#999' };
+    if (aqi <= 50) return { text: 'Good', color: '#51cf66' };
+    if (aqi <= 100) return { text: 'Moderate', color: '#ffd43b' };
+    if (aqi <= 150) return { text: 'Unhealthy for Sensitive Groups', color: '#ff922b' };
+    if (aqi <= 200) return { text: 'Unhealthy', color: '#ff6b6b' };
+    return { text: 'Very Unhealthy', color: '#c92a2a' };
   };
 
   const getUVLevel = (uvi) => {
@@ -155,7 +177,10 @@ function SearchResults() {
     return null;
   }
 
-  const aqiLevel = airQuality?.list?.[0] ? getAQILevel(airQuality.list[0].main.aqi) : null;
+  const aqiLevel = airQuality?.us_aqi !== null && airQuality?.us_aqi !== undefined ? getAQILevel(airQuality.us_aqi) : null;
+  const today = forecast?.daily?.[0];
+  const seaLevelPressure = currentWeather.sea_level_pressure_hpa ?? currentWeather.pressure_hpa;
+  const utcOffsetHours = currentWeather.location.utc_offset_seconds / 3600;
 
   return (
     <>
@@ -171,7 +196,7 @@ function SearchResults() {
             </h1>
             <p className="location-country">{locationData.country}</p>
             <p className="location-coords">
-              📍 {locationData.lat.toFixed(4)}°, {locationData.lon.toFixed(4)}°
+              📍 {locationData.latitude.toFixed(4)}°, {locationData.longitude.toFixed(4)}°
             </p>
           </div>
           <button onClick={() => navigate('/')} className="home-btn">
@@ -182,28 +207,32 @@ function SearchResults() {
         {/* Current Weather Hero Section - WITH UNIT CONVERSION */}
         <div className="weather-hero">
           <div className="hero-left">
-            <img
-              src={`https://openweathermap.org/img/wn/${currentWeather.weather[0].icon}@4x.png`}
-              alt={currentWeather.weather[0].description}
+            <span
               className="weather-icon-large"
-            />
+              role="img"
+              aria-label={currentWeather.condition?.description || 'weather'}
+            >
+              {getConditionIcon(currentWeather.condition)}
+            </span>
             <div className="hero-temp">
               <span className="temp-value">
-                {Math.round(convertTemperature(currentWeather.main.temp, preferences.temperature_unit))}°
+                {Math.round(convertTemperature(currentWeather.temperature_c, preferences.temperature_unit))}°
               </span>
               <span className="temp-unit">{getTemperatureSymbol(preferences.temperature_unit).replace('°', '')}</span>
             </div>
           </div>
           <div className="hero-right">
-            <h2 className="weather-condition">{currentWeather.weather[0].main}</h2>
-            <p className="weather-description">{currentWeather.weather[0].description}</p>
+            <h2 className="weather-condition">{currentWeather.condition?.main || '--'}</h2>
+            <p className="weather-description">{currentWeather.condition?.description}</p>
             <div className="feels-like">
-              Feels like <strong>{formatTemperature(currentWeather.main.feels_like, preferences.temperature_unit)}</strong>
-            </div>
-            <div className="temp-range">
-              <span>↑ {formatTemperature(currentWeather.main.temp_max, preferences.temperature_unit)}</span>
-              <span>↓ {formatTemperature(currentWeather.main.temp_min, preferences.temperature_unit)}</span>
+              Feels like <strong>{formatTemperature(currentWeather.feels_like_c, preferences.temperature_unit)}</strong>
             </div>
+            {today && (
+              <div className="temp-range">
+                <span>↑ {formatTemperature(today.temperature_max_c, preferences.temperature_unit)}</span>
+                <span>↓ {formatTemperature(today.temperature_min_c, preferences.temperature_unit)}</span>
+              </div>
+            )}
           </div>
         </div>
 
@@ -213,8 +242,8 @@ function SearchResults() {
             <div className="metric-icon">💨</div>
             <div className="metric-content">
               <span className="metric-label">Wind Speed</span>
-              <span className="metric-value">{formatWindSpeed(currentWeather.wind.speed, preferences.wind_speed_unit)}</span>
-              <span className="metric-sub">{getWindDirection(currentWeather.wind.deg)} ({currentWeather.wind.deg}°)</span>
+              <span className="metric-value">{formatWindSpeed(currentWeather.wind_speed_ms, preferences.wind_speed_unit)}</span>
+              <span className="metric-sub">{getWindDirection(currentWeather.wind_direction_deg)} ({currentWeather.wind_direction_deg}°)</span>
             </div>
           </div>
 
@@ -222,8 +251,8 @@ function SearchResults() {
             <div className="metric-icon">💧</div>
             <div className="metric-content">
               <span className="metric-label">Humidity</span>
-              <span className="metric-value">{currentWeather.main.humidity}%</span>
-              <span className="metric-sub">Dew point: {formatTemperature(currentWeather.main.temp - ((100 - currentWeather.main.humidity) / 5), preferences.temperature_unit)}</span>
+              <span className="metric-value">{currentWeather.humidity_pct}%</span>
+              <span className="metric-sub">Dew point: {formatTemperature(currentWeather.temperature_c - ((100 - currentWeather.humidity_pct) / 5), preferences.temperature_unit)}</span>
             </div>
           </div>
 
@@ -231,8 +260,8 @@ function SearchResults() {
             <div className="metric-icon">🔽</div>
             <div className="metric-content">
               <span className="metric-label">Pressure</span>
-              <span className="metric-value">{formatPressure(currentWeather.main.pressure, preferences.pressure_unit)}</span>
-              <span className="metric-sub">Sea level: {formatPressure(currentWeather.main.sea_level || currentWeather.main.pressure, preferences.pressure_unit)}</span>
+              <span className="metric-value">{formatPressure(seaLevelPressure, preferences.pressure_unit)}</span>
+              <span className="metric-sub">Surface: {formatPressure(currentWeather.pressure_hpa, preferences.pressure_unit)}</span>
             </div>
           </div>
 
@@ -240,8 +269,10 @@ function SearchResults() {
             <div className="metric-icon">👁️</div>
             <div className="metric-content">
               <span className="metric-label">Visibility</span>
-              <span className="metric-value">{(currentWeather.visibility / 1000).toFixed(1)} km</span>
-              <span className="metric-sub">{currentWeather.visibility >= 10000 ? 'Excellent' : currentWeather.visibility >= 5000 ? 'Good' : 'Moderate'}</span>
+              <span className="metric-value">
+                {currentWeather.visibility_m !== null ? `${(currentWeather.visibility_m / 1000).toFixed(1)} km` : '--'}
+              </span>
+              <span className="metric-sub">{currentWeather.visibility_m >= 10000 ? 'Excellent' : currentWeather.visibility_m >= 5000 ? 'Good' : 'Moderate'}</span>
             </div>
           </div>
 
@@ -249,8 +280,8 @@ function SearchResults() {
             <div className="metric-icon">☁️</div>
             <div className="metric-content">
               <span className="metric-label">Cloudiness</span>
-              <span className="metric-value">{currentWeather.clouds.all}%</span>
-              <span className="metric-sub">{currentWeather.clouds.all < 20 ? 'Clear' : currentWeather.clouds.all < 50 ? 'Partly Cloudy' : 'Cloudy'}</span>
+              <span className="metric-value">{currentWeather.cloud_cover_pct}%</span>
+              <span className="metric-sub">{currentWeather.cloud_cover_pct < 20 ? 'Clear' : currentWeather.cloud_cover_pct < 50 ? 'Partly Cloudy' : 'Cloudy'}</span>
             </div>
           </div>
 
@@ -260,7 +291,7 @@ function SearchResults() {
               <div className="metric-content">
                 <span className="metric-label">Air Quality</span>
                 <span className="metric-value" style={{ color: aqiLevel.color }}>{aqiLevel.text}</span>
-                <span className="metric-sub">PM2.5: {airQuality.list[0].components.pm2_5.toFixed(1)} µg/m³</span>
+                <span className="metric-sub">US AQI {airQuality.us_aqi}</span>
               </div>
             </div>
           )}
@@ -299,14 +330,14 @@ function SearchResults() {
         )}
 
         {/* Detailed Air Quality */}
-        {airQuality?.list?.[0] && (
+        {airQuality && (
           <div className="air-quality-section">
             <h2 className="section-title">🌫️ Air Quality Details</h2>
             <div className="pollutants-grid">
-              {Object.entries(airQuality.list[0].components).map(([key, value]) => (
-                <div key={key} className="pollutant-card">
-                  <span className="pollutant-name">{key.toUpperCase().replace('_', '.')}</span>
-                  <span className="pollutant-value">{value.toFixed(2)}</span>
+              {Object.entries(POLLUTANTS).filter(([field]) => airQuality[field] !== null).map(([field, label]) => (
+                <div key={field} className="pollutant-card">
+                  <span className="pollutant-name">{label}</span>
+                  <span className="pollutant-value">{airQuality[field].toFixed(2)}</span>
                   <span className="pollutant-unit">µg/m³</span>
                 </div>
               ))}
@@ -319,26 +350,24 @@ function SearchResults() {
           <div className="forecast-section">
             <h2 className="section-title">📅 5-Day Forecast</h2>
             <div className="forecast-timeline">
-              {forecast.list.filter((_, i) => i % 8 === 0).slice(0, 5).map((item, index) => (
-                <div key={index} className="forecast-day">
+              {forecast.daily.slice(0, 5).map((day) => (
+                <div key={day.date} className="forecast-day">
                   <span className="forecast-date">
-                    {new Date(item.dt * 1000).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                    {new Date(`${day.date}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                  </span>
+                  <span className="forecast-icon" role="img" aria-label={day.condition?.description || 'weather'}>
+                    {getConditionIcon(day.condition)}
                   </span>
-                  <img
-                    src={`https://openweathermap.org/img/wn/${item.weather[0].icon}@2x.png`}
-                    alt={item.weather[0].description}
-                    className="forecast-icon"
-                  />
-                  <span className="forecast-desc">{item.weather[0].main}</span>
+                  <span className="forecast-desc">{day.condition?.main || '--'}</span>
                   <div className="forecast-temps">
                     <span className="temp-high">
-                      {Math.round(convertTemperature(item.main.temp_max, preferences.temperature_unit))}°
+                      {Math.round(convertTemperature(day.temperature_max_c, preferences.temperature_unit))}°
                     </span>
                     <span className="temp-low">
-                      {Math.round(convertTemperature(item.main.temp_min, preferences.temperature_unit))}°
+                      {Math.round(convertTemperature(day.temperature_min_c, preferences.temperature_unit))}°
                     </span>
                   </div>
-                  <span className="forecast-precip">💧 {item.pop * 100}%</span>
+                  <span className="forecast-precip">💧 {day.precipitation_probability_pct ?? 0}%</span>
                 </div>
               ))}
             </div>
@@ -352,39 +381,32 @@ function SearchResults() {
             <div className="detail-item">
               <span className="detail-label">Ground Level Pressure</span>
               <span className="detail-value">
-                {formatPressure(currentWeather.main.grnd_level || currentWeather.main.pressure, preferences.pressure_unit)}
+                {formatPressure(currentWeather.pressure_hpa, preferences.pressure_unit)}
               </span>
             </div>
 
-            {currentWeather.wind.gust && (
+            {currentWeather.wind_gust_ms !== null && (
               <div className="detail-item">
                 <span className="detail-label">Wind Gust</span>
-                <span className="detail-value">{formatWindSpeed(currentWeather.wind.gust, preferences.wind_speed_unit)}</span>
-              </div>
-            )}
-
-            {currentWeather.rain && (
-              <div className="detail-item">
-                <span className="detail-label">Rain (1h)</span>
-                <span className="detail-value">{currentWeather.rain['1h']} mm</span>
+                <span className="detail-value">{formatWindSpeed(currentWeather.wind_gust_ms, preferences.wind_speed_unit)}</span>
               </div>
             )}
 
-            {currentWeather.snow && (
+            {currentWeather.precipitation_mm > 0 && (
               <div className="detail-item">
-                <span className="detail-label">Snow (1h)</span>
-                <span className="detail-value">{currentWeather.snow['1h']} mm</span>
+                <span className="detail-label">Precipitation (1h)</span>
+                <span className="detail-value">{currentWeather.precipitation_mm} mm</span>
               </div>
             )}
 
             <div className="detail-item">
               <span className="detail-label">Data Updated</span>
-              <span className="detail-value">{new Date(currentWeather.dt * 1000).toLocaleTimeString()}</span>
+              <span className="detail-value">{new Date(currentWeather.observed_at).toLocaleTimeString()}</span>
             </div>
 
             <div className="detail-item">
               <span className="detail-label">Timezone</span>
-              <span className="detail-value">UTC {currentWeather.timezone >= 0 ? '+' : ''}{currentWeather.timezone / 3600}</span>
+              <span className="detail-value">UTC {utcOffsetHours >= 0 ? '+' : ''}{utcOffsetHours}</span>
             </div>
           </div>
         </div>
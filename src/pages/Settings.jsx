@@ -36,6 +36,16 @@ function Settings() {
     dataSharing: false,
   });
 
+  // Alert subscription states
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [alertHazards, setAlertHazards] = useState([]);
+  const [savedLocations, setSavedLocations] = useState([]);
+  const [newSubscription, setNewSubscription] = useState({
+    location_id: '',
+    alert_type: '',
+    min_severity: 'WATCH',
+  });
+
   useEffect(() => {
     const token = localStorage.getItem('authToken');
     const userData = localStorage.getItem('user');
@@ -47,6 +57,7 @@ function Settings() {
 
     setUser(JSON.parse(userData));
     fetchAccountSettings(token);
+    fetchAlertSubscriptions(token);
     
     // ADDED: Listen for logout to clear settings
     const handleLogout = () => {
@@ -58,6 +69,8 @@ function Settings() {
         weeklyDigest: false,
         dataSharing: false,
       });
+      setSubscriptions([]);
+      setSavedLocations([]);
     };
     
     window.addEventListener('user-logout', handleLogout);
@@ -108,6 +121,31 @@ function Settings() {
     }
   };
 
+  const fetchAlertSubscriptions = async (token) => {
+    try {
+      const headers = {
+        'Authorization': `Bearer ${token}`,
+        'Accept': 'application/json'
+      };
+      const [subsRes, locationsRes] = await Promise.all([
+        fetch('http://localhost:5000/api/alerts/subscriptions', { headers }),
+        fetch('http://localhost:5000/api/user/locations', { headers })
+      ]);
+
+      if (subsRes.ok) {
+        const data = await subsRes.json();
+        setSubscriptions(data.subscriptions || []);
+        setAlertHazards(data.hazards || []);
+      }
+      if (locationsRes.ok) {
+        const data = await locationsRes.json();
+        setSavedLocations(data.locations || []);
+      }
+    } catch (err) {
+      console.error('Failed to fetch alert subscriptions:', err);
+    }
+  };
+
   // PASSWORD CHANGE FUNCTIONS
   const sendPasswordOtp = async () => {
     const token = localStorage.getItem('authToken');
@@ -330,6 +368,65 @@ function Settings() {
     }
   };
 
+  // ALERT SUBSCRIPTION FUNCTIONS
+  const requestSubscription = async (url, method, body) => {
+    const token = localStorage.getItem('authToken');
+    const res = await fetch(url, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) throw new Error(data.errors?.join(', ') || data.message || 'Request failed');
+
+    return data;
+  };
+
+  const addSubscription = async () => {
+    setStatus({ loading: true, message: 'Adding subscription...', type: 'info' });
+
+    try {
+      const data = await requestSubscription('http://localhost:5000/api/alerts/subscriptions', 'POST', {
+        ...newSubscription,
+        location_id: Number(newSubscription.location_id)
+      });
+
+      setSubscriptions(prev => [...prev, data.subscription]);
+      setNewSubscription({ location_id: '', alert_type: '', min_severity: 'WATCH' });
+      setStatus({ loading: false, message: 'Subscription added!', type: 'success' });
+
+      setTimeout(() => setStatus({ loading: false, message: '', type: '' }), 3000);
+    } catch (err) {
+      setStatus({ loading: false, message: err.message, type: 'error' });
+    }
+  };
+
+  const updateSubscription = async (id, changes) => {
+    try {
+      const data = await requestSubscription(`http://localhost:5000/api/alerts/subscriptions/${id}`, 'PUT', changes);
+      setSubscriptions(prev => prev.map(sub => (sub.id === id ? data.subscription : sub)));
+    } catch (err) {
+      setStatus({ loading: false, message: err.message, type: 'error' });
+    }
+  };
+
+  const removeSubscription = async (id) => {
+    try {
+      await requestSubscription(`http://localhost:5000/api/alerts/subscriptions/${id}`, 'DELETE');
+      setSubscriptions(prev => prev.filter(sub => sub.id !== id));
+    } catch (err) {
+      setStatus({ loading: false, message: err.message, type: 'error' });
+    }
+  };
+
+  const formatHazard = (hazard) => hazard.charAt(0) + hazard.slice(1).toLowerCase().replace('_', ' ');
+
   const deleteAccount = async () => {
     const confirmed = window.confirm(
       '⚠️ Are you sure you want to delete your account?\n\nThis action cannot be undone. All your data, saved locations, and preferences will be permanently deleted.'
@@ -675,6 +772,110 @@ function Settings() {
                 </button>
               </div>
 
+              <div className="settings-section">
+                <h2 className="settings-section-title">Alert Subscriptions</h2>
+                <p className="settings-help-text">
+                  Choose which hazards to be alerted about for each saved location.
+                  Every alert email has a one-click unsubscribe link.
+                </p>
+
+                {!accountSettings.weatherAlerts && (
+                  <div className="settings-notice settings-notice-info">
+                    Severe Weather Alerts are turned off, so no alerts are sent. Turn them on above and save to resume.
+                  </div>
+                )}
+
+                {subscriptions.length > 0 ? (
+                  <ul className="settings-subscription-list">
+                    {subscriptions.map(sub => (
+                      <li
+                        key={sub.id}
+                        className={`settings-subscription-item ${sub.is_active && accountSettings.weatherAlerts ? '' : 'paused'}`}
+                      >
+                        <div className="settings-subscription-info">
+                          <span className="settings-checkbox-title">{formatHazard(sub.alert_type)}</span>
+                          <span className="settings-checkbox-desc">
+                            📍 {sub.location_name}{!sub.is_active && ' · paused'}
+                          </span>
+                        </div>
+                        <select
+                          className="settings-select"
+                          value={sub.min_severity}
+                          onChange={(e) => updateSubscription(sub.id, { min_severity: e.target.value })}
+                          aria-label="Minimum level"
+                        >
+                          <option value="WATCH">Watch and above</option>
+                          <option value="WARNING">Warning and above</option>
+                          <option value="EMERGENCY">Emergency only</option>
+                        </select>
+                        <div className="settings-btn-group">
+                          <button
+                            className="settings-btn settings-btn-link"
+                            onClick={() => updateSubscription(sub.id, { is_active: !sub.is_active })}
+                          >
+                            {sub.is_active ? 'Pause' : 'Resume'}
+                          </button>
+                          <button
+                            className="settings-btn settings-btn-link"
+                            onClick={() => removeSubscription(sub.id)}
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="settings-help-text">No alert subscriptions yet.</p>
+                )}
+
+                {savedLocations.length === 0 ? (
+                  <p className="settings-help-text">Save a location first to subscribe to its alerts.</p>
+                ) : (
+                  <div className="settings-subscription-form">
+                    <select
+                      className="settings-select"
+                      value={newSubscription.location_id}
+                      onChange={(e) => setNewSubscription({ ...newSubscription, location_id: e.target.value })}
+                      aria-label="Location"
+                    >
+                      <option value="">Location...</option>
+                      {savedLocations.map(location => (
+                        <option key={location.id} value={location.id}>{location.location_name}</option>
+                      ))}
+                    </select>
+                    <select
+                      className="settings-select"
+                      value={newSubscription.alert_type}
+                      onChange={(e) => setNewSubscription({ ...newSubscription, alert_type: e.target.value })}
+                      aria-label="Hazard"
+                    >
+                      <option value="">Hazard...</option>
+                      {alertHazards.map(hazard => (
+                        <option key={hazard} value={hazard}>{formatHazard(hazard)}</option>
+                      ))}
+                    </select>
+                    <select
+                      className="settings-select"
+                      value={newSubscription.min_severity}
+                      onChange={(e) => setNewSubscription({ ...newSubscription, min_severity: e.target.value })}
+                      aria-label="Minimum level"
+                    >
+                      <option value="WATCH">Watch and above</option>
+                      <option value="WARNING">Warning and above</option>
+                      <option value="EMERGENCY">Emergency only</option>
+                    </select>
+                    <button
+                      className="settings-btn settings-btn-secondary"
+                      onClick={addSubscription}
+                      disabled={status.loading || !newSubscription.location_id || !newSubscription.alert_type}
+                    >
+                      Subscribe
+                    </button>
+                  </div>
+                )}
+              </div>
+
               <div className="settings-section">
                 <h2 className="settings-section-title">Privacy & Data</h2>
 
@@ -1,13 +1,16 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import NavBar from './components/navbar/navbar.jsx';
+import { usePreferences } from './hooks/usePreferences.js';
+import { formatTemperature, formatWindSpeed, formatPrecipitation } from './lib/math.js';
+import { searchPlace } from './lib/geocode.js';
 import './profile.css';
 import { DndContext, closestCenter, KeyboardSensor, PointerSensor, useSensor, useSensors } from '@dnd-kit/core';
 import { arrayMove, SortableContext, sortableKeyboardCoordinates, verticalListSortingStrategy, useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 
 // Sortable Location Item Component
-function SortableLocationItem({ location, onRemove }) {
+function SortableLocationItem({ location, groups, onRemove, onSave }) {
   const {
     attributes,
     listeners,
@@ -16,6 +19,8 @@ function SortableLocationItem({ location, onRemove }) {
     transition,
     isDragging,
   } = useSortable({ id: location.id });
+  const [editing, setEditing] = useState(false);
+  const [details, setDetails] = useState({ group_id: '', labels: '', notes: '' });
 
   const style = {
     transform: CSS.Transform.toString(transform),
@@ -23,6 +28,26 @@ function SortableLocationItem({ location, onRemove }) {
     opacity: isDragging ? 0.5 : 1,
   };
 
+  const group = groups.find(g => g.id === location.group_id);
+
+  const startEditing = () => {
+    setDetails({
+      group_id: location.group_id ? String(location.group_id) : '',
+      labels: (location.labels || []).join(', '),
+      notes: location.notes || ''
+    });
+    setEditing(true);
+  };
+
+  const saveDetails = async () => {
+    const saved = await onSave(location.id, {
+      group_id: details.group_id ? Number(details.group_id) : null,
+      labels: details.labels.split(',').map(label => label.trim()).filter(Boolean),
+      notes: details.notes
+    });
+    if (saved) setEditing(false);
+  };
+
   return (
     <div
       ref={setNodeRef}
@@ -33,19 +58,70 @@ function SortableLocationItem({ location, onRemove }) {
         ⋮⋮
       </div>
       <div className="location-info">
-        <span className="location-name">{location.location_name}</span>
+        <span className="location-name">
+          {location.location_name}
+          {group && (
+            <span className="location-group-badge" style={{ borderColor: group.color, color: group.color }}>
+              {group.name}
+            </span>
+          )}
+        </span>
         <span className="location-coords">
           {typeof location.latitude === 'number' ? location.latitude.toFixed(4) : location.latitude}°, {typeof location.longitude === 'number' ? location.longitude.toFixed(4) : location.longitude}°
         </span>
+        {location.labels?.length > 0 && (
+          <span className="location-labels">
+            {location.labels.map(label => <span key={label} className="location-label">{label}</span>)}
+          </span>
+        )}
+        {location.notes && <span className="location-notes">{location.notes}</span>}
         <span className="location-rank">Rank: #{location.rank + 1}</span>
+
+        {editing && (
+          <div className="location-details-form">
+            <select
+              className="preference-select"
+              value={details.group_id}
+              onChange={(e) => setDetails({ ...details, group_id: e.target.value })}
+            >
+              <option value="">No group</option>
+              {groups.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+            </select>
+            <input
+              type="text"
+              className="location-input"
+              placeholder="Labels, comma separated (e.g. critical, 24/7)"
+              value={details.labels}
+              onChange={(e) => setDetails({ ...details, labels: e.target.value })}
+            />
+            <textarea
+              className="location-input"
+              placeholder="Notes"
+              rows={2}
+              value={details.notes}
+              onChange={(e) => setDetails({ ...details, notes: e.target.value })}
+            />
+            <div className="location-details-actions">
+              <button className="location-add-btn" onClick={saveDetails}>Save</button>
+              <button className="location-secondary-btn" onClick={() => setEditing(false)}>Cancel</button>
+            </div>
+          </div>
+        )}
+      </div>
+      <div className="location-actions">
+        {!editing && (
+          <button className="location-secondary-btn" onClick={startEditing}>
+            Edit
+          </button>
+        )}
+        <button
+          className="location-remove-btn"
+          onClick={() => onRemove(location.id)}
+          aria-label="Remove location"
+        >
+          Remove
+        </button>
       </div>
-      <button
-        className="location-remove-btn"
-        onClick={() => onRemove(location.id)}
-        aria-label="Remove location"
-      >
-        Remove
-      </button>
     </div>
   );
 }
@@ -53,6 +129,7 @@ function SortableLocationItem({ location, onRemove }) {
 function ProfilePage() {
     const navigate = useNavigate();
     const [user, setUser] = useState(null);
+    const { preferences: savedPreferences, updatePreferences } = usePreferences();
     const [preferences, setPreferences] = useState({
         preferred_location: '',
         temperature_unit: 'celsius',
@@ -64,9 +141,13 @@ function ProfilePage() {
         notifications_enabled: true,
     });
     const [savedLocations, setSavedLocations] = useState([]);
+    const [groups, setGroups] = useState([]);
+    const [newGroup, setNewGroup] = useState({ name: '', color: '#2fe79f' });
+    const [groupPanel, setGroupPanel] = useState(null);
     const [locationInput, setLocationInput] = useState('');
     const [status, setStatus] = useState({ loading: false, message: '', type: '' });
     const [activeTab, setActiveTab] = useState('profile');
+    const reorderRequestRef = useRef(0);
 
     // Drag and drop sensors
     const sensors = useSensors(
@@ -87,8 +168,8 @@ function ProfilePage() {
         }
 
         setUser(JSON.parse(userData));
-        fetchUserPreferences(token);
         fetchSavedLocations(token);
+        fetchGroups(token);
 
         // Check URL query param for initial tab
         const params = new URLSearchParams(window.location.search);
@@ -98,9 +179,14 @@ function ProfilePage() {
         }
     }, [navigate]);
 
-    const fetchUserPreferences = async (token) => {
+    // Start the form from the saved preferences (and follow changes made in other tabs)
+    useEffect(() => {
+        setPreferences(prev => ({ ...prev, ...savedPreferences, preferred_location: savedPreferences.preferred_location || '' }));
+    }, [savedPreferences]);
+
+    const fetchSavedLocations = async (token) => {
         try {
-            const res = await fetch('http://localhost:5000/api/user/preferences', {
+            const res = await fetch('http://localhost:5000/api/user/locations', {
                 headers: {
                     'Authorization': `Bearer ${token}`,
                     'Accept': 'application/json'
@@ -109,19 +195,16 @@ function ProfilePage() {
 
             if (res.ok) {
                 const data = await res.json();
-                if (data.preferences) {
-                    setPreferences(prev => ({ ...prev, ...data.preferences }));
-                    console.log('Loaded preferences:', data.preferences);
-                }
+                setSavedLocations(data.locations || []);
             }
         } catch (err) {
-            console.error('Failed to fetch preferences:', err);
+            console.error('Failed to fetch locations:', err);
         }
     };
 
-    const fetchSavedLocations = async (token) => {
+    const fetchGroups = async (token) => {
         try {
-            const res = await fetch('http://localhost:5000/api/user/locations', {
+            const res = await fetch('http://localhost:5000/api/user/location-groups', {
                 headers: {
                     'Authorization': `Bearer ${token}`,
                     'Accept': 'application/json'
@@ -130,59 +213,217 @@ function ProfilePage() {
 
             if (res.ok) {
                 const data = await res.json();
-                setSavedLocations(data.locations || []);
+                setGroups(data.groups || []);
             }
         } catch (err) {
-            console.error('Failed to fetch locations:', err);
+            console.error('Failed to fetch location groups:', err);
         }
     };
 
-    const handlePreferenceChange = (key, value) => {
-        setPreferences(prev => ({ ...prev, [key]: value }));
-        console.log(`Preference changed: ${key} = ${value}`);
+    const createGroup = async () => {
+        if (!newGroup.name.trim()) return;
+
+        const token = localStorage.getItem('authToken');
+
+        try {
+            const res = await fetch('http://localhost:5000/api/user/location-groups', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(newGroup)
+            });
+
+            const data = await res.json();
+
+            if (!res.ok) throw new Error(data.message || 'Failed to create group');
+
+            setGroups(prev => [...prev, data.group].sort((a, b) => a.name.localeCompare(b.name)));
+            setNewGroup({ name: '', color: '#2fe79f' });
+        } catch (err) {
+            console.error('Failed to create group:', err);
+            setStatus({ loading: false, message: err.message, type: 'error' });
+        }
     };
 
-    const savePreferences = async () => {
-        setStatus({ loading: true, message: 'Saving preferences...', type: 'info' });
-        
+    const renameGroup = async (group) => {
+        const name = prompt('Group name', group.name);
+        if (!name || name.trim() === group.name) return;
+
         const token = localStorage.getItem('authToken');
-        
+
         try {
-            console.log('Saving preferences:', preferences);
-            
-            const res = await fetch('http://localhost:5000/api/user/preferences', {
+            const res = await fetch(`http://localhost:5000/api/user/location-groups/${group.id}`, {
                 method: 'PUT',
                 headers: {
                     'Authorization': `Bearer ${token}`,
                     'Content-Type': 'application/json',
                     'Accept': 'application/json'
                 },
-                body: JSON.stringify(preferences)
+                body: JSON.stringify({ name: name.trim() })
+            });
+
+            const data = await res.json();
+
+            if (!res.ok) throw new Error(data.message || 'Failed to rename group');
+
+            setGroups(prev => prev.map(g => (g.id === group.id ? { ...g, ...data.group } : g)));
+        } catch (err) {
+            console.error('Failed to rename group:', err);
+            setStatus({ loading: false, message: err.message, type: 'error' });
+        }
+    };
+
+    const deleteGroup = async (group) => {
+        if (!confirm(`Delete the group "${group.name}"? Its locations stay saved.`)) return;
+
+        const token = localStorage.getItem('authToken');
+
+        try {
+            const res = await fetch(`http://localhost:5000/api/user/location-groups/${group.id}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!res.ok) throw new Error('Failed to delete group');
+
+            setGroups(prev => prev.filter(g => g.id !== group.id));
+            setSavedLocations(prev => prev.map(loc => (loc.group_id === group.id ? { ...loc, group_id: null } : loc)));
+            if (groupPanel?.group.id === group.id) setGroupPanel(null);
+        } catch (err) {
+            console.error('Failed to delete group:', err);
+        }
+    };
+
+    const showGroupForecast = async (group) => {
+        const token = localStorage.getItem('authToken');
+        setGroupPanel({ type: 'forecast', group, loading: true });
+
+        try {
+            const res = await fetch(`http://localhost:5000/api/user/location-groups/${group.id}/forecast?days=3`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Accept': 'application/json'
+                }
             });
 
             const data = await res.json();
 
-            if (!res.ok) {
-                throw new Error(data.message || 'Failed to save preferences');
+            if (!res.ok) throw new Error(data.message || 'Failed to load forecast');
+
+            setGroupPanel({ type: 'forecast', group, summary: data.summary, locations: data.locations });
+        } catch (err) {
+            console.error('Failed to load group forecast:', err);
+            setGroupPanel({ type: 'forecast', group, error: err.message });
+        }
+    };
+
+    const showGroupSubscribe = async (group) => {
+        const token = localStorage.getItem('authToken');
+        setGroupPanel({ type: 'subscribe', group, hazards: [], selected: [], min_severity: 'WATCH' });
+
+        try {
+            const res = await fetch('http://localhost:5000/api/alerts/subscriptions', {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (res.ok) {
+                const data = await res.json();
+                setGroupPanel(prev => (prev?.group.id === group.id ? { ...prev, hazards: data.hazards || [] } : prev));
             }
+        } catch (err) {
+            console.error('Failed to fetch alert hazards:', err);
+        }
+    };
 
-            console.log('✅ Preferences saved:', data.preferences);
+    const subscribeGroup = async () => {
+        const token = localStorage.getItem('authToken');
+        const { group, selected, min_severity } = groupPanel;
 
+        try {
+            const res = await fetch(`http://localhost:5000/api/user/location-groups/${group.id}/subscriptions`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({ alert_types: selected, min_severity })
+            });
+
+            const data = await res.json();
+
+            if (!res.ok) throw new Error(data.errors?.join(', ') || data.message || 'Failed to subscribe group');
+
+            setGroupPanel(null);
+            setStatus({ loading: false, message: data.message, type: 'success' });
+            setTimeout(() => setStatus({ loading: false, message: '', type: '' }), 3000);
+        } catch (err) {
+            console.error('Failed to subscribe group:', err);
+            setStatus({ loading: false, message: err.message, type: 'error' });
+        }
+    };
+
+    const saveLocationDetails = async (locationId, details) => {
+        const token = localStorage.getItem('authToken');
+
+        try {
+            const res = await fetch(`http://localhost:5000/api/user/locations/${locationId}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(details)
+            });
+
+            const data = await res.json();
+
+            if (!res.ok) throw new Error(data.errors?.join(', ') || data.message || 'Failed to update location');
+
+            setSavedLocations(prev => prev.map(loc => (loc.id === locationId ? data.location : loc)));
+            // Location counts per group may have changed
+            fetchGroups(token);
+            return true;
+        } catch (err) {
+            console.error('Failed to update location:', err);
+            setStatus({ loading: false, message: err.message, type: 'error' });
+            return false;
+        }
+    };
+
+    const handlePreferenceChange = (key, value) => {
+        setPreferences(prev => ({ ...prev, [key]: value }));
+        console.log(`Preference changed: ${key} = ${value}`);
+    };
+
+    const savePreferences = async () => {
+        setStatus({ loading: true, message: 'Saving preferences...', type: 'info' });
+
+        // Every page using usePreferences switches to the new units straight away
+        const saved = await updatePreferences(preferences);
+
+        if (saved) {
             setStatus({ 
                 loading: false, 
                 message: 'Preferences saved successfully!', 
                 type: 'success' 
             });
             
-            // Dispatch custom event to notify other components
-            window.dispatchEvent(new Event('preferencesUpdated'));
-            
             setTimeout(() => setStatus({ loading: false, message: '', type: '' }), 3000);
-        } catch (err) {
-            console.error('Save preferences error:', err);
+        } else {
             setStatus({ 
                 loading: false, 
-                message: err.message || 'Failed to save preferences', 
+                message: 'Failed to save preferences', 
                 type: 'error' 
             });
         }
@@ -195,28 +436,16 @@ function ProfilePage() {
         setStatus({ loading: true, message: 'Adding location...', type: 'info' });
 
         try {
-            // Step 1: Geocode the location using OpenWeather Geocoding API
-            const apiKey = import.meta.env.VITE_OPENWEATHER_API_KEY;
-            const geocodeUrl = `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(locationInput)}&limit=5&appid=${apiKey}`;
-            
+            // Step 1: Geocode the location through the backend (best match first)
             console.log('Searching for location:', locationInput);
             
-            const geoRes = await fetch(geocodeUrl);
+            const location = await searchPlace(locationInput);
             
-            if (!geoRes.ok) {
-                throw new Error('Failed to search for location');
-            }
-            
-            const geoData = await geoRes.json();
-            
-            if (!geoData || geoData.length === 0) {
+            if (!location) {
                 throw new Error('Location not found. Try a different search term.');
             }
-
-            // Use the first (most relevant) result
-            const location = geoData[0];
             
-            // Construct standardized location name from OpenWeather response
+            // Construct standardized location name
             // Format: "City, State, Country" or "City, Country" if no state
             const locationParts = [location.name];
             
@@ -224,15 +453,16 @@ function ProfilePage() {
                 locationParts.push(location.state);
             }
             
-            locationParts.push(location.country);
+            if (location.country) {
+                locationParts.push(location.country);
+            }
             
             const standardizedName = locationParts.join(', ');
             
             console.log('Found location:', {
                 name: standardizedName,
-                lat: location.lat,
-                lon: location.lon,
-                local_names: location.local_names
+                lat: location.latitude,
+                lon: location.longitude
             });
 
             // Step 2: Save to backend with standardized name
@@ -245,8 +475,8 @@ function ProfilePage() {
                 },
                 body: JSON.stringify({
                     location_name: standardizedName,
-                    latitude: location.lat,
-                    longitude: location.lon
+                    latitude: location.latitude,
+                    longitude: location.longitude
                 })
             });
 
@@ -301,29 +531,26 @@ function ProfilePage() {
         }
     };
 
-    const handleDragEnd = async (event) => {
+    const handleDragEnd = (event) => {
         const { active, over } = event;
+        if (!over || active.id === over.id) return;
 
-        if (active.id !== over.id) {
-            setSavedLocations((items) => {
-                const oldIndex = items.findIndex((item) => item.id === active.id);
-                const newIndex = items.findIndex((item) => item.id === over.id);
-
-                const newItems = arrayMove(items, oldIndex, newIndex);
+        const oldIndex = savedLocations.findIndex((item) => item.id === active.id);
+        const newIndex = savedLocations.findIndex((item) => item.id === over.id);
+        const newItems = arrayMove(savedLocations, oldIndex, newIndex)
+            .map((item, index) => ({ ...item, rank: index }));
 
-                // Update ranks in backend
-                updateLocationRanks(newItems.map(item => item.id));
-
-                return newItems;
-            });
-        }
+        setSavedLocations(newItems);
+        updateLocationRanks(newItems.map(item => item.id));
     };
 
     const updateLocationRanks = async (locationIds) => {
         const token = localStorage.getItem('authToken');
+        // A newer drag supersedes this one; its response must not put back an older order
+        const requestId = ++reorderRequestRef.current;
 
         try {
-            await fetch('http://localhost:5000/api/user/locations/reorder', {
+            const res = await fetch('http://localhost:5000/api/user/locations/reorder', {
                 method: 'PUT',
                 headers: {
                     'Authorization': `Bearer ${token}`,
@@ -332,8 +559,15 @@ function ProfilePage() {
                 },
                 body: JSON.stringify({ locationIds })
             });
+
+            if (!res.ok) throw new Error('Failed to save location order');
+
+            const data = await res.json();
+            if (requestId === reorderRequestRef.current) setSavedLocations(data.locations);
         } catch (err) {
             console.error('Failed to update location ranks:', err);
+            // Put back the order the server has
+            if (requestId === reorderRequestRef.current) fetchSavedLocations(token);
         }
     };
 
@@ -539,6 +773,141 @@ function ProfilePage() {
                                 </button>
                             </div>
 
+                            <div className="location-groups">
+                                <h3 className="preference-section-title">Groups</h3>
+
+                                <div className="location-input-group">
+                                    <input
+                                        type="text"
+                                        className="location-input"
+                                        placeholder="New group (e.g. Warehouses, Field crews, Family)"
+                                        value={newGroup.name}
+                                        onChange={(e) => setNewGroup({ ...newGroup, name: e.target.value })}
+                                        onKeyPress={(e) => e.key === 'Enter' && createGroup()}
+                                    />
+                                    <input
+                                        type="color"
+                                        className="location-group-color"
+                                        value={newGroup.color}
+                                        onChange={(e) => setNewGroup({ ...newGroup, color: e.target.value })}
+                                        aria-label="Group color"
+                                    />
+                                    <button
+                                        className="location-add-btn"
+                                        onClick={createGroup}
+                                        disabled={!newGroup.name.trim()}
+                                    >
+                                        Add Group
+                                    </button>
+                                </div>
+
+                                {groups.map((group) => (
+                                    <div key={group.id} className="location-group-row" style={{ borderLeftColor: group.color }}>
+                                        <span className="location-group-name">
+                                            {group.name} <small>({group.location_count} locations)</small>
+                                        </span>
+                                        <div className="location-actions">
+                                            <button className="location-secondary-btn" onClick={() => showGroupForecast(group)} disabled={group.location_count === 0}>
+                                                Forecast
+                                            </button>
+                                            <button className="location-secondary-btn" onClick={() => showGroupSubscribe(group)} disabled={group.location_count === 0}>
+                                                Subscribe to Alerts
+                                            </button>
+                                            <button className="location-secondary-btn" onClick={() => renameGroup(group)}>
+                                                Rename
+                                            </button>
+                                            <button className="location-remove-btn" onClick={() => deleteGroup(group)}>
+                                                Delete
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+
+                                {groupPanel?.type === 'forecast' && (
+                                    <div className="location-group-panel">
+                                        <div className="location-group-panel-header">
+                                            <strong>{groupPanel.group.name}: next 3 days</strong>
+                                            <button className="location-secondary-btn" onClick={() => setGroupPanel(null)}>Close</button>
+                                        </div>
+                                        {groupPanel.loading && <p className="location-coords">Loading forecast...</p>}
+                                        {groupPanel.error && <p className="location-coords">{groupPanel.error}</p>}
+                                        {groupPanel.summary && (
+                                            <table className="location-group-table">
+                                                <thead>
+                                                    <tr>
+                                                        <th>Day</th>
+                                                        <th>Hottest</th>
+                                                        <th>Coldest</th>
+                                                        <th>Wettest</th>
+                                                        <th>Windiest</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {groupPanel.summary.map((day) => (
+                                                        <tr key={day.date}>
+                                                            <td>{new Date(`${day.date}T12:00:00`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}</td>
+                                                            <td>{day.temperature_max_c ? `${formatTemperature(day.temperature_max_c.value, savedPreferences.temperature_unit, 0)} · ${day.temperature_max_c.location_name}` : '–'}</td>
+                                                            <td>{day.temperature_min_c ? `${formatTemperature(day.temperature_min_c.value, savedPreferences.temperature_unit, 0)} · ${day.temperature_min_c.location_name}` : '–'}</td>
+                                                            <td>{day.precipitation_sum_mm ? `${formatPrecipitation(day.precipitation_sum_mm.value, savedPreferences.precipitation_unit)} · ${day.precipitation_sum_mm.location_name}` : '–'}</td>
+                                                            <td>{day.wind_gust_max_ms ? `${formatWindSpeed(day.wind_gust_max_ms.value, savedPreferences.wind_speed_unit, 0)} · ${day.wind_gust_max_ms.location_name}` : '–'}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        )}
+                                        {groupPanel.locations?.filter(entry => entry.error).map(entry => (
+                                            <p key={entry.location.id} className="location-coords">
+                                                ⚠️ No forecast for {entry.location.location_name}: {entry.error}
+                                            </p>
+                                        ))}
+                                    </div>
+                                )}
+
+                                {groupPanel?.type === 'subscribe' && (
+                                    <div className="location-group-panel">
+                                        <div className="location-group-panel-header">
+                                            <strong>Alerts for every location in {groupPanel.group.name}</strong>
+                                            <button className="location-secondary-btn" onClick={() => setGroupPanel(null)}>Close</button>
+                                        </div>
+                                        <div className="location-group-hazards">
+                                            {groupPanel.hazards.map((hazard) => (
+                                                <label key={hazard} className="preference-checkbox">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={groupPanel.selected.includes(hazard)}
+                                                        onChange={(e) => setGroupPanel(prev => ({
+                                                            ...prev,
+                                                            selected: e.target.checked
+                                                                ? [...prev.selected, hazard]
+                                                                : prev.selected.filter(h => h !== hazard)
+                                                        }))}
+                                                    />
+                                                    <span>{hazard}</span>
+                                                </label>
+                                            ))}
+                                        </div>
+                                        <div className="location-details-actions">
+                                            <select
+                                                className="preference-select"
+                                                value={groupPanel.min_severity}
+                                                onChange={(e) => setGroupPanel(prev => ({ ...prev, min_severity: e.target.value }))}
+                                            >
+                                                <option value="WATCH">Watch and above</option>
+                                                <option value="WARNING">Warning and above</option>
+                                                <option value="EMERGENCY">Emergency only</option>
+                                            </select>
+                                            <button
+                                                className="location-add-btn"
+                                                onClick={subscribeGroup}
+                                                disabled={groupPanel.selected.length === 0}
+                                            >
+                                                Subscribe {groupPanel.group.location_count} Locations
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+
                             <div className="locations-list">
                                 {savedLocations.length === 0 ? (
                                     <p className="locations-empty">No saved locations yet. Add your favorite cities!</p>
@@ -556,7 +925,9 @@ function ProfilePage() {
                                                 <SortableLocationItem
                                                     key={loc.id}
                                                     location={loc}
+                                                    groups={groups}
                                                     onRemove={removeLocation}
+                                                    onSave={saveLocationDetails}
                                                 />
                                             ))}
                                         </SortableContext>
@@ -3,6 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import NavBar from './components/navbar/navbar.jsx';
 import './weatherDetail.css';
 import { usePreferences } from './hooks/usePreferences.js';
+import EnsembleBands from './components/EnsembleBands/EnsembleBands.jsx';
+import { reverseGeocode } from './lib/geocode.js';
 import {
   formatTemperature,
   formatWindSpeed,
@@ -18,24 +20,30 @@ import {
   getPrecipitationSymbol,
 } from './lib/math.js';
 
+const API_URL = 'http://localhost:5000/api/weather';
+
+// Fields are canonical ones from the backend weather API (see
+// backend/src/services/providers/schema.js): metric units, wind in m/s
 const ATTRIBUTE_CONFIG = {
   Temperature: {
     icon: '🌡️',
     unit: '°C',
     color: '#ff6b6b',
     gradient: 'linear-gradient(135deg, #ff6b6b 0%, #ee5a6f 100%)',
-    // Current weather params
-    currentParams: 'temperature_2m,relative_humidity_2m,weather_code',
-    currentField: 'temperature_2m',
-    // Daily forecast params (Open-Meteo supports these)
-    dailyParams: 'temperature_2m_max,temperature_2m_min',
-    dailyMaxField: 'temperature_2m_max',
-    dailyMinField: 'temperature_2m_min',
-    // Historical archive params
-    archiveParams: 'temperature_2m_max,temperature_2m_min,temperature_2m_mean',
-    archiveMaxField: 'temperature_2m_max',
-    archiveMinField: 'temperature_2m_min',
-    archiveMeanField: 'temperature_2m_mean',
+    // Field of /current
+    currentField: 'temperature_c',
+    // Fields of each /forecast day (see summariseHours for the ones built from hourly steps)
+    dailyMaxField: 'temperature_max_c',
+    dailyMinField: 'temperature_min_c',
+    // Fields of each /archive day
+    archiveMaxField: 'temperature_max_c',
+    archiveMinField: 'temperature_min_c',
+    archiveMeanField: 'temperature_mean_c',
+    // Ensemble daily fields drawn as uncertainty bands (canonical units)
+    ensembleFields: [
+      { field: 'temperature_max_c', label: 'High' },
+      { field: 'temperature_min_c', label: 'Low' }
+    ],
     useUserUnit: 'temperature_unit',
   },
   Precipitation: {
@@ -43,15 +51,13 @@ const ATTRIBUTE_CONFIG = {
     unit: 'mm',
     color: '#4dabf7',
     gradient: 'linear-gradient(135deg, #4dabf7 0%, #339af0 100%)',
-    currentParams: 'precipitation,relative_humidity_2m,weather_code',
-    currentField: 'precipitation',
-    dailyParams: 'precipitation_sum,precipitation_hours',
-    dailyMaxField: 'precipitation_sum',
+    currentField: 'precipitation_mm',
+    dailyMaxField: 'precipitation_sum_mm',
     dailyMinField: 'precipitation_hours',
-    archiveParams: 'precipitation_sum',
-    archiveMaxField: 'precipitation_sum',
-    archiveMinField: 'precipitation_sum',
-    archiveMeanField: 'precipitation_sum',
+    archiveMaxField: 'precipitation_sum_mm',
+    archiveMinField: 'precipitation_sum_mm',
+    archiveMeanField: 'precipitation_sum_mm',
+    ensembleFields: [{ field: 'precipitation_sum_mm', label: 'Total' }],
     useUserUnit: 'precipitation_unit',
   },
   Wind: {
@@ -59,15 +65,13 @@ const ATTRIBUTE_CONFIG = {
     unit: 'km/h',
     color: '#51cf66',
     gradient: 'linear-gradient(135deg, #51cf66 0%, #37b24d 100%)',
-    currentParams: 'wind_speed_10m,wind_direction_10m,wind_gusts_10m',
-    currentField: 'wind_speed_10m',
-    dailyParams: 'wind_speed_10m_max,wind_gusts_10m_max,wind_direction_10m_dominant',
-    dailyMaxField: 'wind_speed_10m_max',
-    dailyMinField: 'wind_gusts_10m_max',
-    archiveParams: 'wind_speed_10m_max,wind_gusts_10m_max',
-    archiveMaxField: 'wind_speed_10m_max',
-    archiveMinField: 'wind_speed_10m_max',
-    archiveMeanField: 'wind_speed_10m_max',
+    currentField: 'wind_speed_ms',
+    dailyMaxField: 'wind_speed_max_ms',
+    dailyMinField: 'wind_gust_max_ms',
+    archiveMaxField: 'wind_speed_max_ms',
+    archiveMinField: 'wind_speed_max_ms',
+    archiveMeanField: 'wind_speed_max_ms',
+    ensembleFields: [{ field: 'wind_speed_max_ms', label: 'Max wind' }],
     useUserUnit: 'wind_speed_unit',
   },
   AQI: {
@@ -75,16 +79,8 @@ const ATTRIBUTE_CONFIG = {
     unit: 'μg/m³',
     color: '#ffd43b',
     gradient: 'linear-gradient(135deg, #ffd43b 0%, #fab005 100%)',
-    currentParams: 'pm10,pm2_5,carbon_monoxide,nitrogen_dioxide',
-    currentField: 'pm10',
-    dailyParams: 'pm10_mean,pm2_5_mean',
-    dailyMaxField: 'pm10_mean',
-    dailyMinField: 'pm2_5_mean',
-    archiveParams: 'pm10_mean,pm2_5_mean',
-    archiveMaxField: 'pm10_mean',
-    archiveMinField: 'pm10_mean',
-    archiveMeanField: 'pm10_mean',
-    useOpenWeatherAQI: true,
+    // US AQI through the backend air quality proxy
+    useAirQualityApi: true,
     useUserUnit: null, // AQI doesn't use user preferences
   },
   Visibility: {
@@ -92,16 +88,13 @@ const ATTRIBUTE_CONFIG = {
     unit: 'km',
     color: '#a78bfa',
     gradient: 'linear-gradient(135deg, #a78bfa 0%, #7c3aed 100%)',
-    currentParams: 'visibility,cloud_cover,weather_code',
-    currentField: 'visibility',
+    currentField: 'visibility_m',
     // Visibility is not available in daily forecasts, use cloud cover as proxy
-    dailyParams: 'cloud_cover_mean',
-    dailyMaxField: 'cloud_cover_mean',
-    dailyMinField: 'cloud_cover_mean',
-    archiveParams: 'cloud_cover_mean',
-    archiveMaxField: 'cloud_cover_mean',
-    archiveMinField: 'cloud_cover_mean',
-    archiveMeanField: 'cloud_cover_mean',
+    dailyMaxField: 'cloud_cover_mean_pct',
+    dailyMinField: 'cloud_cover_mean_pct',
+    archiveMaxField: 'cloud_cover_mean_pct',
+    archiveMinField: 'cloud_cover_mean_pct',
+    archiveMeanField: 'cloud_cover_mean_pct',
     useUserUnit: null, // Visibility stays in km
   },
   'Surface Pressure': {
@@ -109,15 +102,12 @@ const ATTRIBUTE_CONFIG = {
     unit: 'hPa',
     color: '#f783ac',
     gradient: 'linear-gradient(135deg, #f783ac 0%, #e64980 100%)',
-    currentParams: 'surface_pressure,relative_humidity_2m,weather_code',
-    currentField: 'surface_pressure',
-    dailyParams: 'surface_pressure_mean',
-    dailyMaxField: 'surface_pressure_mean',
-    dailyMinField: 'surface_pressure_mean',
-    archiveParams: 'surface_pressure_mean',
-    archiveMaxField: 'surface_pressure_mean',
-    archiveMinField: 'surface_pressure_mean',
-    archiveMeanField: 'surface_pressure_mean',
+    currentField: 'pressure_hpa',
+    dailyMaxField: 'pressure_mean_hpa',
+    dailyMinField: 'pressure_mean_hpa',
+    archiveMaxField: 'pressure_mean_hpa',
+    archiveMinField: 'pressure_mean_hpa',
+    archiveMeanField: 'pressure_mean_hpa',
     useUserUnit: 'pressure_unit',
   },
   'Sealevel Pressure': {
@@ -125,19 +115,42 @@ const ATTRIBUTE_CONFIG = {
     unit: 'hPa',
     color: '#66d9e8',
     gradient: 'linear-gradient(135deg, #66d9e8 0%, #22b8cf 100%)',
-    currentParams: 'pressure_msl,relative_humidity_2m,weather_code',
-    currentField: 'pressure_msl',
-    dailyParams: 'pressure_msl_mean',
-    dailyMaxField: 'pressure_msl_mean',
-    dailyMinField: 'pressure_msl_mean',
-    archiveParams: 'pressure_msl_mean',
-    archiveMaxField: 'pressure_msl_mean',
-    archiveMinField: 'pressure_msl_mean',
-    archiveMeanField: 'pressure_msl_mean',
+    currentField: 'sea_level_pressure_hpa',
+    dailyMaxField: 'sea_level_pressure_mean_hpa',
+    dailyMinField: 'sea_level_pressure_mean_hpa',
+    archiveMaxField: 'sea_level_pressure_mean_hpa',
+    archiveMinField: 'sea_level_pressure_mean_hpa',
+    archiveMeanField: 'sea_level_pressure_mean_hpa',
     useUserUnit: 'pressure_unit',
   },
 };
 
+const average = (values) => {
+  const known = values.filter(value => value !== null && value !== undefined);
+  return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+};
+
+/**
+ * Daily values the canonical forecast only has hour by hour, keyed by local date
+ */
+const summariseHours = (forecast) => {
+  const offsetMs = (forecast.location?.utc_offset_seconds || 0) * 1000;
+  const days = new Map();
+
+  forecast.hourly.forEach(hour => {
+    const date = new Date(Date.parse(hour.time) + offsetMs).toISOString().slice(0, 10);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(hour);
+  });
+
+  return new Map(Array.from(days, ([date, hours]) => [date, {
+    precipitation_hours: hours.filter(hour => hour.precipitation_mm > 0).length * forecast.hourly_interval_hours,
+    cloud_cover_mean_pct: average(hours.map(hour => hour.cloud_cover_pct)),
+    pressure_mean_hpa: average(hours.map(hour => hour.pressure_hpa)),
+    sea_level_pressure_mean_hpa: average(hours.map(hour => hour.sea_level_pressure_hpa))
+  }]));
+};
+
 function WeatherDetail({ name }) {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
@@ -147,6 +160,7 @@ function WeatherDetail({ name }) {
   const [currentData, setCurrentData] = useState(null);
   const [forecast, setForecast] = useState([]);
   const [historical, setHistorical] = useState([]);
+  const [ensemble, setEnsemble] = useState(null);
   const [selectedTimeframe, setSelectedTimeframe] = useState('7days');
 
   const config = ATTRIBUTE_CONFIG[name] || ATTRIBUTE_CONFIG.Temperature;
@@ -269,18 +283,8 @@ function WeatherDetail({ name }) {
 
   const getCityName = async (lat, lon) => {
     try {
-      const apiKey = import.meta.env.VITE_OPENWEATHER_API_KEY;
-      const res = await fetch(
-        `https://api.openweathermap.org/geo/1.0/reverse?lat=${lat}&lon=${lon}&limit=1&appid=${apiKey}`
-      );
-      
-      if (!res.ok) throw new Error('Reverse geocoding failed');
-      
-      const data = await res.json();
-      if (data && data.length > 0) {
-        return data[0].name || 'Unknown';
-      }
-      return 'Unknown';
+      const place = await reverseGeocode(lat, lon);
+      return place?.name || 'Unknown';
     } catch (err) {
       console.error('City name fetch failed:', err);
       return 'Current Location';
@@ -297,6 +301,7 @@ function WeatherDetail({ name }) {
       await fetchCurrentData();
       await fetchForecastData();
       await fetchHistoricalData();
+      await fetchEnsembleData();
     } catch (err) {
       setError('Failed to fetch weather data: ' + err.message);
     } finally {
@@ -306,40 +311,29 @@ function WeatherDetail({ name }) {
 
   const fetchCurrentData = async () => {
     try {
-      // Special handling for AQI (uses OpenWeather Air Pollution API)
-      if (config.useOpenWeatherAQI) {
-        const apiKey = import.meta.env.VITE_OPENWEATHER_API_KEY;
-        const url = `https://api.openweathermap.org/data/2.5/air_pollution?lat=${location.lat}&lon=${location.lon}&appid=${apiKey}`;
-        
-        const response = await fetch(url);
+      // Special handling for AQI (backend air quality proxy, US AQI scale)
+      if (config.useAirQualityApi) {
+        const response = await fetch(
+          `${API_URL}/air-quality?lat=${location.lat}&lon=${location.lon}`
+        );
         
         if (!response.ok) throw new Error('Failed to fetch AQI data');
         
-        const data = await response.json();
+        const { airQuality } = await response.json();
         
-        if (data?.list && data.list.length > 0) {
-          const current = data.list[0];
-          
-          // OpenWeather AQI scale: 1-5 (Good to Very Poor)
-          // Convert to standard AQI scale (0-500) for better visualization
-          const aqiValue = current.main.aqi;
-          const aqiScaled = aqiValue * 50; // Scale to 0-250 range
-          
-          // Get main pollutant value (PM2.5 is most common)
-          const pm25 = current.components?.pm2_5 || 0;
-          
+        if (airQuality && airQuality.us_aqi !== null) {
           setCurrentData({
-            value: aqiScaled,
+            value: airQuality.us_aqi,
             humidity: 0,
             weatherCode: 0,
-            timestamp: new Date(),
+            timestamp: new Date(airQuality.observed_at || Date.now()),
             // Store additional pollutant data
-            pm25: pm25,
-            pm10: current.components?.pm10 || 0,
-            co: current.components?.co || 0,
-            no2: current.components?.no2 || 0,
-            o3: current.components?.o3 || 0,
-            so2: current.components?.so2 || 0,
+            pm25: airQuality.pm2_5_ugm3 || 0,
+            pm10: airQuality.pm10_ugm3 || 0,
+            co: airQuality.carbon_monoxide_ugm3 || 0,
+            no2: airQuality.nitrogen_dioxide_ugm3 || 0,
+            o3: airQuality.ozone_ugm3 || 0,
+            so2: airQuality.sulphur_dioxide_ugm3 || 0,
           });
           return;
         }
@@ -347,21 +341,12 @@ function WeatherDetail({ name }) {
         throw new Error('No AQI data available');
       }
 
-      // Standard forecast API for other attributes
-      const params = new URLSearchParams({
-        latitude: location.lat,
-        longitude: location.lon,
-        current: config.currentParams,
-        timezone: 'auto',
-        forecast_days: 1
-      });
-
-      const response = await fetch(`https://api.open-meteo.com/v1/forecast?${params}`);
+      // Backend weather proxy for other attributes
+      const response = await fetch(`${API_URL}/current?lat=${location.lat}&lon=${location.lon}`);
       
       if (!response.ok) throw new Error('Failed to fetch current data');
       
-      const data = await response.json();
-      const current = data.current;
+      const { current } = await response.json();
       
       // Handle visibility conversion (meters to km)
       let value = current[config.currentField] || 0;
@@ -376,8 +361,8 @@ function WeatherDetail({ name }) {
       
       setCurrentData({
         value: value,
-        humidity: current.relative_humidity_2m || 0,
-        weatherCode: current.weather_code || 0,
+        humidity: current.humidity_pct || 0,
+        weatherCode: current.condition?.code || 0,
         timestamp: new Date()
       });
     } catch (err) {
@@ -388,37 +373,32 @@ function WeatherDetail({ name }) {
 
   const fetchForecastData = async () => {
     try {
-      // AQI forecast from OpenWeather (limited to current + 4 days in free tier)
-      if (config.useOpenWeatherAQI) {
-        const apiKey = import.meta.env.VITE_OPENWEATHER_API_KEY;
-        
-        // OpenWeather provides hourly AQI forecast for up to 4 days
-        const url = `https://api.openweathermap.org/data/2.5/air_pollution/forecast?lat=${location.lat}&lon=${location.lon}&appid=${apiKey}`;
-        
-        const response = await fetch(url);
+      // Hourly AQI forecast from the backend (up to 7 days, depending on the provider)
+      if (config.useAirQualityApi) {
+        const response = await fetch(
+          `${API_URL}/air-quality/forecast?lat=${location.lat}&lon=${location.lon}&days=7`
+        );
         
         if (!response.ok) throw new Error('Failed to fetch AQI forecast');
         
-        const data = await response.json();
+        const { forecast: aqiForecast } = await response.json();
+        const hours = (aqiForecast?.hourly || []).filter(hour => hour.us_aqi !== null);
         
-        if (!data?.list || data.list.length === 0) {
+        if (hours.length === 0) {
           throw new Error('No AQI forecast data available');
         }
         
-        // Group hourly data by day and calculate daily averages
+        // Group hourly data by day and calculate daily max/min
         const dailyData = new Map();
         
-        data.list.forEach(item => {
-          const date = new Date(item.dt * 1000);
-          const dateKey = date.toISOString().split('T')[0];
+        hours.forEach(hour => {
+          const dateKey = hour.time.split('T')[0];
           
           if (!dailyData.has(dateKey)) {
             dailyData.set(dateKey, []);
           }
           
-          // Scale AQI from 1-5 to 0-250
-          const aqiValue = item.main.aqi * 50;
-          dailyData.get(dateKey).push(aqiValue);
+          dailyData.get(dateKey).push(hour.us_aqi);
         });
         
         // Calculate daily max/min from hourly data
@@ -434,24 +414,18 @@ function WeatherDetail({ name }) {
         return;
       }
 
-      // Standard forecast for other attributes
-      const params = new URLSearchParams({
-        latitude: location.lat,
-        longitude: location.lon,
-        daily: config.dailyParams,
-        timezone: 'auto',
-        forecast_days: 7
-      });
-
-      const response = await fetch(`https://api.open-meteo.com/v1/forecast?${params}`);
+      // Backend weather proxy for other attributes
+      const response = await fetch(`${API_URL}/forecast?lat=${location.lat}&lon=${location.lon}&days=7`);
       
       if (!response.ok) throw new Error('Failed to fetch forecast data');
       
-      const data = await response.json();
+      const { forecast: data } = await response.json();
+      const summaries = summariseHours(data);
       
-      const dailyForecast = data.daily.time.map((date, index) => {
-        let maxVal = data.daily[config.dailyMaxField]?.[index] || 0;
-        let minVal = data.daily[config.dailyMinField]?.[index] || 0;
+      const dailyForecast = data.daily.map((day) => {
+        const values = { ...summaries.get(day.date), ...day };
+        let maxVal = values[config.dailyMaxField] || 0;
+        let minVal = values[config.dailyMinField] || 0;
         
         // Convert wind speed from m/s to km/h
         if (name === 'Wind') {
@@ -460,7 +434,7 @@ function WeatherDetail({ name }) {
         }
         
         return {
-          date: new Date(date),
+          date: new Date(day.date),
           max: maxVal,
           min: minVal,
         };
@@ -492,8 +466,8 @@ function WeatherDetail({ name }) {
           startDate.setDate(endDate.getDate() - 7);
       }
       
-      // AQI historical data (OpenWeather API doesn't provide historical AQI in free tier)
-      if (config.useOpenWeatherAQI) {
+      // AQI historical data (no air quality archive is available)
+      if (config.useAirQualityApi) {
         console.warn('Historical AQI data not available in free tier - showing current data only');
         
         // Use current AQI data repeated for visualization
@@ -517,9 +491,9 @@ function WeatherDetail({ name }) {
           
           historicalData.push({
             date: date,
-            max: Math.max(0, Math.min(250, baseAQI + 10 + Math.random() * 15)),
-            min: Math.max(0, Math.min(250, baseAQI - 10 - Math.random() * 10)),
-            mean: Math.max(0, Math.min(250, baseAQI)),
+            max: Math.max(0, Math.min(500, baseAQI + 10 + Math.random() * 15)),
+            min: Math.max(0, Math.min(500, baseAQI - 10 - Math.random() * 10)),
+            mean: Math.max(0, Math.min(500, baseAQI)),
           });
         }
         
@@ -527,26 +501,24 @@ function WeatherDetail({ name }) {
         return;
       }
 
-      // Standard archive API for other attributes
+      // Backend archive proxy for other attributes
       const params = new URLSearchParams({
-        latitude: location.lat,
-        longitude: location.lon,
+        lat: location.lat,
+        lon: location.lon,
         start_date: startDate.toISOString().split('T')[0],
-        end_date: endDate.toISOString().split('T')[0],
-        daily: config.archiveParams,
-        timezone: 'auto'
+        end_date: endDate.toISOString().split('T')[0]
       });
 
-      const response = await fetch(`https://archive-api.open-meteo.com/v1/archive?${params}`);
+      const response = await fetch(`${API_URL}/archive?${params}`);
       
       if (!response.ok) throw new Error('Failed to fetch historical data');
       
-      const data = await response.json();
+      const { archive } = await response.json();
       
-      const historicalData = data.daily.time.map((date, index) => {
-        let maxVal = data.daily[config.archiveMaxField]?.[index] || 0;
-        let minVal = data.daily[config.archiveMinField]?.[index] || 0;
-        let meanVal = data.daily[config.archiveMeanField]?.[index] || 0;
+      const historicalData = archive.daily.map((day) => {
+        let maxVal = day[config.archiveMaxField] || 0;
+        let minVal = day[config.archiveMinField] || 0;
+        let meanVal = day[config.archiveMeanField] || 0;
         
         // Convert wind speed from m/s to km/h
         if (name === 'Wind') {
@@ -556,7 +528,7 @@ function WeatherDetail({ name }) {
         }
         
         return {
-          date: new Date(date),
+          date: new Date(day.date),
           max: maxVal,
           min: minVal,
           mean: meanVal
@@ -570,6 +542,31 @@ function WeatherDetail({ name }) {
     }
   };
 
+  // Ensemble percentiles from the backend; the page still works without them
+  const fetchEnsembleData = async () => {
+    if (!config.ensembleFields) {
+      setEnsemble(null);
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `${API_URL}/ensemble?lat=${location.lat}&lon=${location.lon}&days=7`
+      );
+
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.errors?.join(', ') || data.message || 'Failed to fetch ensemble forecast');
+      }
+
+      setEnsemble(data.ensemble);
+    } catch (err) {
+      console.warn('Ensemble forecast unavailable:', err.message);
+      setEnsemble(null);
+    }
+  };
+
   // Helper function to normalize bar heights
   const normalizeBarHeight = (value, allValues, maxHeight = 140) => {
     if (!allValues || allValues.length === 0) return 5;
@@ -839,11 +836,27 @@ function WeatherDetail({ name }) {
         </div>
       </div>
 
+      {/* Ensemble uncertainty bands */}
+      {ensemble && config.ensembleFields && (
+        <div className="forecast-section">
+          <h2>{name} Forecast Uncertainty</h2>
+          <EnsembleBands
+            daily={ensemble.daily}
+            fields={config.ensembleFields}
+            color={config.color}
+            convert={convertValue}
+            unit={getDisplayUnit()}
+            memberCount={ensemble.member_count}
+            model={ensemble.model}
+          />
+        </div>
+      )}
+
       {/* Historical Data Section - WITH UNIT CONVERSION */}
       <div className="historical-section">
         <h2>Historical {name} Data ({selectedTimeframe})</h2>
         
-        {config.useOpenWeatherAQI && (
+        {config.useAirQualityApi && (
           <div className="historical-notice" style={{ padding: '0.75rem', background: 'rgba(255, 208, 67, 0.15)', border: '1px solid rgba(255, 208, 67, 0.3)', borderRadius: '8px', marginBottom: '1rem', color: '#ffd43b', fontSize: '0.9rem' }}>
             ℹ️ Historical AQI data requires a premium API subscription. Showing estimated trends based on current conditions.
           </div>